@@ -11,6 +11,7 @@
  *   - USDC treasury management (agent ↔ treasury wallet transfers)
  *   - Perpetual futures via Drift Protocol (LONG/SHORT SOL-PERP on devnet)
  *   - AI-powered decisions with rule-based fallback
+ *   - Paper trading against a simulated exchange (--paper or PAPER_TRADING=1)
  *
  * The agent demonstrates that AI + USDC is faster, smarter, and more
  * consistent than human + USDC for portfolio management.
@@ -20,6 +21,7 @@ const { Connection, Keypair, PublicKey, Transaction, SystemProgram, LAMPORTS_PER
 const {
   getAssociatedTokenAddress,
   getAccount,
+  TokenAccountNotFoundError,
   createTransferInstruction,
   createAssociatedTokenAccountInstruction,
   TOKEN_PROGRAM_ID,
@@ -28,6 +30,22 @@ const {
 const bs58 = require('bs58').default;
 const fs = require('fs');
 const path = require('path');
+const priceFeed = require('./price-feed');
+const risk = require('./risk-manager');
+const config = require('./config');
+const journal = require('./journal');
+const { validateDecision, parseDecision, decisionTools } = require('./decision-schema');
+const { createProvider } = require('./llm');
+const { parseVoters, aggregateVotes, PROMPT_VARIANTS } = require('./ensemble');
+const { sizePosition, describeSizing } = require('./position-sizing');
+const { executeOrder, describeExecution } = require('./execution');
+const { findMismatches } = require('./reconcile');
+const { planAllocation, limitTransfer, describeAllocation } = require('./allocation');
+const { createControlServer, TOKEN_FILE: CONTROL_TOKEN_FILE } = require('./control-server');
+const notifier = require('./notifier');
+const { computeIndicators } = require('./indicators');
+const candles = require('./candles');
+const { DEFAULT_MARKET, resolveMarket, getEnabledMarkets } = require('./markets');
 
 // Format time in 24h Lithuania timezone (EET/EEST)
 function formatLT(date = new Date()) {
@@ -45,37 +63,160 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: t
 
 const DEVNET_RPC = process.env.SOLANA_RPC || 'https://api.devnet.solana.com';
 const USDC_DEVNET_MINT = new PublicKey('4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU');
-const CLAUDE_API = process.env.CLAUDE_API_URL || 'http://localhost:8317/v1/chat/completions';
-const CLAUDE_MODEL = 'claude-sonnet-4-20250514';
+
+// Paper trading: simulated Drift exchange + token ledger, no RPC or keys needed
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+
+// Price observations for candles while waiting between cycles; 0 only samples once per cycle
+const CANDLE_POLL_MS = Number(process.env.CANDLE_POLL_MS ?? 60_000);
+
+// Tunable parameters come from config.js (config file, profile, env and CLI overrides)
+// and are re-applied between cycles by applyConfig(). Defaults in parentheses.
+let CLAUDE_MODEL;
+let AI_REPAIR_ATTEMPTS;    // Invalid decisions sent back to the model before falling back (2)
+let ENSEMBLE_MODE;         // off, majority, weighted or unanimous (off)
+let ENSEMBLE_VOTERS;       // Parsed ensembleVoters; voters naming a provider carry their own `llm`
 
 // Trading parameters
-const TRADE_INTERVAL_MS = 120_000;  // 2 minutes between cycles
-const MAX_CYCLES = 200;
-const MIN_USDC_TRADE = 0.5;
-const MAX_USDC_TRADE_PCT = 0.25;
-const MIN_PERP_SIZE_USD = 1;       // Min $1 for perp positions
-const MAX_PERP_SIZE_USD = 10;      // Max $10 per perp trade (conservative for devnet)
-const DEFAULT_LEVERAGE = 2;
+let TRADE_INTERVAL_MS;     // Time between cycles (2 minutes)
+let MAX_CYCLES;            // (200)
+let MIN_USDC_TRADE;        // (0.5 USDC)
+let MAX_USDC_TRADE_PCT;    // (25% of the source balance)
+let MIN_PERP_SIZE_USD;     // Min perp position ($1)
+let MAX_PERP_SIZE_USD;     // Max per perp trade ($10, conservative for devnet)
+let DEFAULT_LEVERAGE;      // (2x)
+let MAX_LEVERAGE;          // (5x)
+
+// Position sizing (see position-sizing.js)
+let SIZING_MODE;           // risk or fixed (risk)
+let RISK_PER_TRADE_PCT;    // Equity lost at the stop on a full-confidence position (1%)
+let STOP_VOL_MULTIPLE;     // Stop distance in daily volatilities (2)
+let MAX_POSITION_PCT;      // Largest notional as a share of equity (100%)
+let KELLY_FRACTION;        // Fractional Kelly cap on the risk share, 0 = off (0)
 
 // Anti-churn parameters
-const MIN_POSITION_HOLD_MS = 30 * 60 * 1000;   // Must hold a position for at least 30 minutes
-const TRADE_COOLDOWN_MS = 10 * 60 * 1000;       // 10 min cooldown after closing before opening new
-const SPREAD_TOLERANCE_PCT = 0.03;               // Don't close if loss < 3% of position size (that's just the spread)
-
-// Limit order parameters
-const ORDER_FILL_TIMEOUT_MS = 3 * 60 * 1000;    // Cancel unfilled limit orders after 3 minutes
+let MIN_POSITION_HOLD_MS;  // Must hold a position at least this long (30 minutes)
+let TRADE_COOLDOWN_MS;     // Cooldown after closing before opening new (10 minutes)
+let SPREAD_TOLERANCE_PCT;  // Don't close if loss is below this share of position size, that's just the spread (3%)
+
+// Protective orders: the rule engine's exits, also placed on Drift as reduce-only trigger
+// orders when a position opens so they fire between cycles and if the agent is down
+let TAKE_PROFIT_PCT;       // Take profit at this share of collateral (8%)
+let STOP_LOSS_PCT;         // Stop out at this share of collateral (10%)
+
+// Funding: the rule engine closes positions paying more than this per hour and won't open into it
+let MAX_FUNDING_RATE_PCT;  // Percent of notional per hour, 0 = off (0.01%)
+
+// Indicator windows in price samples: { emaFast, emaSlow, macdSignal, rsi, bollinger, bollingerStdDev, atr, vwap, roc }
+let INDICATOR_PERIODS;
+
+// Treasury allocation (see allocation.js): { targets: { agent, treasury, drift }, bandPct,
+// reserves: { agent, treasury, drift }, minTransfer }
+let ALLOCATION_POLICY;
+
+// Order execution (see execution.js)
+let ORDER_FILL_TIMEOUT_MS; // Time an order (or TWAP slice) is worked with limit orders (3 minutes)
+let EXECUTION_STRATEGY;    // chase or limit (chase)
+let CHASE_ATTEMPTS;        // Limit orders within ORDER_FILL_TIMEOUT_MS when chasing (3)
+let CLOSE_ESCALATION;      // Finish unfilled closes with a market order: market or none (market)
+let TWAP_THRESHOLD_USD;    // Slice orders above this notional, 0 = off ($50)
+let TWAP_SLICES;           // (3)
+let TWAP_INTERVAL_MS;      // Pause between slices (30 seconds)
+let RECONCILE_TOLERANCE_USD; // Unexplained balance change booked as an external flow ($0.05)
+let SHUTDOWN_POLICY;       // Open positions on shutdown: keep, flatten or flatten-if-losing (keep)
 const ORDER_CHECK_INTERVAL_MS = 10_000;          // Check order fill status every 10 seconds
 
+function applyConfig(c) {
+  CLAUDE_MODEL = c.claudeModel;
+  AI_REPAIR_ATTEMPTS = c.aiRepairAttempts;
+  ENSEMBLE_MODE = c.ensembleMode;
+  ENSEMBLE_VOTERS = parseVoters(c.ensembleVoters)
+    .map(v => v.kind === 'ai' && v.provider !== 'ai' ? { ...v, llm: createProvider(v.provider) } : v);
+  TRADE_INTERVAL_MS = c.tradeIntervalMs;
+  MAX_CYCLES = c.maxCycles;
+  MIN_USDC_TRADE = c.minUsdcTrade;
+  MAX_USDC_TRADE_PCT = c.maxUsdcTradePct;
+  MIN_PERP_SIZE_USD = c.minPerpSizeUsd;
+  MAX_PERP_SIZE_USD = c.maxPerpSizeUsd;
+  DEFAULT_LEVERAGE = c.defaultLeverage;
+  MAX_LEVERAGE = c.maxLeverage;
+  SIZING_MODE = c.sizingMode;
+  RISK_PER_TRADE_PCT = c.riskPerTradePct;
+  STOP_VOL_MULTIPLE = c.stopVolMultiple;
+  MAX_POSITION_PCT = c.maxPositionPct;
+  KELLY_FRACTION = c.kellyFraction;
+  MIN_POSITION_HOLD_MS = c.minPositionHoldMs;
+  TRADE_COOLDOWN_MS = c.tradeCooldownMs;
+  SPREAD_TOLERANCE_PCT = c.spreadTolerancePct;
+  TAKE_PROFIT_PCT = c.takeProfitPct;
+  STOP_LOSS_PCT = c.stopLossPct;
+  MAX_FUNDING_RATE_PCT = c.maxFundingRatePct;
+  ORDER_FILL_TIMEOUT_MS = c.orderFillTimeoutMs;
+  EXECUTION_STRATEGY = c.executionStrategy;
+  CHASE_ATTEMPTS = c.chaseAttempts;
+  CLOSE_ESCALATION = c.closeEscalation;
+  TWAP_THRESHOLD_USD = c.twapThresholdUsd;
+  TWAP_SLICES = c.twapSlices;
+  TWAP_INTERVAL_MS = c.twapIntervalMs;
+  RECONCILE_TOLERANCE_USD = c.reconcileToleranceUsd;
+  SHUTDOWN_POLICY = c.shutdownPolicy;
+  INDICATOR_PERIODS = {
+    emaFast: c.emaFastPeriod,
+    emaSlow: c.emaSlowPeriod,
+    macdSignal: c.macdSignalPeriod,
+    rsi: c.rsiPeriod,
+    bollinger: c.bollingerPeriod,
+    bollingerStdDev: c.bollingerStdDev,
+    atr: c.atrPeriod,
+    vwap: c.vwapPeriod,
+    roc: c.rocPeriod,
+  };
+  ALLOCATION_POLICY = {
+    targets: { agent: c.targetAgentPct, treasury: c.targetTreasuryPct, drift: c.targetDriftPct },
+    bandPct: c.allocationBandPct,
+    reserves: { agent: c.agentReserveUsd, treasury: c.treasuryReserveUsd, drift: c.driftReserveUsd },
+    minTransfer: c.minUsdcTrade,
+  };
+}
+
+// Model backend for askClaude (LLM_PROVIDER, see llm.js)
+let llm;
+
+try {
+  applyConfig(config.get());
+  llm = createProvider();
+} catch (err) {
+  if (require.main !== module) throw err;
+  console.error(`[Config] ${err.message}`);
+  process.exit(1);
+}
+
+// Pick up config file edits between cycles. Invalid edits are logged and ignored.
+function reloadConfig() {
+  const { changed, error } = config.reload();
+  if (error) {
+    console.log(`  [Config] Reload rejected, keeping previous settings. ${error.replace(/\n/g, '\n  ')}`);
+    return;
+  }
+  if (changed.length === 0) return;
+  applyConfig(config.get());
+  for (const c of changed) console.log(`  [Config] ${c.key}: ${c.from} → ${c.to}`);
+  emitEvent('config_reloaded', { profile: config.get().profile, changed });
+}
+
 // Paths
 const LOG_DIR = path.join(__dirname, '..', 'logs');
-const STATE_FILE = path.join(LOG_DIR, 'agent-state.json');
-const DASHBOARD_DATA = path.join(__dirname, '..', 'docs', 'data.json');
+const STATE_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-state.json' : 'agent-state.json');
+const DASHBOARD_DATA = PAPER_TRADING ? path.join(LOG_DIR, 'paper-data.json') : path.join(__dirname, '..', 'docs', 'data.json');
+const EVENTS_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-events.jsonl' : 'events.jsonl');
+const EVENTS_MAX_BYTES = 1024 * 1024;  // Rotate the live event feed at 1MB
 
 // ─── Globals ─────────────────────────────────────────────────────────────────
 
 const connection = new Connection(DEVNET_RPC, 'confirmed');
 let wallet;
 let treasuryWallet;
+const paperLedger = PAPER_TRADING ? require('./paper-ledger') : null;
 
 // Lazy-loaded Drift module
 let drift = null;
@@ -86,13 +227,14 @@ async function getDrift() {
   if (drift) return drift;
 
   try {
-    drift = require('./drift-devnet');
+    drift = require(PAPER_TRADING ? './drift-paper' : './drift-devnet');
     await drift.initializeDrift();
     driftAvailable = true;
-    console.log('[Drift] Connected to devnet');
+    console.log(`[Drift] Connected to ${PAPER_TRADING ? 'paper exchange' : 'devnet'}`);
     return drift;
   } catch (err) {
     console.log(`[Drift] Unavailable: ${err.message}`);
+    notifier.notify('drift_unavailable', `Drift unavailable: ${err.message} — the agent manages the USDC treasury only`, { error: err.message });
     driftAvailable = false;
     return null;
   }
@@ -100,32 +242,45 @@ async function getDrift() {
 
 // ─── Market Data ─────────────────────────────────────────────────────────────
 
-let lastGoodPrice = null;
+// Perp prices come from the multi-source feed (see price-feed.js). Returns
+// { market, price, change24h, stale, ageMs, quotes }; stale prices must not be traded on.
+async function getMarketPrice(market = DEFAULT_MARKET) {
+  const feed = await priceFeed.getPrice(market);
+  for (const q of feed.quotes.filter(q => q.rejected)) {
+    notifier.notify('price_rejected', `${feed.market} ${q.source} $${Number(q.price).toFixed(2)} rejected: ${q.rejected}`,
+      { market: feed.market, source: q.source, price: q.price, reason: q.rejected }, { key: `${feed.market}:${q.source}` });
+  }
+  if (feed.stale) {
+    const age = feed.ageMs !== null ? `last consensus ${(feed.ageMs / 60000).toFixed(1)}min old` : 'no price yet';
+    console.log(`⚠️ ${feed.market} price feed stale (${age}) — trading disabled until sources recover`);
+    notifier.notify('price_rejected', `${feed.market} price feed stale (${age}) — trading disabled until sources recover`,
+      { market: feed.market, stale: true, ageMs: feed.ageMs }, { key: `${feed.market}:stale` });
+  } else {
+    candles.record(feed.market, feed.price, feed.time);
+    // Keep the simulated exchange's oracle anchored to the real market when we have it
+    if (PAPER_TRADING && drift) drift.setOraclePrice(feed.price, feed.market);
+  }
+  return feed;
+}
 
-async function getSOLPrice() {
+// Funding and open interest from the exchange (getMarketInfo in drift-devnet.js / drift-paper.js):
+// { rate, predictedRate, nextFundingTime, openInterest, imbalancePct }. Rates are percent of
+// notional per hour, longs pay shorts when positive. Null without Drift or when the read fails.
+async function getMarketFunding(market = DEFAULT_MARKET) {
+  const d = await getDrift();
+  if (!d) return null;
   try {
-    const res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd&include_24hr_change=true');
-    const data = await res.json();
-    const price = data.solana.usd;
-    const change24h = data.solana.usd_24h_change;
-
-    // Sanity check: reject prices that jump more than 30% from last known good price
-    if (lastGoodPrice && Math.abs(price - lastGoodPrice) / lastGoodPrice > 0.30) {
-      console.log(`⚠️ Price sanity check failed: got $${price}, last good was $${lastGoodPrice}. Using last good price.`);
-      return { price: lastGoodPrice, change24h: change24h || 0 };
-    }
-
-    lastGoodPrice = price;
-    return { price, change24h };
-  } catch {
-    // Use last known good price instead of random values
-    if (lastGoodPrice) {
-      console.log(`⚠️ CoinGecko fetch failed, using last known price: $${lastGoodPrice}`);
-      return { price: lastGoodPrice, change24h: 0 };
-    }
-    // Only if we've NEVER had a good price (first cycle + API down), use a safe fallback
-    console.log('⚠️ CoinGecko fetch failed and no price history. Using $0 to skip trading.');
-    return { price: 0, change24h: 0 };
+    const info = await d.getMarketInfo(market);
+    return {
+      rate: info.fundingRate,
+      predictedRate: info.predictedFundingRate ?? info.fundingRate,
+      nextFundingTime: info.nextFundingTime ?? null,
+      openInterest: info.openInterest,
+      imbalancePct: info.oiImbalancePct ?? null,
+    };
+  } catch (err) {
+    console.log(`  [Funding] Could not read ${market} funding: ${err.message}`);
+    return null;
   }
 }
 
@@ -151,6 +306,7 @@ async function getMarketSentiment() {
 
 function loadWallet() {
   const privateKey = process.env.SOLANA_PRIVATE_KEY;
+  if (!privateKey && PAPER_TRADING) return Keypair.generate();
   if (!privateKey) throw new Error('SOLANA_PRIVATE_KEY not set. Run: npm run setup');
   return Keypair.fromSecretKey(bs58.decode(privateKey));
 }
@@ -161,31 +317,38 @@ function loadOrCreateTreasury() {
     const key = fs.readFileSync(treasuryPath, 'utf8').trim();
     return Keypair.fromSecretKey(bs58.decode(key));
   }
+  // Paper treasuries are throwaway — don't persist a key for them
+  if (PAPER_TRADING) return Keypair.generate();
   const treasury = Keypair.generate();
   fs.writeFileSync(treasuryPath, bs58.encode(treasury.secretKey));
   return treasury;
 }
 
-async function getUSDCBalance(pubkey) {
+// A wallet without a USDC token account holds 0. Other read errors return `onError`
+// (reconciliation passes null so a failed read isn't mistaken for a withdrawal).
+async function getUSDCBalance(pubkey, onError = 0) {
+  if (PAPER_TRADING) return paperLedger.getBalance(pubkey);
   try {
     const ata = await getAssociatedTokenAddress(USDC_DEVNET_MINT, pubkey);
     const account = await getAccount(connection, ata);
     return Number(account.amount) / 1e6;
-  } catch {
-    return 0;
+  } catch (err) {
+    return err instanceof TokenAccountNotFoundError ? 0 : onError;
   }
 }
 
 async function getSOLBalance(pubkey) {
+  if (PAPER_TRADING) return paperLedger.getSOLBalance(pubkey);
   const balance = await connection.getBalance(pubkey);
   return balance / LAMPORTS_PER_SOL;
 }
 
 // ─── Drift Helper: Get Position Info ─────────────────────────────────────────
 
+// `position` is the SOL-PERP position; `positions` maps every enabled market to its position (or null)
 async function getDriftInfo() {
   const d = await getDrift();
-  if (!d) return { available: false, position: null, driftBalance: 0, freeCollateral: 0, openOrders: [] };
+  if (!d) return { available: false, position: null, positions: {}, driftBalance: 0, freeCollateral: 0, openOrders: [] };
 
   try {
     const info = await d.getAccountInfo();
@@ -194,79 +357,70 @@ async function getDriftInfo() {
       available: true,
       hasAccount: info.hasAccount,
       position: info.position,
+      positions: info.positions || { [DEFAULT_MARKET]: info.position },
       driftBalance: info.usdcBalance,
       freeCollateral: info.freeCollateral,
       openOrders,
     };
   } catch (err) {
     console.log(`[Drift] Info error: ${err.message}`);
-    return { available: true, position: null, driftBalance: 0, freeCollateral: 0, openOrders: [] };
+    notifier.notify('drift_unavailable', `Drift account could not be read: ${err.message}`, { error: err.message }, { key: 'account' });
+    return { available: true, error: err.message, position: null, positions: {}, driftBalance: 0, freeCollateral: 0, openOrders: [] };
   }
 }
 
-// ─── Limit Order Fill Monitoring ─────────────────────────────────────────────
-
-async function waitForOrderFill(oraclePrice, limitPrice, direction, orderTimeoutMs = ORDER_FILL_TIMEOUT_MS) {
-  const d = await getDrift();
-  if (!d) return { filled: false, reason: 'drift unavailable' };
-
-  const startTime = Date.now();
-  let lastOrderCount = -1;
-
-  while (Date.now() - startTime < orderTimeoutMs) {
-    const openOrders = await d.getOpenOrders();
-
-    if (openOrders.length === 0) {
-      const fillTimeMs = Date.now() - startTime;
-      const fillTimeSec = (fillTimeMs / 1000).toFixed(1);
-
-      // Determine likely fill type based on how fast it filled
-      // Instant fills (< 2s) are almost certainly taker fills (crossed the book)
-      // Delayed fills (> 5s) are more likely maker fills
-      let fillType = 'unknown';
-      if (fillTimeMs < 2000) fillType = 'TAKER (instant fill - likely crossed the book)';
-      else if (fillTimeMs < 5000) fillType = 'LIKELY_TAKER (fast fill)';
-      else fillType = 'LIKELY_MAKER (delayed fill)';
-
-      console.log(`  [Limit] Order filled! (took ${fillTimeSec}s)`);
-      console.log(`  [Limit] Fill analysis: ${fillType}`);
-      console.log(`  [Limit]   Oracle: $${safe(oraclePrice)} | Our limit: $${safe(limitPrice)} | Direction: ${direction || '?'}`);
-
-      // Get position info after fill to see actual entry price
-      try {
-        const info = await d.getAccountInfo();
-        if (info.position) {
-          const entryPrice = Math.abs(info.position.quoteAmount / info.position.baseAmount);
-          const spreadPaid = Math.abs(entryPrice - (oraclePrice || entryPrice));
-          console.log(`  [Limit]   Entry price: $${safe(entryPrice)} | Spread from oracle: $${safe(spreadPaid, 4)} (${safe(spreadPaid / (oraclePrice || 1) * 100, 3)}%)`);
-        }
-      } catch (e) {
-        // Non-critical, just skip
-      }
-
-      return { filled: true, timeMs: fillTimeMs, fillType };
-    }
-
-    if (lastOrderCount !== openOrders.length) {
-      console.log(`  [Limit] Waiting for fill... ${openOrders.length} open order(s), ${((orderTimeoutMs - (Date.now() - startTime)) / 1000).toFixed(0)}s remaining`);
-      lastOrderCount = openOrders.length;
-    }
+// Position in one market from a getDriftInfo() result
+function marketPosition(driftInfo, market) {
+  if (driftInfo?.positions && market in driftInfo.positions) return driftInfo.positions[market];
+  return market === DEFAULT_MARKET ? (driftInfo?.position || null) : null;
+}
 
-    await new Promise(r => setTimeout(r, ORDER_CHECK_INTERVAL_MS));
-  }
+// Unrealized PnL summed across every open perp position
+function totalUnrealizedPnl(driftInfo) {
+  const positions = Object.values(driftInfo?.positions || {}).filter(Boolean);
+  if (positions.length === 0) return driftInfo?.position?.unrealizedPnl || 0;
+  return positions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+}
 
-  // Timeout — cancel unfilled orders
-  console.log(`  [Limit] Order not filled after ${(orderTimeoutMs / 1000).toFixed(0)}s — cancelling...`);
-  const cancelTx = await d.cancelAllOrders();
-  if (cancelTx) {
-    console.log(`  [Limit] Stale orders cancelled`);
+// ─── Order Execution ─────────────────────────────────────────────────────────
+
+// Work a perp order with the configured execution strategy (see execution.js). Each order
+// placed is logged and journaled as order_placed with the exchange's record of it (status,
+// fill price, fee, maker/taker), the outcome as order_fill. A second shutdown signal aborts it.
+// `order` is { kind: 'open' | 'close', market, direction (side of the order), baseAmount or sizeUsd, reduceOnly }.
+async function fillOrder(d, order) {
+  const settings = {
+    strategy: EXECUTION_STRATEGY,
+    chaseAttempts: CHASE_ATTEMPTS,
+    timeoutMs: ORDER_FILL_TIMEOUT_MS,
+    closeEscalation: CLOSE_ESCALATION,
+    twapThresholdUsd: TWAP_THRESHOLD_USD,
+    twapSlices: TWAP_SLICES,
+    twapIntervalMs: TWAP_INTERVAL_MS,
+    checkIntervalMs: ORDER_CHECK_INTERVAL_MS,
+  };
+  const onOrder = o => {
+    const label = `${o.type === 'market' ? 'Market order' : `Limit $${safe(o.price)}`}${o.orderId !== null ? ` #${o.orderId}` : ''}${o.slice > 1 ? ` (slice ${o.slice})` : ''}`;
+    const fill = o.avgPrice !== null ? ` @ $${safe(o.avgPrice, 4)} as ${o.role}, fee $${safe(o.fee, 4)}` : '';
+    console.log(`  [Exec] ${label}: ${o.status ?? 'no record'} — ${safe(o.filledBase, 6)} of ${safe(o.baseAmount, 6)}${fill}, ${safe(o.timeMs / 1000, 1)}s (oracle $${safe(o.oraclePrice)})`);
+    journal.record('order_placed', { kind: order.kind, market: order.market, direction: order.direction, ...o });
+  };
+  const report = await executeOrder(d, order, settings, { onOrder, aborted: () => abortExecution });
+  console.log(`  [Exec] ${order.market} ${order.kind} ${describeExecution(report)}`);
+  const { orders, ...summary } = report;
+  journal.record('order_fill', { kind: order.kind, market: order.market, direction: order.direction, strategy: EXECUTION_STRATEGY, ...summary, orders: orders.length });
+  if (report.status !== 'filled') {
+    notifier.notify('order_unfilled', `${order.market} ${order.kind} ${report.status}: ${safe(report.filledBase, 6)} of ${safe(report.requestedBase, 6)} filled, no order left resting${report.aborted ? ' (aborted)' : ''}`,
+      { market: order.market, kind: order.kind, direction: order.direction, status: report.status, requestedBase: report.requestedBase, filledBase: report.filledBase }, { key: order.market });
   }
-  return { filled: false, reason: 'timeout', timeMs: Date.now() - startTime };
+  return report;
 }
 
 // ─── USDC Transfer Functions ─────────────────────────────────────────────────
 
 async function transferUSDC(from, toPubkey, amountUSDC) {
+  if (PAPER_TRADING) return paperLedger.transfer(from.publicKey, toPubkey, amountUSDC);
+
   const amountRaw = Math.floor(amountUSDC * 1e6);
 
   const fromAta = await getAssociatedTokenAddress(USDC_DEVNET_MINT, from.publicKey);
@@ -352,41 +506,141 @@ function analyzeTrend(priceHistory) {
   };
 }
 
+// Indicators at the latest sample of a market's full price history (see indicators.js)
+function indicatorsFor(priceHistory) {
+  return computeIndicators(priceHistory, INDICATOR_PERIODS);
+}
+
+// Fill a short price history from saved candles, so trend analysis and indicators have data
+// on the first cycle. Bar closes of the timeframe nearest the cycle interval go in front of
+// the readings already there, going back no further than a full history (200 cycles) would.
+function warmStartPriceHistory(state, markets = getEnabledMarkets(), now = Date.now()) {
+  const timeframe = candles.timeframeFor(TRADE_INTERVAL_MS);
+  const oldest = now - 200 * TRADE_INTERVAL_MS;
+  for (const symbol of markets) {
+    const history = getPriceHistory(state, symbol);
+    if (history.length >= 20) continue;
+    const firstTime = history.length > 0 ? history[0].time : Infinity;
+    const older = candles.closes(symbol, timeframe, 200)
+      .filter(p => p.time >= oldest && p.time < firstTime)
+      .slice(-(200 - history.length));
+    if (older.length === 0) continue;
+    history.unshift(...older);
+    console.log(`  [Candles] ${symbol}: warm-started price history with ${older.length} ${timeframe} closes`);
+  }
+}
+
 // ─── AI Decision Engine ──────────────────────────────────────────────────────
 
-async function askClaude(context) {
-  const positionHoldTime = context.positionOpenTime ? ((Date.now() - context.positionOpenTime) / 60000).toFixed(1) : null;
-  const cooldownRemaining = context.lastCloseTime ? Math.max(0, (TRADE_COOLDOWN_MS - (Date.now() - context.lastCloseTime)) / 60000).toFixed(1) : null;
+// Per-market view of the context. Contexts built before multi-market support
+// (and by the backtester) only carry SOL fields, so synthesize a SOL-PERP entry.
+function contextMarkets(context) {
+  if (context.markets) return context.markets;
+  return [{
+    symbol: DEFAULT_MARKET,
+    base: 'SOL',
+    price: context.solPrice,
+    change24h: context.solChange24h,
+    stale: false,
+    position: context.driftPosition || null,
+    priceHistory: context.priceHistory || [],
+    trendAnalysis: context.trendAnalysis,
+    indicators: context.indicators,
+    timeframes: context.timeframes,
+    funding: context.funding,
+    positionOpenTime: context.positionOpenTime,
+    lastCloseTime: context.lastCloseTime,
+  }];
+}
+
+function formatMarketSection(m, driftAvailable) {
+  const lines = [`${m.symbol}:`, `- ${m.base} Price: $${safe(m.price)} (24h: ${safe(m.change24h)}%)${m.stale ? ' — PRICE FEED STALE, do NOT trade this market' : ''}`];
+  const f = m.funding;
+  if (f) {
+    const rate = v => `${v >= 0 ? '+' : ''}${safe(v, 4)}%/hour`;
+    const imbalance = f.imbalancePct === null ? '' : ` (${safe(Math.abs(f.imbalancePct), 0)}% ${f.imbalancePct >= 0 ? 'long' : 'short'}-heavy)`;
+    lines.push(`- Funding: ${rate(f.rate)} last, ${rate(f.predictedRate)} predicted${f.nextFundingTime ? ` at ${formatLT(new Date(f.nextFundingTime))}` : ''} (positive: longs pay shorts) | Open interest: ${safe(f.openInterest, 2)} ${m.base}${imbalance}`);
+  }
+
+  if (driftAvailable) {
+    const holdTime = m.positionOpenTime ? ((Date.now() - m.positionOpenTime) / 60000).toFixed(1) : null;
+    const cooldownRemaining = m.lastCloseTime ? Math.max(0, (TRADE_COOLDOWN_MS - (Date.now() - m.lastCloseTime)) / 60000).toFixed(1) : null;
+    lines.push(`- Position: ${m.position ? `${m.position.direction} ${safe(Math.abs(m.position.baseAmount), 6)} ${m.base} (PnL: $${safe(m.position.unrealizedPnl)}, held for ${holdTime || '?'}min)` : 'None'}`);
+    const cost = m.position ? fundingCost(m.position.direction, f) : null;
+    if (cost !== null) {
+      const hourly = Math.abs(m.position.baseAmount) * m.price * cost / 100;
+      lines.push(`- Funding on this position: ${f.accrued === null ? 'n/a' : `$${safe(f.accrued, 4)} accrued`} | ${hourly > 0 ? 'paying' : 'receiving'} ~$${safe(Math.abs(hourly), 4)}/hour at the predicted rate`);
+    }
+    if (m.position && m.protection) {
+      lines.push(`- Exchange-side exits armed: stop-loss $${safe(m.protection.stopLoss?.triggerPrice)} | take-profit $${safe(m.protection.takeProfit?.triggerPrice)}`);
+    }
+    if (cooldownRemaining && cooldownRemaining > 0) {
+      lines.push(`- COOLDOWN ACTIVE: ${cooldownRemaining}min remaining — do NOT open new ${m.symbol} positions yet`);
+    }
+  }
+
+  const t = m.trendAnalysis;
+  if (t) {
+    lines.push(
+      `- Trend: ${t.trend} (strength: ${t.strength}/100) | Short-term momentum: ${t.momentum}%`,
+      `- SMA(5): $${t.smaShort} | SMA(10): $${t.smaLong}`,
+      `- Support: $${t.support} | Resistance: $${t.resistance} | Price in range: ${t.priceVsRange}% (0%=at support, 100%=at resistance)`,
+      `- Consecutive readings: ${t.consecutiveUp > 0 ? `${t.consecutiveUp} up` : t.consecutiveDown > 0 ? `${t.consecutiveDown} down` : 'mixed'}`,
+    );
+  }
+  const ind = m.indicators;
+  if (ind) {
+    const p = ind.periods;
+    const value = (v, decimals = 2, prefix = '') => v === null ? 'n/a' : `${prefix}${safe(v, decimals)}`;
+    lines.push(
+      `- Indicators (over the last ${ind.samples} price readings):`,
+      `  EMA(${p.emaFast}): ${value(ind.emaFast, 2, '$')} | EMA(${p.emaSlow}): ${value(ind.emaSlow, 2, '$')} | RSI(${p.rsi}): ${value(ind.rsi, 1)} | ROC(${p.roc}): ${value(ind.roc)}%`,
+      `  MACD(${p.emaFast},${p.emaSlow},${p.macdSignal}): ${ind.macd ? `${safe(ind.macd.macd, 4)} (signal ${safe(ind.macd.signal, 4)}, histogram ${safe(ind.macd.histogram, 4)})` : 'n/a'}`,
+      `  Bollinger(${p.bollinger}, ${p.bollingerStdDev}σ): ${ind.bollinger ? `$${safe(ind.bollinger.lower)} - $${safe(ind.bollinger.upper)} (%B ${safe(ind.bollinger.percentB)}, width ${safe(ind.bollinger.bandwidth * 100)}%)` : 'n/a'}`,
+      `  ATR(${p.atr}): ${ind.atr === null ? 'n/a' : `$${safe(ind.atr, 4)} (${safe(ind.atrPct)}% of price)`} | VWAP(${p.vwap}): ${value(ind.vwap, 2, '$')}`,
+    );
+  }
+  if (m.timeframes?.length > 0) {
+    lines.push('- Multi-timeframe OHLC bars (change and range over the last 12 bars; trend from the EMA crossover):');
+    for (const tf of m.timeframes) {
+      lines.push(`  ${tf.timeframe.padEnd(3)}: close $${safe(tf.close)} | change ${tf.changePct >= 0 ? '+' : ''}${safe(tf.changePct)}% | range $${safe(tf.low)}-$${safe(tf.high)} | RSI ${tf.rsi === null ? 'n/a' : safe(tf.rsi, 1)} | trend ${tf.trend || 'n/a'} (${tf.bars} bars)`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Prompt for one model call. `usesTools` picks the answer format (tool call or JSON in text);
+// an ensemble prompt `variant` puts its role instructions in front.
+function buildPrompt(context, usesTools, variant = 'default') {
+  const markets = contextMarkets(context);
+  const symbols = markets.map(m => m.symbol).join(' | ');
 
   const driftSection = context.driftAvailable ? `
 Drift Protocol (Perpetual Futures):
 - Drift Account: ${context.driftHasAccount ? 'Active' : 'Not initialized'}
-- Drift USDC Balance: ${safe(context.driftBalance)} USDC (collateral)
+- Drift USDC Balance: ${safe(context.driftBalance)} USDC (collateral, shared by all markets)
 - Free Collateral: ${safe(context.freeCollateral)} USDC
-- Current Position: ${context.driftPosition ? `${context.driftPosition.direction} ${safe(Math.abs(context.driftPosition.baseAmount), 4)} SOL (PnL: $${safe(context.driftPosition.unrealizedPnl)}, held for ${positionHoldTime || '?'}min)` : 'None'}
-${cooldownRemaining && cooldownRemaining > 0 ? `- COOLDOWN ACTIVE: ${cooldownRemaining}min remaining — do NOT open new positions yet` : ''}
 ` : '';
 
   const driftActions = context.driftAvailable ? `
-Perpetual Futures Actions (via Drift Protocol):
-- OPEN_SHORT: Open a SHORT position on SOL-PERP (profit when SOL drops). Specify size_usd (1-10) and leverage (1-5).
-- CLOSE_SHORT: Close existing short position and realize PnL.
-- OPEN_LONG: Open a LONG position on SOL-PERP (profit when SOL rises). Specify size_usd (1-10) and leverage (1-5).
-- CLOSE_LONG: Close existing long position and realize PnL.
-- DEPOSIT_TO_DRIFT: Deposit USDC from wallet into Drift as collateral. Specify amount.
+Perpetual Futures Actions (via Drift Protocol) — set "market" to one of: ${symbols}
+- OPEN_SHORT: Open a SHORT position on the market (profit when it drops). Specify size_usd (${MIN_PERP_SIZE_USD}-${MAX_PERP_SIZE_USD}) and leverage (1-${MAX_LEVERAGE}).
+- CLOSE_SHORT: Close the market's short position and realize PnL.
+- OPEN_LONG: Open a LONG position on the market (profit when it rises). Specify size_usd (${MIN_PERP_SIZE_USD}-${MAX_PERP_SIZE_USD}) and leverage (1-${MAX_LEVERAGE}).
+- CLOSE_LONG: Close the market's long position and realize PnL.
+${SIZING_MODE === 'risk' ? '  (The final position size is computed from equity, volatility and your confidence — size_usd is only a suggestion, so state confidence honestly.)\n' : ''}- DEPOSIT_TO_DRIFT: Deposit USDC from wallet into Drift as collateral. Specify amount.
 ` : '';
 
-  // Trend analysis
-  const trendData = context.trendAnalysis;
-  const trendSection = trendData ? `
-Trend Analysis:
-- Trend: ${trendData.trend} (strength: ${trendData.strength}/100)
-- Short-term momentum: ${trendData.momentum}%
-- SMA(5): $${trendData.smaShort} | SMA(10): $${trendData.smaLong}
-- Support: $${trendData.support} | Resistance: $${trendData.resistance}
-- Price in range: ${trendData.priceVsRange}% (0%=at support, 100%=at resistance)
-- Consecutive candles: ${trendData.consecutiveUp > 0 ? `${trendData.consecutiveUp} up` : trendData.consecutiveDown > 0 ? `${trendData.consecutiveDown} down` : 'mixed'}
-` : '';
+  // Per-market price, position and trend
+  const marketSection = markets.map(m => formatMarketSection(m, context.driftAvailable)).join('\n\n');
+
+  // Balances against the allocation targets
+  const plan = allocationPlan(context);
+  const allocationSection = `Allocation (targets ± ${safe(ALLOCATION_POLICY.bandPct * 100, 0)}% of the total):
+- ${describeAllocation(plan)}
+- ${plan.outOfBand.length > 0 ? `Out of band: ${plan.outOfBand.join(', ')} — ${plan.transfers.map(t => `${t.action} ${safe(t.amount)} USDC`).join(', then ') || 'nothing left to move'}` : 'Within band'}
+- Treasury transfers${context.driftAvailable ? ' and Drift deposits' : ''} are capped so no balance leaves its band or drops below its reserve.
+`;
 
   const prompt = `You are an autonomous AI trading agent managing a USDC portfolio on Solana devnet.
 Your goal: maximize returns through smart allocation and derivatives trading.
@@ -396,18 +650,19 @@ Current State:
 - Treasury USDC Balance: ${safe(context.treasuryBalance)} USDC
 - Total USDC: ${safe((context.agentBalance || 0) + (context.treasuryBalance || 0) + (context.driftBalance || 0))} USDC
 ${driftSection}
+${allocationSection}
 Market Data:
-- SOL Price: $${safe(context.solPrice)}
-- SOL 24h Change: ${safe(context.solChange24h)}%
 - Market Cap Change: ${safe(context.marketCapChange)}%
 - BTC Dominance: ${safe(context.btcDominance, 1)}%
-${trendSection}
-Recent Price History (last ${context.priceHistory.length} readings, 2min intervals):
+
+${marketSection}
+
+Recent SOL Price History (last ${context.priceHistory.length} readings, ${TRADE_INTERVAL_MS / 60000}min intervals):
 ${context.priceHistory.map(p => `  $${safe(p.price)} @ ${formatLT(new Date(p.time))}`).join('\n')}
 
 Recent Trades:
 ${context.recentTrades.length > 0 ? context.recentTrades.map(t =>
-  `  ${t.action} ${safe(t.amount)} USDC | ${t.reason || 'N/A'} @ ${formatLT(new Date(t.time))}`
+  `  ${t.action}${t.market && !['HOLD', 'FAILED'].includes(t.action) ? ` ${t.market}` : ''} ${safe(t.amount)} USDC | ${t.reason || 'N/A'} @ ${formatLT(new Date(t.time))}`
 ).join('\n') : '  No trades yet'}
 
 Trading Cycle: ${context.cycle}/${MAX_CYCLES}
@@ -417,142 +672,300 @@ Available Actions:
 USDC Treasury Management:
 - ALLOCATE_TO_TREASURY: Move USDC from agent to treasury (bearish - protect capital)
 - WITHDRAW_FROM_TREASURY: Move USDC from treasury to agent (bullish - deploy capital)
-- REBALANCE: Move USDC to equalize agent/treasury (neutral - reduce risk)
+- REBALANCE: Move USDC between agent and treasury back to the allocation targets (neutral - reduce risk)
 - HOLD: Do nothing (wait for better opportunity)
 ${driftActions}
 CRITICAL TRADING DISCIPLINE:
 1. HOLD is almost always the right answer. Only trade when you have HIGH conviction (70%+) and a clear trend.
-2. Positions need TIME to play out. When you open a position, commit to it for AT LEAST 30 minutes.
+2. Positions need TIME to play out. When you open a position, commit to it for AT LEAST ${MIN_POSITION_HOLD_MS / 60000} minutes.
 3. We now use LIMIT ORDERS (not market orders). This drastically reduces spread costs (~$0.05-$0.15 vs old $0.50-$0.70). But still avoid unnecessary churn.
 4. A position showing -$0.05 to -$0.15 PnL immediately after opening is the residual limit order fee, not a real loss. IGNORE IT.
 5. Do NOT close a position and reopen in the same direction — that still pays fees twice for nothing.
-6. Only close a position when: (a) your original thesis is CLEARLY wrong (trend reversed), OR (b) you hit take-profit target (8%+ of collateral), OR (c) you hit stop-loss (-10% of collateral).
+6. Only close a position when: (a) your original thesis is CLEARLY wrong (trend reversed), OR (b) you hit take-profit target (${safe(TAKE_PROFIT_PCT * 100, 0)}%+ of collateral), OR (c) you hit stop-loss (-${safe(STOP_LOSS_PCT * 100, 0)}% of collateral).
 7. Small fluctuations within a larger trend are NOISE. A $0.30 bounce in a $5 downtrend is not a reversal.
 8. Use the trend analysis data: if trend strength is low and momentum is near 0, HOLD. Don't force trades in choppy markets.
-9. If you closed a position recently, WAIT. Don't immediately reopen. The 10-minute cooldown exists for a reason.
-10. Think like a swing trader, not a scalper. We check every 2 minutes — that's NOT fast enough for scalping.
+9. If you closed a position recently, WAIT. Don't immediately reopen. The ${TRADE_COOLDOWN_MS / 60000}-minute cooldown exists for a reason.
+10. Think like a swing trader, not a scalper. We check every ${TRADE_INTERVAL_MS / 60000} minutes — that's NOT fast enough for scalping.
+11. Hold times and cooldowns apply per market. Collateral is shared across markets — don't spread it thin.
+12. Open positions pay or receive funding every hour. Don't hold the side that pays heavy funding${MAX_FUNDING_RATE_PCT > 0 ? ` (more than ${MAX_FUNDING_RATE_PCT}%/hour)` : ''} unless the expected move clearly outweighs it.
 
-Respond ONLY with this JSON (no other text):
+${usesTools ? `Call exactly one tool: the action you choose, with its inputs.${context.driftAvailable ? ` Perp actions take "market" (${symbols}).` : ''}` : `Respond ONLY with this JSON (no other text):
 {
   "action": "<ACTION_NAME>",
+  "market": "<${symbols}> (perp actions only)",
   "amount": <number in USDC for treasury actions, or 0 for perp actions>,
-  "size_usd": <number for perp position size, 1-10>,
-  "leverage": <number 1-5, default 2>,
+  "size_usd": <number for perp position size, ${MIN_PERP_SIZE_USD}-${MAX_PERP_SIZE_USD}>,
+  "leverage": <number 1-${MAX_LEVERAGE}, default ${DEFAULT_LEVERAGE}>,
   "confidence": <0-100>,
   "reason": "<brief explanation>",
   "market_outlook": "bullish" | "bearish" | "neutral"
-}`;
+}`}`;
 
-  try {
-    const res = await fetch(CLAUDE_API, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: CLAUDE_MODEL,
-        max_tokens: 400,
-        messages: [{ role: 'user', content: prompt }]
-      })
+  return PROMPT_VARIANTS[variant] ? `${PROMPT_VARIANTS[variant]}\n\n${prompt}` : prompt;
+}
+
+// Every fallback is journaled with its reason; `source` tells the journal which engine decided
+function ruleFallback(context, reason) {
+  console.log(`  [AI] Using rule-based fallback: ${reason}`);
+  journal.record('ai_fallback', { reason });
+  return { ...makeRuleBasedDecision(context), source: 'rule', fallbackReason: reason };
+}
+
+async function askClaude(context) {
+  if (ENSEMBLE_MODE !== 'off') return askEnsemble(context);
+  const { decision, error } = await requestDecision(context);
+  return decision ? { ...decision, source: 'ai' } : ruleFallback(context, error);
+}
+
+// One model's decision, schema-validated and repaired. Resolves to { decision } or { error };
+// falling back is left to the caller. `voter` labels the journal entries of ensemble calls.
+async function requestDecision(context, { provider = llm, model = CLAUDE_MODEL, variant = 'default', voter = null } = {}) {
+  const tag = voter ? `[AI ${voter}]` : '[AI]';
+  const rules = {
+    driftAvailable: !!context.driftAvailable,
+    markets: contextMarkets(context).map(m => m.symbol),
+    minPerpSizeUsd: MIN_PERP_SIZE_USD,
+    maxPerpSizeUsd: MAX_PERP_SIZE_USD,
+    defaultLeverage: DEFAULT_LEVERAGE,
+    maxLeverage: MAX_LEVERAGE,
+  };
+
+  // Actions are offered as tools where the provider supports them, else as the JSON format in the prompt
+  const tools = provider.usesTools ? decisionTools(rules) : null;
+  const prompt = buildPrompt(context, provider.usesTools, variant);
+
+  // The conversation grows by one exchange per repair: the rejected answer, then the errors
+  const messages = [{ role: 'user', content: prompt }];
+  let errors = [];
+  for (let attempt = 0; attempt <= AI_REPAIR_ATTEMPTS; attempt++) {
+    const request = { ...(voter ? { voter } : {}), provider: provider.name, model, url: provider.url };
+    journal.record('ai_request', attempt === 0
+      ? { ...request, context, prompt, tools: tools ? tools.map(t => t.name) : null }
+      : { ...request, attempt, prompt: messages[messages.length - 1].content });
+    const requestStart = Date.now();
+    let response;
+    try {
+      response = await provider.complete({ model, maxTokens: 400, messages, tools });
+    } catch (err) {
+      console.log(`  ${tag} Error: ${err.message}${err.body ? ` ${err.body}` : ''}`);
+      if (err.status) journal.record('ai_response', { ...(voter ? { voter } : {}), status: err.status, raw: err.body, latencyMs: Date.now() - requestStart });
+      return { error: err.message };
+    }
+    journal.record('ai_response', {
+      ...(voter ? { voter } : {}),
+      status: response.status,
+      raw: response.text || (response.toolCall ? '' : JSON.stringify(response.raw)),
+      toolCall: response.toolCall,
+      latencyMs: Date.now() - requestStart,
+      httpAttempts: response.attempts,
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      console.log(`Claude API error: ${err}`);
-      return makeRuleBasedDecision(context);
+    const { toolCall } = response;
+    let parsed;
+    if (!toolCall) parsed = parseDecision(response.text);
+    else if (toolCall.input && typeof toolCall.input === 'object' && !Array.isArray(toolCall.input)) parsed = { value: { ...toolCall.input, action: toolCall.name } };
+    else parsed = { error: 'Tool input must be a JSON object' };
+    const result = parsed.error ? { decision: null, errors: [parsed.error], repairs: [] } : validateDecision(parsed.value, rules);
+    journal.record('ai_validation', { ...(voter ? { voter } : {}), attempt, valid: !!result.decision, errors: result.errors, repairs: result.repairs });
+    if (result.decision) {
+      if (result.repairs.length > 0) console.log(`  ${tag} Decision repaired: ${result.repairs.join('; ')}`);
+      return { decision: result.decision };
     }
 
-    const data = await res.json();
-    const content = data.choices?.[0]?.message?.content?.trim()
-      || data.content?.[0]?.text?.trim();
-    if (!content) return makeRuleBasedDecision(context);
+    errors = result.errors;
+    console.log(`  ${tag} Invalid decision (attempt ${attempt + 1}/${AI_REPAIR_ATTEMPTS + 1}): ${errors.join('; ')}`);
+    const feedback = `Your response was rejected:\n${errors.map(e => `- ${e}`).join('\n')}\n\n`;
+    if (toolCall) {
+      messages.push(
+        { role: 'assistant', content: response.text, toolCall },
+        { role: 'tool', toolCallId: toolCall.id, content: `${feedback}Call a tool again with corrected inputs.` },
+      );
+    } else {
+      messages.push(
+        { role: 'assistant', content: response.text || '(empty response)' },
+        { role: 'user', content: `${feedback}${tools ? 'Call exactly one tool with corrected inputs.' : 'Respond again with ONLY the corrected JSON object, in the format given above.'}` },
+      );
+    }
+  }
 
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) return makeRuleBasedDecision(context);
+  return { error: `Invalid decision after ${AI_REPAIR_ATTEMPTS + 1} attempt(s): ${errors.join('; ')}` };
+}
 
-    return JSON.parse(jsonMatch[0]);
-  } catch (err) {
-    console.log(`AI error: ${err.message}, using rule-based fallback`);
-    return makeRuleBasedDecision(context);
+// Ask every ensemble voter in parallel and combine the answers (see ensemble.js).
+// Voters that fail abstain; every answer is kept on the decision as `votes`.
+async function askEnsemble(context) {
+  const results = await Promise.all(ENSEMBLE_VOTERS.map(async v => {
+    if (v.kind === 'rule') return { voter: v.label, decision: makeRuleBasedDecision(context) };
+    const provider = v.llm || llm;
+    return { voter: v.label, ...(await requestDecision(context, { provider, model: v.model || CLAUDE_MODEL, variant: v.variant, voter: v.label })) };
+  }));
+
+  const { decision, winner, agreement } = aggregateVotes(results.filter(r => r.decision), ENSEMBLE_MODE);
+  const votes = results.map(r => r.decision
+    ? { voter: r.voter, action: r.decision.action, market: r.decision.market || null, confidence: r.decision.confidence, reason: r.decision.reason }
+    : { voter: r.voter, error: r.error });
+
+  console.log(`  [Ensemble] ${ENSEMBLE_MODE}: ${winner || 'no answers'} (agreement ${safe(agreement * 100, 0)}%)`);
+  for (const v of votes) {
+    console.log(`    ${v.voter.padEnd(24)} ${v.error ? `abstained: ${v.error}` : `${v.action}${v.market ? ` ${v.market}` : ''} (${v.confidence}%)`}`);
   }
+  journal.record('ensemble', { mode: ENSEMBLE_MODE, winner, agreement, votes });
+  return { ...decision, source: 'ensemble', votes, agreement };
+}
+
+// RSI levels at which the rule engine won't open further in the same direction
+const RSI_OVERBOUGHT = 70;
+const RSI_OVERSOLD = 30;
+
+// Why the indicators argue against a rule-engine open, or null. Indicators the history
+// is still too short for don't object.
+function indicatorObjection(direction, ind) {
+  if (!ind) return null;
+  if (direction === 'LONG' && ind.rsi !== null && ind.rsi >= RSI_OVERBOUGHT) return `RSI ${safe(ind.rsi, 1)} overbought`;
+  if (direction === 'SHORT' && ind.rsi !== null && ind.rsi <= RSI_OVERSOLD) return `RSI ${safe(ind.rsi, 1)} oversold`;
+  if (direction === 'LONG' && ind.macd && ind.macd.histogram < 0) return 'MACD below its signal line';
+  if (direction === 'SHORT' && ind.macd && ind.macd.histogram > 0) return 'MACD above its signal line';
+  return null;
+}
+
+// The trend of the longest timeframe that has one opposes the open
+function timeframeObjection(direction, timeframes) {
+  const higher = [...(timeframes || [])].reverse().find(tf => tf.trend);
+  if (!higher) return null;
+  if (direction === 'LONG' && higher.trend === 'bearish') return `${higher.timeframe} trend bearish`;
+  if (direction === 'SHORT' && higher.trend === 'bullish') return `${higher.timeframe} trend bullish`;
+  return null;
+}
+
+// Hourly funding a position in `direction` pays at the predicted rate, in percent of notional
+// (negative when it receives funding); null without funding data
+function fundingCost(direction, funding) {
+  if (!funding || !Number.isFinite(funding.predictedRate)) return null;
+  return direction === 'LONG' ? funding.predictedRate : -funding.predictedRate;
+}
+
+// The position would pay more than MAX_FUNDING_RATE_PCT an hour
+function fundingObjection(direction, funding) {
+  const cost = fundingCost(direction, funding);
+  if (!(MAX_FUNDING_RATE_PCT > 0) || cost === null || cost <= MAX_FUNDING_RATE_PCT) return null;
+  return `paying ${safe(cost, 4)}%/hour funding`;
+}
+
+// ", RSI 55.2, MACD histogram 0.0123" for decision reasons
+function indicatorSummary(ind) {
+  if (!ind) return '';
+  return `${ind.rsi !== null ? `, RSI ${safe(ind.rsi, 1)}` : ''}${ind.macd ? `, MACD histogram ${safe(ind.macd.histogram, 4)}` : ''}`;
 }
 
 function makeRuleBasedDecision(context) {
-  const { agentBalance, treasuryBalance, solChange24h, priceHistory, driftAvailable, driftPosition, freeCollateral } = context;
+  const { agentBalance, treasuryBalance, solChange24h, priceHistory, driftAvailable, freeCollateral } = context;
   const total = agentBalance + treasuryBalance;
+  const plan = allocationPlan(context);
+  const balances = plan.balances;
+
+  // Momentum over the last 3 readings of a price history
+  const momentumOf = (history) => {
+    if (history.length < 3) return 0;
+    const recent = history.slice(-3).map(p => p.price);
+    return (recent[2] - recent[0]) / recent[0] * 100;
+  };
+  const momentum = momentumOf(priceHistory);
 
-  // Calculate momentum
-  let momentum = 0;
-  if (priceHistory.length >= 3) {
-    const recent = priceHistory.slice(-3).map(p => p.price);
-    momentum = (recent[2] - recent[0]) / recent[0] * 100;
-  }
-
-  // Drift-based decisions (if available)
+  // Drift-based decisions (if available), checked market by market; stale markets are skipped
   if (driftAvailable) {
-    // Close position if direction is wrong
-    if (driftPosition) {
-      if (driftPosition.direction === 'LONG' && (solChange24h < -3 || momentum < -2)) {
+    const markets = contextMarkets(context).filter(m => !m.stale);
+
+    // Manage open positions first
+    for (const m of markets) {
+      const pos = m.position;
+      if (!pos) continue;
+      const change = m.change24h || 0;
+      const mom = momentumOf(m.priceHistory || []);
+
+      // Close position if direction is wrong
+      if (pos.direction === 'LONG' && (change < -3 || mom < -2)) {
         return {
-          action: 'CLOSE_LONG', amount: 0, size_usd: 0, leverage: 2, confidence: 75,
-          reason: `Closing LONG - market turning bearish (SOL ${safe(solChange24h, 1)}%, momentum ${safe(momentum, 1)}%)`,
+          action: 'CLOSE_LONG', market: m.symbol, amount: 0, size_usd: 0, leverage: 2, confidence: 75,
+          reason: `Closing ${m.symbol} LONG - market turning bearish (${m.base} ${safe(change, 1)}%, momentum ${safe(mom, 1)}%)`,
           market_outlook: 'bearish'
         };
       }
-      if (driftPosition.direction === 'SHORT' && (solChange24h > 3 || momentum > 2)) {
+      if (pos.direction === 'SHORT' && (change > 3 || mom > 2)) {
         return {
-          action: 'CLOSE_SHORT', amount: 0, size_usd: 0, leverage: 2, confidence: 75,
-          reason: `Closing SHORT - market turning bullish (SOL ${safe(solChange24h, 1)}%, momentum ${safe(momentum, 1)}%)`,
+          action: 'CLOSE_SHORT', market: m.symbol, amount: 0, size_usd: 0, leverage: 2, confidence: 75,
+          reason: `Closing ${m.symbol} SHORT - market turning bullish (${m.base} ${safe(change, 1)}%, momentum ${safe(mom, 1)}%)`,
           market_outlook: 'bullish'
         };
       }
-      // Take profit at 8% of collateral (scales with portfolio)
-      const takeProfitUsd = (freeCollateral || 10) * 0.08;
-      if (driftPosition.unrealizedPnl > takeProfitUsd) {
-        const closeAction = driftPosition.direction === 'LONG' ? 'CLOSE_LONG' : 'CLOSE_SHORT';
+      // Take profit at TAKE_PROFIT_PCT of collateral (scales with portfolio)
+      const takeProfitUsd = (freeCollateral || 10) * TAKE_PROFIT_PCT;
+      if (pos.unrealizedPnl > takeProfitUsd) {
+        const closeAction = pos.direction === 'LONG' ? 'CLOSE_LONG' : 'CLOSE_SHORT';
         return {
-          action: closeAction, amount: 0, size_usd: 0, leverage: 2, confidence: 70,
-          reason: `Taking profit: $${safe(driftPosition.unrealizedPnl)} PnL (above ${safe(takeProfitUsd)} = 8% of collateral)`,
+          action: closeAction, market: m.symbol, amount: 0, size_usd: 0, leverage: 2, confidence: 70,
+          reason: `Taking ${m.symbol} profit: $${safe(pos.unrealizedPnl)} PnL (above ${safe(takeProfitUsd)} = ${safe(TAKE_PROFIT_PCT * 100, 0)}% of collateral)`,
           market_outlook: 'neutral'
         };
       }
 
-      // Cut losses at 10% of collateral (scales with portfolio)
-      const stopLossUsd = (freeCollateral || 10) * 0.10;
-      if (driftPosition.unrealizedPnl < -stopLossUsd) {
-        const closeAction = driftPosition.direction === 'LONG' ? 'CLOSE_LONG' : 'CLOSE_SHORT';
+      // Cut losses at STOP_LOSS_PCT of collateral (scales with portfolio)
+      const stopLossUsd = (freeCollateral || 10) * STOP_LOSS_PCT;
+      if (pos.unrealizedPnl < -stopLossUsd) {
+        const closeAction = pos.direction === 'LONG' ? 'CLOSE_LONG' : 'CLOSE_SHORT';
         return {
-          action: closeAction, amount: 0, size_usd: 0, leverage: 2, confidence: 65,
-          reason: `Cutting loss: $${safe(driftPosition.unrealizedPnl)} PnL exceeds -$${safe(stopLossUsd)} stop-loss (10% of collateral)`,
-          market_outlook: driftPosition.direction === 'LONG' ? 'bearish' : 'bullish'
+          action: closeAction, market: m.symbol, amount: 0, size_usd: 0, leverage: 2, confidence: 65,
+          reason: `Cutting ${m.symbol} loss: $${safe(pos.unrealizedPnl)} PnL exceeds -$${safe(stopLossUsd)} stop-loss (${safe(STOP_LOSS_PCT * 100, 0)}% of collateral)`,
+          market_outlook: pos.direction === 'LONG' ? 'bearish' : 'bullish'
         };
       }
-    }
 
-    // Open new position if no position and clear signal
-    if (!driftPosition && freeCollateral >= MIN_PERP_SIZE_USD) {
-      if (solChange24h < -4 || momentum < -2) {
-        const size = Math.min(freeCollateral * 0.5, MAX_PERP_SIZE_USD);
+      // Don't sit in a position that bleeds funding above MAX_FUNDING_RATE_PCT an hour
+      const bleeding = fundingObjection(pos.direction, m.funding);
+      if (bleeding) {
+        const closeAction = pos.direction === 'LONG' ? 'CLOSE_LONG' : 'CLOSE_SHORT';
+        const accrued = m.funding.accrued ?? null;
         return {
-          action: 'OPEN_SHORT', amount: 0, size_usd: size, leverage: 2, confidence: 70,
-          reason: `Bearish signal (SOL ${safe(solChange24h, 1)}%, momentum ${safe(momentum, 1)}%) - shorting SOL`,
-          market_outlook: 'bearish'
+          action: closeAction, market: m.symbol, amount: 0, size_usd: 0, leverage: 2, confidence: 60,
+          reason: `Closing ${m.symbol} ${pos.direction} - ${bleeding} (above ${MAX_FUNDING_RATE_PCT}%)${accrued !== null ? `, $${safe(accrued, 4)} accrued so far` : ''}`,
+          market_outlook: 'neutral'
         };
       }
-      if (solChange24h > 4 || momentum > 2) {
+    }
+
+    // Open new position in the first flat market with a clear signal
+    if (freeCollateral >= MIN_PERP_SIZE_USD) {
+      for (const m of markets) {
+        if (m.position) continue;
+        const change = m.change24h || 0;
+        const mom = momentumOf(m.priceHistory || []);
         const size = Math.min(freeCollateral * 0.5, MAX_PERP_SIZE_USD);
-        return {
-          action: 'OPEN_LONG', amount: 0, size_usd: size, leverage: 2, confidence: 70,
-          reason: `Bullish signal (SOL ${safe(solChange24h, 1)}%, momentum ${safe(momentum, 1)}%) - longing SOL`,
-          market_outlook: 'bullish'
-        };
+        // Momentum opens need the indicators not to object (no stretched RSI, MACD on the same side)
+        // and the higher-timeframe trend not to point the other way, and won't pay heavy funding
+        const objection = direction => indicatorObjection(direction, m.indicators) || timeframeObjection(direction, m.timeframes) ||
+          fundingObjection(direction, m.funding);
+        if ((change < -4 || mom < -2) && !objection('SHORT')) {
+          return {
+            action: 'OPEN_SHORT', market: m.symbol, amount: 0, size_usd: size, leverage: DEFAULT_LEVERAGE, confidence: 70,
+            reason: `Bearish signal (${m.base} ${safe(change, 1)}%, momentum ${safe(mom, 1)}%${indicatorSummary(m.indicators)}) - shorting ${m.base}`,
+            market_outlook: 'bearish'
+          };
+        }
+        if ((change > 4 || mom > 2) && !objection('LONG')) {
+          return {
+            action: 'OPEN_LONG', market: m.symbol, amount: 0, size_usd: size, leverage: DEFAULT_LEVERAGE, confidence: 70,
+            reason: `Bullish signal (${m.base} ${safe(change, 1)}%, momentum ${safe(mom, 1)}%${indicatorSummary(m.indicators)}) - longing ${m.base}`,
+            market_outlook: 'bullish'
+          };
+        }
       }
     }
 
-    // Deposit to Drift if we have USDC but no collateral
-    if (freeCollateral < MIN_PERP_SIZE_USD && agentBalance > 5) {
-      const depositAmt = Math.min(agentBalance * 0.3, 10);
+    // Top up Drift collateral to its allocation target once a bucket is out of band
+    const deposit = plan.outOfBand.length > 0 ? plan.transfers[0] : null;
+    if (deposit?.action === 'DEPOSIT_TO_DRIFT') {
       return {
-        action: 'DEPOSIT_TO_DRIFT', amount: depositAmt, size_usd: 0, leverage: 2, confidence: 65,
-        reason: `Depositing USDC to Drift for perp trading collateral`,
+        action: 'DEPOSIT_TO_DRIFT', amount: deposit.amount, size_usd: 0, leverage: 2, confidence: 65,
+        reason: `Depositing USDC to Drift for perp trading collateral (${describeAllocation(plan)})`,
         market_outlook: 'neutral'
       };
     }
@@ -563,13 +976,16 @@ function makeRuleBasedDecision(context) {
     return { action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 50, reason: 'Insufficient balance', market_outlook: 'neutral' };
   }
 
-  const agentRatio = agentBalance / total;
+  // Signal transfers only go as far as the allocation band allows, so they never take a wallet
+  // out of band and set off a REBALANCE that undoes them
+  const withinBand = (action, amount) =>
+    limitTransfer(action, amount, balances, ALLOCATION_POLICY, { driftAvailable: !!driftAvailable }).amount;
 
   if (solChange24h < -3 || momentum < -1.5) {
-    if (agentBalance > MIN_USDC_TRADE) {
-      const amount = Math.min(agentBalance * 0.3, agentBalance - MIN_USDC_TRADE);
+    const amount = withinBand('ALLOCATE_TO_TREASURY', Math.min(agentBalance * 0.3, agentBalance - MIN_USDC_TRADE));
+    if (amount >= MIN_USDC_TRADE) {
       return {
-        action: 'ALLOCATE_TO_TREASURY', amount: Math.max(MIN_USDC_TRADE, amount), size_usd: 0, leverage: 2,
+        action: 'ALLOCATE_TO_TREASURY', amount, size_usd: 0, leverage: 2,
         confidence: 70, reason: `Bearish signal (SOL ${safe(solChange24h, 1)}%, momentum ${safe(momentum, 1)}%) - protecting capital`,
         market_outlook: 'bearish'
       };
@@ -577,26 +993,25 @@ function makeRuleBasedDecision(context) {
   }
 
   if (solChange24h > 3 || momentum > 1.5) {
-    if (treasuryBalance > MIN_USDC_TRADE) {
-      const amount = Math.min(treasuryBalance * 0.3, treasuryBalance - MIN_USDC_TRADE);
+    const amount = withinBand('WITHDRAW_FROM_TREASURY', Math.min(treasuryBalance * 0.3, treasuryBalance - MIN_USDC_TRADE));
+    if (amount >= MIN_USDC_TRADE) {
       return {
-        action: 'WITHDRAW_FROM_TREASURY', amount: Math.max(MIN_USDC_TRADE, amount), size_usd: 0, leverage: 2,
+        action: 'WITHDRAW_FROM_TREASURY', amount, size_usd: 0, leverage: 2,
         confidence: 65, reason: `Bullish signal (SOL ${safe(solChange24h, 1)}%, momentum ${safe(momentum, 1)}%) - deploying capital`,
         market_outlook: 'bullish'
       };
     }
   }
 
-  if (agentRatio > 0.7 || agentRatio < 0.3) {
-    const targetAmount = total * 0.5;
-    const diff = agentBalance - targetAmount;
-    if (Math.abs(diff) > MIN_USDC_TRADE) {
-      return {
-        action: 'REBALANCE', amount: Math.abs(diff), size_usd: 0, leverage: 2,
-        confidence: 60, reason: `Portfolio skewed (agent: ${safe(agentRatio * 100, 0)}%) - rebalancing to 50/50`,
-        market_outlook: 'neutral'
-      };
-    }
+  // Back to the allocation targets once a wallet strays outside its band. Collateral out of band
+  // is the deposit's job: moving the wallets for it would only undo the signal transfers above.
+  const rebalance = plan.transfers.find(t => t.action !== 'DEPOSIT_TO_DRIFT');
+  if (plan.outOfBand.some(k => k !== 'drift') && rebalance) {
+    return {
+      action: 'REBALANCE', amount: rebalance.amount, size_usd: 0, leverage: 2,
+      confidence: 60, reason: `Allocation out of band (${describeAllocation(plan)}) - rebalancing to targets`,
+      market_outlook: 'neutral'
+    };
   }
 
   return { action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 55, reason: 'No clear signal - maintaining positions', market_outlook: 'neutral' };
@@ -607,11 +1022,11 @@ function makeRuleBasedDecision(context) {
 function loadState() {
   try {
     if (fs.existsSync(STATE_FILE)) {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      return migrateState(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')));
     }
   } catch {}
   return {
-    prices: [],
+    prices: [],                  // SOL-PERP price history (other markets keep theirs in markets[symbol].prices)
     trades: [],
     cycle: 0,
     startTime: Date.now(),
@@ -620,41 +1035,146 @@ function loadState() {
     initialBalance: null,        // Set on first cycle
     balanceHistory: [],          // Track total balance over time
     realizedPnL: 0,             // Accumulated realized P&L from Drift trades
+    realizedPnLHistory: [],     // Realized P&L per close {time, market, pnl, estimated} (daily loss limit)
+    realizedFees: 0,            // Fees paid on settled closes (both legs)
+    realizedFunding: 0,         // Funding received (+) or paid (-) on settled closes
     strategyPnL: 0,             // Strategy P&L: what we'd have made at oracle prices (no spread)
-    strategyTrades: [],         // History of strategy-level trade records {direction, oracleOpen, oracleClose, size, pnl}
-    currentOpenOracle: null,    // Oracle price when current position was opened
-    currentOpenDirection: null, // Direction of current position ('LONG' or 'SHORT')
-    currentOpenSize: null,      // Size of current position in SOL
-    lastPositionOpenTime: null,  // When the current position was opened
-    lastPositionCloseTime: null, // When the last position was closed (for cooldown)
+    strategyTrades: [],         // History of strategy-level trade records {time, openTime, market, direction, oracleOpen, oracleClose, size, pnl, settlement}
+    markets: {},                // Per-market position tracking, see getMarketState()
+    operator: null,             // Overrides set through the control API, see operatorState()
+    lastDailySummary: null,     // UTC date of the last daily summary notification
   };
 }
 
+// Per-market position tracking, created on first use:
+//   currentOpenOracle     Oracle price when the current position was opened
+//   currentOpenDirection  Direction of the current position ('LONG' or 'SHORT')
+//   currentOpenSize       Size of the current position in base units
+//   lastPositionOpenTime  When the current position was opened
+//   lastPositionCloseTime When the last position was closed (for cooldown)
+//   strategyPnL / realizedPnL  This market's share of the top-level totals
+//   prices                Price history (unused for SOL-PERP, which keeps state.prices)
+//   settlement            Settlement snapshots of the open position (see settleRoundTrip)
+function getMarketState(state, market = DEFAULT_MARKET) {
+  state.markets = state.markets || {};
+  if (!state.markets[market]) {
+    state.markets[market] = {
+      currentOpenOracle: null,
+      currentOpenDirection: null,
+      currentOpenSize: null,
+      lastPositionOpenTime: null,
+      lastPositionCloseTime: null,
+      strategyPnL: 0,
+      realizedPnL: 0,
+      prices: [],
+    };
+  }
+  return state.markets[market];
+}
+
+// Price history for a market (SOL-PERP lives at the top level for the dashboard chart)
+function getPriceHistory(state, market = DEFAULT_MARKET) {
+  return market === DEFAULT_MARKET ? state.prices : getMarketState(state, market).prices;
+}
+
+// State files written before multi-market support tracked a single SOL-PERP position at the top level
+function migrateState(state) {
+  if (state.markets) return state;
+  const sol = getMarketState(state, DEFAULT_MARKET);
+  for (const key of ['currentOpenOracle', 'currentOpenDirection', 'currentOpenSize', 'lastPositionOpenTime', 'lastPositionCloseTime']) {
+    sol[key] = state[key] ?? null;
+    delete state[key];
+  }
+  sol.strategyPnL = state.strategyPnL || 0;
+  sol.realizedPnL = state.realizedPnL || 0;
+  return state;
+}
+
+// Written to a temporary file and renamed over the old one, so a kill mid-write can't truncate it
 function saveState(state) {
   if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  fs.writeFileSync(`${STATE_FILE}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${STATE_FILE}.tmp`, STATE_FILE);
 }
 
-function saveDashboardData(state, agentBalance, treasuryBalance, driftInfo) {
-  const docsDir = path.join(__dirname, '..', 'docs');
-  if (!fs.existsSync(docsDir)) fs.mkdirSync(docsDir, { recursive: true });
+// Append a live update for the dashboard server to stream (one JSON object per line).
+// The feed is best-effort: a failed write must never break a trading cycle.
+function emitEvent(type, data) {
+  try {
+    if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+    if (fs.existsSync(EVENTS_FILE) && fs.statSync(EVENTS_FILE).size > EVENTS_MAX_BYTES) {
+      fs.renameSync(EVENTS_FILE, `${EVENTS_FILE}.1`);
+    }
+    fs.appendFileSync(EVENTS_FILE, JSON.stringify({ type, time: Date.now(), data }) + '\n');
+  } catch (err) {
+    console.log(`  [Events] Could not write event: ${err.message}`);
+  }
+}
 
-  const unrealizedPnL = driftInfo?.position?.unrealizedPnl || 0;
-  const totalNow = agentBalance + treasuryBalance + (driftInfo?.driftBalance || 0) + unrealizedPnL;
+// Build the dashboard `performance` block from state and the current mark-to-market total.
+// Shared with the backtester so simulated runs report the same metrics as live ones.
+function buildPerformance(state, totalNow, unrealizedPnL) {
   const initialBal = state.initialBalance || totalNow;
   const realizedPnL = state.realizedPnL || 0;
   const totalPnL = totalNow - initialBal;
 
-  // Calculate unrealized strategy P&L for current open position
+  // Calculate unrealized strategy P&L for each market's open position
   let unrealizedStrategyPnL = 0;
-  if (state.currentOpenOracle && state.currentOpenDirection && state.currentOpenSize) {
-    const currentPrice = (state.prices && state.prices.length > 0) ? state.prices[state.prices.length - 1].price : 0;
-    if (currentPrice > 0) {
-      const priceDiff = currentPrice - state.currentOpenOracle;
-      unrealizedStrategyPnL = state.currentOpenDirection === 'LONG' ? priceDiff * state.currentOpenSize : -priceDiff * state.currentOpenSize;
+  let unrealizedFunding = 0;
+  const markets = {};
+  for (const [symbol, m] of Object.entries(state.markets || {})) {
+    let marketUnrealized = 0;
+    if (m.currentOpenOracle && m.currentOpenDirection && m.currentOpenSize) {
+      const history = getPriceHistory(state, symbol) || [];
+      const currentPrice = history.length > 0 ? history[history.length - 1].price : 0;
+      if (currentPrice > 0) {
+        const priceDiff = currentPrice - m.currentOpenOracle;
+        marketUnrealized = m.currentOpenDirection === 'LONG' ? priceDiff * m.currentOpenSize : -priceDiff * m.currentOpenSize;
+      }
     }
+    unrealizedStrategyPnL += marketUnrealized;
+    const funding = m.currentOpenDirection ? accruedFunding(m) : null;
+    unrealizedFunding += funding || 0;
+    markets[symbol] = {
+      direction: m.currentOpenDirection,
+      accruedFunding: funding,
+      realizedPnL: m.realizedPnL || 0,
+      strategyPnL: (m.strategyPnL || 0) + marketUnrealized,
+      strategyUnrealizedPnL: marketUnrealized,
+    };
   }
 
+  return {
+    initialBalance: initialBal,
+    currentBalance: totalNow,
+    totalPnL: totalPnL,
+    totalPnLPercent: initialBal > 0 ? (totalPnL / initialBal * 100) : 0,
+    realizedPnL: realizedPnL,
+    realizedFees: state.realizedFees || 0,
+    realizedFunding: state.realizedFunding || 0,
+    unrealizedFunding,
+    totalFunding: (state.realizedFunding || 0) + unrealizedFunding,
+    unrealizedPnL: unrealizedPnL,
+    strategyPnL: (state.strategyPnL || 0) + unrealizedStrategyPnL,
+    strategyRealizedPnL: state.strategyPnL || 0,
+    strategyUnrealizedPnL: unrealizedStrategyPnL,
+    strategyTrades: (state.strategyTrades || []).slice(-20),
+    spreadCost: (state.realizedPnL || 0) - (state.strategyPnL || 0),
+    markets,
+  };
+}
+
+function saveDashboardData(state, agentBalance, treasuryBalance, driftInfo) {
+  const docsDir = path.join(__dirname, '..', 'docs');
+  if (!fs.existsSync(docsDir)) fs.mkdirSync(docsDir, { recursive: true });
+
+  const unrealizedPnL = totalUnrealizedPnl(driftInfo);
+  const totalNow = agentBalance + treasuryBalance + (driftInfo?.driftBalance || 0) + unrealizedPnL;
+  const lastPrices = Object.fromEntries(getEnabledMarkets().map(m => {
+    const history = getPriceHistory(state, m);
+    return [m, history.length > 0 ? history[history.length - 1].price : 0];
+  }));
+
   const dashData = {
     lastUpdated: new Date().toISOString(),
     wallet: wallet.publicKey.toString(),
@@ -664,24 +1184,19 @@ function saveDashboardData(state, agentBalance, treasuryBalance, driftInfo) {
       treasury: treasuryBalance,
       total: totalNow
     },
-    performance: {
-      initialBalance: initialBal,
-      currentBalance: totalNow,
-      totalPnL: totalPnL,
-      totalPnLPercent: initialBal > 0 ? (totalPnL / initialBal * 100) : 0,
-      realizedPnL: realizedPnL,
-      unrealizedPnL: unrealizedPnL,
-      strategyPnL: (state.strategyPnL || 0) + unrealizedStrategyPnL,
-      strategyRealizedPnL: state.strategyPnL || 0,
-      strategyUnrealizedPnL: unrealizedStrategyPnL,
-      strategyTrades: (state.strategyTrades || []).slice(-20),
-      spreadCost: (state.realizedPnL || 0) - (state.strategyPnL || 0),
-    },
+    performance: buildPerformance(state, totalNow, unrealizedPnL),
     balanceHistory: (state.balanceHistory || []).slice(-200),
+    priceFeed: priceFeed.getStatus(),
+    risk: risk.getStatus(risk.getMetrics(state, totalNow, driftInfo?.positions, lastPrices)),
+    operator: state.operator || null,
     drift: driftInfo?.available ? {
       balance: driftInfo.driftBalance || 0,
       freeCollateral: driftInfo.freeCollateral || 0,
       position: driftInfo.position || null,
+      positions: driftInfo.positions || {},
+      protectiveOrders: Object.fromEntries(Object.entries(state.markets || {})
+        .filter(([, m]) => m.protectiveOrders)
+        .map(([symbol, m]) => [symbol, m.protectiveOrders])),
       hasAccount: driftInfo.hasAccount || false,
     } : null,
     stats: {
@@ -692,70 +1207,173 @@ function saveDashboardData(state, agentBalance, treasuryBalance, driftInfo) {
       avgCycleTime: state.cycle > 0 ? (Date.now() - state.startTime) / state.cycle : 0
     },
     prices: state.prices.slice(-50),
+    marketPrices: Object.fromEntries(getEnabledMarkets().map(m => [m, getPriceHistory(state, m).slice(-50)])),
     trades: state.trades.slice(-50),
-    network: 'devnet',
+    network: PAPER_TRADING ? 'paper' : 'devnet',
     explorer: `https://explorer.solana.com/address/${wallet.publicKey.toString()}?cluster=devnet`
   };
 
   fs.writeFileSync(DASHBOARD_DATA, JSON.stringify(dashData, null, 2));
 }
 
-// ─── Trade Execution ─────────────────────────────────────────────────────────
-
-async function executeTrade(decision, agentBalance, treasuryBalance, driftInfo, state) {
-  let txSig = null;
-  let executedAction = decision.action;
-  let executedAmount = decision.amount || 0;
-
-  const action = decision.action;
-  const now = Date.now();
+// ─── Anti-Churn Guards ───────────────────────────────────────────────────────
 
-  // ── Anti-churn guards for Drift trades ──
+// Returns a veto message if the action should be downgraded to HOLD, else null.
+// `position` and `marketState` belong to the market the action targets.
+// `now` is injectable so the backtester can replay guards on historical time.
+function checkAntiChurnGuards(action, position, marketState, now = Date.now()) {
   if (['CLOSE_SHORT', 'CLOSE_LONG'].includes(action)) {
     // Guard 1: Minimum hold time
-    if (state.lastPositionOpenTime) {
-      const holdDuration = now - state.lastPositionOpenTime;
+    if (marketState.lastPositionOpenTime) {
+      const holdDuration = now - marketState.lastPositionOpenTime;
       if (holdDuration < MIN_POSITION_HOLD_MS) {
         const remainMin = ((MIN_POSITION_HOLD_MS - holdDuration) / 60000).toFixed(1);
-        console.log(`  [Anti-churn] Position held for ${(holdDuration / 60000).toFixed(1)}min — need ${remainMin}min more before closing`);
-        return { txSig: null, action: 'HOLD', amount: 0 };
+        return `Position held for ${(holdDuration / 60000).toFixed(1)}min — need ${remainMin}min more before closing`;
       }
     }
 
     // Guard 2: Don't close if loss is just the spread (percentage-based)
-    if (driftInfo?.position) {
-      const pnl = driftInfo.position.unrealizedPnl;
-      const positionValue = driftInfo.collateral || driftInfo.position.sizeUsd || 10;
+    if (position) {
+      const pnl = position.unrealizedPnl;
+      const positionValue = position.sizeUsd || 10;
       const spreadToleranceUsd = positionValue * SPREAD_TOLERANCE_PCT;
       if (pnl < 0 && Math.abs(pnl) <= spreadToleranceUsd) {
-        console.log(`  [Anti-churn] PnL $${safe(pnl)} is within spread tolerance (${safe(SPREAD_TOLERANCE_PCT * 100, 1)}% of $${safe(positionValue)} = $${safe(spreadToleranceUsd)}). Holding.`);
-        return { txSig: null, action: 'HOLD', amount: 0 };
+        return `PnL $${safe(pnl)} is within spread tolerance (${safe(SPREAD_TOLERANCE_PCT * 100, 1)}% of $${safe(positionValue)} = $${safe(spreadToleranceUsd)}). Holding.`;
       }
     }
   }
 
   if (['OPEN_SHORT', 'OPEN_LONG'].includes(action)) {
     // Guard 3: Cooldown after closing
-    if (state.lastPositionCloseTime) {
-      const timeSinceClose = now - state.lastPositionCloseTime;
+    if (marketState.lastPositionCloseTime) {
+      const timeSinceClose = now - marketState.lastPositionCloseTime;
       if (timeSinceClose < TRADE_COOLDOWN_MS) {
         const remainMin = ((TRADE_COOLDOWN_MS - timeSinceClose) / 60000).toFixed(1);
-        console.log(`  [Anti-churn] Cooldown: ${remainMin}min remaining before opening new position`);
-        return { txSig: null, action: 'HOLD', amount: 0 };
+        return `Cooldown: ${remainMin}min remaining before opening new position`;
       }
     }
 
     // Guard 4: Don't stack positions — if we already have a position in the same direction, HOLD
-    if (driftInfo?.position) {
-      const existingDir = driftInfo.position.direction;
+    if (position) {
+      const existingDir = position.direction;
       const requestedDir = action === 'OPEN_LONG' ? 'LONG' : 'SHORT';
       if (existingDir === requestedDir) {
-        console.log(`  [Anti-churn] Already have a ${existingDir} position. Not stacking.`);
-        return { txSig: null, action: 'HOLD', amount: 0 };
+        return `Already have a ${existingDir} position. Not stacking.`;
       }
     }
   }
 
+  return null;
+}
+
+// ─── Trade Execution ─────────────────────────────────────────────────────────
+
+// Where the context's balances stand against the allocation policy (see allocation.js)
+function allocationPlan(context) {
+  return planAllocation(
+    { agent: context.agentBalance, treasury: context.treasuryBalance, drift: context.driftBalance },
+    ALLOCATION_POLICY,
+    { driftAvailable: !!context.driftAvailable },
+  );
+}
+
+// Size a treasury action against the per-trade limits and the allocation policy. `balances` is
+// { agent, treasury, drift }. REBALANCE makes the wallet transfer back to the allocation targets.
+// Returns { direction: 'TO_TREASURY' | 'FROM_TREASURY', amount, limit } or null if nothing should
+// move; `limit` says what the policy capped the amount at (null when it didn't).
+function planTreasuryTransfer(action, amount, balances, { driftAvailable = true } = {}) {
+  if (action === 'REBALANCE') {
+    const step = planAllocation(balances, ALLOCATION_POLICY, { driftAvailable }).transfers
+      .find(t => t.action !== 'DEPOSIT_TO_DRIFT');
+    if (!step) return null;
+    action = step.action;
+    amount = step.amount;
+  }
+  if (action !== 'ALLOCATE_TO_TREASURY' && action !== 'WITHDRAW_FROM_TREASURY') return null;
+
+  const toTreasury = action === 'ALLOCATE_TO_TREASURY';
+  const source = toTreasury ? balances.agent : balances.treasury;
+  const allowed = limitTransfer(action, amount, balances, ALLOCATION_POLICY, { driftAvailable });
+  const tradeCap = Math.min(source * MAX_USDC_TRADE_PCT, source - MIN_USDC_TRADE);
+  const maxAmount = Math.min(allowed.amount, tradeCap);
+  if (maxAmount < MIN_USDC_TRADE) return null;
+  return {
+    direction: toTreasury ? 'TO_TREASURY' : 'FROM_TREASURY',
+    amount: Math.round(maxAmount * 100) / 100,
+    limit: allowed.amount < tradeCap ? allowed.limit : null,
+  };
+}
+
+// Size a Drift deposit: at most half the agent wallet, and within the allocation policy.
+// Returns { amount, limit } like planTreasuryTransfer.
+function planDriftDeposit(amount, balances) {
+  const allowed = limitTransfer('DEPOSIT_TO_DRIFT', amount, balances, ALLOCATION_POLICY);
+  return {
+    amount: Math.min(allowed.amount, balances.agent * 0.5),
+    limit: allowed.amount < balances.agent * 0.5 ? allowed.limit : null,
+  };
+}
+
+// Market a perp decision targets: decision.market if it names an enabled market, else SOL-PERP.
+// Returns null (with a log line) for unknown or disabled markets.
+function resolveDecisionMarket(decision) {
+  if (!decision.market) return DEFAULT_MARKET;
+  try {
+    const { symbol } = resolveMarket(decision.market);
+    if (getEnabledMarkets().includes(symbol)) return symbol;
+    console.log(`  [Drift] ${symbol} is not enabled (DRIFT_MARKETS=${getEnabledMarkets().join(',')})`);
+  } catch (err) {
+    console.log(`  [Drift] ${err.message}`);
+  }
+  return null;
+}
+
+// Journal outcome of a cycle, comparing what executeTrade did with the decision first proposed:
+// an order that never filled is 'unfilled'; a proposed trade that placed no order was 'vetoed'
+function cycleOutcome(proposed, result) {
+  if (result.action === 'FAILED') return 'failed';
+  if (result.txSig && result.action === 'HOLD') return 'unfilled';
+  if (result.txSig) return 'executed';
+  if (proposed.action !== 'HOLD') return 'vetoed';
+  return 'hold';
+}
+
+// Notional for an opening decision with the current sizing settings. `account` is
+// { equity, freeCollateral, exposureHeadroomUsd, prices, trades }; see sizePosition.
+function positionSize(decision, account) {
+  return sizePosition(decision, account, {
+    mode: SIZING_MODE,
+    riskPerTradePct: RISK_PER_TRADE_PCT,
+    stopVolMultiple: STOP_VOL_MULTIPLE,
+    maxPositionPct: MAX_POSITION_PCT,
+    kellyFraction: KELLY_FRACTION,
+    maxPerpSizeUsd: MAX_PERP_SIZE_USD,
+  });
+}
+
+async function executeTrade(decision, agentBalance, treasuryBalance, driftInfo, state) {
+  let txSig = null;
+  let settlement = null;  // Realized P&L breakdown of a filled close
+  let execution = null;   // Execution report of a perp order (see execution.js)
+  let flip = null;        // Filled close of the opposite position before an open: { direction, size, estimate, settlement, execution }
+  let executedAction = decision.action;
+  let executedAmount = decision.amount || 0;
+
+  const action = decision.action;
+  const now = Date.now();
+
+  const market = resolveDecisionMarket(decision);
+  if (!market) return { txSig: null, action: 'HOLD', amount: 0 };
+  const position = marketPosition(driftInfo, market);
+
+  // ── Anti-churn guards for Drift trades ──
+  const veto = checkAntiChurnGuards(action, position, getMarketState(state, market), now);
+  if (veto) {
+    console.log(`  [Anti-churn] ${veto}`);
+    journal.record('veto', { by: 'anti_churn', action, market, reason: veto });
+    return { txSig: null, action: 'HOLD', amount: 0 };
+  }
+
   // ── Drift Perpetual Actions ──
   if (['OPEN_SHORT', 'OPEN_LONG', 'CLOSE_SHORT', 'CLOSE_LONG', 'DEPOSIT_TO_DRIFT'].includes(action)) {
     const d = await getDrift();
@@ -765,195 +1383,1044 @@ async function executeTrade(decision, agentBalance, treasuryBalance, driftInfo,
     }
 
     if (action === 'DEPOSIT_TO_DRIFT') {
-      const depositAmt = Math.min(decision.amount || 5, agentBalance * 0.5);
+      const deposit = planDriftDeposit(decision.amount || 5, { agent: agentBalance, treasury: treasuryBalance, drift: driftInfo?.driftBalance || 0 });
+      const depositAmt = deposit.amount;
+      if (deposit.limit) console.log(`  [Allocation] Deposit capped at ${safe(depositAmt)} USDC: ${deposit.limit}`);
       if (depositAmt < 1) {
         console.log('  [Drift] Insufficient USDC for deposit');
+        if (deposit.limit) journal.record('veto', { by: 'allocation', action, market: null, reason: deposit.limit });
         return { txSig: null, action: 'HOLD', amount: 0 };
       }
       console.log(`\n  [Drift] Depositing ${safe(depositAmt)} USDC as collateral...`);
       try {
         txSig = await d.depositUSDC(depositAmt);
         console.log(`  [Drift] Deposit TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+        journal.record('order_placed', { kind: 'deposit', amount: depositAmt, txSig });
         executedAmount = depositAmt;
       } catch (err) {
         console.log(`  [Drift] Deposit failed: ${err.message}`);
-        return { txSig: null, action: 'FAILED', amount: 0 };
+        return { txSig: null, action: 'FAILED', amount: 0, error: err.message };
       }
     } else if (action === 'OPEN_SHORT' || action === 'OPEN_LONG') {
       const direction = action === 'OPEN_SHORT' ? 'SHORT' : 'LONG';
-      const sizeUsd = Math.min(decision.size_usd || 5, MAX_PERP_SIZE_USD);
-      const leverage = Math.min(decision.leverage || DEFAULT_LEVERAGE, 5);
+      const leverage = Math.min(decision.leverage || DEFAULT_LEVERAGE, MAX_LEVERAGE);
+
+      // Size from equity, volatility and confidence; an opposite position being flipped frees its exposure
+      const lastPrices = Object.fromEntries(Object.keys(driftInfo?.positions || {})
+        .map(symbol => [symbol, getPriceHistory(state, symbol).at(-1)?.price]));
+      const flipped = position && position.direction !== direction ? { [market]: position } : {};
+      const exposure = risk.exposureUsd(driftInfo?.positions, lastPrices) - risk.exposureUsd(flipped, lastPrices);
+      const sizing = positionSize({ ...decision, leverage }, {
+        equity: agentBalance + treasuryBalance + (driftInfo?.driftBalance || 0) + totalUnrealizedPnl(driftInfo),
+        freeCollateral: driftInfo?.freeCollateral || 0,
+        exposureHeadroomUsd: risk.getLimits().maxExposureUsd - exposure,
+        prices: getPriceHistory(state, market),
+        trades: state.strategyTrades,
+      });
+      const sizeUsd = sizing.sizeUsd;
+      console.log(`  [Sizing] ${market} ${describeSizing(sizing)}`);
+      journal.record('sizing', { market, direction, proposedUsd: decision.size_usd || 0, ...sizing });
 
       if (sizeUsd < MIN_PERP_SIZE_USD) {
-        console.log('  [Drift] Position size too small');
+        console.log(`  [Drift] Position size too small ($${safe(sizeUsd)} < $${MIN_PERP_SIZE_USD})`);
         return { txSig: null, action: 'HOLD', amount: 0 };
       }
 
-      // Check if we already have a position in the opposite direction
-      if (driftInfo?.position) {
-        if ((direction === 'SHORT' && driftInfo.position.direction === 'LONG') ||
-            (direction === 'LONG' && driftInfo.position.direction === 'SHORT')) {
-          console.log(`  [Drift] Closing existing ${driftInfo.position.direction} position first...`);
-          try {
-            await d.closePosition();
-          } catch (err) {
-            console.log(`  [Drift] Close failed: ${err.message}`);
+      // Flip: the opposite position is closed first, and the open only goes ahead once it's flat.
+      // The close is settled here and returned as `flip`, for tradingCycle to book like a CLOSE_*.
+      if (position && position.direction !== direction) {
+        console.log(`  [Drift] Closing existing ${market} ${position.direction} position first...`);
+        try {
+          const before = await settlementSnapshot(d, market);
+          const close = await fillOrder(d, { kind: 'close', market, direction, baseAmount: Math.abs(position.baseAmount), reduceOnly: true });
+          if (close.status !== 'filled') {
+            console.log(`  [Drift] ${market} ${position.direction} position not closed — not opening ${direction}`);
+            return { txSig: close.txSig, action: 'HOLD', amount: 0, market, execution: close };
           }
+          await disarmProtectiveOrders(d, state, market);
+          const closeSettlement = settleRoundTrip(getMarketState(state, market).settlement, before, await settlementSnapshot(d, market));
+          getMarketState(state, market).settlement = null;
+          flip = { direction: position.direction, size: Math.abs(position.baseAmount), estimate: position.unrealizedPnl, settlement: closeSettlement, execution: close };
+          console.log(`  [Drift] Realized PnL: $${safe(closeSettlement ? closeSettlement.netPnl : position.unrealizedPnl)}${closeSettlement ? ' (settled)' : ' (estimated)'}`);
+        } catch (err) {
+          console.log(`  [Drift] Close failed: ${err.message}`);
+          return { txSig: null, action: 'FAILED', amount: 0, error: err.message };
         }
       }
 
-      console.log(`\n  [Drift] Opening ${direction} (LIMIT ORDER): $${safe(sizeUsd)} @ ${leverage}x leverage`);
+      console.log(`\n  [Drift] Opening ${market} ${direction} (${EXECUTION_STRATEGY} execution): $${safe(sizeUsd)} @ ${leverage}x leverage`);
       try {
-        const result = await d.openPosition(direction, sizeUsd, leverage);
-        txSig = result.txSig;
-        const limitPriceUsd = result.price * (direction === 'LONG' ? 1.001 : 0.999);
-        console.log(`  [Drift] Limit order placed: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
-        console.log(`  [Drift] Oracle: $${safe(result.price)}, Limit: $${safe(limitPriceUsd)}, Size: ${safe(result.baseAmount, 4)} SOL`);
-
-        // Wait for limit order to fill
-        const fillResult = await waitForOrderFill(result.price, limitPriceUsd, direction);
-        if (!fillResult.filled) {
+        const baseline = await settlementSnapshot(d, market);
+        execution = await fillOrder(d, { kind: 'open', market, direction, sizeUsd });
+        txSig = execution.txSig;
+        if (execution.status === 'unfilled') {
           console.log(`  [Drift] Order not filled — no position opened`);
-          return { txSig, action: 'HOLD', amount: 0 };
+          return { txSig, action: 'HOLD', amount: 0, market, execution, flip };
+        }
+        if (execution.status === 'partial') {
+          console.log(`  [Drift] Partially filled — keeping ${safe(execution.filledBase, 6)} of ${safe(execution.requestedBase, 6)} ${resolveMarket(market).base}`);
         }
-        executedAmount = sizeUsd;
+        executedAmount = execution.filledBase * execution.avgPrice;
+
+        // Entry snapshots for settled P&L; a baseline that wasn't flat can't be used
+        const open = await settlementSnapshot(d, market);
+        getMarketState(state, market).settlement = baseline && open && Math.abs(baseline.baseAmount) < 1e-9
+          ? { baseline, open, last: null }
+          : null;
+
+        // Put the stop-loss / take-profit on the exchange so they don't depend on the next cycle
+        await armProtectiveOrders(d, state, market, driftInfo?.freeCollateral);
       } catch (err) {
         console.log(`  [Drift] Open position failed: ${err.message}`);
-        return { txSig: null, action: 'FAILED', amount: 0 };
+        return { txSig: null, action: 'FAILED', amount: 0, error: err.message, market, flip };
       }
     } else if (action === 'CLOSE_SHORT' || action === 'CLOSE_LONG') {
-      if (!driftInfo?.position) {
-        console.log('  [Drift] No position to close');
+      if (!position) {
+        console.log(`  [Drift] No ${market} position to close`);
         return { txSig: null, action: 'HOLD', amount: 0 };
       }
-      console.log(`\n  [Drift] Closing ${driftInfo.position.direction} (LIMIT ORDER) (PnL: $${safe(driftInfo.position.unrealizedPnl)})`);
+      console.log(`\n  [Drift] Closing ${market} ${position.direction} (${EXECUTION_STRATEGY} execution) (PnL: $${safe(position.unrealizedPnl)})`);
       try {
-        const result = await d.closePosition();
-        if (result) {
-          txSig = result.txSig;
-          const closeDir = driftInfo.position.direction === 'LONG' ? 'SELL' : 'BUY_BACK';
-          console.log(`  [Drift] Close limit order placed: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
-          console.log(`  [Drift] Oracle: $${safe(result.oraclePrice)}, Limit: $${safe(result.limitPrice)}, Dir: ${closeDir}`);
-
-          // Wait for limit order to fill
-          const fillResult = await waitForOrderFill(result.oraclePrice, result.limitPrice, closeDir);
-          if (!fillResult.filled) {
-            console.log(`  [Drift] Close order not filled — position still open`);
-            return { txSig, action: 'HOLD', amount: 0 };
-          }
-          executedAmount = Math.abs(result.pnl || 0);
-          console.log(`  [Drift] Realized PnL: $${safe(result.pnl)}`);
+        const before = await settlementSnapshot(d, market);
+        const closeDir = position.direction === 'LONG' ? 'SHORT' : 'LONG';
+        execution = await fillOrder(d, { kind: 'close', market, direction: closeDir, baseAmount: Math.abs(position.baseAmount), reduceOnly: true });
+        txSig = execution.txSig;
+        if (execution.status !== 'filled') {
+          const left = execution.requestedBase - execution.filledBase;
+          console.log(`  [Drift] Close ${execution.status === 'partial' ? 'partially filled' : 'not filled'} — ${safe(left, 6)} ${resolveMarket(market).base} still open`);
+          return { txSig, action: 'HOLD', amount: 0, market, execution };
         }
+        await disarmProtectiveOrders(d, state, market);
+        settlement = settleRoundTrip(getMarketState(state, market).settlement, before, await settlementSnapshot(d, market));
+        executedAmount = Math.abs(settlement ? settlement.netPnl : position.unrealizedPnl);
+        console.log(`  [Drift] Realized PnL: $${safe(settlement ? settlement.netPnl : position.unrealizedPnl)}${settlement ? ' (settled)' : ' (estimated)'}`);
       } catch (err) {
         console.log(`  [Drift] Close position failed: ${err.message}`);
-        return { txSig: null, action: 'FAILED', amount: 0 };
+        return { txSig: null, action: 'FAILED', amount: 0, error: err.message };
       }
     }
 
-    return { txSig, action: executedAction, amount: executedAmount };
+    return { txSig, action: executedAction, amount: executedAmount, market: action === 'DEPOSIT_TO_DRIFT' ? null : market, settlement, execution, flip };
   }
 
   // ── USDC Treasury Actions (original logic) ──
-  if (action === 'HOLD' || (executedAmount || 0) < MIN_USDC_TRADE) {
+  // REBALANCE sizes itself from the allocation plan
+  if (action === 'HOLD' || (action !== 'REBALANCE' && (executedAmount || 0) < MIN_USDC_TRADE)) {
     console.log(`\n  HOLD - No trade executed`);
     return { txSig: null, action: 'HOLD', amount: 0 };
   }
 
-  if (action === 'ALLOCATE_TO_TREASURY') {
-    const maxAmount = Math.min(executedAmount, agentBalance * MAX_USDC_TRADE_PCT, agentBalance - MIN_USDC_TRADE);
-    if (maxAmount >= MIN_USDC_TRADE) {
-      executedAmount = Math.round(maxAmount * 100) / 100;
-      console.log(`\n  Transferring ${executedAmount} USDC -> Treasury`);
-      try {
-        txSig = await transferUSDC(wallet, treasuryWallet.publicKey, executedAmount);
-        console.log(`  TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
-      } catch (err) {
-        console.log(`  Transfer failed: ${err.message}`);
-        return { txSig: null, action: 'FAILED', amount: 0 };
-      }
-    } else {
-      return { txSig: null, action: 'HOLD', amount: 0 };
-    }
-  } else if (action === 'WITHDRAW_FROM_TREASURY') {
-    const maxAmount = Math.min(executedAmount, treasuryBalance * MAX_USDC_TRADE_PCT, treasuryBalance - MIN_USDC_TRADE);
-    if (maxAmount >= MIN_USDC_TRADE) {
-      executedAmount = Math.round(maxAmount * 100) / 100;
-      console.log(`\n  Withdrawing ${executedAmount} USDC <- Treasury`);
-      try {
-        txSig = await transferUSDC(treasuryWallet, wallet.publicKey, executedAmount);
-        console.log(`  TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
-      } catch (err) {
-        console.log(`  Withdrawal failed: ${err.message}`);
-        return { txSig: null, action: 'FAILED', amount: 0 };
-      }
-    } else {
-      return { txSig: null, action: 'HOLD', amount: 0 };
-    }
-  } else if (action === 'REBALANCE') {
-    const total = agentBalance + treasuryBalance;
-    const target = total / 2;
-    const diff = agentBalance - target;
-    if (Math.abs(diff) >= MIN_USDC_TRADE) {
-      executedAmount = Math.round(Math.abs(diff) * 100) / 100;
-      const from = diff > 0 ? wallet : treasuryWallet;
-      const to = diff > 0 ? treasuryWallet.publicKey : wallet.publicKey;
-      const dir = diff > 0 ? '->' : '<-';
-      console.log(`\n  Rebalancing: ${executedAmount} USDC ${dir} Treasury`);
-      try {
-        txSig = await transferUSDC(from, to, executedAmount);
-        console.log(`  TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
-      } catch (err) {
-        console.log(`  Rebalance failed: ${err.message}`);
-        return { txSig: null, action: 'FAILED', amount: 0 };
-      }
-    } else {
-      return { txSig: null, action: 'HOLD', amount: 0 };
-    }
+  const balances = { agent: agentBalance, treasury: treasuryBalance, drift: driftInfo?.driftBalance || 0 };
+  const driftAvailable = !!driftInfo?.available;
+  const transfer = planTreasuryTransfer(action, executedAmount, balances, { driftAvailable });
+  if (!transfer) {
+    const allocation = describeAllocation(planAllocation(balances, ALLOCATION_POLICY, { driftAvailable }));
+    console.log(`  [Allocation] Nothing to move for ${action}: ${allocation}`);
+    journal.record('veto', { by: 'allocation', action, market: null, reason: allocation });
+    return { txSig: null, action: 'HOLD', amount: 0 };
+  }
+  if (transfer.limit) console.log(`  [Allocation] ${action} capped at ${safe(transfer.amount)} USDC: ${transfer.limit}`);
+
+  executedAmount = transfer.amount;
+  const toTreasury = transfer.direction === 'TO_TREASURY';
+  const from = toTreasury ? wallet : treasuryWallet;
+  const to = toTreasury ? treasuryWallet.publicKey : wallet.publicKey;
+  const label = action === 'REBALANCE' ? 'Rebalance' : toTreasury ? 'Transfer' : 'Withdrawal';
+
+  if (action === 'ALLOCATE_TO_TREASURY') console.log(`\n  Transferring ${executedAmount} USDC -> Treasury`);
+  else if (action === 'WITHDRAW_FROM_TREASURY') console.log(`\n  Withdrawing ${executedAmount} USDC <- Treasury`);
+  else console.log(`\n  Rebalancing: ${executedAmount} USDC ${toTreasury ? '->' : '<-'} Treasury`);
+
+  try {
+    txSig = await transferUSDC(from, to, executedAmount);
+    console.log(`  TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+    journal.record('order_placed', { kind: 'transfer', direction: transfer.direction, amount: executedAmount, txSig });
+  } catch (err) {
+    console.log(`  ${label} failed: ${err.message}`);
+    notifier.notify('transfer_failed', `${label} of ${executedAmount} USDC ${toTreasury ? 'to' : 'from'} the treasury failed: ${err.message}`,
+      { action, direction: transfer.direction, amount: executedAmount, error: err.message });
+    return { txSig: null, action: 'FAILED', amount: 0, error: err.message };
   }
 
   return { txSig, action: executedAction, amount: executedAmount };
 }
 
-// ─── Main Trading Loop ───────────────────────────────────────────────────────
+// ─── Position Bookkeeping ────────────────────────────────────────────────────
 
-async function tradingCycle(state) {
-  state.cycle++;
-  const cycleStart = Date.now();
+// Start the market's hold timer and remember the oracle entry for strategy P&L tracking
+function recordPositionOpen(state, market, direction, oraclePrice, size, now = Date.now()) {
+  const m = getMarketState(state, market);
+  m.lastPositionOpenTime = now;
+  m.currentOpenOracle = oraclePrice;
+  m.currentOpenDirection = direction;
+  m.currentOpenSize = size;
+}
 
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`  Cycle ${state.cycle}/${MAX_CYCLES} | ${formatLT()}`);
-  console.log(`${'='.repeat(60)}`);
+// Start the market's cooldown and book strategy P&L: what we'd have made at oracle prices (no spread).
+// `settlement` (from settleRoundTrip) is stored next to the strategy trade so oracle and actual results sit side by side.
+// Returns the strategy trade record, or null if no oracle open price was recorded.
+function recordPositionClose(state, market, oracleClose, fallbackSize = 0, now = Date.now(), settlement = null) {
+  const m = getMarketState(state, market);
+  const openTime = m.lastPositionOpenTime;
+  m.lastPositionCloseTime = now;
+  m.lastPositionOpenTime = null;
+
+  state.strategyPnL = state.strategyPnL || 0;
+  state.strategyTrades = state.strategyTrades || [];
+  const oracleOpen = m.currentOpenOracle;
+  const dir = m.currentOpenDirection;
+  const size = m.currentOpenSize || fallbackSize;
+
+  let stratTrade = null;
+  if (oracleOpen && dir && size > 0) {
+    const priceDiff = oracleClose - oracleOpen;
+    const stratPnl = dir === 'LONG' ? priceDiff * size : -priceDiff * size;
+    state.strategyPnL += stratPnl;
+    m.strategyPnL = (m.strategyPnL || 0) + stratPnl;
+
+    stratTrade = {
+      time: now,
+      openTime,
+      market,
+      direction: dir,
+      oracleOpen,
+      oracleClose,
+      size,
+      pnl: stratPnl,
+      settlement,
+    };
+    state.strategyTrades.push(stratTrade);
+    if (state.strategyTrades.length > 100) state.strategyTrades = state.strategyTrades.slice(-100);
+  }
 
-  // 0. Cancel any stale/unfilled limit orders from previous cycles
-  const dPre = await getDrift();
-  if (dPre) {
-    const staleOrders = await dPre.getOpenOrders();
-    if (staleOrders.length > 0) {
-      console.log(`  [Limit] Found ${staleOrders.length} stale open order(s) — cancelling...`);
-      await dPre.cancelAllOrders();
+  // Clear the open position tracking
+  m.currentOpenOracle = null;
+  m.currentOpenDirection = null;
+  m.currentOpenSize = null;
+  m.settlement = null;
+
+  return stratTrade;
+}
+
+// Book execution P&L from a close (includes spread). `estimated` marks closes without
+// settlement data, where the pre-close unrealized PnL or the strategy P&L stands in.
+function recordRealizedPnL(state, market, pnl, now = Date.now(), estimated = false) {
+  const m = getMarketState(state, market);
+  state.realizedPnL = (state.realizedPnL || 0) + pnl;
+  m.realizedPnL = (m.realizedPnL || 0) + pnl;
+  state.realizedPnLHistory = state.realizedPnLHistory || [];
+  state.realizedPnLHistory.push({ time: now, market, pnl, ...(estimated ? { estimated: true } : {}) });
+  if (state.realizedPnLHistory.length > 500) state.realizedPnLHistory = state.realizedPnLHistory.slice(-500);
+}
+
+// ─── Settlement ──────────────────────────────────────────────────────────────
+
+// Realized P&L is taken from the exchange's own accounting instead of the unrealized PnL
+// sampled before a close (which ignores the fill price, fees and funding). Settlement
+// counters (getSettlement in drift-devnet.js / drift-paper.js) are snapshotted around
+// each fill and stored on the market state while the position is open:
+//   m.settlement = { baseline, open, last }
+//     baseline  flat, just before the open order      open  just after the open filled
+//     last      refreshed every cycle while the position is open
+
+async function settlementSnapshot(d, market) {
+  try {
+    return await d.getSettlement(market);
+  } catch (err) {
+    console.log(`  [Settle] Could not read ${market} settlement: ${err.message}`);
+    return null;
+  }
+}
+
+// Funding on a position between two of its snapshots: settled into the quote counter
+// since `open`, plus what was still unsettled at `last` (+ received, - paid)
+function fundingBetween(open, last) {
+  return (last.quoteFlow - open.quoteFlow) + (last.unsettledFunding || 0);
+}
+
+// Funding accrued by a market's open position as of its last snapshot, or null without entry snapshots
+function accruedFunding(m) {
+  if (!m.settlement?.open) return null;
+  return fundingBetween(m.settlement.open, m.settlement.last || m.settlement.open);
+}
+
+// Breakdown of a closed round trip from the stored entry snapshots, the last snapshot
+// before the close (`before`, null → the open snapshot) and one after it filled.
+// Returns null when a snapshot is missing, the position isn't flat yet, or the counters
+// can't be compared (the exchange freed the position record or the account was reset).
+function settleRoundTrip(entry, before, after) {
+  if (!entry?.baseline || !entry?.open || !after?.slot) return null;
+  const { baseline, open } = entry;
+  const last = before || open;
+  const size = Math.abs(open.baseAmount - baseline.baseAmount);
+  if (!(size > 0) || Math.abs(after.baseAmount) > size * 1e-6) return null;
+  // Counters only grow; going backwards means the account (or the paper exchange) was reset
+  if (after.feesPaid < last.feesPaid || last.feesPaid < open.feesPaid) return null;
+
+  const netPnl = after.quoteFlow - baseline.quoteFlow;
+  const openFee = open.feesPaid - baseline.feesPaid;
+  const closeFee = after.feesPaid - last.feesPaid;
+  const funding = fundingBetween(open, last);
+  const grossPnl = netPnl - funding + openFee + closeFee;
+
+  const direction = open.baseAmount > baseline.baseAmount ? 'LONG' : 'SHORT';
+  const entryPrice = Math.abs(open.quoteFlow - baseline.quoteFlow + openFee) / size;
+  const exitPrice = entryPrice + (direction === 'LONG' ? grossPnl : -grossPnl) / size;
+
+  return {
+    netPnl,
+    grossPnl,
+    fees: { open: openFee, close: closeFee, total: openFee + closeFee },
+    funding,
+    entryPrice,
+    exitPrice,
+    size,
+  };
+}
+
+// Book the realized P&L of a close: settled when available, otherwise `estimate` flagged as estimated.
+// `direction` and `how` (e.g. 'closed (stop-loss fired)') describe the close in the position_closed notification.
+function bookRealizedClose(state, market, settlement, estimate, now = Date.now(), { direction = null, how = 'closed' } = {}) {
+  let pnl;
+  if (!settlement) {
+    recordRealizedPnL(state, market, estimate, now, true);
+    console.log(`  [Settle] ${market} settlement unavailable — booked estimated P&L $${safe(estimate, 4)} (cumulative: $${safe(state.realizedPnL, 4)})`);
+    pnl = estimate;
+  } else {
+    recordRealizedPnL(state, market, settlement.netPnl, now);
+    state.realizedFees = (state.realizedFees || 0) + settlement.fees.total;
+    state.realizedFunding = (state.realizedFunding || 0) + settlement.funding;
+    console.log(`  [Settle] ${market} realized P&L $${safe(settlement.netPnl, 4)} = price $${safe(settlement.grossPnl, 4)} - fees $${safe(settlement.fees.total, 4)} + funding $${safe(settlement.funding, 4)} (exit $${safe(settlement.exitPrice)}, cumulative: $${safe(state.realizedPnL, 4)})`);
+    pnl = settlement.netPnl;
+  }
+  const usd = v => `${v < 0 ? '-' : ''}$${safe(Math.abs(v), 4)}`;
+  notifier.notify('position_closed', `${market}${direction ? ` ${direction}` : ''} ${how}: realized P&L ${usd(pnl)}${settlement ? '' : ' (estimated)'}, cumulative ${usd(state.realizedPnL)}`,
+    { market, direction, how, pnl, estimated: !settlement, exitPrice: settlement?.exitPrice ?? null, fees: settlement?.fees.total ?? null, funding: settlement?.funding ?? null, cumulative: state.realizedPnL });
+  return pnl;
+}
+
+// ─── Protective Orders ───────────────────────────────────────────────────────
+
+// Stop-loss / take-profit trigger prices for a position: the price moves that would lose
+// STOP_LOSS_PCT or gain TAKE_PROFIT_PCT of collateral, the same exits the rule engine uses.
+// A leg that would need a price at or below zero is left out (null).
+function protectivePrices(direction, entryPrice, baseAmount, collateral) {
+  const size = Math.abs(baseAmount);
+  if (!(size > 0) || !(entryPrice > 0)) return null;
+  const stopMove = (collateral || 10) * STOP_LOSS_PCT / size;
+  const profitMove = (collateral || 10) * TAKE_PROFIT_PCT / size;
+  const stopLoss = direction === 'LONG' ? entryPrice - stopMove : entryPrice + stopMove;
+  const takeProfit = direction === 'LONG' ? entryPrice + profitMove : entryPrice - profitMove;
+  return {
+    stopLoss: stopLoss > 0 ? stopLoss : null,
+    takeProfit: takeProfit > 0 ? takeProfit : null,
+  };
+}
+
+// Cancel every trigger order in a market and forget the tracked ones
+async function disarmProtectiveOrders(d, state, market) {
+  const m = getMarketState(state, market);
+  try {
+    const triggers = (await d.getOpenOrders(market)).filter(o => o.trigger);
+    if (triggers.length > 0) {
+      await d.cancelOrders(triggers.map(o => o.orderId));
+      console.log(`  [Protect] Cancelled ${triggers.length} ${market} protective order(s)`);
+    }
+  } catch (err) {
+    console.log(`  [Protect] Could not cancel ${market} protective orders: ${err.message}`);
+  }
+  m.protectiveOrders = null;
+}
+
+// Place a stop-loss and take-profit for the market's current position and track them in state.
+// Any trigger orders left over from an earlier position are cancelled first.
+async function armProtectiveOrders(d, state, market, collateral) {
+  const m = getMarketState(state, market);
+  try {
+    const { position } = await d.getAccountInfo(market);
+    if (!position) return null;
+    await disarmProtectiveOrders(d, state, market);
+
+    const entryPrice = Math.abs(position.quoteAmount / position.baseAmount);
+    const prices = protectivePrices(position.direction, entryPrice, position.baseAmount, collateral);
+    if (!prices) return null;
+
+    const placed = await d.placeProtectiveOrders(position.direction, position.baseAmount, prices, market);
+    m.protectiveOrders = {
+      direction: position.direction,
+      size: Math.abs(position.baseAmount),
+      collateral: collateral || 10,
+      stopLoss: placed?.stopLoss ? { orderId: placed.stopLoss.orderId, triggerPrice: prices.stopLoss } : null,
+      takeProfit: placed?.takeProfit ? { orderId: placed.takeProfit.orderId, triggerPrice: prices.takeProfit } : null,
+      placedAt: Date.now(),
+    };
+    console.log(`  [Protect] ${market} ${position.direction} armed: stop-loss $${safe(prices.stopLoss)} | take-profit $${safe(prices.takeProfit)} (entry $${safe(entryPrice)})`);
+    return m.protectiveOrders;
+  } catch (err) {
+    console.log(`  [Protect] Could not place ${market} protective orders: ${err.message}`);
+    return null;
+  }
+}
+
+// Bring exchange-side protection in line with positions at the start of a cycle:
+//   - a tracked position that vanished was closed on the exchange (a trigger fired): book it
+//   - trigger orders without a position are orphans: cancel them
+//   - a position whose tracked triggers are missing or sized for another position: re-arm
+async function reconcileProtectiveOrders(d, state, driftInfo, priceBySymbol) {
+  for (const market of getEnabledMarkets()) {
+    const m = getMarketState(state, market);
+    const position = marketPosition(driftInfo, market);
+    const triggers = (driftInfo.openOrders || []).filter(o => o.trigger && o.market === market);
+    const openIds = new Set(triggers.map(o => o.orderId));
+    const tracked = m.protectiveOrders;
+
+    if (!position) {
+      if (m.currentOpenDirection) {
+        const leg = tracked?.stopLoss && !openIds.has(tracked.stopLoss.orderId) ? 'stop-loss'
+          : tracked?.takeProfit && !openIds.has(tracked.takeProfit.orderId) ? 'take-profit' : null;
+        // Trigger-market orders fill close to their trigger price; otherwise use the current price
+        const exitPrice = leg === 'stop-loss' ? tracked.stopLoss.triggerPrice
+          : leg === 'take-profit' ? tracked.takeProfit.triggerPrice
+          : (priceBySymbol[market]?.price || m.currentOpenOracle);
+        const direction = m.currentOpenDirection;
+        const settlement = settleRoundTrip(m.settlement, m.settlement?.last, await settlementSnapshot(d, market));
+        const stratTrade = recordPositionClose(state, market, exitPrice, 0, Date.now(), settlement);
+        console.log(`  [Protect] ${market} ${direction} position closed on exchange${leg ? ` (${leg} fired)` : ' outside the agent'}`);
+        if (stratTrade) {
+          console.log(`  [Strategy] Strategy P&L this trade: $${safe(stratTrade.pnl, 4)} | Cumulative: $${safe(state.strategyPnL, 4)}`);
+        }
+        if (settlement || stratTrade) {
+          bookRealizedClose(state, market, settlement, stratTrade?.pnl || 0, Date.now(), { direction, how: leg ? `closed (${leg} fired)` : 'closed outside the agent' });
+        }
+      }
+      if (triggers.length > 0) {
+        console.log(`  [Protect] ${triggers.length} orphaned ${market} trigger order(s) — cancelling...`);
+        await d.cancelOrders(triggers.map(o => o.orderId));
+      }
+      m.protectiveOrders = null;
+      continue;
+    }
+
+    const legs = tracked ? [tracked.stopLoss, tracked.takeProfit].filter(Boolean) : [];
+    const size = Math.abs(position.baseAmount);
+    const intact = legs.length > 0
+      && tracked.direction === position.direction
+      && Math.abs(tracked.size - size) <= size * 1e-6
+      && legs.every(o => openIds.has(o.orderId));
+    if (!intact) {
+      console.log(`  [Protect] ${market} ${position.direction} position is missing its protective orders — re-arming`);
+      await armProtectiveOrders(d, state, market, tracked?.collateral || driftInfo.freeCollateral);
+    }
+  }
+}
+
+// ─── Reconciliation ──────────────────────────────────────────────────────────
+
+// Balances compared between cycles (see reconcile.js). A failed read is null and skipped;
+// `flat` says no position is open, so the collateral only moves with deposits and withdrawals.
+async function readBalances(driftInfo) {
+  const [agent, treasury] = await Promise.all([
+    getUSDCBalance(wallet.publicKey, null),
+    getUSDCBalance(treasuryWallet.publicKey, null),
+  ]);
+  const readable = driftInfo.available && !driftInfo.error;
+  return {
+    time: Date.now(),
+    agent,
+    treasury,
+    collateral: readable ? driftInfo.driftBalance || 0 : null,
+    flat: readable && !Object.values(driftInfo.positions || {}).some(Boolean),
+  };
+}
+
+// Remember the balances a cycle ended with, keeping the previous value of any read that failed
+function storeBalances(state, balances) {
+  const last = state.lastBalances || {};
+  state.lastBalances = {
+    ...balances,
+    agent: balances.agent ?? last.agent ?? null,
+    treasury: balances.treasury ?? last.treasury ?? null,
+    collateral: balances.collateral ?? last.collateral ?? null,
+  };
+}
+
+// Book a deposit or withdrawal made outside the agent (`changes`: USDC per account). The initial
+// balance and the balance history before it move by the same amount, so P&L, drawdown and the
+// equity curve leave it out.
+function recordExternalFlow(state, changes, now = Date.now()) {
+  const amount = Object.values(changes).reduce((sum, v) => sum + v, 0);
+  if (state.initialBalance !== null && state.initialBalance !== undefined) state.initialBalance += amount;
+  for (const b of state.balanceHistory || []) {
+    b.total += amount;
+    b.agent += changes.agent;
+    b.treasury += changes.treasury;
+    b.drift += changes.collateral;
+  }
+  state.externalFlows = state.externalFlows || [];
+  state.externalFlows.push({ time: now, amount, changes });
+  if (state.externalFlows.length > 100) state.externalFlows = state.externalFlows.slice(-100);
+}
+
+/**
+ * Bring the state in line with the exchange and the chain (see reconcile.js): adopt positions
+ * the state doesn't track, correct direction and size, book positions that can't exist any
+ * more as closed, complete the hold timer, cancel stray limit orders and book deposits or
+ * withdrawals made outside the agent. Every correction is logged and journaled as `reconcile`.
+ *
+ * Returns { findings, blocked }. `blocked` lists the mismatches that can't be corrected;
+ * tradingCycle places no order while there are any.
+ */
+async function reconcileState(state, driftInfo, priceBySymbol = {}, { startup = false } = {}) {
+  const d = await getDrift();
+  const now = Date.now();
+  const balances = await readBalances(driftInfo);
+  const findings = findMismatches({
+    markets: getEnabledMarkets(),
+    tracked: state.markets,
+    driftInfo: d ? driftInfo : null,
+    balances,
+    lastBalances: state.lastBalances,
+    toleranceUsd: RECONCILE_TOLERANCE_USD,
+  });
+
+  // Track an exchange position from now on: oracle P&L from the current price, hold timer from now.
+  // There are no entry snapshots, so its close books estimated P&L.
+  const adopt = async (market, position) => {
+    const price = priceBySymbol[market]?.price || (await d.getMarketInfo(market)).price;
+    recordPositionOpen(state, market, position.direction, price, Math.abs(position.baseAmount), now);
+    getMarketState(state, market).settlement = null;
+    return `adopted at $${safe(price)}, hold timer started`;
+  };
+
+  // Stop tracking a position closed outside the agent, booking estimated P&L at the current price
+  const closeTracked = async market => {
+    const price = priceBySymbol[market]?.price || (await d.getMarketInfo(market)).price;
+    const stratTrade = recordPositionClose(state, market, price, 0, now);
+    bookRealizedClose(state, market, null, stratTrade?.pnl || 0, now, { direction: stratTrade?.direction, how: 'booked as closed outside the agent' });
+    getMarketState(state, market).protectiveOrders = null;
+    return `tracked ${stratTrade?.direction || 'position'} booked as closed outside the agent at $${safe(price)}`;
+  };
+
+  for (const f of findings) {
+    const m = f.market ? getMarketState(state, f.market) : null;
+    try {
+      switch (f.kind) {
+        case 'incomplete_tracking':
+          if (m.currentOpenDirection) {
+            m.lastPositionOpenTime = now;
+            f.correction = 'hold timer started';
+          } else {
+            m.lastPositionOpenTime = null;
+            f.correction = 'open time cleared';
+          }
+          break;
+        case 'orphan_position':
+          f.correction = await adopt(f.market, f.position);
+          break;
+        case 'direction_mismatch':
+          f.correction = `${await closeTracked(f.market)}; exchange position ${await adopt(f.market, f.position)}`;
+          break;
+        case 'missing_account':
+          f.correction = await closeTracked(f.market);
+          break;
+        case 'size_mismatch':
+          m.currentOpenSize = Math.abs(f.position.baseAmount);
+          f.correction = `tracked size set to ${safe(m.currentOpenSize, 6)}`;
+          break;
+        case 'stray_order':
+          await d.cancelOrders([f.orderId]);
+          f.correction = 'cancelled';
+          break;
+        case 'external_flow':
+          recordExternalFlow(state, f.changes, now);
+          f.correction = `booked as an external ${f.amount > 0 ? 'deposit' : 'withdrawal'} (initial balance now $${safe(state.initialBalance)})`;
+          break;
+        case 'unverified_flow':
+          f.correction = 'P&L baseline left unchanged';
+          break;
+      }
+    } catch (err) {
+      f.correction = `failed: ${err.message}`;
+    }
+    console.log(`  [Reconcile] ${f.blocking ? 'BLOCKED — ' : ''}${f.message}${f.correction ? ` → ${f.correction}` : ''}`);
+  }
+
+  const blocked = findings.filter(f => f.blocking).map(f => f.message);
+  if (findings.length > 0) {
+    journal.record('reconcile', { startup, findings, blocked: blocked.length > 0 });
+    emitEvent('reconcile', { cycle: state.cycle, findings: findings.length, blocked });
+  } else if (startup) {
+    console.log(`  [Reconcile] State matches the exchange and wallet balances`);
+  }
+  if (blocked.length > 0) {
+    console.log(`  [Reconcile] No trades until ${blocked.length === 1 ? 'this is' : 'these are'} resolved (checked again every cycle)`);
+  }
+  storeBalances(state, balances);
+  return { findings, blocked };
+}
+
+// ─── Risk Halt ───────────────────────────────────────────────────────────────
+
+// Close every open position in `driftInfo` after a risk halt (or on shutdown, with its own log tag
+// and trade reason). Bypasses the anti-churn guards on purpose; closes that don't fill are retried
+// next cycle while the halt stays in force.
+async function flattenPositions(state, driftInfo, priceBySymbol, { tag = 'Risk', reason = 'Flattened on trading halt' } = {}) {
+  const d = await getDrift();
+  if (!d) return;
+
+  for (const [market, position] of Object.entries(driftInfo.positions || {})) {
+    if (!position) continue;
+    console.log(`  [${tag}] Flattening ${market} ${position.direction} (PnL: $${safe(position.unrealizedPnl)})`);
+    try {
+      const before = await settlementSnapshot(d, market);
+      const execution = await fillOrder(d, { kind: 'close', market, direction: position.direction === 'LONG' ? 'SHORT' : 'LONG', baseAmount: Math.abs(position.baseAmount), reduceOnly: true });
+      if (execution.status !== 'filled') {
+        console.log(`  [${tag}] ${market} close not filled${tag === 'Risk' ? ' — retrying next cycle' : ''}`);
+        continue;
+      }
+      await disarmProtectiveOrders(d, state, market);
+      const settlement = settleRoundTrip(getMarketState(state, market).settlement, before, await settlementSnapshot(d, market));
+      recordPositionClose(state, market, priceBySymbol[market]?.price || execution.oraclePrice, 0, Date.now(), settlement);
+      const pnl = bookRealizedClose(state, market, settlement, position.unrealizedPnl, Date.now(), { direction: position.direction, how: reason.toLowerCase() });
+
+      const trade = {
+        time: Date.now(),
+        cycle: state.cycle,
+        action: position.direction === 'LONG' ? 'CLOSE_LONG' : 'CLOSE_SHORT',
+        market,
+        amount: Math.abs(pnl),
+        txSig: execution.txSig,
+        confidence: 100,
+        reason: `[${tag}] ${reason}`,
+        market_outlook: 'neutral',
+        marketPrice: priceBySymbol[market]?.price,
+      };
+      state.trades.push(trade);
+      state.totalTransactions++;
+      emitEvent('trade', trade);
+    } catch (err) {
+      console.log(`  [${tag}] Flatten ${market} failed: ${err.message}`);
+    }
+  }
+}
+
+// ─── Shutdown ────────────────────────────────────────────────────────────────
+
+// Set by the signal handlers. The first SIGINT/SIGTERM lets the current cycle finish, the second
+// aborts the order being worked, a third exits on the spot.
+let stopSignal = null;
+let abortExecution = false;
+let wakeUp = () => {};
+
+function installSignalHandlers() {
+  let received = 0;
+  const onSignal = signal => {
+    received++;
+    if (received === 1) {
+      stopSignal = signal;
+      console.log(`\n[Shutdown] ${signal} received — finishing the current cycle, then shutting down (again to abort the order being worked)`);
+      wakeUp();
+    } else if (received === 2) {
+      abortExecution = true;
+      console.log(`\n[Shutdown] ${signal} received again — aborting the order being worked (again to exit immediately)`);
+    } else {
+      console.log(`\n[Shutdown] Exiting immediately — the next start reconciles any order or position left behind`);
+      process.exit(130);
+    }
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+}
+
+// Sleep that a shutdown signal cuts short
+function pause(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+// Positions SHUTDOWN_POLICY closes: every one (flatten), those at a loss (flatten-if-losing) or none (keep)
+function positionsToFlatten(driftInfo, policy) {
+  if (policy === 'keep') return {};
+  return Object.fromEntries(Object.entries(driftInfo.positions || {})
+    .filter(([, p]) => p && (policy === 'flatten' || p.unrealizedPnl < 0)));
+}
+
+/**
+ * Leave the exchange and the state consistent before exiting: stop the control API, cancel
+ * resting limit orders, close positions per SHUTDOWN_POLICY (the ones kept keep their stop-loss /
+ * take-profit orders), save the state and candles, unsubscribe the Drift client and print the
+ * session summary.
+ * Every step runs even when one before it failed.
+ */
+async function shutdown(state, reason) {
+  console.log(`\n[Shutdown] ${reason} — shutdown policy: ${SHUTDOWN_POLICY}`);
+  const summary = { reason, policy: SHUTDOWN_POLICY, cancelledOrders: 0, flattened: [], kept: [] };
+  const d = driftAvailable ? drift : null;
+  if (controlServer) await controlServer.stop();
+
+  if (d) {
+    try {
+      const resting = (await d.getOpenOrders()).filter(o => !o.trigger);
+      if (resting.length > 0) await d.cancelOrders(resting.map(o => o.orderId));
+      summary.cancelledOrders = resting.length;
+      console.log(`  [Shutdown] ${resting.length} resting limit order(s) cancelled`);
+    } catch (err) {
+      console.log(`  [Shutdown] Could not cancel open orders: ${err.message}`);
+    }
+
+    try {
+      const flatten = positionsToFlatten(await getDriftInfo(), SHUTDOWN_POLICY);
+      if (Object.keys(flatten).length > 0) {
+        // A close the second signal aborted still runs here; a third signal exits
+        abortExecution = false;
+        await flattenPositions(state, { positions: flatten }, {}, { tag: 'Shutdown', reason: `Flattened on shutdown (${SHUTDOWN_POLICY})` });
+      }
+      const driftInfo = await getDriftInfo();
+      for (const [market, position] of Object.entries(driftInfo.positions || {})) {
+        if (!position) {
+          if (flatten[market]) summary.flattened.push(market);
+          continue;
+        }
+        const armed = getMarketState(state, market).protectiveOrders;
+        summary.kept.push({ market, direction: position.direction, baseAmount: position.baseAmount, unrealizedPnl: position.unrealizedPnl, protected: !!armed });
+        console.log(`  [Shutdown] Keeping ${market} ${position.direction} (PnL: $${safe(position.unrealizedPnl)})${armed ? ' — stop-loss / take-profit stay armed' : ' — no protective orders'}`);
+      }
+    } catch (err) {
+      console.log(`  [Shutdown] Could not apply the shutdown policy: ${err.message}`);
+    }
+  }
+
+  try {
+    saveState(state);
+    candles.save();
+    console.log(`  [Shutdown] State saved to ${STATE_FILE}`);
+  } catch (err) {
+    console.log(`  [Shutdown] Could not save state: ${err.message}`);
+  }
+  journal.record('shutdown', summary);
+  emitEvent('shutdown', { cycle: state.cycle, ...summary });
+  await notifier.flush();
+
+  if (drift) {
+    try {
+      await drift.shutdown();
+    } catch (err) {
+      console.log(`  [Shutdown] Drift client shutdown failed: ${err.message}`);
+    }
+  }
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`  Trading session ${stopSignal ? 'stopped' : 'complete'}: ${reason}`);
+  console.log(`  Total cycles: ${state.cycle}`);
+  console.log(`  Total transactions: ${state.totalTransactions}`);
+  console.log(`  Total volume: ${safe(state.totalVolumeUSDC)} USDC`);
+  console.log(`  Realized P&L: $${safe(state.realizedPnL || 0, 4)} | Strategy P&L: $${safe(state.strategyPnL || 0, 4)}`);
+  console.log(`  Orders cancelled: ${summary.cancelledOrders} | Positions closed: ${summary.flattened.length ? summary.flattened.join(', ') : 'none'} | Left open: ${summary.kept.length ? summary.kept.map(p => `${p.market} ${p.direction}`).join(', ') : 'none'}`);
+  console.log(`${'='.repeat(60)}`);
+  return summary;
+}
+
+// ─── Operator Control ────────────────────────────────────────────────────────
+
+// Size limits the control API may override (config layer "operator", see config.js)
+const OPERATOR_LIMITS = ['minUsdcTrade', 'maxUsdcTradePct', 'minPerpSizeUsd', 'maxPerpSizeUsd', 'defaultLeverage', 'maxLeverage', 'maxPositionPct', 'riskPerTradePct'];
+// ai: the configured engine (model or ensemble, rule-based fallback); rule: the rule-based engine only
+const DECISION_MODES = ['ai', 'rule'];
+
+let controlServer = null;
+let cycleRequested = false;  // Start the next cycle without waiting, also while paused
+let cycleRunning = false;
+let nextCycleAt = null;
+let exchangeLock = Promise.resolve();
+
+// Run `fn` once no cycle or other command is using the exchange
+function withExchange(fn) {
+  const run = exchangeLock.then(fn);
+  exchangeLock = run.catch(() => {});
+  return run;
+}
+
+// Overrides set through the control API. They live in the state, so a pause or a limit survives a restart.
+function operatorState(state) {
+  if (!state.operator) state.operator = { paused: false, pausedAt: null, pauseReason: null, mode: 'ai', limits: {} };
+  return state.operator;
+}
+
+// Every command is recorded in the trade history as an OPERATOR action, journaled and sent to the dashboard
+function recordOperatorAction(state, command, params, outcome) {
+  const entry = { time: Date.now(), cycle: state.cycle, action: 'OPERATOR', operator: true, command, params, amount: 0, reason: `[Operator] ${outcome}` };
+  state.trades.push(entry);
+  if (state.trades.length > 500) state.trades = state.trades.slice(-500);
+  console.log(`\n  [Operator] ${command}: ${outcome}`);
+  journal.record('operator', { command, params, outcome });
+  emitEvent('operator', entry);
+  // A running cycle saves the state when it ends
+  if (!cycleRunning) saveState(state);
+  return entry;
+}
+
+// Open positions in `market` (every market when null) from a getDriftInfo() result
+function openPositions(driftInfo, market) {
+  return Object.fromEntries(Object.entries(driftInfo.positions || {}).filter(([symbol, p]) => p && (!market || symbol === market)));
+}
+
+// Command handlers for the control API (control-server.js). `getState` returns the live state.
+function operatorHandlers(getState) {
+  const requireDrift = () => {
+    if (!driftAvailable || !drift) throw new Error('Drift is not available');
+    return drift;
+  };
+  const marketParam = market => (market ? resolveMarket(market).symbol : null);
+
+  return {
+    async state() {
+      const state = getState();
+      const op = operatorState(state);
+      const driftInfo = driftAvailable ? await getDriftInfo() : null;
+      return {
+        loop: {
+          cycle: state.cycle,
+          maxCycles: MAX_CYCLES,
+          running: cycleRunning,
+          paused: op.paused,
+          pausedAt: op.pausedAt,
+          pauseReason: op.pauseReason,
+          cycleRequested,
+          nextCycleAt,
+          stopping: stopSignal !== null,
+        },
+        mode: op.mode,
+        limits: Object.fromEntries(OPERATOR_LIMITS.map(key => [key, config.get()[key]])),
+        limitOverrides: op.limits,
+        riskHalt: risk.getHalt(),
+        drift: driftInfo ? {
+          balance: driftInfo.driftBalance || 0,
+          freeCollateral: driftInfo.freeCollateral || 0,
+          positions: driftInfo.positions || {},
+          openOrders: driftInfo.openOrders || [],
+          error: driftInfo.error || null,
+        } : null,
+        balances: state.lastBalances || null,
+        pnl: { realized: state.realizedPnL || 0, strategy: state.strategyPnL || 0, initialBalance: state.initialBalance },
+        recentTrades: state.trades.slice(-10),
+      };
+    },
+
+    async pause({ reason }) {
+      const state = getState();
+      const op = operatorState(state);
+      if (op.paused) throw new Error(`Already paused since ${new Date(op.pausedAt).toISOString()}`);
+      Object.assign(op, { paused: true, pausedAt: Date.now(), pauseReason: reason ? String(reason) : null });
+      const outcome = `Paused${reason ? ` (${reason})` : ''} — no new cycle starts until resumed${cycleRunning ? '; the running cycle finishes' : ''}`;
+      return { ok: true, paused: true, action: recordOperatorAction(state, 'pause', { reason: op.pauseReason }, outcome) };
+    },
+
+    async resume() {
+      const state = getState();
+      const op = operatorState(state);
+      if (!op.paused) throw new Error('Not paused');
+      Object.assign(op, { paused: false, pausedAt: null, pauseReason: null });
+      wakeUp();
+      return { ok: true, paused: false, action: recordOperatorAction(state, 'resume', {}, 'Resumed — the next cycle starts now') };
+    },
+
+    async cycle() {
+      if (stopSignal) throw new Error('Shutting down');
+      cycleRequested = true;
+      wakeUp();
+      const outcome = cycleRunning ? 'Cycle requested — starts when the running one ends' : 'Cycle requested — starting now';
+      return { ok: true, action: recordOperatorAction(getState(), 'cycle', {}, outcome) };
+    },
+
+    // Closes bypass the anti-churn guards, like the risk-halt flatten
+    async close({ market }) {
+      requireDrift();
+      const symbol = marketParam(market);
+      const state = getState();
+      return withExchange(async () => {
+        const positions = openPositions(await getDriftInfo(), symbol);
+        if (Object.keys(positions).length === 0) throw new Error(`No open ${symbol ? `${symbol} ` : ''}position`);
+        await flattenPositions(state, { positions }, {}, { tag: 'Operator', reason: 'Force-closed by the operator' });
+        const after = await getDriftInfo();
+        const closed = Object.keys(positions).filter(m => !marketPosition(after, m));
+        const open = Object.keys(positions).filter(m => marketPosition(after, m));
+        const outcome = `Force close: ${closed.length > 0 ? `closed ${closed.join(', ')}` : 'nothing closed'}${open.length > 0 ? `; still open: ${open.join(', ')}` : ''}`;
+        return { ok: open.length === 0, closed, open, action: recordOperatorAction(state, 'close', { market: symbol }, outcome) };
+      });
+    },
+
+    // Cancelled stop-loss / take-profit orders are re-armed at the next cycle while the position stays open
+    async cancel({ market, protective = false }) {
+      const d = requireDrift();
+      const symbol = marketParam(market);
+      const state = getState();
+      return withExchange(async () => {
+        const orders = (await d.getOpenOrders(symbol)).filter(o => protective || !o.trigger);
+        if (orders.length > 0) await d.cancelOrders(orders.map(o => o.orderId));
+        if (protective) {
+          for (const m of symbol ? [symbol] : getEnabledMarkets()) getMarketState(state, m).protectiveOrders = null;
+        }
+        const outcome = `Cancelled ${orders.length} ${protective ? '' : 'resting limit '}order(s)${symbol ? ` in ${symbol}` : ''}`;
+        return { ok: true, cancelled: orders.map(o => o.orderId), action: recordOperatorAction(state, 'cancel', { market: symbol, protective: !!protective }, outcome) };
+      });
+    },
+
+    // Mode and limit changes wait for a running cycle to end, so one cycle decides and sizes
+    // under the same settings
+    async mode({ mode }) {
+      if (!DECISION_MODES.includes(mode)) throw new Error(`mode must be one of ${DECISION_MODES.join(', ')}`);
+      const state = getState();
+      return withExchange(async () => {
+        const op = operatorState(state);
+        const from = op.mode;
+        op.mode = mode;
+        const outcome = from === mode ? `Decision mode stays ${mode}` : `Decision mode ${from} → ${mode}`;
+        return { ok: true, mode, action: recordOperatorAction(state, 'mode', { mode }, outcome) };
+      });
+    },
+
+    async limits(body) {
+      const state = getState();
+      const op = operatorState(state);
+      for (const key of Object.keys(body)) {
+        if (key !== 'reset' && !OPERATOR_LIMITS.includes(key)) throw new Error(`"${key}" can't be set here (adjustable: ${OPERATOR_LIMITS.join(', ')})`);
+      }
+      return withExchange(async () => {
+        const next = body.reset ? {} : { ...op.limits };
+        for (const [key, value] of Object.entries(body)) {
+          if (key === 'reset') continue;
+          if (value === null) delete next[key];
+          else next[key] = value;
+        }
+        const { changed, error } = config.setOperatorOverrides(next);
+        if (error) throw new Error(error);
+        applyConfig(config.get());
+        op.limits = next;
+        const outcome = changed.length > 0 ? changed.map(c => `${c.key} ${c.from} → ${c.to}`).join(', ') : 'No limit changed';
+        if (changed.length > 0) emitEvent('config_reloaded', { profile: config.get().profile, changed });
+        return {
+          ok: true,
+          limits: Object.fromEntries(OPERATOR_LIMITS.map(key => [key, config.get()[key]])),
+          changed,
+          action: recordOperatorAction(state, 'limits', body, outcome),
+        };
+      });
+    },
+  };
+}
+
+// Hold the loop while the operator has it paused; a requested cycle or a shutdown signal releases it
+async function waitWhilePaused(state) {
+  const op = operatorState(state);
+  if (!op.paused || cycleRequested || stopSignal) return;
+  console.log(`\n  [Operator] Paused${op.pauseReason ? ` (${op.pauseReason})` : ''} — waiting for resume or a requested cycle`);
+  while (op.paused && !cycleRequested && !stopSignal) await pause(60_000);
+}
+
+// Start the control API; a port in use leaves the agent running without it
+async function startControlServer(getState) {
+  controlServer = createControlServer({ handlers: operatorHandlers(getState) });
+  try {
+    if (await controlServer.start()) {
+      console.log(`Control API:     http://127.0.0.1:${controlServer.port} (token in ${path.relative(process.cwd(), CONTROL_TOKEN_FILE)}, or CONTROL_TOKEN)`);
+    } else {
+      console.log(`Control API:     disabled (CONTROL_PORT=0)`);
+      controlServer = null;
     }
+  } catch (err) {
+    console.log(`Control API:     unavailable (${err.message})`);
+    controlServer = null;
   }
+}
+
+// ─── Daily Summary ───────────────────────────────────────────────────────────
+
+// Send the daily summary notification once it is due (see notifier.js). The first cycle of a new
+// state only marks the day, so the first summary covers a whole day.
+function sendDailySummary(state, now = Date.now()) {
+  const day = notifier.summaryDue(state.lastDailySummary, now);
+  if (!day) return;
+  const first = !state.lastDailySummary;
+  state.lastDailySummary = day;
+  if (first) return;
+  const { message, data } = notifier.dailySummary(state, now);
+  console.log(`  [Notify] Sending the daily summary for ${day}`);
+  notifier.notify('daily_summary', message, data);
+}
+
+// ─── Main Trading Loop ───────────────────────────────────────────────────────
+
+async function tradingCycle(state) {
+  state.cycle++;
+  const cycleStart = Date.now();
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`  Cycle ${state.cycle}/${MAX_CYCLES} | ${formatLT()}`);
+  console.log(`${'='.repeat(60)}`);
+  emitEvent('cycle_start', { cycle: state.cycle });
+  journal.setCycle(state.cycle);
+  journal.record('cycle_start', { profile: config.get().profile, paper: PAPER_TRADING });
+
+  const dPre = await getDrift();
 
   // 1. Gather market data + Drift info
-  const [solData, sentiment, driftInfo] = await Promise.all([
-    getSOLPrice(),
+  const enabledMarkets = getEnabledMarkets();
+  const [marketPrices, sentiment, driftInfo, marketFunding] = await Promise.all([
+    Promise.all(enabledMarkets.map(m => getMarketPrice(m))),
     getMarketSentiment(),
-    getDriftInfo()
+    getDriftInfo(),
+    Promise.all(enabledMarkets.map(m => getMarketFunding(m))),
   ]);
+  const priceBySymbol = Object.fromEntries(marketPrices.map(p => [p.market, p]));
+  const fundingBySymbol = Object.fromEntries(enabledMarkets.map((m, i) => [m, marketFunding[i]]));
+  const solData = priceBySymbol[DEFAULT_MARKET];
+
+  // Only fresh consensus prices go into history — repeating a stale price would fake a flat trend
+  for (const p of marketPrices) {
+    if (p.stale) continue;
+    const history = getPriceHistory(state, p.market);
+    history.push({ time: Date.now(), price: p.price });
+    if (history.length > 200) history.splice(0, history.length - 200);
+  }
 
-  state.prices.push({ time: Date.now(), price: solData.price });
-  if (state.prices.length > 200) state.prices = state.prices.slice(-200);
+  for (const p of marketPrices) {
+    const base = resolveMarket(p.market).base;
+    console.log(`  ${base}: $${safe(p.price)} (${p.change24h >= 0 ? '+' : ''}${safe(p.change24h)}%)${p.stale ? ' [STALE]' : ''}`);
+  }
 
-  console.log(`  SOL: $${safe(solData.price)} (${solData.change24h >= 0 ? '+' : ''}${safe(solData.change24h)}%)`);
+  // Correct the state where it disagrees with the exchange and wallets; what can't be corrected vetoes trades (4c)
+  const reconciliation = await reconcileState(state, driftInfo, priceBySymbol);
+
+  // Book positions closed by stop-loss/take-profit since last cycle and re-arm unprotected ones
+  if (dPre && driftInfo.hasAccount) {
+    await reconcileProtectiveOrders(dPre, state, driftInfo, priceBySymbol);
+
+    // Refresh settlement snapshots so a close between cycles can still be settled
+    for (const symbol of enabledMarkets) {
+      const m = getMarketState(state, symbol);
+      if (m.settlement && marketPosition(driftInfo, symbol)) m.settlement.last = await settlementSnapshot(dPre, symbol);
+    }
+  }
 
   // 2. Get balances
-  const [agentBalance, treasuryBalance, agentSOL] = await Promise.all([
+  const [agentBalance, treasuryBalance, agentSOL, treasurySOL] = await Promise.all([
     getUSDCBalance(wallet.publicKey),
     getUSDCBalance(treasuryWallet.publicKey),
-    getSOLBalance(wallet.publicKey)
+    getSOLBalance(wallet.publicKey),
+    getSOLBalance(treasuryWallet.publicKey)
   ]);
+  for (const [key, label, sol] of [['agent', 'Agent', agentSOL], ['treasury', 'Treasury', treasurySOL]]) {
+    if (sol < notifier.LOW_SOL) {
+      notifier.notify('low_sol', `${label} wallet has ${safe(sol, 4)} SOL (below ${notifier.LOW_SOL}) — transactions may fail for lack of fees`, { wallet: key, balance: sol }, { key });
+    }
+  }
 
-  const driftUnrealizedPnL = driftInfo.position?.unrealizedPnl || 0;
+  const driftUnrealizedPnL = totalUnrealizedPnl(driftInfo);
   const totalBalance = agentBalance + treasuryBalance + (driftInfo.driftBalance || 0) + driftUnrealizedPnL;
 
   // Track initial balance on first cycle
@@ -968,18 +2435,50 @@ async function tradingCycle(state) {
   if (state.balanceHistory.length > 500) state.balanceHistory = state.balanceHistory.slice(-500);
 
   console.log(`  Agent:    ${safe(agentBalance)} USDC | ${safe(agentSOL, 4)} SOL`);
-  console.log(`  Treasury: ${safe(treasuryBalance)} USDC`);
+  console.log(`  Treasury: ${safe(treasuryBalance)} USDC | ${safe(treasurySOL, 4)} SOL`);
   console.log(`  Total:    ${safe(totalBalance)} USDC`);
+  journal.record('market_data', {
+    prices: Object.fromEntries(marketPrices.map(p => [p.market, { price: p.price, change24h: p.change24h, stale: p.stale, ageMs: p.ageMs }])),
+    balances: { agent: agentBalance, treasury: treasuryBalance, agentSOL, treasurySOL, drift: driftInfo.driftBalance || 0, unrealizedPnl: driftUnrealizedPnL, total: totalBalance },
+    freeCollateral: driftInfo.freeCollateral || 0,
+    positions: driftInfo.positions || {},
+    funding: fundingBySymbol,
+  });
 
   if (driftInfo.available) {
     console.log(`  [Drift]   ${safe(driftInfo.driftBalance)} USDC collateral | Free: ${safe(driftInfo.freeCollateral)}`);
-    if (driftInfo.position) {
-      console.log(`  [Drift]   Position: ${driftInfo.position.direction} ${safe(Math.abs(driftInfo.position.baseAmount), 4)} SOL | PnL: $${safe(driftInfo.position.unrealizedPnl)}`);
+    for (const symbol of enabledMarkets) {
+      const pos = marketPosition(driftInfo, symbol);
+      if (pos) {
+        console.log(`  [Drift]   ${symbol}: ${pos.direction} ${safe(Math.abs(pos.baseAmount), 6)} ${resolveMarket(symbol).base} | PnL: $${safe(pos.unrealizedPnl)}`);
+      }
     }
   }
 
   // 3. Build context for AI
-  const trendAnalysis = analyzeTrend(state.prices.slice(-20));
+  const markets = enabledMarkets.map(symbol => {
+    const m = getMarketState(state, symbol);
+    const history = getPriceHistory(state, symbol).slice(-20);
+    const position = marketPosition(driftInfo, symbol);
+    const funding = fundingBySymbol[symbol];
+    return {
+      symbol,
+      base: resolveMarket(symbol).base,
+      price: priceBySymbol[symbol].price,
+      change24h: priceBySymbol[symbol].change24h,
+      stale: priceBySymbol[symbol].stale,
+      position,
+      priceHistory: history,
+      trendAnalysis: analyzeTrend(history),
+      indicators: indicatorsFor(getPriceHistory(state, symbol)),
+      timeframes: candles.context(symbol, INDICATOR_PERIODS),
+      funding: funding ? { ...funding, accrued: position ? accruedFunding(m) : null } : null,
+      positionOpenTime: m.lastPositionOpenTime,
+      lastCloseTime: m.lastPositionCloseTime,
+      protection: m.protectiveOrders,
+    };
+  });
+  const trendAnalysis = markets[0].trendAnalysis;
   const context = {
     agentBalance,
     treasuryBalance,
@@ -995,131 +2494,281 @@ async function tradingCycle(state) {
     driftPosition: driftInfo.position,
     driftBalance: driftInfo.driftBalance || 0,
     freeCollateral: driftInfo.freeCollateral || 0,
-    positionOpenTime: state.lastPositionOpenTime,
-    lastCloseTime: state.lastPositionCloseTime,
+    positionOpenTime: getMarketState(state, DEFAULT_MARKET).lastPositionOpenTime,
+    lastCloseTime: getMarketState(state, DEFAULT_MARKET).lastPositionCloseTime,
     trendAnalysis,
+    indicators: markets[0].indicators,
+    timeframes: markets[0].timeframes,
+    funding: markets[0].funding,
+    markets,
   };
 
-  if (trendAnalysis.trend !== 'neutral') {
-    console.log(`  Trend:    ${trendAnalysis.trend} (strength: ${trendAnalysis.strength}, momentum: ${trendAnalysis.momentum}%)`);
+  for (const m of markets) {
+    if (m.trendAnalysis.trend !== 'neutral') {
+      console.log(`  Trend:    ${m.symbol} ${m.trendAnalysis.trend} (strength: ${m.trendAnalysis.strength}, momentum: ${m.trendAnalysis.momentum}%)`);
+    }
+    if (m.funding && (m.funding.predictedRate !== 0 || m.position)) {
+      console.log(`  Funding:  ${m.symbol} ${safe(m.funding.predictedRate, 4)}%/h predicted (last ${safe(m.funding.rate, 4)}%/h)${m.funding.accrued !== null ? ` | position accrued $${safe(m.funding.accrued, 4)}` : ''}`);
+    }
   }
 
   // 4. Get AI decision
-  console.log(`\n  Analyzing...`);
-  const decision = await askClaude(context);
+  let decision;
+  let proposed;  // As decided, before stale-price and risk vetoes rewrite it to HOLD
+  if (solData.stale) {
+    // SOL-PERP is the reference market for treasury decisions, so a stale SOL feed halts everything
+    decision = {
+      action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 100,
+      reason: 'Price feed stale — refusing to trade on an outdated price',
+      market_outlook: 'neutral', source: 'guard'
+    };
+    proposed = decision;
+    journal.record('decision', { source: decision.source, decision });
+  } else {
+    if (operatorState(state).mode === 'rule') {
+      console.log(`\n  Analyzing (rule-based, set by the operator)...`);
+      decision = { ...makeRuleBasedDecision(context), source: 'rule' };
+    } else {
+      console.log(`\n  Analyzing...`);
+      decision = await askClaude(context);
+    }
+    proposed = decision;
+    journal.record('decision', { source: decision.source, decision });
+    let targetSymbol = null;
+    try {
+      targetSymbol = decision.market ? resolveMarket(decision.market).symbol : null;
+    } catch {
+      // Unknown markets are rejected in executeTrade
+    }
+    if (targetSymbol && priceBySymbol[targetSymbol]?.stale) {
+      journal.record('veto', { by: 'price_feed', action: decision.action, market: targetSymbol, reason: `${targetSymbol} price feed stale` });
+      decision = {
+        action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 100,
+        reason: `${decision.market} price feed stale — refusing to trade on an outdated price`,
+        market_outlook: 'neutral'
+      };
+    }
+  }
+
+  // 4b. Portfolio risk: halt on drawdown / daily loss, veto opens that break exposure or trade-rate limits
+  const riskMetrics = risk.getMetrics(state, totalBalance, driftInfo.positions, Object.fromEntries(marketPrices.map(p => [p.market, p.price])));
+  let haltRecord = risk.getHalt();
+  if (!haltRecord) {
+    const breach = risk.checkLimits(state, riskMetrics);
+    if (breach) {
+      haltRecord = risk.halt(breach, riskMetrics);
+      console.log(`\n  [Risk] KILL SWITCH: ${breach}`);
+      console.log(`  [Risk] Opening trades halted until cleared with: npm run risk -- --clear${PAPER_TRADING ? ' --paper' : ''}`);
+      emitEvent('risk_halt', { cycle: state.cycle, reason: breach, metrics: riskMetrics });
+      notifier.notify('risk_halt', `${breach} — opening trades halted until cleared`, { reason: breach, metrics: riskMetrics });
+      journal.record('risk_halt', { reason: breach, metrics: riskMetrics });
+    }
+  }
+  if (haltRecord && risk.getLimits().flattenOnHalt && Object.values(driftInfo.positions || {}).some(Boolean)) {
+    await flattenPositions(state, driftInfo, priceBySymbol);
+    if (decision.action !== 'HOLD') {
+      journal.record('veto', { by: 'risk', action: decision.action, market: decision.market || null, reason: `Trading halted: ${haltRecord.reason}` });
+    }
+    decision = {
+      action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 100,
+      reason: `[Risk] Trading halted — flattening positions (${haltRecord.reason})`,
+      market_outlook: 'neutral'
+    };
+  }
+  const riskVeto = risk.checkDecision(decision, riskMetrics, haltRecord);
+  if (riskVeto) {
+    console.log(`  [Risk] Vetoed ${decision.action}${decision.market ? ` ${decision.market}` : ''}: ${riskVeto}`);
+    journal.record('veto', { by: 'risk', action: decision.action, market: decision.market || null, reason: riskVeto, metrics: riskMetrics });
+    decision = {
+      action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 100,
+      reason: `[Risk] ${riskVeto}`,
+      market_outlook: decision.market_outlook
+    };
+  }
+
+  // 4c. No orders while the state disagrees with the exchange in a way reconciliation can't correct
+  if (reconciliation.blocked.length > 0 && decision.action !== 'HOLD') {
+    const reason = `State does not match the exchange: ${reconciliation.blocked.join('; ')}`;
+    console.log(`  [Reconcile] Vetoed ${decision.action}${decision.market ? ` ${decision.market}` : ''}: ${reason}`);
+    journal.record('veto', { by: 'reconcile', action: decision.action, market: decision.market || null, reason });
+    decision = {
+      action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 100,
+      reason: `[Reconcile] ${reason}`,
+      market_outlook: decision.market_outlook
+    };
+  }
 
-  console.log(`  Decision: ${decision.action}`);
+  console.log(`  Decision: ${decision.action}${decision.market ? ` ${decision.market}` : ''}`);
   if (decision.amount > 0) console.log(`  Amount:   ${safe(decision.amount)} USDC`);
   if (decision.size_usd > 0) console.log(`  Size:     $${decision.size_usd} @ ${decision.leverage || 2}x`);
   console.log(`  Outlook:  ${decision.market_outlook}`);
   console.log(`  Confidence: ${decision.confidence}%`);
   console.log(`  Reason:   ${decision.reason}`);
+  emitEvent('decision', { cycle: state.cycle, solPrice: solData.price, decision });
 
   // 5. Execute trade (pass state for anti-churn guards)
   const result = await executeTrade(decision, agentBalance, treasuryBalance, driftInfo, state);
+  journal.record('execution', { decision: decision.action, ...result });
 
   // 6. Record trade
+  const tradedPosition = marketPosition(driftInfo, result.market || DEFAULT_MARKET);
+  const tradedPrice = result.market ? priceBySymbol[result.market].price : solData.price;
   const trade = {
     time: Date.now(),
     cycle: state.cycle,
     action: result.action,
+    market: result.market || null,
     amount: result.amount,
     txSig: result.txSig,
     confidence: decision.confidence,
     reason: decision.reason,
     market_outlook: decision.market_outlook,
+    source: decision.source,
+    ...(decision.fallbackReason ? { fallbackReason: decision.fallbackReason } : {}),
+    // Ensemble answers as proposed, kept when a veto rewrites the decision
+    ...(proposed?.votes ? { votes: proposed.votes, agreement: proposed.agreement } : {}),
     solPrice: solData.price,
+    marketPrice: tradedPrice,
     agentBalance,
     treasuryBalance,
-    driftPosition: driftInfo.position ? {
-      direction: driftInfo.position.direction,
-      size: Math.abs(driftInfo.position.baseAmount),
-      pnl: driftInfo.position.unrealizedPnl
+    driftPosition: tradedPosition ? {
+      direction: tradedPosition.direction,
+      size: Math.abs(tradedPosition.baseAmount),
+      pnl: tradedPosition.unrealizedPnl
     } : null,
+    // What the order actually did: filled size and average price (see execution.js)
+    ...(result.execution ? {
+      execution: {
+        status: result.execution.status,
+        requestedBase: result.execution.requestedBase,
+        filledBase: result.execution.filledBase,
+        avgPrice: result.execution.avgPrice,
+        priceSource: result.execution.priceSource,
+        fees: result.execution.fees,
+        role: result.execution.role,
+        escalated: result.execution.escalated,
+        // Each order as the exchange recorded it
+        orders: result.execution.orders.map(o => ({
+          orderId: o.orderId,
+          type: o.type,
+          status: o.status,
+          baseAmount: o.baseAmount,
+          filledBase: o.filledBase,
+          avgPrice: o.avgPrice,
+          fee: o.fee,
+          role: o.role,
+        })),
+      },
+    } : {}),
   };
 
   state.trades.push(trade);
   if (state.trades.length > 500) state.trades = state.trades.slice(-500);
+  emitEvent('trade', trade);
 
   if (result.txSig) {
     state.totalTransactions++;
     state.totalVolumeUSDC += result.amount;
   }
 
+  // The close leg of a flip is booked like a CLOSE_* decision, before the open restarts the tracking
+  if (result.flip) {
+    const { direction, size, estimate, settlement } = result.flip;
+    const base = resolveMarket(result.market).base;
+    // recordPositionClose clears the settlement snapshots, which by now belong to the new position
+    const m = getMarketState(state, result.market);
+    const opened = m.settlement;
+    const stratTrade = recordPositionClose(state, result.market, tradedPrice, size, Date.now(), settlement);
+    m.settlement = opened;
+    if (stratTrade) {
+      console.log(`  [Strategy] ${result.market} oracle open: $${safe(stratTrade.oracleOpen)} → close: $${safe(stratTrade.oracleClose)} | ${stratTrade.direction} ${safe(stratTrade.size, 6)} ${base} (flipped)`);
+      console.log(`  [Strategy] Strategy P&L this trade: $${safe(stratTrade.pnl, 4)} | Cumulative: $${safe(state.strategyPnL, 4)}`);
+    }
+    bookRealizedClose(state, result.market, settlement, estimate, Date.now(), { direction, how: `closed to flip ${direction === 'LONG' ? 'SHORT' : 'LONG'}` });
+  }
+
   // Track position open/close times for anti-churn
   if (['OPEN_SHORT', 'OPEN_LONG'].includes(result.action) && result.txSig) {
-    state.lastPositionOpenTime = Date.now();
-    // Record oracle price at open for strategy P&L tracking
-    state.currentOpenOracle = solData.price;
-    state.currentOpenDirection = result.action === 'OPEN_LONG' ? 'LONG' : 'SHORT';
-    state.currentOpenSize = driftInfo.position ? Math.abs(driftInfo.position.baseAmount) : (decision.size_usd / solData.price);
+    const base = resolveMarket(result.market).base;
+    const openSize = result.execution?.filledBase || (decision.size_usd / tradedPrice);
+    recordPositionOpen(state, result.market, result.action === 'OPEN_LONG' ? 'LONG' : 'SHORT', tradedPrice, openSize);
+    const m = getMarketState(state, result.market);
     console.log(`  Position opened — hold timer started (min ${MIN_POSITION_HOLD_MS / 60000}min)`);
-    console.log(`  [Strategy] Recorded oracle open: $${safe(solData.price)} ${state.currentOpenDirection} ${safe(state.currentOpenSize, 4)} SOL`);
+    console.log(`  [Strategy] Recorded ${result.market} oracle open: $${safe(tradedPrice)} ${m.currentOpenDirection} ${safe(m.currentOpenSize, 6)} ${base}`);
+    const entry = result.execution?.avgPrice || tradedPrice;
+    const leverage = Math.min(decision.leverage || DEFAULT_LEVERAGE, MAX_LEVERAGE);
+    notifier.notify('position_opened', `${result.market} ${m.currentOpenDirection} ${safe(openSize, 6)} ${base} @ $${safe(entry, 4)} ($${safe(openSize * entry)}, ${leverage}x) — ${decision.reason}`,
+      { market: result.market, direction: m.currentOpenDirection, size: openSize, price: entry, sizeUsd: openSize * entry, leverage, reason: decision.reason });
   }
   if (['CLOSE_SHORT', 'CLOSE_LONG'].includes(result.action) && result.txSig) {
-    state.lastPositionCloseTime = Date.now();
-    state.lastPositionOpenTime = null;
-
-    // ── Strategy P&L: calculate what we'd have made at oracle prices (no spread) ──
-    state.strategyPnL = state.strategyPnL || 0;
-    state.strategyTrades = state.strategyTrades || [];
-    const oracleClose = solData.price;
-    const oracleOpen = state.currentOpenOracle;
-    const dir = state.currentOpenDirection;
-    const size = state.currentOpenSize || (driftInfo.position ? Math.abs(driftInfo.position.baseAmount) : 0);
-
-    if (oracleOpen && dir && size > 0) {
-      const priceDiff = oracleClose - oracleOpen;
-      const stratPnl = dir === 'LONG' ? priceDiff * size : -priceDiff * size;
-      state.strategyPnL += stratPnl;
-
-      state.strategyTrades.push({
-        time: Date.now(),
-        direction: dir,
-        oracleOpen,
-        oracleClose,
-        size,
-        pnl: stratPnl,
-      });
-      if (state.strategyTrades.length > 100) state.strategyTrades = state.strategyTrades.slice(-100);
-
-      console.log(`  [Strategy] Oracle open: $${safe(oracleOpen)} → close: $${safe(oracleClose)} | ${dir} ${safe(size, 4)} SOL`);
-      console.log(`  [Strategy] Strategy P&L this trade: $${safe(stratPnl, 4)} | Cumulative: $${safe(state.strategyPnL, 4)}`);
+    const base = resolveMarket(result.market).base;
+    const stratTrade = recordPositionClose(state, result.market, tradedPrice, tradedPosition ? Math.abs(tradedPosition.baseAmount) : 0, Date.now(), result.settlement);
+    if (stratTrade) {
+      console.log(`  [Strategy] ${result.market} oracle open: $${safe(stratTrade.oracleOpen)} → close: $${safe(stratTrade.oracleClose)} | ${stratTrade.direction} ${safe(stratTrade.size, 6)} ${base}`);
+      console.log(`  [Strategy] Strategy P&L this trade: $${safe(stratTrade.pnl, 4)} | Cumulative: $${safe(state.strategyPnL, 4)}`);
     } else {
       console.log(`  [Strategy] No oracle open price recorded — skipping strategy P&L for this close`);
     }
-
-    // Clear the open position tracking
-    state.currentOpenOracle = null;
-    state.currentOpenDirection = null;
-    state.currentOpenSize = null;
-
-    console.log(`  Position closed — cooldown started (${TRADE_COOLDOWN_MS / 60000}min before next open)`);
+    console.log(`  Position closed — ${result.market} cooldown started (${TRADE_COOLDOWN_MS / 60000}min before next open)`);
   }
 
-  // Track realized P&L from Drift position closes (execution P&L — includes spread)
-  state.realizedPnL = state.realizedPnL || 0;
+  // Track realized P&L from Drift position closes (execution P&L — fill prices, fees and funding)
   if (['CLOSE_SHORT', 'CLOSE_LONG'].includes(result.action) && result.txSig) {
-    const closePnl = driftInfo.position?.unrealizedPnl || 0;
-    state.realizedPnL += closePnl;
-    console.log(`  Realized (execution) P&L from close: $${safe(closePnl, 4)} (cumulative: $${safe(state.realizedPnL, 4)})`);
+    bookRealizedClose(state, result.market, result.settlement, tradedPosition?.unrealizedPnl || 0, Date.now(), { direction: tradedPosition?.direction, how: 'closed' });
   }
 
-  // 7. Save state and dashboard
-  saveState(state);
-  const [newAgentBal, newTreasuryBal] = await Promise.all([
-    getUSDCBalance(wallet.publicKey),
-    getUSDCBalance(treasuryWallet.publicKey)
-  ]);
+  // 7. Save state, candles and dashboard. The balances the cycle ended with are what the next
+  // reconciliation compares against.
   const newDriftInfo = await getDriftInfo();
+  const endBalances = await readBalances(newDriftInfo);
+  const newAgentBal = endBalances.agent ?? 0;
+  const newTreasuryBal = endBalances.treasury ?? 0;
+  storeBalances(state, endBalances);
+  sendDailySummary(state);
+  saveState(state);
+  candles.save();
   saveDashboardData(state, newAgentBal, newTreasuryBal, newDriftInfo);
 
   const cycleTime = Date.now() - cycleStart;
+  const newDriftTotal = (newDriftInfo.driftBalance || 0) + totalUnrealizedPnl(newDriftInfo);
+  journal.record('cycle_end', {
+    proposedAction: proposed.action,
+    action: decision.action,
+    executedAction: result.action,
+    market: result.market || null,
+    outcome: cycleOutcome(proposed, result),
+    txSig: result.txSig || null,
+    error: result.error || null,
+    balances: { agent: newAgentBal, treasury: newTreasuryBal, drift: newDriftTotal, total: newAgentBal + newTreasuryBal + newDriftTotal },
+    positions: newDriftInfo.positions || {},
+    durationMs: cycleTime,
+  });
   console.log(`\n  Cycle completed in ${(cycleTime / 1000).toFixed(1)}s`);
+  emitEvent('cycle_complete', { cycle: state.cycle, durationMs: cycleTime, totalBalance });
 
   return state;
 }
 
+// Sleep until the next cycle, sampling prices into candles every CANDLE_POLL_MS meanwhile.
+// A shutdown signal or a requested cycle ends the wait.
+async function waitForNextCycle(ms) {
+  const end = Date.now() + ms;
+  const interrupted = () => stopSignal || cycleRequested;
+  nextCycleAt = end;
+  while (CANDLE_POLL_MS > 0 && end - Date.now() > CANDLE_POLL_MS && !interrupted()) {
+    await pause(CANDLE_POLL_MS);
+    if (interrupted()) break;
+    try {
+      await Promise.all(getEnabledMarkets().map(m => getMarketPrice(m)));
+      candles.save();
+    } catch (err) {
+      console.log(`  [Candles] Price sample failed: ${err.message}`);
+    }
+  }
+  if (!interrupted()) await pause(Math.max(end - Date.now(), 0));
+  nextCycleAt = null;
+}
+
 // ─── Main Entry Point ────────────────────────────────────────────────────────
 
 async function main() {
@@ -1132,16 +2781,30 @@ async function main() {
 ╚══════════════════════════════════════════════════════════════╝
   `);
 
+  priceFeed.init({ getDrift });
+  installSignalHandlers();
+
   // Initialize wallets
   wallet = loadWallet();
   treasuryWallet = loadOrCreateTreasury();
+  if (PAPER_TRADING) paperLedger.init({ agent: wallet.publicKey, treasury: treasuryWallet.publicKey });
 
   console.log(`Agent wallet:    ${wallet.publicKey.toString()}`);
   console.log(`Treasury wallet: ${treasuryWallet.publicKey.toString()}`);
-  console.log(`Network:         Solana Devnet`);
-  console.log(`AI Model:        ${CLAUDE_MODEL} (with rule-based fallback)`);
+  console.log(`Network:         ${PAPER_TRADING ? 'Paper trading (simulated exchange)' : 'Solana Devnet'}`);
+  console.log(`AI Model:        ${CLAUDE_MODEL} via ${llm.name}${llm.usesTools ? ' (tool calls)' : ''} (with rule-based fallback)`);
+  if (ENSEMBLE_MODE !== 'off') console.log(`Ensemble:        ${ENSEMBLE_MODE} of ${ENSEMBLE_VOTERS.map(v => v.label).join(', ')}`);
+  console.log(`Config:          profile "${config.get().profile}"${config.get().file ? ` + ${path.basename(config.get().file)}` : ''} (reloaded between cycles)`);
   console.log(`Interval:        ${TRADE_INTERVAL_MS / 1000}s between cycles`);
   console.log(`Features:        USDC Treasury + Drift Perpetuals (SHORT/LONG)`);
+  console.log(`Markets:         ${getEnabledMarkets().join(', ')}`);
+  console.log(`Notifications:   ${notifier.describe()}`);
+
+  const haltRecord = risk.getHalt();
+  if (haltRecord) {
+    console.log(`\n⚠️ Risk halt in force since ${new Date(haltRecord.time).toISOString()}: ${haltRecord.reason}`);
+    console.log(`   Opening trades are vetoed until cleared with: npm run risk -- --clear${PAPER_TRADING ? ' --paper' : ''}`);
+  }
 
   // Check initial balances
   const [agentUSDC, treasuryUSDC, agentSOL] = await Promise.all([
@@ -1160,7 +2823,7 @@ async function main() {
     console.log(`   The agent will still run and make decisions (HOLD until funded).`);
   }
 
-  if (agentSOL < 0.01) {
+  if (!PAPER_TRADING && agentSOL < 0.01) {
     console.log(`\nLow SOL balance. Requesting airdrop...`);
     try {
       const sig = await connection.requestAirdrop(wallet.publicKey, 2 * LAMPORTS_PER_SOL);
@@ -1173,7 +2836,7 @@ async function main() {
 
   // Fund treasury with SOL for fees if needed
   const treasurySOL = await getSOLBalance(treasuryWallet.publicKey);
-  if (treasurySOL < 0.01) {
+  if (!PAPER_TRADING && treasurySOL < 0.01) {
     console.log(`\n  Funding treasury with SOL for transaction fees...`);
     try {
       const sig = await connection.requestAirdrop(treasuryWallet.publicKey, LAMPORTS_PER_SOL);
@@ -1209,8 +2872,8 @@ async function main() {
     console.log(`  Drift: Connected`);
     if (driftInfo.hasAccount) {
       console.log(`  Drift USDC: ${safe(driftInfo.driftBalance)} | Free Collateral: ${safe(driftInfo.freeCollateral)}`);
-      if (driftInfo.position) {
-        console.log(`  Position: ${driftInfo.position.direction} ${safe(Math.abs(driftInfo.position.baseAmount), 4)} SOL`);
+      for (const [symbol, pos] of Object.entries(driftInfo.positions)) {
+        if (pos) console.log(`  Position: ${symbol} ${pos.direction} ${safe(Math.abs(pos.baseAmount), 6)} ${resolveMarket(symbol).base}`);
       }
     } else {
       console.log(`  Drift account not yet initialized (will init on first deposit)`);
@@ -1219,41 +2882,102 @@ async function main() {
     console.log(`  Drift: Not available (agent will use USDC treasury management only)`);
   }
 
-  // Load or initialize state
+  // Load or initialize state; short price histories are filled from saved candles
   let state = loadState();
+  warmStartPriceHistory(state);
+
+  // Check the saved state against the exchange and wallets before the first cycle
+  console.log(`\nReconciling state...`);
+  await reconcileState(state, await getDriftInfo(), {}, { startup: true });
+  saveState(state);
+
+  // Operator overrides from before the restart, then the control API
+  const op = operatorState(state);
+  if (Object.keys(op.limits).length > 0) {
+    const { changed, error } = config.setOperatorOverrides(op.limits);
+    if (error) {
+      console.log(`  [Operator] Saved limits dropped, they no longer fit the config: ${error}`);
+      op.limits = {};
+    } else {
+      applyConfig(config.get());
+      for (const c of changed) console.log(`  [Operator] ${c.key}: ${c.from} → ${c.to}`);
+    }
+  }
+  if (op.mode !== 'ai') console.log(`  [Operator] Decision mode: ${op.mode}`);
+  if (op.paused) {
+    console.log(`  [Operator] Paused since ${new Date(op.pausedAt).toISOString()}${op.pauseReason ? ` (${op.pauseReason})` : ''} — resume with: npm run control -- resume${PAPER_TRADING ? ' --paper' : ''}`);
+  }
+  await startControlServer(() => state);
+  if (op.paused && !controlServer) {
+    Object.assign(op, { paused: false, pausedAt: null, pauseReason: null });
+    console.log(`  [Operator] Pause lifted — without the control API nothing could resume it`);
+  }
 
   console.log(`\nStarting trading loop...`);
   console.log(`${'─'.repeat(60)}`);
 
-  // Trading loop
-  for (let i = 0; i < MAX_CYCLES; i++) {
+  // Trading loop; a shutdown signal ends it after the current cycle
+  for (let i = 0; i < MAX_CYCLES && !stopSignal; i++) {
+    if (i > 0) reloadConfig();
+    await waitWhilePaused(state);
+    if (stopSignal) break;
+    cycleRequested = false;
+    cycleRunning = true;
     try {
-      state = await tradingCycle(state);
+      state = await withExchange(() => tradingCycle(state));
     } catch (err) {
       console.error(`\n  Cycle error: ${err.message}`);
+      emitEvent('cycle_error', { cycle: state.cycle, message: err.message });
+      notifier.notify('cycle_error', `Cycle ${state.cycle}: ${err.message}`, { cycle: state.cycle, message: err.message });
+      journal.record('cycle_error', { message: err.message, stack: err.stack });
       saveState(state);
     }
+    cycleRunning = false;
 
-    if (i < MAX_CYCLES - 1) {
+    if (i < MAX_CYCLES - 1 && !stopSignal) {
       console.log(`\n  Next cycle in ${TRADE_INTERVAL_MS / 1000}s...`);
-      await new Promise(r => setTimeout(r, TRADE_INTERVAL_MS));
+      await waitForNextCycle(TRADE_INTERVAL_MS);
     }
   }
 
-  // Cleanup
-  if (drift) {
-    await drift.shutdown();
-  }
+  await shutdown(state, stopSignal ? `Stopped by ${stopSignal}` : `Completed ${MAX_CYCLES} cycles`);
+}
 
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`  Trading session complete.`);
-  console.log(`  Total cycles: ${state.cycle}`);
-  console.log(`  Total transactions: ${state.totalTransactions}`);
-  console.log(`  Total volume: ${safe(state.totalVolumeUSDC)} USDC`);
-  console.log(`${'='.repeat(60)}`);
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+module.exports = {
+  analyzeTrend,
+  makeRuleBasedDecision,
+  checkAntiChurnGuards,
+  planTreasuryTransfer,
+  planDriftDeposit,
+  getMarketState,
+  getPriceHistory,
+  migrateState,
+  protectivePrices,
+  recordRealizedPnL,
+  settleRoundTrip,
+  buildPerformance,
+  recordPositionOpen,
+  recordPositionClose,
+  positionSize,
+  indicatorsFor,
+  safe,
+  formatLT,
+  STATE_FILE,
+  MIN_USDC_TRADE,
+  MIN_PERP_SIZE_USD,
+  MAX_PERP_SIZE_USD,
+  DEFAULT_LEVERAGE,
+  MAX_LEVERAGE,
+  ORDER_FILL_TIMEOUT_MS,
+  CLOSE_ESCALATION,
+  INDICATOR_PERIODS,
+  TAKE_PROFIT_PCT,
+  STOP_LOSS_PCT,
+};
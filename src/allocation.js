@@ -0,0 +1,167 @@
+/**
+ * Treasury Allocation
+ *
+ * Target weights for the portfolio's three USDC buckets — the agent wallet, the treasury
+ * wallet and Drift collateral — and the transfers that bring it back to them. The policy
+ * comes from the trading config (see config.js):
+ *
+ *   targetAgentPct / targetTreasuryPct / targetDriftPct
+ *                        Target share of the total in each bucket (they add up to 1)
+ *   allocationBandPct    How far a bucket's share may stray from its target, in shares of the
+ *                        total, before the portfolio is rebalanced
+ *   agentReserveUsd / treasuryReserveUsd / driftReserveUsd
+ *                        Minimum balance of each bucket: its target never goes below it, and
+ *                        nothing is moved out of a bucket that would leave less
+ *
+ * The rule engine rebalances with planAllocation() once a bucket leaves its band. Every
+ * treasury transfer and Drift deposit, the AI's included, is capped by limitTransfer() so it
+ * can't push a bucket outside its band or below its reserve.
+ *
+ * USDC moves agent ↔ treasury and agent → Drift. The agent has no Drift withdrawal, so
+ * collateral above its target stays where it is and the two wallets split the rest at their
+ * relative weights. Without Drift the wallets split their own total that way.
+ */
+
+const BUCKETS = ['agent', 'treasury', 'drift'];
+const LABELS = { agent: 'agent', treasury: 'treasury', drift: 'Drift collateral' };
+
+// Round down to cents, so a transfer never takes more than was planned
+const cents = v => Math.floor(v * 100 + 1e-6) / 100;
+
+// Transfers move whole cents and limitTransfer() fills a bucket up to its band edge, so a
+// bucket within half a cent of the edge (float error included) is still inside its band
+const BAND_TOLERANCE_USD = 0.005;
+
+// Split `total` across `weights` (bucket → weight). A bucket whose share would fall below its
+// reserve is held at the reserve and the others share what is left.
+function splitTotal(total, weights, reserves) {
+  const targets = {};
+  let open = Object.keys(weights);
+  let remaining = total;
+  const shareOf = (key, keys, amount) => {
+    const sum = keys.reduce((s, k) => s + weights[k], 0);
+    return sum > 0 ? amount * weights[key] / sum : amount / keys.length;
+  };
+  for (;;) {
+    const pinned = open.filter(k => shareOf(k, open, remaining) < (reserves[k] || 0));
+    if (pinned.length === 0) break;
+    for (const k of pinned) {
+      targets[k] = Math.min(reserves[k], Math.max(remaining, 0));
+      remaining -= targets[k];
+    }
+    open = open.filter(k => !pinned.includes(k));
+    if (open.length === 0) break;
+  }
+  const shares = Object.fromEntries(open.map(k => [k, shareOf(k, open, Math.max(remaining, 0))]));
+  return { ...targets, ...shares };
+}
+
+// Bucket balances in USD, plus the target of each. Drift is held at its balance when it can't
+// be reached or holds more than its target (collateral can't be withdrawn).
+function targetsFor(balances, policy, driftAvailable) {
+  const b = { agent: Math.max(balances.agent || 0, 0), treasury: Math.max(balances.treasury || 0, 0), drift: Math.max(balances.drift || 0, 0) };
+  const total = b.agent + b.treasury + b.drift;
+  const nominal = splitTotal(total, policy.targets, policy.reserves);
+  const driftHeld = !driftAvailable || b.drift > nominal.drift;
+  const targets = driftHeld
+    ? { ...splitTotal(b.agent + b.treasury, { agent: policy.targets.agent, treasury: policy.targets.treasury }, policy.reserves), drift: b.drift }
+    : nominal;
+  return { b, total, nominal, targets, driftHeld };
+}
+
+/**
+ * Where the portfolio stands against the policy and what would bring it back.
+ *
+ * balances: { agent, treasury, drift } in USDC (drift is the Drift collateral)
+ * policy:   { targets: { agent, treasury, drift }, bandPct, reserves: { agent, treasury, drift }, minTransfer }
+ *
+ * Returns { total, balances, weights, targets (USD), targetWeights, outOfBand (buckets), driftHeld,
+ * driftExcess, transfers }. `transfers` ([{ action, from, to, amount }], each ALLOCATE_TO_TREASURY,
+ * WITHDRAW_FROM_TREASURY or DEPOSIT_TO_DRIFT) are the moves to the targets, in the order they can
+ * be made; moves below minTransfer are left out. The rule engine only makes them once `outOfBand`
+ * names a bucket.
+ */
+function planAllocation(balances, policy, { driftAvailable = true } = {}) {
+  const { b, total, nominal, targets, driftHeld } = targetsFor(balances, policy, driftAvailable);
+  const buckets = driftAvailable ? BUCKETS : ['agent', 'treasury'];
+  const share = v => (total > 0 ? v / total : 0);
+
+  const outOfBand = total > 0 ? buckets.filter(k =>
+    Math.abs(b[k] - targets[k]) > policy.bandPct * total + BAND_TOLERANCE_USD ||
+    b[k] < (policy.reserves[k] || 0) - policy.minTransfer
+  ) : [];
+
+  const deposit = driftHeld ? 0 : cents(targets.drift - b.drift);
+  // What the treasury holds above its target is exactly what the agent lacks after the deposit
+  const walletGap = cents(Math.abs(b.treasury - targets.treasury));
+  const depositStep = deposit >= policy.minTransfer ? { action: 'DEPOSIT_TO_DRIFT', from: 'agent', to: 'drift', amount: deposit } : null;
+  const walletStep = walletGap >= policy.minTransfer
+    ? (b.treasury > targets.treasury
+      ? { action: 'WITHDRAW_FROM_TREASURY', from: 'treasury', to: 'agent', amount: walletGap }
+      : { action: 'ALLOCATE_TO_TREASURY', from: 'agent', to: 'treasury', amount: walletGap })
+    : null;
+  // Fund the deposit from the treasury first when the agent can't cover it within its band
+  const agentFloor = Math.max(policy.reserves.agent || 0, targets.agent - policy.bandPct * total);
+  const transfers = depositStep && walletStep?.from === 'treasury' && b.agent - deposit < agentFloor
+    ? [walletStep, depositStep]
+    : [depositStep, walletStep].filter(Boolean);
+
+  return {
+    total,
+    balances: b,
+    weights: Object.fromEntries(BUCKETS.map(k => [k, share(b[k])])),
+    targets,
+    targetWeights: Object.fromEntries(BUCKETS.map(k => [k, share(targets[k])])),
+    outOfBand,
+    driftHeld,
+    driftExcess: driftAvailable && driftHeld ? Math.max(b.drift - nominal.drift, 0) : 0,
+    transfers,
+  };
+}
+
+/**
+ * Most of `amount` that `action` (ALLOCATE_TO_TREASURY, WITHDRAW_FROM_TREASURY or DEPOSIT_TO_DRIFT)
+ * may move: the source keeps its reserve and stays above the bottom of its band, the destination
+ * stays below the top of its band. Returns { amount, limit } with `limit` saying what capped it
+ * (null when nothing did).
+ */
+function limitTransfer(action, amount, balances, policy, { driftAvailable = true } = {}) {
+  const { b, total, nominal, targets } = targetsFor(balances, policy, driftAvailable);
+  const route = {
+    ALLOCATE_TO_TREASURY: ['agent', 'treasury'],
+    WITHDRAW_FROM_TREASURY: ['treasury', 'agent'],
+    DEPOSIT_TO_DRIFT: ['agent', 'drift'],
+  }[action];
+  if (!route) return { amount, limit: null };
+  const [from, to] = route;
+  const band = policy.bandPct * total;
+  // Deposits are measured against Drift's own target, not the balance it is held at
+  const toTarget = to === 'drift' ? nominal.drift : targets[to];
+
+  const floor = Math.max(policy.reserves[from] || 0, targets[from] - band);
+  const ceiling = toTarget + band;
+  const caps = [
+    [b[from] - floor, `${LABELS[from]} would drop below ${floor === (policy.reserves[from] || 0) ? 'its reserve' : 'its band'} ($${floor.toFixed(2)})`],
+    [ceiling - b[to], `${LABELS[to]} would rise above its band ($${ceiling.toFixed(2)})`],
+  ];
+  const [cap, reason] = caps.reduce((min, c) => (c[0] < min[0] ? c : min));
+  if (amount <= cap) return { amount, limit: null };
+  return { amount: Math.max(cents(cap), 0), limit: reason };
+}
+
+// "agent 62% (target 40%), treasury 38% (40%), Drift collateral 0% (20%)" for logs and reasons
+function describeAllocation(plan) {
+  const buckets = BUCKETS
+    .filter(k => k !== 'drift' || plan.balances.drift > 0 || plan.targets.drift > 0)
+    .map((k, i) => `${LABELS[k]} ${(plan.weights[k] * 100).toFixed(0)}% (${i === 0 ? 'target ' : ''}${(plan.targetWeights[k] * 100).toFixed(0)}%)`)
+    .join(', ');
+  return plan.driftExcess > 0 ? `${buckets}; $${plan.driftExcess.toFixed(2)} collateral above its target stays in Drift` : buckets;
+}
+
+module.exports = {
+  planAllocation,
+  limitTransfer,
+  describeAllocation,
+  splitTotal,
+  BUCKETS,
+};
@@ -0,0 +1,446 @@
+/**
+ * Offline Backtester
+ *
+ * Replays a recorded SOL price series through the same decision pipeline the
+ * live agent uses (analyzeTrend, indicators and candles → makeRuleBasedDecision → anti-churn guards → position sizing)
+ * against a simulated wallet/treasury/Drift account.
+ *
+ * Usage:
+ *   npm run backtest                              (replays logs/agent-state.json)
+ *   npm run backtest -- --state path/to/state.json
+ *   npm run backtest -- --csv prices.csv           (columns: time,price)
+ *
+ * Options:
+ *   --agent <usdc>         Starting agent wallet balance
+ *   --treasury <usdc>      Starting treasury balance
+ *   --collateral <usdc>    Starting Drift collateral
+ *   --fee-bps <bps>        Fee charged on every perp fill (default 5)
+ *   --fill-timeout <ms>    Limit order is cancelled if not filled within this window
+ *   --close-escalation <market|none>
+ *                          Finish closes the limit order misses with a market order (default: closeEscalation)
+ *   --out <file>           Where to write the JSON report (default logs/backtest-<time>.json)
+ *
+ * Starting balances default to the first balanceHistory entry of the state file,
+ * or 50 agent / 50 treasury / 0 collateral for CSV input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  analyzeTrend,
+  makeRuleBasedDecision,
+  checkAntiChurnGuards,
+  planTreasuryTransfer,
+  planDriftDeposit,
+  buildPerformance,
+  recordPositionOpen,
+  recordPositionClose,
+  recordRealizedPnL,
+  positionSize,
+  indicatorsFor,
+  INDICATOR_PERIODS,
+  getMarketState,
+  safe,
+  STATE_FILE,
+  MIN_PERP_SIZE_USD,
+  DEFAULT_LEVERAGE,
+  MAX_LEVERAGE,
+  ORDER_FILL_TIMEOUT_MS,
+  CLOSE_ESCALATION,
+} = require('./agent');
+const { DEFAULT_MARKET } = require('./markets');
+const { createCandleStore } = require('./candles');
+const { LIMIT_OFFSET_PCT, MARKET_SLIPPAGE_PCT, CLOSE_ESCALATIONS } = require('./execution');
+const { parseArgs, parseTime } = require('./cli-args');
+
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const DEFAULT_FEE_BPS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Input ───────────────────────────────────────────────────────────────────
+
+function loadCSV(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(l => l.trim());
+  const series = [];
+  for (const line of lines) {
+    const [time, price] = line.split(',').map(c => c.trim());
+    const p = Number(price);
+    if (isNaN(p)) continue; // header or junk
+    const t = parseTime(time);
+    if (isNaN(t)) continue;
+    series.push({ time: t, price: p });
+  }
+  return series;
+}
+
+function loadInput(opts) {
+  if (opts.csv) {
+    return { series: loadCSV(opts.csv), startBalances: null };
+  }
+  const file = opts.state || STATE_FILE;
+  if (!fs.existsSync(file)) {
+    throw new Error(`State file not found: ${file}. Run the agent first or pass --csv <file>`);
+  }
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const first = (saved.balanceHistory || [])[0];
+  return {
+    series: (saved.prices || []).filter(p => p.price > 0),
+    startBalances: first ? { agent: first.agent, treasury: first.treasury, collateral: first.drift || 0 } : null,
+  };
+}
+
+// ─── Simulated Account ───────────────────────────────────────────────────────
+
+function markPosition(account, price) {
+  const pos = account.position;
+  if (!pos) return null;
+  return {
+    baseAmount: pos.baseAmount,
+    quoteAmount: -pos.baseAmount * pos.entryPrice,
+    direction: pos.baseAmount > 0 ? 'LONG' : 'SHORT',
+    unrealizedPnl: (price - pos.entryPrice) * pos.baseAmount,
+  };
+}
+
+// Mirrors the shape returned by getDriftInfo() in the live agent
+function simulatedDriftInfo(account, price) {
+  const position = markPosition(account, price);
+  const margin = account.position ? Math.abs(account.position.baseAmount) * price / account.position.leverage : 0;
+  return {
+    available: true,
+    hasAccount: account.collateral > 0 || !!position,
+    position,
+    driftBalance: account.collateral,
+    freeCollateral: Math.max(0, account.collateral + (position?.unrealizedPnl || 0) - margin),
+    openOrders: [],
+  };
+}
+
+// A resting limit order fills if the next observed price trades through it
+// before the fill timeout; otherwise it is cancelled, like an unfilled live order.
+function simulateLimitFill(side, limitPrice, placedAt, nextSample, fillTimeoutMs) {
+  if (!nextSample || nextSample.time - placedAt > fillTimeoutMs) return null;
+  const crossed = side === 'BUY' ? nextSample.price <= limitPrice : nextSample.price >= limitPrice;
+  return crossed ? { price: limitPrice, time: nextSample.time } : null;
+}
+
+// With closeEscalation = market, a close the limit order misses is finished with a market order
+// at the next observed price (the path between samples is unknown), unless that is more than
+// MARKET_SLIPPAGE_PCT from the price the close was decided at.
+function closeSimPosition(account, price, now, nextSample, opts) {
+  const pos = account.position;
+  const side = pos.baseAmount > 0 ? 'SELL' : 'BUY';
+  const limitPrice = price * (side === 'SELL' ? 1 - LIMIT_OFFSET_PCT : 1 + LIMIT_OFFSET_PCT);
+  let fill = simulateLimitFill(side, limitPrice, now, nextSample, opts.fillTimeoutMs);
+  if (!fill && opts.closeEscalation === 'market' && nextSample && Math.abs(nextSample.price - price) / price <= MARKET_SLIPPAGE_PCT) {
+    fill = { price: nextSample.price, time: nextSample.time, escalated: true };
+  }
+  if (!fill) return null;
+
+  const fee = Math.abs(pos.baseAmount) * fill.price * opts.feeBps / 10_000;
+  const pnl = (fill.price - pos.entryPrice) * pos.baseAmount - fee;
+  account.collateral += pnl;
+  account.fees += fee;
+  account.position = null;
+  return { pnl, fee, fillPrice: fill.price, escalated: !!fill.escalated };
+}
+
+// Apply a decision to the simulated account. Returns { action, amount, filled, pnl }
+// with the same downgrade-to-HOLD semantics as executeTrade in the live agent.
+function simulateTrade(decision, account, driftInfo, state, price, now, nextSample, opts) {
+  const action = decision.action;
+  const hold = { action: 'HOLD', amount: 0 };
+
+  const veto = checkAntiChurnGuards(action, driftInfo.position, getMarketState(state, DEFAULT_MARKET), now);
+  if (veto) return { ...hold, veto };
+
+  if (action === 'DEPOSIT_TO_DRIFT') {
+    const depositAmt = planDriftDeposit(decision.amount || 5, { agent: account.agent, treasury: account.treasury, drift: account.collateral }).amount;
+    if (depositAmt < 1) return hold;
+    account.agent -= depositAmt;
+    account.collateral += depositAmt;
+    return { action, amount: depositAmt };
+  }
+
+  if (action === 'OPEN_SHORT' || action === 'OPEN_LONG') {
+    const direction = action === 'OPEN_SHORT' ? 'SHORT' : 'LONG';
+    const leverage = Math.min(decision.leverage || DEFAULT_LEVERAGE, MAX_LEVERAGE);
+    // Same sizing as executeTrade; the backtest has no risk manager, so no exposure cap
+    const { sizeUsd } = positionSize({ ...decision, leverage }, {
+      equity: account.agent + account.treasury + account.collateral + (driftInfo.position?.unrealizedPnl || 0),
+      freeCollateral: driftInfo.freeCollateral,
+      prices: state.prices,
+      trades: state.strategyTrades,
+    });
+    if (sizeUsd < MIN_PERP_SIZE_USD) return hold;
+
+    let closed = null;
+    if (account.position) {
+      closed = closeSimPosition(account, price, now, nextSample, opts);
+      if (!closed) return hold;
+    }
+
+    const side = direction === 'LONG' ? 'BUY' : 'SELL';
+    const limitPrice = price * (side === 'BUY' ? 1 + LIMIT_OFFSET_PCT : 1 - LIMIT_OFFSET_PCT);
+    const fill = simulateLimitFill(side, limitPrice, now, nextSample, opts.fillTimeoutMs);
+    if (!fill) return { ...hold, unfilled: true };
+
+    const base = sizeUsd / price;
+    // Charged on the filled notional, like the close in closeSimPosition
+    const fee = base * fill.price * opts.feeBps / 10_000;
+    account.collateral -= fee;
+    account.fees += fee;
+    account.position = { baseAmount: direction === 'LONG' ? base : -base, entryPrice: fill.price, leverage };
+    return { action, amount: sizeUsd, fillPrice: fill.price, closed };
+  }
+
+  if (action === 'CLOSE_SHORT' || action === 'CLOSE_LONG') {
+    if (!account.position) return hold;
+    const closed = closeSimPosition(account, price, now, nextSample, opts);
+    if (!closed) return { ...hold, unfilled: true };
+    return { action, amount: Math.abs(closed.pnl), pnl: closed.pnl, fillPrice: closed.fillPrice, escalated: closed.escalated };
+  }
+
+  const transfer = planTreasuryTransfer(action, decision.amount || 0, { agent: account.agent, treasury: account.treasury, drift: account.collateral });
+  if (!transfer) return hold;
+  if (transfer.direction === 'TO_TREASURY') {
+    account.agent -= transfer.amount;
+    account.treasury += transfer.amount;
+  } else {
+    account.treasury -= transfer.amount;
+    account.agent += transfer.amount;
+  }
+  return { action, amount: transfer.amount };
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+// Percentage change vs the first sample at least 24h older (or the series start)
+function change24h(series, i) {
+  const now = series[i];
+  let ref = series[0];
+  for (let j = i; j >= 0; j--) {
+    if (now.time - series[j].time >= DAY_MS) { ref = series[j]; break; }
+  }
+  return ref.price > 0 ? (now.price - ref.price) / ref.price * 100 : 0;
+}
+
+function runBacktest(series, startBalances, opts) {
+  const account = {
+    agent: startBalances.agent,
+    treasury: startBalances.treasury,
+    collateral: startBalances.collateral,
+    position: null,
+    fees: 0,
+  };
+  const state = {
+    prices: [],
+    trades: [],
+    cycle: 0,
+    startTime: series[0].time,
+    totalTransactions: 0,
+    totalVolumeUSDC: 0,
+    initialBalance: null,
+    balanceHistory: [],
+    realizedPnL: 0,
+    realizedPnLHistory: [],
+    strategyPnL: 0,
+    strategyTrades: [],
+    markets: {},
+  };
+  const sol = getMarketState(state, DEFAULT_MARKET);
+  const book = createCandleStore();   // Replayed prices as OHLC bars, never written to disk
+  const equityCurve = [];
+  let vetoes = 0;
+  let unfilled = 0;
+  let escalated = 0;
+
+  for (let i = 0; i < series.length; i++) {
+    const { time: now, price } = series[i];
+    const nextSample = series[i + 1];
+    state.cycle++;
+
+    state.prices.push({ time: now, price });
+    book.record(DEFAULT_MARKET, price, now);
+    if (state.prices.length > 200) state.prices = state.prices.slice(-200);
+
+    const driftInfo = simulatedDriftInfo(account, price);
+    const driftUnrealizedPnL = driftInfo.position?.unrealizedPnl || 0;
+    const totalBalance = account.agent + account.treasury + account.collateral + driftUnrealizedPnL;
+    if (state.initialBalance === null) state.initialBalance = totalBalance;
+
+    const snapshot = {
+      time: now,
+      total: totalBalance,
+      agent: account.agent,
+      treasury: account.treasury,
+      drift: account.collateral + driftUnrealizedPnL,
+    };
+    state.balanceHistory.push(snapshot);
+    if (state.balanceHistory.length > 500) state.balanceHistory = state.balanceHistory.slice(-500);
+    equityCurve.push({ ...snapshot, price });
+
+    const context = {
+      agentBalance: account.agent,
+      treasuryBalance: account.treasury,
+      solPrice: price,
+      solChange24h: change24h(series, i),
+      priceHistory: state.prices.slice(-20),
+      recentTrades: state.trades.slice(-10),
+      cycle: state.cycle,
+      driftAvailable: true,
+      driftHasAccount: driftInfo.hasAccount,
+      driftPosition: driftInfo.position,
+      driftBalance: driftInfo.driftBalance,
+      freeCollateral: driftInfo.freeCollateral,
+      positionOpenTime: sol.lastPositionOpenTime,
+      lastCloseTime: sol.lastPositionCloseTime,
+      trendAnalysis: analyzeTrend(state.prices.slice(-20)),
+      indicators: indicatorsFor(state.prices),
+      timeframes: book.context(DEFAULT_MARKET, INDICATOR_PERIODS),
+    };
+
+    const decision = makeRuleBasedDecision(context);
+    const result = simulateTrade(decision, account, driftInfo, state, price, now, nextSample, opts);
+    if (result.veto) vetoes++;
+    if (result.unfilled) unfilled++;
+    if (result.escalated || result.closed?.escalated) escalated++;
+
+    state.trades.push({
+      time: now,
+      cycle: state.cycle,
+      action: result.action,
+      amount: result.amount,
+      requestedAction: decision.action,
+      confidence: decision.confidence,
+      reason: result.veto ? `[Anti-churn] ${result.veto}` : decision.reason,
+      market_outlook: decision.market_outlook,
+      solPrice: price,
+      fillPrice: result.fillPrice,
+    });
+
+    if (result.action !== 'HOLD') {
+      state.totalTransactions++;
+      state.totalVolumeUSDC += result.amount;
+    }
+
+    // Same bookkeeping as tradingCycle, but realized P&L comes from the simulated fill
+    if (result.closed) {
+      recordRealizedPnL(state, DEFAULT_MARKET, result.closed.pnl, now);
+      recordPositionClose(state, DEFAULT_MARKET, price, 0, now);
+    }
+    if (result.action === 'OPEN_SHORT' || result.action === 'OPEN_LONG') {
+      recordPositionOpen(state, DEFAULT_MARKET, result.action === 'OPEN_LONG' ? 'LONG' : 'SHORT', price, Math.abs(account.position.baseAmount), now);
+    }
+    if (result.action === 'CLOSE_SHORT' || result.action === 'CLOSE_LONG') {
+      recordRealizedPnL(state, DEFAULT_MARKET, result.pnl, now);
+      recordPositionClose(state, DEFAULT_MARKET, price, 0, now);
+    }
+  }
+
+  const last = series[series.length - 1];
+  const finalDrift = simulatedDriftInfo(account, last.price);
+  const unrealizedPnL = finalDrift.position?.unrealizedPnl || 0;
+  const totalNow = account.agent + account.treasury + account.collateral + unrealizedPnL;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    input: {
+      samples: series.length,
+      from: new Date(series[0].time).toISOString(),
+      to: new Date(last.time).toISOString(),
+      feeBps: opts.feeBps,
+      fillTimeoutMs: opts.fillTimeoutMs,
+      closeEscalation: opts.closeEscalation,
+      startBalances,
+    },
+    balances: {
+      agent: account.agent,
+      treasury: account.treasury,
+      drift: account.collateral,
+      total: totalNow,
+    },
+    performance: buildPerformance(state, totalNow, unrealizedPnL),
+    stats: {
+      totalCycles: state.cycle,
+      totalTransactions: state.totalTransactions,
+      totalVolumeUSDC: state.totalVolumeUSDC,
+      feesPaid: account.fees,
+      antiChurnVetoes: vetoes,
+      unfilledOrders: unfilled,
+      escalatedCloses: escalated,
+      openPosition: finalDrift.position,
+    },
+    equityCurve,
+    trades: state.trades.filter(t => t.action !== 'HOLD'),
+    strategyTrades: state.strategyTrades,
+    realizedPnLHistory: state.realizedPnLHistory,
+  };
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const opts = {
+    feeBps: args.feeBps !== undefined ? Number(args.feeBps) : DEFAULT_FEE_BPS,
+    fillTimeoutMs: args.fillTimeout !== undefined ? Number(args.fillTimeout) : ORDER_FILL_TIMEOUT_MS,
+    closeEscalation: args.closeEscalation || CLOSE_ESCALATION,
+  };
+  if (!CLOSE_ESCALATIONS.includes(opts.closeEscalation)) {
+    throw new Error(`Invalid --close-escalation "${opts.closeEscalation}" (expected ${CLOSE_ESCALATIONS.join(' or ')})`);
+  }
+
+  const { series, startBalances: recorded } = loadInput(args);
+  if (series.length < 2) {
+    console.log('Not enough price samples to backtest (need at least 2).');
+    process.exit(1);
+  }
+  series.sort((a, b) => a.time - b.time);
+
+  const startBalances = {
+    agent: args.agent !== undefined ? Number(args.agent) : (recorded?.agent ?? 50),
+    treasury: args.treasury !== undefined ? Number(args.treasury) : (recorded?.treasury ?? 50),
+    collateral: args.collateral !== undefined ? Number(args.collateral) : (recorded?.collateral ?? 0),
+  };
+
+  const report = runBacktest(series, startBalances, opts);
+  const perf = report.performance;
+
+  console.log('=== Backtest Results ===\n');
+  console.log(`Samples:      ${report.input.samples} (${report.input.from} → ${report.input.to})`);
+  console.log(`Fees:         ${opts.feeBps} bps per fill | Fill timeout: ${(opts.fillTimeoutMs / 1000).toFixed(0)}s | Close escalation: ${opts.closeEscalation}`);
+  console.log('');
+  console.log('Performance:');
+  console.log(`  Initial:        ${safe(perf.initialBalance)} USDC`);
+  console.log(`  Final:          ${safe(perf.currentBalance)} USDC`);
+  console.log(`  Total P&L:      ${safe(perf.totalPnL)} USDC (${safe(perf.totalPnLPercent)}%)`);
+  console.log(`  Realized P&L:   ${safe(perf.realizedPnL)} USDC`);
+  console.log(`  Strategy P&L:   ${safe(perf.strategyPnL)} USDC`);
+  console.log(`  Spread cost:    ${safe(perf.spreadCost)} USDC`);
+  console.log('');
+  console.log('Activity:');
+  console.log(`  Cycles:         ${report.stats.totalCycles}`);
+  console.log(`  Transactions:   ${report.stats.totalTransactions}`);
+  console.log(`  Volume:         ${safe(report.stats.totalVolumeUSDC)} USDC`);
+  console.log(`  Fees paid:      ${safe(report.stats.feesPaid, 4)} USDC`);
+  console.log(`  Anti-churn:     ${report.stats.antiChurnVetoes} vetoed`);
+  console.log(`  Unfilled:       ${report.stats.unfilledOrders} limit order(s) cancelled`);
+  console.log(`  Escalated:      ${report.stats.escalatedCloses} close(s) finished with a market order`);
+
+  const outFile = args.out || path.join(LOG_DIR, `backtest-${Date.now()}.json`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+  console.log(`\nReport written to ${outFile}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`Backtest failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { runBacktest, loadCSV, simulateLimitFill };
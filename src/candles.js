@@ -0,0 +1,261 @@
+/**
+ * OHLCV Candles
+ *
+ * Aggregates every price the agent observes into bars at 1m, 5m, 15m and 1h, one
+ * file per market under logs/candles/ (logs/paper-candles/ in paper mode). Bars are
+ * kept far beyond the 200-reading price history (RETENTION below) and loaded again
+ * on startup, so a restarted agent has trend context from its first cycle.
+ *
+ * Observations are the price feed's fresh consensus prices: one per market per cycle,
+ * plus one every CANDLE_POLL_MS while the agent waits between cycles. The price sources
+ * report no traded volume, so `volume` stays 0 unless an observation carries one;
+ * `samples` counts the observations in a bar. Periods without an observation have no bar.
+ *
+ *   npm run candles                                         Latest bars for every market and timeframe
+ *   npm run candles -- --market SOL-PERP --timeframe 5m --limit 50
+ *   npm run candles -- --import prices.csv [--market BTC-PERP]
+ *                      Warm-start from a time,price CSV (like the backtester's) or a state file
+ *   (add --paper for the paper trading candles)
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const { computeIndicators } = require('./indicators');
+const { DEFAULT_MARKET, resolveMarket } = require('./markets');
+const { parseArgs, parseTime } = require('./cli-args');
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+const MINUTE_MS = 60 * 1000;
+
+const TIMEFRAMES = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+};
+
+// Bars kept per timeframe: 1 day of 1m, 1 week of 5m, 30 days of 15m, 90 days of 1h
+const RETENTION = {
+  '1m': 1440,
+  '5m': 2016,
+  '15m': 2880,
+  '1h': 2160,
+};
+
+// Bars summarized per timeframe for the decision engines
+const CONTEXT_BARS = 12;
+
+// Paths (must match agent.js)
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const CANDLE_DIR = path.join(LOG_DIR, PAPER_TRADING ? 'paper-candles' : 'candles');
+
+// ─── Aggregation ─────────────────────────────────────────────────────────────
+
+function emptySeries() {
+  return { lastTime: null, bars: Object.fromEntries(Object.keys(TIMEFRAMES).map(tf => [tf, []])) };
+}
+
+/**
+ * In-memory candle store. `load(symbol)` may return a saved series ({ lastTime, bars })
+ * the first time a market is touched. The agent's store is backed by files (below);
+ * the backtester builds its own from the replayed prices.
+ */
+function createCandleStore({ load = () => null } = {}) {
+  const markets = {};    // symbol → { lastTime, bars: { timeframe → [{ time, open, high, low, close, volume, samples }] } }
+  const dirty = new Set();
+
+  function seriesFor(symbol) {
+    if (!markets[symbol]) {
+      const saved = load(symbol);
+      markets[symbol] = emptySeries();
+      if (saved) {
+        markets[symbol].lastTime = saved.lastTime ?? null;
+        for (const tf of Object.keys(TIMEFRAMES)) markets[symbol].bars[tf] = saved.bars?.[tf] || [];
+      }
+    }
+    return markets[symbol];
+  }
+
+  return {
+    markets,
+    dirty,
+
+    // Add one observation to every timeframe. Observations at or before the last one are
+    // ignored (the feed repeats its last consensus while sources are down). Returns whether it was used.
+    record(market, price, time = Date.now(), volume = 0) {
+      const symbol = resolveMarket(market).symbol;
+      if (!(price > 0) || !Number.isFinite(time)) return false;
+      const series = seriesFor(symbol);
+      if (series.lastTime !== null && time <= series.lastTime) return false;
+
+      for (const [tf, ms] of Object.entries(TIMEFRAMES)) {
+        const bars = series.bars[tf];
+        const open = Math.floor(time / ms) * ms;
+        const last = bars[bars.length - 1];
+        if (last && last.time === open) {
+          last.high = Math.max(last.high, price);
+          last.low = Math.min(last.low, price);
+          last.close = price;
+          last.volume += volume;
+          last.samples++;
+        } else {
+          bars.push({ time: open, open: price, high: price, low: price, close: price, volume, samples: 1 });
+          if (bars.length > RETENTION[tf]) bars.splice(0, bars.length - RETENTION[tf]);
+        }
+      }
+      series.lastTime = time;
+      dirty.add(symbol);
+      return true;
+    },
+
+    // Most recent `limit` bars of a timeframe, oldest first
+    candles(market, timeframe, limit = Infinity) {
+      if (!TIMEFRAMES[timeframe]) throw new Error(`Unknown timeframe "${timeframe}" (expected ${Object.keys(TIMEFRAMES).join(', ')})`);
+      const bars = seriesFor(resolveMarket(market).symbol).bars[timeframe];
+      return Number.isFinite(limit) ? bars.slice(-limit) : bars.slice();
+    },
+
+    // Per-timeframe summary for the decision engines: [{ timeframe, bars, close, changePct,
+    // high, low, rsi, atrPct, trend }] for timeframes with at least two bars. changePct, high
+    // and low cover the last CONTEXT_BARS bars; trend compares the fast and slow EMAs of the
+    // closes (null until there are emaSlow bars).
+    context(market, periods = {}) {
+      const series = seriesFor(resolveMarket(market).symbol);
+      return Object.keys(TIMEFRAMES).map(timeframe => {
+        const bars = series.bars[timeframe];
+        if (bars.length < 2) return null;
+        const recent = bars.slice(-CONTEXT_BARS);
+        const ind = computeIndicators(bars.map(b => ({ ...b, price: b.close })), periods);
+        const emaDiff = ind.emaFast !== null && ind.emaSlow !== null ? (ind.emaFast - ind.emaSlow) / ind.emaSlow * 100 : null;
+        return {
+          timeframe,
+          bars: bars.length,
+          close: recent[recent.length - 1].close,
+          changePct: (recent[recent.length - 1].close - recent[0].open) / recent[0].open * 100,
+          high: Math.max(...recent.map(b => b.high)),
+          low: Math.min(...recent.map(b => b.low)),
+          rsi: ind.rsi,
+          atrPct: ind.atrPct,
+          trend: emaDiff === null ? null : emaDiff > 0.1 ? 'bullish' : emaDiff < -0.1 ? 'bearish' : 'neutral',
+        };
+      }).filter(Boolean);
+    },
+  };
+}
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+
+function candleFile(symbol) {
+  return path.join(CANDLE_DIR, `${symbol}.json`);
+}
+
+function loadFile(symbol) {
+  try {
+    return JSON.parse(fs.readFileSync(candleFile(symbol), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// The agent's store, backed by logs/candles/<symbol>.json
+const store = createCandleStore({ load: loadFile });
+
+// Write the markets that changed since the last save. A failed write is logged, never thrown.
+function save() {
+  for (const symbol of store.dirty) {
+    try {
+      if (!fs.existsSync(CANDLE_DIR)) fs.mkdirSync(CANDLE_DIR, { recursive: true });
+      fs.writeFileSync(candleFile(symbol), JSON.stringify({ market: symbol, ...store.markets[symbol] }));
+    } catch (err) {
+      console.log(`  [Candles] Could not save ${symbol}: ${err.message}`);
+    }
+  }
+  store.dirty.clear();
+}
+
+// Price history ([{ time, price }]) rebuilt from the closes of a timeframe, for warm starts
+function closes(market, timeframe, limit) {
+  return store.candles(market, timeframe, limit).map(b => ({ time: b.time, price: b.close }));
+}
+
+// Timeframe whose bars best stand in for one reading every `intervalMs`: the longest one not above it
+function timeframeFor(intervalMs) {
+  const fitting = Object.entries(TIMEFRAMES).filter(([, ms]) => ms <= intervalMs);
+  return fitting.length > 0 ? fitting[fitting.length - 1][0] : '1m';
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+// Observations from a time,price CSV or a state file ({ prices } for SOL-PERP, markets[symbol].prices).
+// CSV times are epoch seconds, milliseconds or ISO dates, as in the backtester.
+function readObservations(file, market) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const symbol = resolveMarket(market).symbol;
+  if (file.endsWith('.csv')) {
+    return raw.trim().split('\n')
+      .map(line => line.split(',').map(s => s.trim()))
+      .map(([time, price, volume]) => ({ time: time ? parseTime(time) : NaN, price: Number(price), volume: Number(volume) || 0 }))
+      .filter(o => !isNaN(o.time) && o.price > 0);
+  }
+  const state = JSON.parse(raw);
+  const prices = symbol === DEFAULT_MARKET ? state.prices : state.markets?.[symbol]?.prices;
+  return (prices || []).map(p => ({ time: p.time, price: p.price, volume: 0 }));
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const market = resolveMarket(args.market || DEFAULT_MARKET).symbol;
+
+  if (args.import) {
+    const observations = readObservations(args.import, market).sort((a, b) => a.time - b.time);
+    const used = observations.filter(o => store.record(market, o.price, o.time, o.volume)).length;
+    save();
+    console.log(`[Candles] ${market}: ${used} of ${observations.length} observations imported into ${candleFile(market)}${used < observations.length ? ' (older than the existing bars were skipped)' : ''}`);
+    return;
+  }
+
+  const markets = args.market ? [market] : (fs.existsSync(CANDLE_DIR) ? fs.readdirSync(CANDLE_DIR).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)) : []);
+  const timeframes = args.timeframe ? [args.timeframe] : Object.keys(TIMEFRAMES);
+  const limit = Number(args.limit || (args.timeframe ? 20 : 3));
+  if (markets.length === 0) {
+    console.log(`No candles yet in ${CANDLE_DIR}. Run the agent or import prices with --import <file>.`);
+    return;
+  }
+
+  console.log(`=== Candles (${PAPER_TRADING ? 'paper' : 'devnet'}) ===`);
+  for (const symbol of markets) {
+    for (const tf of timeframes) {
+      const bars = store.candles(symbol, tf);
+      console.log(`\n${symbol} ${tf} — ${bars.length} bar(s)`);
+      for (const b of bars.slice(-limit)) {
+        console.log(`  ${new Date(b.time).toISOString().slice(0, 16).replace('T', ' ')}  O ${b.open.toFixed(4)}  H ${b.high.toFixed(4)}  L ${b.low.toFixed(4)}  C ${b.close.toFixed(4)}  V ${b.volume}  (${b.samples} obs)`);
+      }
+    }
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`[Candles] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createCandleStore,
+  record: (...args) => store.record(...args),
+  candles: (...args) => store.candles(...args),
+  context: (...args) => store.context(...args),
+  closes,
+  save,
+  timeframeFor,
+  TIMEFRAMES,
+  RETENTION,
+  CANDLE_DIR,
+};
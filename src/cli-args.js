@@ -0,0 +1,51 @@
+/**
+ * Command-Line Options
+ *
+ * Shared by the CLIs (backtest, candles, journal, notifier, report):
+ * `--fill-timeout 600000 --json` → { fillTimeout: '600000', json: true }.
+ * A flag followed by another flag (or nothing) is true; values stay strings.
+ *
+ * parseTime() reads the timestamps of price files (backtest --csv, candles --import):
+ * epoch seconds, epoch milliseconds or an ISO date. parseDate() reads --since / --until
+ * (journal, report) the same way.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      opts[key] = true;
+    } else {
+      opts[key] = next;
+      i++;
+    }
+  }
+  return opts;
+}
+
+// Milliseconds, or NaN when `value` is no time
+function parseTime(value) {
+  const num = Number(value);
+  if (!isNaN(num)) return num < 1e12 ? num * 1000 : num; // seconds or milliseconds
+  return new Date(value).getTime();
+}
+
+// parseTime() for a --since / --until value; "2026-10-12" is the start of that UTC day, or its
+// end with `endOfDay`. Throws on a value that is no time.
+function parseDate(value, endOfDay = false) {
+  const time = parseTime(value);
+  if (isNaN(time)) throw new Error(`Invalid date "${value}"`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+module.exports = {
+  parseArgs,
+  parseTime,
+  parseDate,
+};
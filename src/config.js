@@ -0,0 +1,377 @@
+/**
+ * Trading Configuration
+ *
+ * Every trading knob in one validated place. Values are resolved in layers,
+ * each overriding the one before:
+ *
+ *   1. Schema defaults (below)
+ *   2. Profile         built-in (conservative, aggressive) or defined under "profiles" in the config file
+ *   3. Config file     config.json in the repo root (or AGENT_CONFIG / --config <file>)
+ *   4. Environment     the setting's env name, e.g. MAX_PERP_SIZE_USD=5
+ *   5. CLI             --set maxPerpSizeUsd=5 (repeatable)
+ *   6. Operator        size limits set through the control API (control-server.js) while the agent runs
+ *
+ * The profile is picked with --profile <name>, AGENT_PROFILE, or "profile" in the
+ * config file. The agent calls reload() between cycles, so edits to the config
+ * file take effect without a restart; an invalid edit is rejected and the
+ * previous values stay in force.
+ *
+ *   npm run config                              Show the resolved config and where each value came from
+ *   npm run config -- --profile aggressive      Same, for another profile
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const { voterSpecError, MODES: ENSEMBLE_MODES } = require('./ensemble');
+const { MODES: SIZING_MODES } = require('./position-sizing');
+const { STRATEGIES: EXECUTION_STRATEGIES, CLOSE_ESCALATIONS } = require('./execution');
+const { marketListError } = require('./markets');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+const MINUTE_MS = 60 * 1000;
+
+// What happens to open positions when the agent shuts down (see shutdown() in agent.js)
+const SHUTDOWN_POLICIES = ['keep', 'flatten', 'flatten-if-losing'];
+
+// ─── Schema ──────────────────────────────────────────────────────────────────
+
+// type: integer | number | string | boolean. min/max are inclusive; `values` lists the allowed
+// strings; `check` returns an error message for values the type alone can't reject. Booleans
+// read true/false, 1/0, yes/no and on/off from env and CLI.
+const SCHEMA = {
+  tradeIntervalMs:     { type: 'integer', min: 1000, default: 120_000, env: 'TRADE_INTERVAL_MS', description: 'Time between trading cycles' },
+  maxCycles:           { type: 'integer', min: 1, default: 200, env: 'MAX_CYCLES', description: 'Cycles before the agent exits' },
+  driftMarkets:        { type: 'string', default: 'SOL-PERP', env: 'DRIFT_MARKETS', check: marketListError, description: 'Perp markets to trade, comma-separated (SOL-PERP is always included)' },
+  claudeModel:         { type: 'string', default: 'claude-sonnet-4-20250514', env: 'CLAUDE_MODEL', description: 'Model used for trading decisions' },
+  aiRepairAttempts:    { type: 'integer', min: 0, max: 5, default: 2, env: 'AI_REPAIR_ATTEMPTS', description: 'Times an invalid AI decision is sent back for repair before the rule engine takes over' },
+  ensembleMode:        { type: 'string', values: ENSEMBLE_MODES, default: 'off', env: 'ENSEMBLE_MODE', description: 'Combine several voters into one decision: off, majority, weighted or unanimous' },
+  ensembleVoters:      { type: 'string', default: 'ai,ai#cautious,rule', env: 'ENSEMBLE_VOTERS', check: voterSpecError, description: 'Ensemble voters: ai, rule or provider:model, each with an optional #variant' },
+  minUsdcTrade:        { type: 'number', min: 0.01, default: 0.5, env: 'MIN_USDC_TRADE', description: 'Smallest treasury transfer (USDC)' },
+  maxUsdcTradePct:     { type: 'number', min: 0.01, max: 1, default: 0.25, env: 'MAX_USDC_TRADE_PCT', description: 'Largest treasury transfer as a share of the source balance' },
+  minPerpSizeUsd:      { type: 'number', min: 0.01, default: 1, env: 'MIN_PERP_SIZE_USD', description: 'Smallest perp position (USD)' },
+  maxPerpSizeUsd:      { type: 'number', min: 0.01, default: 10, env: 'MAX_PERP_SIZE_USD', description: 'Largest perp position (USD)' },
+  defaultLeverage:     { type: 'number', min: 1, max: 10, default: 2, env: 'DEFAULT_LEVERAGE', description: 'Leverage when a decision does not specify one' },
+  maxLeverage:         { type: 'number', min: 1, max: 10, default: 5, env: 'MAX_LEVERAGE', description: 'Highest leverage the agent and Drift wrappers accept' },
+  sizingMode:          { type: 'string', values: SIZING_MODES, default: 'risk', env: 'SIZING_MODE', description: 'Perp sizing: risk (equity, volatility, confidence) or fixed (proposed size up to maxPerpSizeUsd)' },
+  riskPerTradePct:     { type: 'number', min: 0.0001, max: 0.1, default: 0.01, env: 'RISK_PER_TRADE_PCT', description: 'Share of equity lost if a full-confidence position hits its stop (risk sizing)' },
+  stopVolMultiple:     { type: 'number', min: 0.1, max: 10, default: 2, env: 'STOP_VOL_MULTIPLE', description: 'Stop distance in daily realized volatilities (risk sizing)' },
+  maxPositionPct:      { type: 'number', min: 0.01, max: 10, default: 1, env: 'MAX_POSITION_PCT', description: 'Largest position notional as a share of equity (risk sizing)' },
+  kellyFraction:       { type: 'number', min: 0, max: 1, default: 0, env: 'KELLY_FRACTION', description: 'Cap risk at this fraction of the Kelly bet from recent round trips; 0 disables (risk sizing)' },
+  minPositionHoldMs:   { type: 'integer', min: 0, default: 30 * MINUTE_MS, env: 'MIN_POSITION_HOLD_MS', description: 'Minimum time a position is held before it may be closed' },
+  tradeCooldownMs:     { type: 'integer', min: 0, default: 10 * MINUTE_MS, env: 'TRADE_COOLDOWN_MS', description: 'Wait after a close before opening again (per market)' },
+  spreadTolerancePct:  { type: 'number', min: 0, max: 1, default: 0.03, env: 'SPREAD_TOLERANCE_PCT', description: 'Losses below this share of position size are not closed' },
+  takeProfitPct:       { type: 'number', min: 0.001, max: 1, default: 0.08, env: 'TAKE_PROFIT_PCT', description: 'Take profit at this share of collateral' },
+  stopLossPct:         { type: 'number', min: 0.001, max: 1, default: 0.10, env: 'STOP_LOSS_PCT', description: 'Stop out at this share of collateral' },
+  maxFundingRatePct:   { type: 'number', min: 0, max: 1, default: 0.01, env: 'MAX_FUNDING_RATE_PCT', description: 'Hourly funding (percent of notional) a position may pay before the rule engine closes it or skips the open; 0 disables' },
+  orderFillTimeoutMs:  { type: 'integer', min: 1000, default: 3 * MINUTE_MS, env: 'ORDER_FILL_TIMEOUT_MS', description: 'Time an order (or TWAP slice) is worked with limit orders before it is given up or escalated' },
+  executionStrategy:   { type: 'string', values: EXECUTION_STRATEGIES, default: 'chase', env: 'EXECUTION_STRATEGY', description: 'Limit order handling: chase (re-price at the oracle) or limit (one order)' },
+  chaseAttempts:       { type: 'integer', min: 1, max: 20, default: 3, env: 'CHASE_ATTEMPTS', description: 'Limit orders placed within orderFillTimeoutMs by the chase strategy' },
+  closeEscalation:     { type: 'string', values: CLOSE_ESCALATIONS, default: 'market', env: 'CLOSE_ESCALATION', description: 'Finish closes the limit orders left open with a market order (market) or leave them (none)' },
+  twapThresholdUsd:    { type: 'number', min: 0, default: 50, env: 'TWAP_THRESHOLD_USD', description: 'Split orders above this notional into TWAP slices; 0 disables' },
+  twapSlices:          { type: 'integer', min: 2, max: 20, default: 3, env: 'TWAP_SLICES', description: 'Slices of a TWAP order' },
+  twapIntervalMs:      { type: 'integer', min: 0, default: 30_000, env: 'TWAP_INTERVAL_MS', description: 'Pause between TWAP slices' },
+  reconcileToleranceUsd: { type: 'number', min: 0, default: 0.05, env: 'RECONCILE_TOLERANCE_USD', description: 'Balance change between cycles, not made by the agent, that is booked as an external deposit or withdrawal' },
+  targetAgentPct:      { type: 'number', min: 0, max: 1, default: 0.4, env: 'TARGET_AGENT_PCT', description: 'Target share of agent wallet + treasury + Drift collateral kept in the agent wallet' },
+  targetTreasuryPct:   { type: 'number', min: 0, max: 1, default: 0.4, env: 'TARGET_TREASURY_PCT', description: 'Target share kept in the treasury wallet' },
+  targetDriftPct:      { type: 'number', min: 0, max: 1, default: 0.2, env: 'TARGET_DRIFT_PCT', description: 'Target share kept as Drift collateral' },
+  allocationBandPct:   { type: 'number', min: 0.01, max: 1, default: 0.15, env: 'ALLOCATION_BAND_PCT', description: 'How far a bucket\'s share may stray from its target before the rule engine rebalances; transfers may not push it further' },
+  agentReserveUsd:     { type: 'number', min: 0, default: 0, env: 'AGENT_RESERVE_USD', description: 'USDC always left in the agent wallet' },
+  treasuryReserveUsd:  { type: 'number', min: 0, default: 0, env: 'TREASURY_RESERVE_USD', description: 'USDC always left in the treasury' },
+  driftReserveUsd:     { type: 'number', min: 0, default: 0, env: 'DRIFT_RESERVE_USD', description: 'Drift collateral the rule engine keeps deposited at least' },
+  // Portfolio risk limits (risk-manager.js)
+  riskMaxDrawdownPct:  { type: 'number', min: 0.01, max: 1, default: 0.25, env: 'RISK_MAX_DRAWDOWN_PCT', description: 'Halt trading when the total balance falls this share below its peak' },
+  riskDailyLossPct:    { type: 'number', min: 0.001, max: 1, default: 0.10, env: 'RISK_DAILY_LOSS_PCT', description: 'Halt trading when realized losses over 24h exceed this share of the initial balance' },
+  riskMaxExposureUsd:  { type: 'number', min: 0.01, default: 30, env: 'RISK_MAX_EXPOSURE_USD', description: 'Largest total perp notional across markets (USD); opens beyond it are vetoed' },
+  riskMaxTradesPerHour: { type: 'integer', min: 1, max: 120, default: 6, env: 'RISK_MAX_TRADES_PER_HOUR', description: 'Executed trades per rolling hour before opens are vetoed' },
+  riskFlattenOnHalt:   { type: 'boolean', default: true, env: 'RISK_FLATTEN_ON_HALT', description: 'Close every position when a risk halt triggers' },
+  shutdownPolicy:      { type: 'string', values: SHUTDOWN_POLICIES, default: 'keep', env: 'SHUTDOWN_POLICY', description: 'Open positions on shutdown: keep (protective orders stay armed), flatten, or flatten-if-losing' },
+  // Indicator windows, in price samples (one per cycle; each market keeps the last 200)
+  emaFastPeriod:       { type: 'integer', min: 2, max: 100, default: 12, env: 'EMA_FAST_PERIOD', description: 'Fast EMA, also the MACD fast line' },
+  emaSlowPeriod:       { type: 'integer', min: 2, max: 100, default: 26, env: 'EMA_SLOW_PERIOD', description: 'Slow EMA, also the MACD slow line' },
+  macdSignalPeriod:    { type: 'integer', min: 2, max: 50, default: 9, env: 'MACD_SIGNAL_PERIOD', description: 'MACD signal line EMA' },
+  rsiPeriod:           { type: 'integer', min: 2, max: 100, default: 14, env: 'RSI_PERIOD', description: 'RSI window (Wilder smoothing)' },
+  bollingerPeriod:     { type: 'integer', min: 2, max: 100, default: 20, env: 'BOLLINGER_PERIOD', description: 'Bollinger Band moving average window' },
+  bollingerStdDev:     { type: 'number', min: 0.5, max: 5, default: 2, env: 'BOLLINGER_STD_DEV', description: 'Bollinger Band width in standard deviations' },
+  atrPeriod:           { type: 'integer', min: 2, max: 100, default: 14, env: 'ATR_PERIOD', description: 'Average true range window (Wilder smoothing)' },
+  vwapPeriod:          { type: 'integer', min: 2, max: 100, default: 20, env: 'VWAP_PERIOD', description: 'Volume-weighted (time-weighted without volume) average price window' },
+  rocPeriod:           { type: 'integer', min: 1, max: 100, default: 10, env: 'ROC_PERIOD', description: 'Rate of change lookback' },
+};
+
+// Built-in profiles. A config file may override these or add its own under "profiles".
+const PROFILES = {
+  default: {},
+  conservative: {
+    tradeIntervalMs: 5 * MINUTE_MS,
+    maxPerpSizeUsd: 5,
+    defaultLeverage: 1,
+    maxLeverage: 2,
+    riskPerTradePct: 0.005,
+    maxPositionPct: 0.5,
+    minPositionHoldMs: 60 * MINUTE_MS,
+    tradeCooldownMs: 30 * MINUTE_MS,
+    takeProfitPct: 0.05,
+    stopLossPct: 0.05,
+    targetAgentPct: 0.3,
+    targetTreasuryPct: 0.6,
+    targetDriftPct: 0.1,
+    riskMaxDrawdownPct: 0.15,
+    riskDailyLossPct: 0.05,
+    riskMaxExposureUsd: 10,
+    riskMaxTradesPerHour: 4,
+  },
+  aggressive: {
+    tradeIntervalMs: 60_000,
+    maxPerpSizeUsd: 25,
+    defaultLeverage: 3,
+    maxLeverage: 5,
+    riskPerTradePct: 0.02,
+    maxPositionPct: 2,
+    minPositionHoldMs: 10 * MINUTE_MS,
+    tradeCooldownMs: 3 * MINUTE_MS,
+    spreadTolerancePct: 0.02,
+    takeProfitPct: 0.15,
+    stopLossPct: 0.15,
+    targetAgentPct: 0.3,
+    targetTreasuryPct: 0.3,
+    targetDriftPct: 0.4,
+    riskMaxDrawdownPct: 0.35,
+    riskDailyLossPct: 0.15,
+    riskMaxExposureUsd: 100,
+    riskMaxTradesPerHour: 12,
+  },
+};
+
+// Keys in the config file that are not settings
+const FILE_KEYS = ['profile', 'profiles'];
+
+let current = null;
+let operatorOverrides = {};
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+// --config <file>, --profile <name> and repeated --set key=value from argv
+function parseCliArgs(argv = process.argv.slice(2)) {
+  const opts = { overrides: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config' || arg === '--profile') {
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg === '--set') {
+      const pair = argv[++i] || '';
+      const eq = pair.indexOf('=');
+      if (eq < 1) throw new Error(`Invalid --set "${pair}" (expected key=value)`);
+      opts.overrides[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+  }
+  return opts;
+}
+
+// Close match for a mistyped key: same letters ignoring case/underscores, or the env name
+function suggestKey(key) {
+  const flat = String(key).toLowerCase().replace(/[_-]/g, '');
+  return Object.keys(SCHEMA).find(k => k.toLowerCase() === flat || SCHEMA[k].env === key) || null;
+}
+
+function unknownKeyError(key, where) {
+  const suggestion = suggestKey(key);
+  return `${where}: unknown setting "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`;
+}
+
+// Coerce one value to its schema type. Strings from env/CLI are parsed; returns { value } or { error }.
+function coerce(key, raw) {
+  const spec = SCHEMA[key];
+  if (spec.type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const flag = String(raw).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(flag)) return { value: true };
+    if (['0', 'false', 'no', 'off'].includes(flag)) return { value: false };
+    return { error: `must be true or false (got ${JSON.stringify(raw)})` };
+  }
+  if (spec.type === 'string') {
+    if (typeof raw !== 'string' || raw.trim() === '') return { error: 'must be a non-empty string' };
+    const value = raw.trim();
+    if (spec.values && !spec.values.includes(value)) return { error: `must be one of ${spec.values.join(', ')} (got "${value}")` };
+    const error = spec.check ? spec.check(value) : null;
+    return error ? { error } : { value };
+  }
+
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `must be a number (got ${JSON.stringify(raw)})` };
+  if (spec.type === 'integer' && !Number.isInteger(value)) return { error: `must be a whole number (got ${value})` };
+  if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min} (got ${value})` };
+  if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max} (got ${value})` };
+  return { value };
+}
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+function readConfigFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`Config file not found: ${file}`);
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${file}: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${file} must contain a JSON object`);
+  }
+  return parsed;
+}
+
+// Resolve every layer into a frozen config object. Throws one Error listing every problem.
+function resolve({ argv = process.argv.slice(2), env = process.env, operator = operatorOverrides } = {}) {
+  const cli = parseCliArgs(argv);
+  const explicitFile = cli.config || env.AGENT_CONFIG;
+  const file = explicitFile ? path.resolve(explicitFile) : DEFAULT_CONFIG_FILE;
+  const fileData = readConfigFile(file, Boolean(explicitFile));
+  const fileName = path.basename(file);
+
+  const errors = [];
+  const profiles = { ...PROFILES, ...(fileData.profiles || {}) };
+  const profile = cli.profile || env.AGENT_PROFILE || fileData.profile || 'default';
+  if (!profiles[profile]) {
+    throw new Error(`Unknown profile "${profile}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const values = {};
+  const sources = {};
+  const apply = (key, raw, source) => {
+    const { value, error } = coerce(key, raw);
+    if (error) errors.push(`${key}: ${error} from ${source}`);
+    else {
+      values[key] = value;
+      sources[key] = source;
+    }
+  };
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    values[key] = spec.default;
+    sources[key] = 'default';
+  }
+  for (const [key, raw] of Object.entries(profiles[profile])) {
+    if (!SCHEMA[key]) errors.push(unknownKeyError(key, `profile "${profile}"`));
+    else apply(key, raw, `profile "${profile}"`);
+  }
+  for (const [key, raw] of Object.entries(fileData)) {
+    if (FILE_KEYS.includes(key)) continue;
+    if (!SCHEMA[key]) errors.push(unknownKeyError(key, fileName));
+    else apply(key, raw, fileName);
+  }
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (env[spec.env] !== undefined && env[spec.env] !== '') apply(key, env[spec.env], `env ${spec.env}`);
+  }
+  for (const [key, raw] of Object.entries(cli.overrides)) {
+    if (!SCHEMA[key]) errors.push(unknownKeyError(key, '--set'));
+    else apply(key, raw, '--set');
+  }
+  for (const [key, raw] of Object.entries(operator)) {
+    if (!SCHEMA[key]) errors.push(unknownKeyError(key, 'operator'));
+    else apply(key, raw, 'operator');
+  }
+
+  // Cross-field rules
+  if (values.minPerpSizeUsd > values.maxPerpSizeUsd) {
+    errors.push(`minPerpSizeUsd ($${values.minPerpSizeUsd}) must not exceed maxPerpSizeUsd ($${values.maxPerpSizeUsd})`);
+  }
+  if (values.maxPerpSizeUsd > values.riskMaxExposureUsd) {
+    errors.push(`maxPerpSizeUsd ($${values.maxPerpSizeUsd}) must not exceed riskMaxExposureUsd ($${values.riskMaxExposureUsd})`);
+  }
+  if (values.defaultLeverage > values.maxLeverage) {
+    errors.push(`defaultLeverage (${values.defaultLeverage}x) must not exceed maxLeverage (${values.maxLeverage}x)`);
+  }
+  const targetSum = values.targetAgentPct + values.targetTreasuryPct + values.targetDriftPct;
+  if (Math.abs(targetSum - 1) > 0.001) {
+    errors.push(`targetAgentPct + targetTreasuryPct + targetDriftPct must add up to 1 (got ${+targetSum.toFixed(4)})`);
+  }
+  if (values.emaFastPeriod >= values.emaSlowPeriod) {
+    errors.push(`emaFastPeriod (${values.emaFastPeriod}) must be shorter than emaSlowPeriod (${values.emaSlowPeriod})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (profile "${profile}"):\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return Object.freeze({
+    ...values,
+    profile,
+    file: fs.existsSync(file) ? file : null,
+    sources: Object.freeze(sources),
+  });
+}
+
+// Current config, resolved on first use
+function get() {
+  if (!current) current = resolve();
+  return current;
+}
+
+// Re-resolve all layers. Returns { changed: [{ key, from, to }] } and swaps in the new config,
+// or { error } and keeps the previous one when the new values are invalid.
+function reload() {
+  const previous = get();
+  let next;
+  try {
+    next = resolve();
+  } catch (err) {
+    return { changed: [], error: err.message };
+  }
+  const changed = Object.keys(SCHEMA)
+    .filter(key => next[key] !== previous[key])
+    .map(key => ({ key, from: previous[key], to: next[key] }));
+  if (next.profile !== previous.profile) changed.unshift({ key: 'profile', from: previous.profile, to: next.profile });
+  current = next;
+  return { changed };
+}
+
+// Replace the operator layer and re-resolve. Returns { changed } like reload(), or { error } and
+// keeps the previous overrides and config when the result would be invalid.
+function setOperatorOverrides(overrides) {
+  const previous = operatorOverrides;
+  operatorOverrides = { ...overrides };
+  const result = reload();
+  if (result.error) operatorOverrides = previous;
+  return result;
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+function formatValue(key, value) {
+  return key.endsWith('Ms') ? `${value} (${value / MINUTE_MS >= 1 ? `${+(value / MINUTE_MS).toFixed(2)}min` : `${value / 1000}s`})` : String(value);
+}
+
+function main() {
+  let config;
+  try {
+    config = get();
+  } catch (err) {
+    console.error(`[Config] ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log(`=== Trading Config (profile "${config.profile}") ===\n`);
+  console.log(`File: ${config.file || `none (create ${path.basename(DEFAULT_CONFIG_FILE)} to override defaults)`}\n`);
+  for (const key of Object.keys(SCHEMA)) {
+    console.log(`  ${key.padEnd(20)} ${formatValue(key, config[key]).padEnd(28)} ${config.sources[key]}`);
+  }
+  console.log(`\nProfiles: ${Object.keys({ ...PROFILES, ...(readConfigFile(config.file || DEFAULT_CONFIG_FILE, false).profiles || {}) }).join(', ')}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  get,
+  reload,
+  setOperatorOverrides,
+  resolve,
+  parseCliArgs,
+  SCHEMA,
+  PROFILES,
+  DEFAULT_CONFIG_FILE,
+};
@@ -0,0 +1,263 @@
+/**
+ * Control API
+ *
+ * Local HTTP/JSON interface to a running agent, so it can be steered without killing
+ * the process. The agent starts the server (createControlServer) and supplies the
+ * command handlers; every command is recorded in the trade history as an operator
+ * action (see the Operator Control section of agent.js).
+ *
+ * The server listens on 127.0.0.1 only, and every request needs the token as
+ * `Authorization: Bearer <token>`. The token is CONTROL_TOKEN, or a random one the
+ * agent writes to logs/control-token (logs/paper-control-token in paper mode) when
+ * it starts. CONTROL_PORT=0 disables the API.
+ *
+ * Routes (JSON in and out):
+ *   GET  /api/state     Loop status, operator overrides, size limits, positions, orders and balances
+ *   POST /api/pause     { reason }            Start no new cycle until resumed
+ *   POST /api/resume                          Start the next cycle now
+ *   POST /api/cycle                           Run a cycle now, also while paused
+ *   POST /api/close     { market }            Close the Drift position (every market without one)
+ *   POST /api/cancel    { market, protective } Cancel resting limit orders (and stop-loss / take-profit orders)
+ *   POST /api/mode      { mode }              Decide with ai (the configured engine) or rule (rule-based only)
+ *   POST /api/limits    { maxPerpSizeUsd, ... } or { reset: true }
+ *
+ *   npm run control -- state
+ *   npm run control -- pause "news event"
+ *   npm run control -- resume | cycle | cancel [--protective] | mode rule
+ *   npm run control -- close [--market SOL-PERP]
+ *   npm run control -- limits maxPerpSizeUsd=5 maxLeverage=2 | limits --reset
+ *   (add --paper to reach an agent in paper mode)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+const PORT = Number(process.env.CONTROL_PORT || 3001);
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Paths (must match agent.js)
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const TOKEN_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-control-token' : 'control-token');
+
+// Route → handler name
+const ROUTES = {
+  'GET /api/state': 'state',
+  'POST /api/pause': 'pause',
+  'POST /api/resume': 'resume',
+  'POST /api/cycle': 'cycle',
+  'POST /api/close': 'close',
+  'POST /api/cancel': 'cancel',
+  'POST /api/mode': 'mode',
+  'POST /api/limits': 'limits',
+};
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-cache' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        // Stop reading instead of buffering the rest of an oversized body
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        const parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error();
+        resolve(parsed);
+      } catch {
+        reject(new Error('Request body must be a JSON object'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function tokenMatches(header, token) {
+  const given = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Control server for the agent. `handlers` maps each handler name in ROUTES to an async
+ * function of the request body that returns the response body. A handler that throws rejects
+ * the command: the client gets 400 with { error }.
+ *
+ * Returns { start, stop, port, token }. start() resolves once listening (or at once when
+ * CONTROL_PORT is 0) and writes the token file; stop() closes the server and removes it.
+ */
+function createControlServer({ handlers, token = process.env.CONTROL_TOKEN || crypto.randomBytes(24).toString('hex'), port = PORT }) {
+  let server = null;
+
+  async function handleRequest(req, res) {
+    if (!tokenMatches(req.headers.authorization, token)) return sendJSON(res, 401, { error: 'Missing or wrong control token' });
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, `http://${HOST}`));
+    } catch {
+      return sendJSON(res, 400, { error: `Malformed request path ${req.url}` });
+    }
+    const name = ROUTES[`${req.method} ${pathname}`];
+    if (!name) return sendJSON(res, 404, { error: `Unknown command ${req.method} ${pathname}`, routes: Object.keys(ROUTES) });
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      return sendJSON(res, 400, { error: err.message });
+    }
+    try {
+      sendJSON(res, 200, await handlers[name](body));
+    } catch (err) {
+      sendJSON(res, 400, { error: err.message });
+    }
+  }
+
+  return {
+    port,
+    token,
+
+    start() {
+      if (!port) return Promise.resolve(false);
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handleRequest);
+        server.once('error', reject);
+        server.listen(port, HOST, () => {
+          if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+          fs.writeFileSync(TOKEN_FILE, token, { mode: 0o600 });
+          resolve(true);
+        });
+      });
+    },
+
+    stop() {
+      if (!server) return Promise.resolve();
+      try {
+        fs.unlinkSync(TOKEN_FILE);
+      } catch {}
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+// Send one command to the running agent. Resolves to { status, body }.
+function request(method, route, body, token) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : '';
+    const req = http.request({
+      host: HOST,
+      port: PORT,
+      path: route,
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(data) });
+        } catch {
+          resolve({ status: res.statusCode, body: { error: data } });
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+function readToken() {
+  if (process.env.CONTROL_TOKEN) return process.env.CONTROL_TOKEN;
+  try {
+    return fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+  } catch {
+    throw new Error(`No control token: set CONTROL_TOKEN or start the agent${PAPER_TRADING ? ' with --paper' : ''} (it writes ${TOKEN_FILE})`);
+  }
+}
+
+// Command line → [method, route, body]
+function parseCommand(argv) {
+  const args = argv.filter(a => a !== '--paper');
+  const [command = 'state', ...rest] = args;
+  const flag = name => {
+    const i = rest.indexOf(`--${name}`);
+    if (i === -1) return undefined;
+    const next = rest[i + 1];
+    return next === undefined || next.startsWith('--') ? true : next;
+  };
+  const positional = rest.filter((a, i) => !a.startsWith('--') && !(i > 0 && rest[i - 1] === '--market'));
+
+  switch (command) {
+    case 'state':
+    case 'status':
+      return ['GET', '/api/state', null];
+    case 'pause':
+      return ['POST', '/api/pause', { reason: positional.join(' ') || undefined }];
+    case 'resume':
+    case 'cycle':
+      return ['POST', `/api/${command}`, {}];
+    case 'close':
+      return ['POST', '/api/close', { market: flag('market') }];
+    case 'cancel':
+      return ['POST', '/api/cancel', { market: flag('market'), protective: flag('protective') === true }];
+    case 'mode':
+      return ['POST', '/api/mode', { mode: positional[0] }];
+    case 'limits': {
+      if (flag('reset')) return ['POST', '/api/limits', { reset: true }];
+      const limits = {};
+      for (const pair of positional) {
+        const eq = pair.indexOf('=');
+        if (eq < 1) throw new Error(`Invalid limit "${pair}" (expected key=value)`);
+        limits[pair.slice(0, eq)] = pair.slice(eq + 1) === 'null' ? null : Number(pair.slice(eq + 1));
+      }
+      return ['POST', '/api/limits', limits];
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (state, pause, resume, cycle, close, cancel, mode, limits)`);
+  }
+}
+
+async function main() {
+  const [method, route, body] = parseCommand(process.argv.slice(2));
+  let response;
+  try {
+    response = await request(method, route, body, readToken());
+  } catch (err) {
+    if (err.code !== 'ECONNREFUSED') throw err;
+    throw new Error(`No agent listening on ${HOST}:${PORT} (is it running, with CONTROL_PORT enabled?)`);
+  }
+  console.log(JSON.stringify(response.body, null, 2));
+  if (response.status !== 200) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[Control] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createControlServer,
+  ROUTES,
+  TOKEN_FILE,
+};
@@ -0,0 +1,203 @@
+/**
+ * Dashboard Server
+ *
+ * Serves the docs/ dashboard locally, exposes the agent's dashboard data as
+ * JSON and streams live cycle/decision/trade updates via Server-Sent Events.
+ *
+ * The agent and this server are separate processes: the agent appends events
+ * to logs/events.jsonl and rewrites the dashboard data file every cycle; the
+ * server tails both and pushes changes to every connected browser.
+ *
+ * Routes:
+ *   GET /              docs/index.html (and any other file under docs/)
+ *   GET /data.json     Current dashboard data (same file saveDashboardData writes)
+ *   GET /api/data      Alias for /data.json
+ *   GET /api/events    SSE stream: cycle_start, decision, trade, cycle_complete, cycle_error, risk_halt, config_reloaded, reconcile, shutdown, operator, data
+ *
+ * Usage: npm run dashboard [-- --paper]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+const PORT = Number(process.env.DASHBOARD_PORT || 3000);
+const HOST = process.env.DASHBOARD_HOST || '127.0.0.1';
+const WATCH_INTERVAL_MS = 1000;
+const HEARTBEAT_MS = 25_000;
+
+// Paths (must match agent.js)
+const DOCS_DIR = path.join(__dirname, '..', 'docs');
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const DASHBOARD_DATA = PAPER_TRADING ? path.join(LOG_DIR, 'paper-data.json') : path.join(DOCS_DIR, 'data.json');
+const EVENTS_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-events.jsonl' : 'events.jsonl');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+};
+
+const clients = new Set();
+
+// ─── SSE ─────────────────────────────────────────────────────────────────────
+
+function broadcast(type, data) {
+  const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) res.write(payload);
+}
+
+function readDashboardData() {
+  try {
+    return JSON.parse(fs.readFileSync(DASHBOARD_DATA, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function handleEvents(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 5000\n\n');
+
+  // Send the current snapshot straight away so the page doesn't wait a full cycle
+  const data = readDashboardData();
+  if (data) res.write(`event: data\ndata: ${JSON.stringify(data)}\n\n`);
+
+  clients.add(res);
+  console.log(`[Dashboard] Client connected (${clients.size} live)`);
+  req.on('close', () => {
+    clients.delete(res);
+    console.log(`[Dashboard] Client disconnected (${clients.size} live)`);
+  });
+}
+
+// ─── File Watchers ───────────────────────────────────────────────────────────
+
+// Tail the agent's event feed from where we left off; a shrinking file means it was rotated
+function watchEvents() {
+  let offset = fs.existsSync(EVENTS_FILE) ? fs.statSync(EVENTS_FILE).size : 0;
+  let partial = '';
+
+  fs.watchFile(EVENTS_FILE, { interval: WATCH_INTERVAL_MS }, (curr) => {
+    if (curr.size < offset) {
+      offset = 0;
+      partial = '';
+    }
+    if (curr.size === offset) return;
+
+    const fd = fs.openSync(EVENTS_FILE, 'r');
+    const buf = Buffer.alloc(curr.size - offset);
+    fs.readSync(fd, buf, 0, buf.length, offset);
+    fs.closeSync(fd);
+    offset = curr.size;
+
+    const lines = (partial + buf.toString('utf8')).split('\n');
+    partial = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const event = JSON.parse(line);
+        broadcast(event.type, { time: event.time, ...event.data });
+      } catch {
+        // Skip malformed lines
+      }
+    }
+  });
+}
+
+function watchDashboardData() {
+  fs.watchFile(DASHBOARD_DATA, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const data = readDashboardData();
+    if (data) broadcast('data', data);
+  });
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-cache' });
+  res.end(JSON.stringify(body));
+}
+
+function serveStatic(urlPath, res) {
+  let relative;
+  try {
+    relative = decodeURIComponent(urlPath === '/' ? '/index.html' : urlPath);
+  } catch {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  const filePath = path.resolve(DOCS_DIR, '.' + relative);
+  if (!filePath.startsWith(DOCS_DIR + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+function handleRequest(req, res) {
+  // Malformed request targets (such as "//") must not take the server down
+  let pathname;
+  try {
+    ({ pathname } = new URL(req.url, 'http://localhost'));
+  } catch {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.writeHead(405);
+    res.end('Method not allowed');
+    return;
+  }
+
+  if (pathname === '/api/events') return handleEvents(req, res);
+
+  if (pathname === '/data.json' || pathname === '/api/data') {
+    const data = readDashboardData();
+    if (!data) return sendJSON(res, 404, { error: 'No dashboard data yet. Start the agent with: npm start' });
+    return sendJSON(res, 200, data);
+  }
+
+  serveStatic(pathname, res);
+}
+
+function main() {
+  watchEvents();
+  watchDashboardData();
+  setInterval(() => {
+    for (const res of clients) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  http.createServer(handleRequest).listen(PORT, HOST, () => {
+    console.log(`[Dashboard] Serving ${PAPER_TRADING ? 'paper trading' : 'devnet'} dashboard at http://${HOST}:${PORT}`);
+    console.log(`[Dashboard] Data:   ${DASHBOARD_DATA}`);
+    console.log(`[Dashboard] Events: ${EVENTS_FILE}`);
+  });
+}
+
+main();
@@ -0,0 +1,222 @@
+/**
+ * AI Decision Schema
+ *
+ * The shape a model decision must have before it reaches executeTrade. askClaude
+ * validates every response against it:
+ *
+ *   - Problems the agent cannot safely guess are errors: a missing or unknown action,
+ *     a perp action without an enabled market, a size or amount that is not a number.
+ *     Errors are sent back to the model for repair (a bounded number of times), then
+ *     the rule-based engine takes over.
+ *   - Values that are well-formed but out of range are clamped, and fields that do not
+ *     apply to the action are reset. Each change is listed in `repairs`.
+ *
+ * decisionTools() exposes the same actions as tools for providers with tool calling
+ * (see llm.js): the tool name is the action and its input the rest of the decision.
+ */
+
+const { resolveMarket } = require('./markets');
+
+// ─── Schema ──────────────────────────────────────────────────────────────────
+
+const TREASURY_ACTIONS = ['HOLD', 'ALLOCATE_TO_TREASURY', 'WITHDRAW_FROM_TREASURY', 'REBALANCE'];
+const DRIFT_ACTIONS = ['OPEN_SHORT', 'CLOSE_SHORT', 'OPEN_LONG', 'CLOSE_LONG', 'DEPOSIT_TO_DRIFT'];
+const OPEN_ACTIONS = ['OPEN_SHORT', 'OPEN_LONG'];
+const PERP_ACTIONS = ['OPEN_SHORT', 'CLOSE_SHORT', 'OPEN_LONG', 'CLOSE_LONG'];
+const AMOUNT_ACTIONS = ['ALLOCATE_TO_TREASURY', 'WITHDRAW_FROM_TREASURY', 'DEPOSIT_TO_DRIFT'];
+const OUTLOOKS = ['bullish', 'bearish', 'neutral'];
+const FIELDS = ['action', 'market', 'amount', 'size_usd', 'leverage', 'confidence', 'reason', 'market_outlook'];
+
+// Perp actions are only offered while Drift is reachable
+function allowedActions(driftAvailable) {
+  return driftAvailable ? [...TREASURY_ACTIONS, ...DRIFT_ACTIONS] : TREASURY_ACTIONS;
+}
+
+const ACTION_DESCRIPTIONS = {
+  HOLD: 'Do nothing and wait for a better opportunity. Almost always the right answer.',
+  ALLOCATE_TO_TREASURY: 'Move USDC from the agent wallet to the treasury (bearish - protect capital).',
+  WITHDRAW_FROM_TREASURY: 'Move USDC from the treasury to the agent wallet (bullish - deploy capital).',
+  REBALANCE: 'Move USDC between agent and treasury back to the allocation targets (neutral - reduce risk).',
+  OPEN_SHORT: 'Open a SHORT perp position on Drift (profit when the market drops).',
+  CLOSE_SHORT: 'Close the market\'s SHORT perp position and realize PnL.',
+  OPEN_LONG: 'Open a LONG perp position on Drift (profit when the market rises).',
+  CLOSE_LONG: 'Close the market\'s LONG perp position and realize PnL.',
+  DEPOSIT_TO_DRIFT: 'Deposit USDC from the agent wallet into Drift as collateral.',
+};
+
+// Trading actions as tools, one per allowed action, for providers with tool calling.
+// Each tool's input is the rest of the decision; validateDecision still checks it.
+function decisionTools(rules) {
+  return allowedActions(rules.driftAvailable).map(action => {
+    const properties = {};
+    const required = [];
+    if (PERP_ACTIONS.includes(action)) {
+      properties.market = { type: 'string', enum: rules.markets, description: 'Perp market to trade' };
+      required.push('market');
+    }
+    if (OPEN_ACTIONS.includes(action)) {
+      properties.size_usd = { type: 'number', minimum: rules.minPerpSizeUsd, maximum: rules.maxPerpSizeUsd, description: 'Position size in USD' };
+      properties.leverage = { type: 'number', minimum: 1, maximum: rules.maxLeverage, description: `Leverage, default ${rules.defaultLeverage}` };
+      required.push('size_usd');
+    }
+    if (AMOUNT_ACTIONS.includes(action)) {
+      properties.amount = { type: 'number', exclusiveMinimum: 0, description: 'Amount in USDC' };
+      required.push('amount');
+    }
+    properties.confidence = { type: 'number', minimum: 0, maximum: 100, description: 'Conviction, 0-100' };
+    properties.reason = { type: 'string', description: 'Brief explanation' };
+    properties.market_outlook = { type: 'string', enum: OUTLOOKS };
+    required.push('confidence', 'reason', 'market_outlook');
+    return {
+      name: action,
+      description: ACTION_DESCRIPTIONS[action],
+      parameters: { type: 'object', properties, required },
+    };
+  });
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+// Numbers may arrive as numeric strings ("5"); anything else that is not a finite number is null
+function toNumber(raw) {
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Validate a parsed model decision.
+ *
+ * rules: { driftAvailable, markets (enabled symbols), minPerpSizeUsd, maxPerpSizeUsd, defaultLeverage, maxLeverage }
+ * Returns { decision, errors, repairs }. `decision` is only set when there are no errors.
+ */
+function validateDecision(raw, rules) {
+  const errors = [];
+  const repairs = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { decision: null, errors: ['Response must be a single JSON object'], repairs };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!FIELDS.includes(key)) repairs.push(`ignored unknown field "${key}"`);
+  }
+
+  // action
+  const allowed = allowedActions(rules.driftAvailable);
+  let action = typeof raw.action === 'string' ? raw.action.trim().toUpperCase() : null;
+  if (!action) {
+    errors.push(`"action" is required (one of ${allowed.join(', ')})`);
+  } else if (!allowed.includes(action)) {
+    const perpOffline = !rules.driftAvailable && DRIFT_ACTIONS.includes(action);
+    errors.push(`"action" ${JSON.stringify(raw.action)} is not allowed${perpOffline ? ' while Drift is unavailable' : ''} (one of ${allowed.join(', ')})`);
+    action = null;
+  } else if (action !== raw.action) {
+    repairs.push(`action ${JSON.stringify(raw.action)} → ${action}`);
+  }
+
+  // market: required for perp actions, dropped elsewhere if it does not name an enabled market
+  let market = null;
+  if (raw.market !== undefined && raw.market !== null && raw.market !== '') {
+    try {
+      const { symbol } = resolveMarket(raw.market);
+      if (rules.markets.includes(symbol)) market = symbol;
+    } catch {
+      // Reported below
+    }
+  }
+  if (PERP_ACTIONS.includes(action) && !market) {
+    errors.push(raw.market
+      ? `"market" ${JSON.stringify(raw.market)} is not an enabled market (one of ${rules.markets.join(', ')})`
+      : `"market" is required for ${action} (one of ${rules.markets.join(', ')})`);
+  } else if (!PERP_ACTIONS.includes(action) && raw.market && !market) {
+    repairs.push(`dropped market ${JSON.stringify(raw.market)}`);
+  } else if (market && market !== raw.market) {
+    repairs.push(`market ${JSON.stringify(raw.market)} → ${market}`);
+  }
+
+  // Numeric fields: `required` ones must be present, and values outside [min, max] are clamped
+  const number = (key, { required, min, max, fallback }) => {
+    const present = raw[key] !== undefined && raw[key] !== null;
+    const value = toNumber(raw[key]);
+    if (present && value === null) {
+      errors.push(`"${key}" must be a number (got ${JSON.stringify(raw[key])})`);
+      return null;
+    }
+    if (value === null) {
+      if (required) errors.push(`"${key}" is required${action ? ` for ${action}` : ''}`);
+      return fallback;
+    }
+    if (typeof raw[key] === 'string') repairs.push(`${key} "${raw[key]}" → ${value}`);
+    const clamped = clamp(value, min, max);
+    if (clamped !== value) repairs.push(`${key} ${value} clamped to ${clamped}`);
+    return clamped;
+  };
+
+  const confidence = number('confidence', { required: true, min: 0, max: 100 });
+
+  let amount = 0;
+  let sizeUsd = 0;
+  let leverage = rules.defaultLeverage;
+  if (AMOUNT_ACTIONS.includes(action)) {
+    amount = number('amount', { required: true, min: 0, max: Infinity });
+    if (amount === 0) errors.push(`"amount" must be greater than 0 for ${action}`);
+  } else if (action && toNumber(raw.amount)) {
+    repairs.push(`amount ${raw.amount} ignored for ${action}`);
+  }
+  if (OPEN_ACTIONS.includes(action)) {
+    sizeUsd = number('size_usd', { required: true, min: rules.minPerpSizeUsd, max: rules.maxPerpSizeUsd });
+    leverage = number('leverage', { required: false, min: 1, max: rules.maxLeverage, fallback: rules.defaultLeverage });
+  } else if (action && toNumber(raw.size_usd)) {
+    repairs.push(`size_usd ${raw.size_usd} ignored for ${action}`);
+  }
+
+  const reason = typeof raw.reason === 'string' ? raw.reason.trim() : '';
+  if (!reason) errors.push('"reason" is required (a short explanation)');
+
+  let outlook = typeof raw.market_outlook === 'string' ? raw.market_outlook.trim().toLowerCase() : '';
+  if (!OUTLOOKS.includes(outlook)) {
+    repairs.push(raw.market_outlook === undefined ? 'missing market_outlook → neutral' : `market_outlook ${JSON.stringify(raw.market_outlook)} → neutral`);
+    outlook = 'neutral';
+  }
+
+  if (errors.length > 0) return { decision: null, errors, repairs };
+  return {
+    decision: {
+      action,
+      ...(market ? { market } : {}),
+      amount,
+      size_usd: sizeUsd,
+      leverage,
+      confidence,
+      reason,
+      market_outlook: outlook,
+    },
+    errors,
+    repairs,
+  };
+}
+
+// Pull the decision object out of raw model text. Returns { value } or { error }.
+function parseDecision(content) {
+  if (!content) return { error: 'Empty response' };
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return { error: 'No JSON object found in the response' };
+  try {
+    return { value: JSON.parse(jsonMatch[0]) };
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+}
+
+module.exports = {
+  validateDecision,
+  parseDecision,
+  allowedActions,
+  decisionTools,
+  TREASURY_ACTIONS,
+  DRIFT_ACTIONS,
+  OUTLOOKS,
+};
@@ -12,31 +12,41 @@ const { Connection, Keypair, PublicKey } = require(path.join(ROOT_MODULES, '@sol
 const { Wallet } = require(path.join(ROOT_MODULES, '@coral-xyz', 'anchor'));
 const {
   DriftClient,
+  EventSubscriber,
   PositionDirection,
   MarketType,
   BASE_PRECISION,
   QUOTE_PRECISION,
   PRICE_PRECISION,
+  FUNDING_RATE_PRECISION,
   convertToNumber,
   getMarketOrderParams,
   getLimitOrderParams,
+  getTriggerMarketOrderParams,
+  calculatePositionFundingPNL,
+  OrderTriggerCondition,
   PostOnlyParams,
+  isVariant,
   initialize,
   BN,
   TokenFaucet,
 } = require(path.join(ROOT_MODULES, '@drift-labs', 'sdk'));
 const { getAssociatedTokenAddress } = require(path.join(ROOT_MODULES, '@solana', 'spl-token'));
 const bs58 = require('bs58').default;
+const { DEFAULT_MARKET, resolveMarket, marketSymbol, getEnabledMarkets } = require('./markets');
+const config = require('./config');
+const { summarizeOrder } = require('./execution');
 
 // Config
 const DEVNET_RPC = process.env.SOLANA_RPC || 'https://api.devnet.solana.com';
-const SOL_MARKET_INDEX = 0; // SOL-PERP
-const MAX_LEVERAGE = 5;     // Conservative for hackathon demo
 const TOKEN_FAUCET_PROGRAM_ID = 'V4v1mQiAdLz4qwckEb45WqHYceYizoib39cDBHSWfaB';
+const ORDER_RECORD_WAIT_MS = 15_000;   // Time an order that left the book is given for its records to arrive
+const ORDER_RECORD_POLL_MS = 1000;
 
 let driftClient = null;
 let isInitialized = false;
 let initPromise = null;
+let orderRecordsPromise = null;   // EventSubscriber for our account's OrderActionRecords (see getOrderRecord)
 
 function getKeypair() {
   const privateKey = process.env.SOLANA_PRIVATE_KEY;
@@ -80,8 +90,25 @@ async function initializeDrift() {
   return initPromise;
 }
 
-async function getAccountInfo() {
+function readPerpPosition(user, market) {
+  const perpPosition = user.getPerpPosition(market.index);
+  if (!perpPosition || perpPosition.baseAssetAmount.isZero()) return null;
+  return {
+    market: market.symbol,
+    baseAmount: convertToNumber(perpPosition.baseAssetAmount, BASE_PRECISION),
+    quoteAmount: convertToNumber(perpPosition.quoteAssetAmount, QUOTE_PRECISION),
+    direction: perpPosition.baseAssetAmount.gt(new BN(0)) ? 'LONG' : 'SHORT',
+    unrealizedPnl: convertToNumber(
+      user.getUnrealizedPNL(true, market.index),
+      QUOTE_PRECISION
+    ),
+  };
+}
+
+// Account balances plus the position in `market` and a map of positions in every enabled market
+async function getAccountInfo(market = DEFAULT_MARKET) {
   const client = await initializeDrift();
+  const target = resolveMarket(market);
 
   try {
     const user = client.getUser();
@@ -95,25 +122,16 @@ async function getAccountInfo() {
       QUOTE_PRECISION
     );
 
-    const solPerpPosition = user.getPerpPosition(SOL_MARKET_INDEX);
-
-    let position = null;
-    if (solPerpPosition && !solPerpPosition.baseAssetAmount.isZero()) {
-      position = {
-        baseAmount: convertToNumber(solPerpPosition.baseAssetAmount, BASE_PRECISION),
-        quoteAmount: convertToNumber(solPerpPosition.quoteAssetAmount, QUOTE_PRECISION),
-        direction: solPerpPosition.baseAssetAmount.gt(new BN(0)) ? 'LONG' : 'SHORT',
-        unrealizedPnl: convertToNumber(
-          user.getUnrealizedPNL(true, SOL_MARKET_INDEX),
-          QUOTE_PRECISION
-        ),
-      };
+    const positions = {};
+    for (const symbol of new Set([...getEnabledMarkets(), target.symbol])) {
+      positions[symbol] = readPerpPosition(user, resolveMarket(symbol));
     }
 
     return {
       usdcBalance,
       freeCollateral,
-      position,
+      position: positions[target.symbol],
+      positions,
       hasAccount: true,
     };
   } catch (err) {
@@ -122,6 +140,7 @@ async function getAccountInfo() {
         usdcBalance: 0,
         freeCollateral: 0,
         position: null,
+        positions: {},
         hasAccount: false,
       };
     }
@@ -205,138 +224,306 @@ async function depositUSDC(amount) {
   return txSig;
 }
 
-async function openPosition(direction, sizeUsd, leverage = 2) {
+async function openPosition(direction, sizeUsd, leverage = 2, market = DEFAULT_MARKET) {
   const client = await initializeDrift();
+  const { symbol, index, base } = resolveMarket(market);
 
-  if (leverage > MAX_LEVERAGE) {
-    throw new Error(`Leverage ${leverage}x exceeds max ${MAX_LEVERAGE}x`);
+  const maxLeverage = config.get().maxLeverage;
+  if (leverage > maxLeverage) {
+    throw new Error(`Leverage ${leverage}x exceeds max ${maxLeverage}x`);
   }
 
-  // Get SOL price from oracle
-  const solMarket = client.getPerpMarketAccount(SOL_MARKET_INDEX);
+  // Get price from oracle
+  const perpMarket = client.getPerpMarketAccount(index);
   const oraclePrice = convertToNumber(
-    solMarket.amm.historicalOracleData.lastOraclePrice,
+    perpMarket.amm.historicalOracleData.lastOraclePrice,
     QUOTE_PRECISION
   );
 
-  // Calculate base amount
-  const baseAmount = (sizeUsd / oraclePrice) * BASE_PRECISION.toNumber();
+  const baseAmount = sizeUsd / oraclePrice;
 
   // Use limit order at oracle price with slight offset to improve fill
   // LONG: bid slightly above oracle to get filled quickly (0.1% above)
   // SHORT: ask slightly below oracle to get filled quickly (0.1% below)
   const priceOffset = direction === 'LONG' ? 1.001 : 0.999;
-  const limitPrice = new BN(Math.floor(oraclePrice * priceOffset * PRICE_PRECISION.toNumber()));
 
-  const orderParams = getLimitOrderParams({
-    marketIndex: SOL_MARKET_INDEX,
-    direction: direction === 'LONG' ? PositionDirection.LONG : PositionDirection.SHORT,
-    baseAssetAmount: new BN(Math.floor(baseAmount)),
-    marketType: MarketType.PERP,
-    price: limitPrice,
-    postOnly: PostOnlyParams.TRY_POST_ONLY,
-  });
-
-  console.log(`[Drift] Opening ${direction} (LIMIT): $${sizeUsd} (${(sizeUsd / oraclePrice).toFixed(4)} SOL) @ $${(oraclePrice * priceOffset).toFixed(2)} limit`);
-  const txSig = await client.placePerpOrder(orderParams);
-  console.log(`[Drift] TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+  console.log(`[Drift] Opening ${symbol} ${direction} (LIMIT): $${sizeUsd} (${baseAmount.toFixed(6)} ${base}) @ $${(oraclePrice * priceOffset).toFixed(2)} limit`);
+  const { txSig } = await placeLimitOrder(direction, baseAmount, oraclePrice * priceOffset, symbol);
 
   return {
     txSig,
+    market: symbol,
     direction,
     sizeUsd,
-    baseAmount: sizeUsd / oraclePrice,
+    baseAmount,
     price: oraclePrice,
     leverage,
     orderType: 'limit',
   };
 }
 
-async function closePosition() {
+// Single orders for the execution engine (execution.js), which works them until they fill.
+// `direction` is the side of the order and `baseAmount` its size in base units. Both return
+// the order's id for getOrderRecord.
+
+// Id the next order placed from our account will get (ids are assigned on-chain, in sequence)
+async function nextOrderId(client) {
+  const user = client.getUser();
+  await user.fetchAccounts();
+  return user.getUserAccount().nextOrderId;
+}
+
+// Post-only-if-possible limit order; with `expiresAt` (ms) Drift expires it unfilled at that time
+async function placeLimitOrder(direction, baseAmount, limitPrice, market = DEFAULT_MARKET, { reduceOnly = false, expiresAt = null } = {}) {
+  const client = await initializeDrift();
+  const { index } = resolveMarket(market);
+  const orderId = await nextOrderId(client);
+  const txSig = await client.placePerpOrder(getLimitOrderParams({
+    marketIndex: index,
+    direction: direction === 'LONG' ? PositionDirection.LONG : PositionDirection.SHORT,
+    baseAssetAmount: new BN(Math.floor(baseAmount * BASE_PRECISION.toNumber())),
+    marketType: MarketType.PERP,
+    reduceOnly,
+    price: new BN(Math.floor(limitPrice * PRICE_PRECISION.toNumber())),
+    postOnly: PostOnlyParams.TRY_POST_ONLY,
+    ...(expiresAt ? { maxTs: new BN(Math.ceil(expiresAt / 1000)) } : {}),
+  }));
+  console.log(`[Drift] TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+  return { txSig, orderType: 'limit', orderId };
+}
+
+// Market order, filled through Drift's auction at no worse than `worstPrice`
+async function placeMarketOrder(direction, baseAmount, market = DEFAULT_MARKET, { reduceOnly = false, worstPrice } = {}) {
   const client = await initializeDrift();
-  const info = await getAccountInfo();
+  const { index } = resolveMarket(market);
+  const orderId = await nextOrderId(client);
+  const txSig = await client.placePerpOrder(getMarketOrderParams({
+    marketIndex: index,
+    direction: direction === 'LONG' ? PositionDirection.LONG : PositionDirection.SHORT,
+    baseAssetAmount: new BN(Math.floor(baseAmount * BASE_PRECISION.toNumber())),
+    marketType: MarketType.PERP,
+    reduceOnly,
+    ...(worstPrice ? { price: new BN(Math.floor(worstPrice * PRICE_PRECISION.toNumber())) } : {}),
+  }));
+  console.log(`[Drift] TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+  return { txSig, orderType: 'market', orderId };
+}
+
+// Subscribe to the OrderActionRecord events of our user account, once. The subscriber
+// backfills recent transactions, so records from before the first call are included.
+function subscribeOrderRecords(client) {
+  if (!orderRecordsPromise) {
+    orderRecordsPromise = (async () => {
+      const subscriber = new EventSubscriber(client.connection, client.program, {
+        eventTypes: ['OrderActionRecord'],
+        address: await client.getUserAccountPublicKey(),
+        maxTx: 1024,
+        maxEventsPerType: 1024,
+        orderBy: 'blockchain',
+        orderDir: 'asc',
+        commitment: 'confirmed',
+        logProviderConfig: { type: 'polling', frequency: ORDER_RECORD_POLL_MS },
+      });
+      await subscriber.subscribe();
+      return subscriber;
+    })().catch(err => {
+      orderRecordsPromise = null;
+      throw err;
+    });
+  }
+  return orderRecordsPromise;
+}
+
+// What happened to one of our orders, from Drift's OrderActionRecords (the on-chain log of
+// every place, fill, cancel and expire). An order still on the account is 'open'; records
+// lag the transaction, so an order that left the book is polled for up to ORDER_RECORD_WAIT_MS.
+// Returns summarizeOrder()'s record (execution.js): status, filledBase, avgPrice, fee (net of
+// maker rebates), role. null when the records can't be read or never arrive.
+async function getOrderRecord(orderId, market = DEFAULT_MARKET) {
+  const client = await initializeDrift();
+  const { symbol } = resolveMarket(market);
+  let subscriber;
+  let userKey;
+  try {
+    subscriber = await subscribeOrderRecords(client);
+    userKey = await client.getUserAccountPublicKey();
+  } catch (err) {
+    console.log(`[Drift] Order records unavailable: ${err.message}`);
+    return null;
+  }
+
+  const deadline = Date.now() + ORDER_RECORD_WAIT_MS;
+  for (;;) {
+    const user = client.getUser();
+    await user.fetchAccounts();
+    const resting = user.getOrder(orderId);
+    let baseAmount = resting ? convertToNumber(resting.baseAssetAmount, BASE_PRECISION) : null;
+    let ended = resting ? null : undefined;
+    const fills = [];
+
+    for (const r of subscriber.getEventsArray('OrderActionRecord')) {
+      if (!isVariant(r.marketType, 'perp')) continue;
+      const asTaker = r.taker?.equals(userKey) && r.takerOrderId === orderId;
+      const asMaker = r.maker?.equals(userKey) && r.makerOrderId === orderId;
+      if (!asTaker && !asMaker) continue;
+      const size = asTaker ? r.takerOrderBaseAssetAmount : r.makerOrderBaseAssetAmount;
+      if (size && baseAmount === null) baseAmount = convertToNumber(size, BASE_PRECISION);
+
+      if (isVariant(r.action, 'fill')) {
+        fills.push({
+          baseAmount: convertToNumber(r.baseAssetAmountFilled, BASE_PRECISION),
+          quoteAmount: convertToNumber(r.quoteAssetAmountFilled, QUOTE_PRECISION),
+          fee: convertToNumber(asTaker ? r.takerFee : r.makerFee, QUOTE_PRECISION),
+          role: asTaker ? 'taker' : 'maker',
+        });
+      } else if (!resting && (isVariant(r.action, 'expire') || isVariant(r.actionExplanation, 'orderExpired'))) {
+        ended = 'expired';
+      } else if (!resting && isVariant(r.action, 'cancel') && ended !== 'expired') {
+        ended = 'cancelled';
+      }
+    }
+
+    // Off the book without a cancel or expiry: filled, once the fills cover the order
+    const filledBase = fills.reduce((sum, f) => sum + f.baseAmount, 0);
+    if (ended === undefined && baseAmount !== null && filledBase >= baseAmount * (1 - 1e-6)) ended = 'filled';
+    if (ended !== undefined && baseAmount !== null) {
+      return summarizeOrder({ orderId, market: symbol, baseAmount }, fills, ended);
+    }
+    if (Date.now() >= deadline) return null;
+    await new Promise(r => setTimeout(r, ORDER_RECORD_POLL_MS));
+  }
+}
+
+async function closePosition(market = DEFAULT_MARKET) {
+  const client = await initializeDrift();
+  const { symbol, index, base } = resolveMarket(market);
+  const info = await getAccountInfo(symbol);
 
   if (!info.position) {
-    console.log('[Drift] No open position to close');
+    console.log(`[Drift] No open ${symbol} position to close`);
     return null;
   }
 
   const pos = info.position;
-  const closeDirection = pos.direction === 'LONG' ? PositionDirection.SHORT : PositionDirection.LONG;
-  const baseAmount = Math.abs(pos.baseAmount * BASE_PRECISION.toNumber());
 
   // Get oracle price for limit order
-  const solMarket = client.getPerpMarketAccount(SOL_MARKET_INDEX);
+  const perpMarket = client.getPerpMarketAccount(index);
   const oraclePrice = convertToNumber(
-    solMarket.amm.historicalOracleData.lastOraclePrice,
+    perpMarket.amm.historicalOracleData.lastOraclePrice,
     QUOTE_PRECISION
   );
 
   // Closing LONG = selling, so set limit slightly below oracle (0.1% below) to fill
   // Closing SHORT = buying back, so set limit slightly above oracle (0.1% above) to fill
   const priceOffset = pos.direction === 'LONG' ? 0.999 : 1.001;
-  const limitPrice = new BN(Math.floor(oraclePrice * priceOffset * PRICE_PRECISION.toNumber()));
 
-  const orderParams = getLimitOrderParams({
-    marketIndex: SOL_MARKET_INDEX,
-    direction: closeDirection,
-    baseAssetAmount: new BN(Math.floor(baseAmount)),
-    marketType: MarketType.PERP,
-    reduceOnly: true,
-    price: limitPrice,
-    postOnly: PostOnlyParams.TRY_POST_ONLY,
-  });
-
-  console.log(`[Drift] Closing ${pos.direction} (LIMIT): ${Math.abs(pos.baseAmount).toFixed(4)} SOL @ $${(oraclePrice * priceOffset).toFixed(2)} limit (PnL: $${pos.unrealizedPnl.toFixed(2)})`);
-  const txSig = await client.placePerpOrder(orderParams);
-  console.log(`[Drift] TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+  console.log(`[Drift] Closing ${symbol} ${pos.direction} (LIMIT): ${Math.abs(pos.baseAmount).toFixed(6)} ${base} @ $${(oraclePrice * priceOffset).toFixed(2)} limit (PnL: $${pos.unrealizedPnl.toFixed(2)})`);
+  const { txSig } = await placeLimitOrder(pos.direction === 'LONG' ? 'SHORT' : 'LONG', Math.abs(pos.baseAmount), oraclePrice * priceOffset, symbol, { reduceOnly: true });
 
   return {
     txSig,
+    market: symbol,
     closedDirection: pos.direction,
     closedAmount: Math.abs(pos.baseAmount),
     pnl: pos.unrealizedPnl,
+    oraclePrice,
+    limitPrice: oraclePrice * priceOffset,
     orderType: 'limit',
   };
 }
 
-async function getMarketInfo() {
+// Settlement counters for realized P&L accounting. The agent snapshots these around each
+// fill and takes differences (see settleRoundTrip in agent.js):
+//   quoteFlow         Net quote moved through the market's position — fill notional, fees and
+//                     funding — whether or not it has been settled (quoteAssetAmount + settledPnl)
+//   unsettledFunding  Funding accrued on the open position that the next fill or settle books
+//   feesPaid          Account-wide fees paid net of rebates (UserStats)
+//   slot              false when the account holds no position record for the market
+async function getSettlement(market = DEFAULT_MARKET) {
+  const client = await initializeDrift();
+  const { symbol, index } = resolveMarket(market);
+  const user = client.getUser();
+  await user.fetchAccounts();
+
+  const stats = await client.program.account.userStats.fetch(client.getUserStatsAccountPublicKey());
+  const feesPaid = convertToNumber(stats.fees.totalFeePaid.sub(stats.fees.totalFeeRebate), QUOTE_PRECISION);
+
+  const perpPosition = user.getPerpPosition(index);
+  if (!perpPosition) {
+    return { market: symbol, baseAmount: 0, quoteFlow: 0, unsettledFunding: 0, feesPaid, slot: false, time: Date.now() };
+  }
+  return {
+    market: symbol,
+    baseAmount: convertToNumber(perpPosition.baseAssetAmount, BASE_PRECISION),
+    quoteFlow: convertToNumber(perpPosition.quoteAssetAmount.add(perpPosition.settledPnl), QUOTE_PRECISION),
+    unsettledFunding: convertToNumber(calculatePositionFundingPNL(client.getPerpMarketAccount(index), perpPosition), QUOTE_PRECISION),
+    feesPaid,
+    slot: true,
+    time: Date.now(),
+  };
+}
+
+// Oracle price, funding and open interest of a perp market. Funding rates are percent of
+// notional per hour (longs pay shorts when positive): `fundingRate` is the last settled
+// payment, `predictedFundingRate` what the current mark/oracle TWAP spread would pay at
+// `nextFundingTime` (Drift pays 1/24 of the spread per hourly period, before its clamps).
+// `oiImbalancePct` is (long - short) / (long + short) open interest, positive when longs dominate.
+async function getMarketInfo(market = DEFAULT_MARKET) {
   const client = await initializeDrift();
-  const solMarket = client.getPerpMarketAccount(SOL_MARKET_INDEX);
+  const { symbol, index } = resolveMarket(market);
+  const { amm } = client.getPerpMarketAccount(index);
 
   const oraclePrice = convertToNumber(
-    solMarket.amm.historicalOracleData.lastOraclePrice,
+    amm.historicalOracleData.lastOraclePrice,
     QUOTE_PRECISION
   );
-  const fundingRate = convertToNumber(
-    solMarket.amm.lastFundingRate,
-    QUOTE_PRECISION
-  ) * 100;
+  const oracleTwap = convertToNumber(amm.historicalOracleData.lastOraclePriceTwap, PRICE_PRECISION);
+  const markTwap = convertToNumber(amm.lastMarkPriceTwap, PRICE_PRECISION);
+  const periodHours = amm.fundingPeriod.toNumber() / 3600;
+  // lastFundingRate is quote per base unit for one funding period
+  const fundingRate = convertToNumber(amm.lastFundingRate, FUNDING_RATE_PRECISION) / oracleTwap / periodHours * 100;
+  const predictedFundingRate = (markTwap - oracleTwap) / oracleTwap / 24 * 100;
+  const longOpenInterest = convertToNumber(amm.baseAssetAmountLong, BASE_PRECISION);
+  const shortOpenInterest = convertToNumber(amm.baseAssetAmountShort.abs(), BASE_PRECISION);
+  const openInterest = longOpenInterest + shortOpenInterest;
 
   return {
+    market: symbol,
     price: oraclePrice,
+    oracleTime: amm.historicalOracleData.lastOraclePriceTwapTs.toNumber() * 1000,
     fundingRate,
-    openInterest: convertToNumber(
-      solMarket.amm.baseAssetAmountLong.add(solMarket.amm.baseAssetAmountShort.abs()),
-      BASE_PRECISION
-    ),
+    predictedFundingRate,
+    nextFundingTime: (amm.lastFundingRateTs.toNumber() + amm.fundingPeriod.toNumber()) * 1000,
+    openInterest,
+    longOpenInterest,
+    shortOpenInterest,
+    oiImbalancePct: openInterest > 0 ? (longOpenInterest - shortOpenInterest) / openInterest * 100 : 0,
   };
 }
 
-async function getOpenOrders() {
+// Open orders in `market`, or across all perp markets when no market is given
+async function getOpenOrders(market = null) {
   const client = await initializeDrift();
+  const marketIndex = market === null ? null : resolveMarket(market).index;
   try {
     const user = client.getUser();
-    const orders = user.getOpenOrders();
+    const orders = user.getOpenOrders()
+      .filter(o => marketIndex === null || o.marketIndex === marketIndex);
     return orders.map(o => ({
       orderId: o.orderId,
       marketIndex: o.marketIndex,
+      market: marketSymbol(o.marketIndex),
       direction: o.direction.long ? 'LONG' : 'SHORT',
       baseAssetAmount: convertToNumber(o.baseAssetAmount, BASE_PRECISION),
       price: convertToNumber(o.price, PRICE_PRECISION),
       status: o.status,
       orderType: o.orderType,
       reduceOnly: o.reduceOnly,
+      // Stop/take-profit orders: { price, condition: 'above' | 'below' }, null for plain limit orders
+      trigger: o.orderType.triggerMarket || o.orderType.triggerLimit ? {
+        price: convertToNumber(o.triggerPrice, PRICE_PRECISION),
+        condition: o.triggerCondition.above || o.triggerCondition.triggeredAbove ? 'above' : 'below',
+      } : null,
       slot: o.slot?.toNumber() || 0,
     }));
   } catch {
@@ -344,11 +531,27 @@ async function getOpenOrders() {
   }
 }
 
-async function cancelAllOrders() {
+// Cancel every order in `market`, or across all perp markets when no market is given
+async function cancelAllOrders(market = null) {
+  const client = await initializeDrift();
+  const target = market === null ? null : resolveMarket(market);
+  try {
+    const txSig = await client.cancelOrders(MarketType.PERP, target ? target.index : null, null);
+    console.log(`[Drift] Cancelled all ${target ? target.symbol : 'perp'} orders: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+    return txSig;
+  } catch (err) {
+    console.log(`[Drift] Cancel orders failed: ${err.message}`);
+    return null;
+  }
+}
+
+// Cancel specific orders (e.g. stale limit orders) without touching the rest
+async function cancelOrders(orderIds) {
   const client = await initializeDrift();
+  if (orderIds.length === 0) return null;
   try {
-    const txSig = await client.cancelOrders(MarketType.PERP, SOL_MARKET_INDEX, null);
-    console.log(`[Drift] Cancelled all SOL-PERP orders: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+    const txSig = await client.cancelOrdersByIds(orderIds);
+    console.log(`[Drift] Cancelled order(s) ${orderIds.join(', ')}: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
     return txSig;
   } catch (err) {
     console.log(`[Drift] Cancel orders failed: ${err.message}`);
@@ -356,7 +559,51 @@ async function cancelAllOrders() {
   }
 }
 
+// Place reduce-only trigger-market orders protecting a position: a stop-loss and/or a
+// take-profit. For a LONG the stop triggers below and the take-profit above; a SHORT is mirrored.
+// Returns { txSig, stopLoss, takeProfit } where each leg is the open order as getOpenOrders reports it.
+async function placeProtectiveOrders(positionDirection, baseAmount, { stopLoss, takeProfit }, market = DEFAULT_MARKET) {
+  const client = await initializeDrift();
+  const { symbol, index } = resolveMarket(market);
+  const isLong = positionDirection === 'LONG';
+
+  const trigger = (price, condition) => getTriggerMarketOrderParams({
+    marketIndex: index,
+    marketType: MarketType.PERP,
+    direction: isLong ? PositionDirection.SHORT : PositionDirection.LONG,
+    baseAssetAmount: new BN(Math.floor(Math.abs(baseAmount) * BASE_PRECISION.toNumber())),
+    triggerPrice: new BN(Math.floor(price * PRICE_PRECISION.toNumber())),
+    triggerCondition: condition,
+    reduceOnly: true,
+  });
+
+  const params = [];
+  if (stopLoss) params.push(trigger(stopLoss, isLong ? OrderTriggerCondition.BELOW : OrderTriggerCondition.ABOVE));
+  if (takeProfit) params.push(trigger(takeProfit, isLong ? OrderTriggerCondition.ABOVE : OrderTriggerCondition.BELOW));
+  if (params.length === 0) return null;
+
+  console.log(`[Drift] Placing ${symbol} protective orders: stop $${stopLoss ? stopLoss.toFixed(2) : '-'} | take-profit $${takeProfit ? takeProfit.toFixed(2) : '-'}`);
+  const txSig = await client.placeOrders(params);
+  console.log(`[Drift] TX: https://explorer.solana.com/tx/${txSig}?cluster=devnet`);
+
+  // Order ids are assigned on-chain, so read the new orders back from the user account
+  await client.getUser().fetchAccounts();
+  const triggers = (await getOpenOrders(symbol)).filter(o => o.trigger);
+  const stopCondition = isLong ? 'below' : 'above';
+  return {
+    txSig,
+    stopLoss: stopLoss ? triggers.find(o => o.trigger.condition === stopCondition) || null : null,
+    takeProfit: takeProfit ? triggers.find(o => o.trigger.condition !== stopCondition) || null : null,
+  };
+}
+
 async function shutdown() {
+  if (orderRecordsPromise) {
+    try {
+      await (await orderRecordsPromise).unsubscribe();
+    } catch {}
+    orderRecordsPromise = null;
+  }
   if (driftClient) {
     try {
       await driftClient.unsubscribe();
@@ -374,8 +621,14 @@ module.exports = {
   depositUSDC,
   openPosition,
   closePosition,
+  placeLimitOrder,
+  placeMarketOrder,
+  getOrderRecord,
   getOpenOrders,
   cancelAllOrders,
+  cancelOrders,
+  placeProtectiveOrders,
   getMarketInfo,
+  getSettlement,
   shutdown,
 };
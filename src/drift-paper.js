@@ -0,0 +1,653 @@
+/**
+ * Drift Protocol Simulation - Paper Trading
+ * Local stand-in for drift-devnet.js with the same exported surface: an
+ * in-memory collateral ledger, one position per perp market marked to that
+ * market's oracle price, resting limit orders with configurable fill behavior,
+ * reduce-only stop/take-profit trigger orders, and an optional constant funding
+ * rate (PAPER_FUNDING_RATE) accrued on open positions. Limit orders fill as maker,
+ * market and trigger orders as taker; every order keeps a record of how it ended.
+ * Orders that add exposure need initial margin when placed and again when filled, and
+ * an account whose equity falls below maintenance margin is liquidated.
+ *
+ * The account (collateral, positions, resting orders, order records and oracle prices) is
+ * saved to logs/paper-exchange.json after every change and restored on the next start, so
+ * positions survive a restart next to paper-state.json. Delete it (with paper-ledger.json)
+ * to start over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const ledger = require('./paper-ledger');
+const { DEFAULT_MARKET, resolveMarket, getEnabledMarkets } = require('./markets');
+const config = require('./config');
+const { summarizeOrder } = require('./execution');
+
+// Config
+const MARGIN_RATIO = 0.1;   // Initial margin used for free collateral (10x max, like devnet SOL-PERP)
+const MAINTENANCE_MARGIN_RATIO = 0.05;  // Liquidation below this (SOL-PERP maintenance margin)
+const PAPER_START_PRICE = Number(process.env.PAPER_START_PRICE || 80);  // SOL-PERP; other markets use their table price
+const PAPER_VOLATILITY = Number(process.env.PAPER_VOLATILITY || 0.001); // Std dev of oracle moves per minute
+const PAPER_FEE_BPS = Number(process.env.PAPER_FEE_BPS || 2);
+const PAPER_FUNDING_RATE = Number(process.env.PAPER_FUNDING_RATE || 0);  // Percent of notional per hour, longs pay shorts when positive
+const HOUR_MS = 60 * 60 * 1000;
+
+// Paths
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const EXCHANGE_FILE = path.join(LOG_DIR, 'paper-exchange.json');
+
+// Fill behavior for resting limit orders:
+//   cross     - fill at the limit once the oracle trades through it (default)
+//   immediate - fill at the limit on the first check
+//   never     - never fill (exercises the cancel-on-timeout path)
+const PAPER_FILL_MODE = process.env.PAPER_FILL_MODE || 'cross';
+const PAPER_FILL_DELAY_MS = Number(process.env.PAPER_FILL_DELAY_MS || 0);
+
+if (!['cross', 'immediate', 'never'].includes(PAPER_FILL_MODE)) {
+  throw new Error(`Invalid PAPER_FILL_MODE "${PAPER_FILL_MODE}" (expected cross, immediate or never)`);
+}
+
+let isInitialized = false;
+let isRestored = false;
+let hasAccount = false;
+let collateral = 0;        // Deposited USDC plus realized PnL and fees
+const positions = {};      // symbol → { baseAmount (signed base units), entryPrice }
+const quoteFlows = {};     // symbol → net quote through the market's fills, fees and settled funding included (see getSettlement)
+const funding = {};        // symbol → { unsettled, lastAccrual }: funding accrued since the position was last filled
+let feesPaid = 0;
+let orders = [];
+let fills = [];
+const orderHistory = new Map();   // orderId → order, kept after it leaves the book (`ended`: 'filled' | 'cancelled' | 'expired')
+let nextOrderId = 1;
+
+// Oracles: random-walk per market, re-anchored to the agent's consensus price whenever one is pushed
+const oracles = {};        // symbol → { price, lastTick }
+
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function readOracle(symbol) {
+  const now = Date.now();
+  if (!oracles[symbol]) {
+    const start = symbol === DEFAULT_MARKET ? PAPER_START_PRICE : resolveMarket(symbol).paperStartPrice;
+    oracles[symbol] = { price: start, lastTick: now };
+  }
+  const oracle = oracles[symbol];
+  const minutes = (now - oracle.lastTick) / 60000;
+  if (minutes > 0) {
+    oracle.price *= 1 + gaussian() * PAPER_VOLATILITY * Math.sqrt(minutes);
+    oracle.lastTick = now;
+  }
+  return oracle.price;
+}
+
+function setOraclePrice(price, market = DEFAULT_MARKET) {
+  if (!(price > 0)) return;
+  restoreExchange();
+  oracles[resolveMarket(market).symbol] = { price, lastTick: Date.now() };
+}
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+
+function saveExchange() {
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+  const saved = {
+    hasAccount,
+    collateral,
+    positions,
+    quoteFlows,
+    funding,
+    feesPaid,
+    orders: orders.map(o => o.orderId),
+    orderHistory: [...orderHistory.values()],
+    fills,
+    nextOrderId,
+    oracles: Object.fromEntries(Object.entries(oracles).map(([symbol, o]) => [symbol, o.price])),
+    savedAt: Date.now(),
+  };
+  fs.writeFileSync(`${EXCHANGE_FILE}.tmp`, JSON.stringify(saved));
+  fs.renameSync(`${EXCHANGE_FILE}.tmp`, EXCHANGE_FILE);
+}
+
+// Pick up the account a previous run left behind (once per process)
+function restoreExchange() {
+  if (isRestored) return;
+  isRestored = true;
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(EXCHANGE_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.log(`[Paper] Could not read ${EXCHANGE_FILE}: ${err.message} — starting a new account`);
+    return;
+  }
+  hasAccount = saved.hasAccount;
+  collateral = saved.collateral;
+  Object.assign(positions, saved.positions);
+  Object.assign(quoteFlows, saved.quoteFlows);
+  Object.assign(funding, saved.funding);
+  feesPaid = saved.feesPaid;
+  for (const order of saved.orderHistory) orderHistory.set(order.orderId, order);
+  orders = saved.orders.map(id => orderHistory.get(id)).filter(Boolean);
+  fills = saved.fills;
+  nextOrderId = saved.nextOrderId;
+  const now = Date.now();
+  for (const [symbol, price] of Object.entries(saved.oracles)) oracles[symbol] = { price, lastTick: now };
+
+  const open = Object.entries(positions).filter(([, p]) => p).map(([symbol, p]) => `${symbol} ${p.baseAmount > 0 ? 'LONG' : 'SHORT'}`);
+  console.log(`[Paper] Exchange restored: $${collateral.toFixed(2)} collateral, ${open.length > 0 ? open.join(', ') : 'no position'}, ${orders.length} resting order(s) (${EXCHANGE_FILE})`);
+}
+
+// ─── Funding ─────────────────────────────────────────────────────────────────
+
+// Accrue funding on the market's position up to now, marked at the oracle. Returns the
+// unsettled amount (+ received, - paid).
+function accrueFunding(symbol) {
+  const now = Date.now();
+  const entry = funding[symbol] || (funding[symbol] = { unsettled: 0, lastAccrual: now });
+  const position = positions[symbol];
+  if (position && PAPER_FUNDING_RATE !== 0) {
+    const hours = (now - entry.lastAccrual) / HOUR_MS;
+    entry.unsettled -= position.baseAmount * readOracle(symbol) * PAPER_FUNDING_RATE / 100 * hours;
+  }
+  entry.lastAccrual = now;
+  return entry.unsettled;
+}
+
+// Like Drift, accrued funding is settled into collateral whenever the position is filled
+function settleFunding(symbol) {
+  const amount = accrueFunding(symbol);
+  if (amount === 0) return;
+  collateral += amount;
+  quoteFlows[symbol] = (quoteFlows[symbol] || 0) + amount;
+  funding[symbol].unsettled = 0;
+}
+
+// ─── Margin ──────────────────────────────────────────────────────────────────
+
+// Equity and margin requirements over every open position, marked at the oracle
+function marginState() {
+  let equity = collateral;
+  let notional = 0;
+  for (const symbol of Object.keys(positions)) {
+    const marked = markPosition(symbol);
+    if (!marked) continue;
+    equity += marked.unrealizedPnl;
+    notional += Math.abs(marked.baseAmount) * readOracle(symbol);
+  }
+  return {
+    equity,
+    maintenanceMargin: notional * MAINTENANCE_MARGIN_RATIO,
+    freeCollateral: Math.max(0, equity - notional * MARGIN_RATIO),
+  };
+}
+
+// Notional an order adds to its market's position at `price`: all of it, or the part past a flip
+function addedNotional(order, price) {
+  if (order.reduceOnly) return 0;
+  const current = positions[order.market] ? positions[order.market].baseAmount : 0;
+  const signed = order.direction === 'LONG' ? order.baseAssetAmount : -order.baseAssetAmount;
+  return Math.max(0, Math.abs(current + signed) - Math.abs(current)) * price;
+}
+
+// Drift rejects an order whose added exposure needs more initial margin than is free
+// (InsufficientCollateral). Returns the reason, or null when the order fits.
+function marginError(order, price) {
+  const added = addedNotional(order, price);
+  if (added === 0) return null;
+  const required = added * MARGIN_RATIO;
+  const { freeCollateral } = marginState();
+  if (required <= freeCollateral) return null;
+  return `Insufficient collateral: ${order.market} ${order.direction} adds $${added.toFixed(2)} notional, needs $${required.toFixed(2)} margin, $${freeCollateral.toFixed(2)} free`;
+}
+
+// Once equity falls below maintenance margin, cancel every resting order and close every
+// position at the oracle, like a Drift liquidation. A loss beyond the collateral is written
+// off (the insurance fund's job on Drift), so collateral never goes negative.
+function liquidateIfUnderwater() {
+  const { equity, maintenanceMargin } = marginState();
+  if (maintenanceMargin === 0 || equity >= maintenanceMargin) return false;
+
+  console.log(`[Paper] LIQUIDATION: equity $${equity.toFixed(2)} below maintenance margin $${maintenanceMargin.toFixed(2)}`);
+  for (const o of orders) o.ended = 'cancelled';
+  orders = [];
+  for (const [symbol, position] of Object.entries(positions)) {
+    if (!position) continue;
+    const isLong = position.baseAmount > 0;
+    const order = newOrder(resolveMarket(symbol), isLong ? 'SHORT' : 'LONG', Math.abs(position.baseAmount), 0, true, { type: 'market' });
+    order.liquidation = true;
+    const fill = applyFill(order, readOracle(symbol));
+    order.ended = 'filled';
+    console.log(`[Paper] Liquidated ${symbol} ${isLong ? 'LONG' : 'SHORT'} ${fill.baseAmount.toFixed(6)} @ $${fill.price.toFixed(2)} (PnL $${fill.realizedPnl.toFixed(2)})`);
+  }
+  if (collateral < 0) {
+    console.log(`[Paper] Bad debt of $${(-collateral).toFixed(2)} written off`);
+    collateral = 0;
+  }
+  saveExchange();
+  return true;
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+function applyFill(order, price) {
+  let position = positions[order.market] || null;
+  let signed = order.direction === 'LONG' ? order.baseAssetAmount : -order.baseAssetAmount;
+
+  if (order.reduceOnly) {
+    // Reduce-only orders can only shrink an opposite position
+    if (!position || Math.sign(position.baseAmount) === Math.sign(signed)) return null;
+    signed = Math.sign(signed) * Math.min(Math.abs(signed), Math.abs(position.baseAmount));
+  }
+  // Margin is checked again at fill time: the account may have changed since the order was placed
+  const marginProblem = marginError(order, price);
+  if (marginProblem) {
+    console.log(`[Paper] Order #${order.orderId} cancelled at fill: ${marginProblem}`);
+    return null;
+  }
+  settleFunding(order.market);
+
+  let realizedPnl = 0;
+  if (!position) {
+    position = { baseAmount: signed, entryPrice: price };
+  } else if (Math.sign(position.baseAmount) === Math.sign(signed)) {
+    const newBase = position.baseAmount + signed;
+    position.entryPrice = (position.baseAmount * position.entryPrice + signed * price) / newBase;
+    position.baseAmount = newBase;
+  } else {
+    const closing = Math.min(Math.abs(signed), Math.abs(position.baseAmount));
+    realizedPnl = (price - position.entryPrice) * closing * Math.sign(position.baseAmount);
+    const remaining = position.baseAmount + signed;
+    if (Math.abs(remaining) < 1e-9) {
+      position = null;
+    } else if (Math.sign(remaining) !== Math.sign(position.baseAmount)) {
+      position = { baseAmount: remaining, entryPrice: price };
+    } else {
+      position.baseAmount = remaining;
+    }
+  }
+  positions[order.market] = position;
+
+  const fee = Math.abs(signed) * price * PAPER_FEE_BPS / 10_000;
+  collateral += realizedPnl - fee;
+  quoteFlows[order.market] = (quoteFlows[order.market] || 0) - signed * price - fee;
+  feesPaid += fee;
+
+  const fill = {
+    orderId: order.orderId,
+    market: order.market,
+    time: Date.now(),
+    direction: order.direction,
+    baseAmount: Math.abs(signed),
+    price,
+    fee,
+    role: order.type === 'limit' ? 'maker' : 'taker',
+    realizedPnl,
+  };
+  fills.push(fill);
+  if (fills.length > 500) fills = fills.slice(-500);
+  return fill;
+}
+
+function processOrders() {
+  const now = Date.now();
+
+  for (const order of orders) {
+    const oracle = readOracle(order.market);
+
+    // Trigger-market orders fire at the oracle once it crosses the trigger, whatever the fill mode
+    if (order.trigger) {
+      const fired = order.trigger.condition === 'above' ? oracle >= order.trigger.price : oracle <= order.trigger.price;
+      if (!fired) continue;
+      const fill = applyFill(order, oracle);
+      order.ended = fill ? 'filled' : 'cancelled';
+      if (fill) {
+        console.log(`[Paper] Trigger order #${order.orderId} fired (${order.trigger.condition} $${order.trigger.price.toFixed(2)}): ${order.market} ${order.direction} ${fill.baseAmount.toFixed(6)} @ $${fill.price.toFixed(2)}`);
+      }
+      continue;
+    }
+
+    if (order.expiresAt !== null && now >= order.expiresAt) {
+      order.ended = 'expired';
+      continue;
+    }
+    if (PAPER_FILL_MODE === 'never') continue;
+    if (now - order.placedAt < PAPER_FILL_DELAY_MS) continue;
+    const crossed = order.direction === 'LONG' ? oracle <= order.price : oracle >= order.price;
+    if (PAPER_FILL_MODE === 'cross' && !crossed) continue;
+    const fill = applyFill(order, order.price);
+    // A reduce-only order with nothing left to reduce is cancelled, like on Drift
+    order.ended = fill ? 'filled' : 'cancelled';
+    if (fill) {
+      console.log(`[Paper] Filled order #${order.orderId}: ${order.market} ${order.direction} ${fill.baseAmount.toFixed(6)} @ $${fill.price.toFixed(2)} (fee $${fill.fee.toFixed(4)})`);
+    }
+  }
+  if (orders.some(o => o.ended)) {
+    orders = orders.filter(o => !o.ended);
+    saveExchange();
+  }
+  liquidateIfUnderwater();
+}
+
+function markPosition(symbol) {
+  const position = positions[symbol];
+  if (!position) return null;
+  const oracle = readOracle(symbol);
+  return {
+    market: symbol,
+    baseAmount: position.baseAmount,
+    quoteAmount: -position.baseAmount * position.entryPrice,
+    direction: position.baseAmount > 0 ? 'LONG' : 'SHORT',
+    // Unsettled funding included, like drift-devnet.js
+    unrealizedPnl: (oracle - position.entryPrice) * position.baseAmount + accrueFunding(symbol),
+  };
+}
+
+// Same shape as drift-devnet.js getOpenOrders()
+function toOpenOrder(o) {
+  return {
+    orderId: o.orderId,
+    marketIndex: o.marketIndex,
+    market: o.market,
+    direction: o.direction,
+    baseAssetAmount: o.baseAssetAmount,
+    price: o.price,
+    status: { open: {} },
+    orderType: o.trigger ? { triggerMarket: {} } : { limit: {} },
+    reduceOnly: o.reduceOnly,
+    trigger: o.trigger,
+    slot: 0,
+  };
+}
+
+// An order record, kept in the order history
+function newOrder(market, direction, baseAssetAmount, price, reduceOnly, { type = 'limit', trigger = null, expiresAt = null } = {}) {
+  const order = {
+    orderId: nextOrderId++,
+    market: market.symbol,
+    marketIndex: market.index,
+    type,
+    direction,
+    baseAssetAmount,
+    price,
+    reduceOnly,
+    trigger,
+    expiresAt,
+    placedAt: Date.now(),
+    ended: null,
+  };
+  orderHistory.set(order.orderId, order);
+  if (orderHistory.size > 500) orderHistory.delete(orderHistory.keys().next().value);
+  return order;
+}
+
+// `type` is 'limit', 'market' or 'trigger'; a limit order with `expiresAt` expires unfilled at that time.
+// Throws when the order adds more exposure than the free collateral covers.
+function placeOrder(market, direction, baseAssetAmount, price, reduceOnly, options = {}) {
+  const problem = marginError({ market: market.symbol, direction, baseAssetAmount, reduceOnly }, price || readOracle(market.symbol));
+  if (problem) throw new Error(problem);
+  const order = newOrder(market, direction, baseAssetAmount, price, reduceOnly, options);
+  orders.push(order);
+  saveExchange();
+  return order;
+}
+
+// ─── Drift Surface ───────────────────────────────────────────────────────────
+
+async function initializeDrift() {
+  restoreExchange();
+  if (!isInitialized) {
+    isInitialized = true;
+    console.log(`[Paper] Simulated Drift exchange ready (fill mode: ${PAPER_FILL_MODE}, fee: ${PAPER_FEE_BPS} bps)`);
+  }
+  return { paper: true };
+}
+
+async function getAccountInfo(market = DEFAULT_MARKET) {
+  await initializeDrift();
+  const target = resolveMarket(market);
+  if (!hasAccount) {
+    return { usdcBalance: 0, freeCollateral: 0, position: null, positions: {}, hasAccount: false };
+  }
+
+  processOrders();
+  const symbols = new Set([...getEnabledMarkets(), target.symbol, ...Object.keys(positions)]);
+  const marked = {};
+  for (const symbol of symbols) marked[symbol] = markPosition(symbol);
+
+  return {
+    usdcBalance: collateral,
+    freeCollateral: marginState().freeCollateral,
+    position: marked[target.symbol],
+    positions: marked,
+    hasAccount: true,
+  };
+}
+
+async function initializeUserAccount() {
+  await initializeDrift();
+  hasAccount = true;
+  saveExchange();
+  console.log('[Paper] User account initialized');
+  return ledger.nextSignature();
+}
+
+async function depositUSDC(amount) {
+  await initializeDrift();
+  if (!hasAccount) await initializeUserAccount();
+
+  ledger.debitAgent(amount);
+  collateral += amount;
+  saveExchange();
+  console.log(`[Paper] Deposited $${amount} USDC as collateral (total: $${collateral.toFixed(2)})`);
+  return ledger.nextSignature();
+}
+
+async function openPosition(direction, sizeUsd, leverage = 2, market = DEFAULT_MARKET) {
+  await initializeDrift();
+  const target = resolveMarket(market);
+
+  const maxLeverage = config.get().maxLeverage;
+  if (leverage > maxLeverage) {
+    throw new Error(`Leverage ${leverage}x exceeds max ${maxLeverage}x`);
+  }
+  if (!hasAccount) {
+    throw new Error('User account not found — deposit collateral first');
+  }
+
+  const oraclePrice = readOracle(target.symbol);
+  const baseAmount = sizeUsd / oraclePrice;
+  const priceOffset = direction === 'LONG' ? 1.001 : 0.999;
+  const limitPrice = oraclePrice * priceOffset;
+
+  console.log(`[Paper] Opening ${target.symbol} ${direction} (LIMIT): $${sizeUsd} (${baseAmount.toFixed(6)} ${target.base}) @ $${limitPrice.toFixed(2)} limit`);
+  placeOrder(target, direction, baseAmount, limitPrice, false);
+  const txSig = ledger.nextSignature();
+
+  return {
+    txSig,
+    market: target.symbol,
+    direction,
+    sizeUsd,
+    baseAmount,
+    price: oraclePrice,
+    leverage,
+    orderType: 'limit',
+  };
+}
+
+async function closePosition(market = DEFAULT_MARKET) {
+  const target = resolveMarket(market);
+  const info = await getAccountInfo(target.symbol);
+
+  if (!info.position) {
+    console.log(`[Paper] No open ${target.symbol} position to close`);
+    return null;
+  }
+
+  const pos = info.position;
+  const oraclePrice = readOracle(target.symbol);
+  const priceOffset = pos.direction === 'LONG' ? 0.999 : 1.001;
+  const limitPrice = oraclePrice * priceOffset;
+
+  console.log(`[Paper] Closing ${target.symbol} ${pos.direction} (LIMIT): ${Math.abs(pos.baseAmount).toFixed(6)} ${target.base} @ $${limitPrice.toFixed(2)} limit (PnL: $${pos.unrealizedPnl.toFixed(2)})`);
+  placeOrder(target, pos.direction === 'LONG' ? 'SHORT' : 'LONG', Math.abs(pos.baseAmount), limitPrice, true);
+  const txSig = ledger.nextSignature();
+
+  return {
+    txSig,
+    market: target.symbol,
+    closedDirection: pos.direction,
+    closedAmount: Math.abs(pos.baseAmount),
+    pnl: pos.unrealizedPnl,
+    oraclePrice,
+    limitPrice,
+    orderType: 'limit',
+  };
+}
+
+// Same surface as drift-devnet.js: single orders for the execution engine (execution.js)
+async function placeLimitOrder(direction, baseAmount, limitPrice, market = DEFAULT_MARKET, { reduceOnly = false, expiresAt = null } = {}) {
+  await initializeDrift();
+  if (!hasAccount) throw new Error('User account not found — deposit collateral first');
+  const order = placeOrder(resolveMarket(market), direction, baseAmount, limitPrice, reduceOnly, { expiresAt });
+  return { txSig: ledger.nextSignature(), orderType: 'limit', orderId: order.orderId };
+}
+
+// Market orders fill at once at the oracle, whatever the fill mode
+async function placeMarketOrder(direction, baseAmount, market = DEFAULT_MARKET, { reduceOnly = false } = {}) {
+  await initializeDrift();
+  if (!hasAccount) throw new Error('User account not found — deposit collateral first');
+  const target = resolveMarket(market);
+  const order = placeOrder(target, direction, baseAmount, 0, reduceOnly, { type: 'market' });
+  orders = orders.filter(o => o !== order);
+  const fill = applyFill(order, readOracle(target.symbol));
+  order.ended = fill ? 'filled' : 'cancelled';
+  saveExchange();
+  if (fill) {
+    console.log(`[Paper] Market order #${order.orderId} filled: ${target.symbol} ${direction} ${fill.baseAmount.toFixed(6)} @ $${fill.price.toFixed(2)} (fee $${fill.fee.toFixed(4)})`);
+  }
+  return { txSig: ledger.nextSignature(), orderType: 'market', orderId: order.orderId };
+}
+
+// Same shape as drift-devnet.js getOrderRecord(), from the order history and fills
+async function getOrderRecord(orderId) {
+  await initializeDrift();
+  processOrders();
+  const order = orderHistory.get(orderId);
+  if (!order) return null;
+  const orderFills = fills.filter(f => f.orderId === orderId)
+    .map(f => ({ baseAmount: f.baseAmount, quoteAmount: f.baseAmount * f.price, fee: f.fee, role: f.role }));
+  return summarizeOrder({ orderId, market: order.market, baseAmount: order.baseAssetAmount }, orderFills, order.ended);
+}
+
+// Same shape as drift-devnet.js getMarketInfo(). Funding is the constant PAPER_FUNDING_RATE,
+// accrued continuously (nextFundingTime is the top of the hour, as on Drift); the only open
+// interest is our own.
+async function getMarketInfo(market = DEFAULT_MARKET) {
+  await initializeDrift();
+  const { symbol } = resolveMarket(market);
+  const base = positions[symbol] ? positions[symbol].baseAmount : 0;
+  return {
+    market: symbol,
+    price: readOracle(symbol),
+    oracleTime: Date.now(),
+    fundingRate: PAPER_FUNDING_RATE,
+    predictedFundingRate: PAPER_FUNDING_RATE,
+    nextFundingTime: Math.ceil(Date.now() / HOUR_MS) * HOUR_MS,
+    openInterest: Math.abs(base),
+    longOpenInterest: Math.max(base, 0),
+    shortOpenInterest: Math.max(-base, 0),
+    oiImbalancePct: base === 0 ? 0 : Math.sign(base) * 100,
+  };
+}
+
+// Same counters as drift-devnet.js getSettlement()
+async function getSettlement(market = DEFAULT_MARKET) {
+  await initializeDrift();
+  processOrders();
+  const { symbol } = resolveMarket(market);
+  return {
+    market: symbol,
+    baseAmount: positions[symbol] ? positions[symbol].baseAmount : 0,
+    quoteFlow: quoteFlows[symbol] || 0,
+    unsettledFunding: accrueFunding(symbol),
+    feesPaid,
+    slot: true,
+    time: Date.now(),
+  };
+}
+
+async function getOpenOrders(market = null) {
+  await initializeDrift();
+  processOrders();
+  const symbol = market === null ? null : resolveMarket(market).symbol;
+  return orders.filter(o => symbol === null || o.market === symbol).map(toOpenOrder);
+}
+
+async function cancelAllOrders(market = null) {
+  await initializeDrift();
+  const symbol = market === null ? null : resolveMarket(market).symbol;
+  const remaining = orders.filter(o => symbol !== null && o.market !== symbol);
+  const count = orders.length - remaining.length;
+  for (const o of orders) if (!remaining.includes(o)) o.ended = 'cancelled';
+  orders = remaining;
+  saveExchange();
+  console.log(`[Paper] Cancelled ${count} ${symbol || 'perp'} order(s)`);
+  return ledger.nextSignature();
+}
+
+async function cancelOrders(orderIds) {
+  await initializeDrift();
+  if (orderIds.length === 0) return null;
+  const before = orders.length;
+  for (const o of orders) if (orderIds.includes(o.orderId)) o.ended = 'cancelled';
+  orders = orders.filter(o => !orderIds.includes(o.orderId));
+  saveExchange();
+  console.log(`[Paper] Cancelled ${before - orders.length} order(s)`);
+  return ledger.nextSignature();
+}
+
+async function placeProtectiveOrders(positionDirection, baseAmount, { stopLoss, takeProfit }, market = DEFAULT_MARKET) {
+  await initializeDrift();
+  const target = resolveMarket(market);
+  const isLong = positionDirection === 'LONG';
+  const closeDirection = isLong ? 'SHORT' : 'LONG';
+  const size = Math.abs(baseAmount);
+
+  console.log(`[Paper] Placing ${target.symbol} protective orders: stop $${stopLoss ? stopLoss.toFixed(2) : '-'} | take-profit $${takeProfit ? takeProfit.toFixed(2) : '-'}`);
+  const stop = stopLoss ? placeOrder(target, closeDirection, size, 0, true, { type: 'trigger', trigger: { price: stopLoss, condition: isLong ? 'below' : 'above' } }) : null;
+  const profit = takeProfit ? placeOrder(target, closeDirection, size, 0, true, { type: 'trigger', trigger: { price: takeProfit, condition: isLong ? 'above' : 'below' } }) : null;
+
+  return {
+    txSig: ledger.nextSignature(),
+    stopLoss: stop ? toOpenOrder(stop) : null,
+    takeProfit: profit ? toOpenOrder(profit) : null,
+  };
+}
+
+async function shutdown() {
+  isInitialized = false;
+}
+
+module.exports = {
+  initializeDrift,
+  getAccountInfo,
+  initializeUserAccount,
+  depositUSDC,
+  openPosition,
+  closePosition,
+  placeLimitOrder,
+  placeMarketOrder,
+  getOrderRecord,
+  getOpenOrders,
+  cancelAllOrders,
+  cancelOrders,
+  placeProtectiveOrders,
+  getMarketInfo,
+  getSettlement,
+  shutdown,
+  setOraclePrice,
+};
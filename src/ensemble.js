@@ -0,0 +1,142 @@
+/**
+ * Ensemble Decisions
+ *
+ * With ensembleMode on, every cycle asks several voters in parallel and combines
+ * their answers into one decision instead of trusting a single model call.
+ *
+ * Voters (ensembleVoters, comma-separated):
+ *   ai                        The configured provider (LLM_PROVIDER) and claudeModel
+ *   anthropic:<model>         A specific provider and model (any provider in llm.js)
+ *   ai#cautious               Any of the above with a prompt variant (see PROMPT_VARIANTS)
+ *   rule                      The rule-based engine
+ *
+ * Aggregation (ensembleMode):
+ *   majority    The action (and market) more than half of the answering voters chose, else HOLD
+ *   weighted    The action with the highest summed confidence; ties are HOLD
+ *   unanimous   Opening a position needs every answering voter to agree; anything else is by majority
+ *
+ * Voters that fail (API error, invalid answer after repairs) abstain. Each voter's
+ * answer is kept on the decision (`votes`) and in the trade record.
+ */
+
+const { PROVIDERS } = require('./llm');
+const { median } = require('./stats');
+
+const MODES = ['off', 'majority', 'weighted', 'unanimous'];
+const OPENING_ACTIONS = ['OPEN_SHORT', 'OPEN_LONG'];
+const PERP_ACTIONS = ['OPEN_SHORT', 'CLOSE_SHORT', 'OPEN_LONG', 'CLOSE_LONG'];
+
+// Extra instructions put in front of the prompt. 'default' asks the question as-is.
+const PROMPT_VARIANTS = {
+  default: '',
+  cautious: 'You are the risk reviewer on a trading desk. Prefer HOLD unless the case for a trade is strong and the downside is small. When in doubt, stay out.',
+  contrarian: 'You are the skeptic on a trading desk. Before agreeing with the obvious trade, look for reasons it is wrong: exhausted moves, mean reversion, crowded positioning.',
+  momentum: 'You are a trend follower. Weight momentum and trend strength above everything else, and cut positions that trade against the trend.',
+};
+
+// ─── Voters ──────────────────────────────────────────────────────────────────
+
+// Parse a voter list. Returns [{ label, kind: 'rule' | 'ai', provider, model, variant }]
+// where provider 'ai' means the configured one and a null model means claudeModel.
+// Throws on unknown providers or variants.
+function parseVoters(spec) {
+  const voters = String(spec).split(',').map(s => s.trim()).filter(Boolean).map(label => {
+    if (label === 'rule') return { label, kind: 'rule' };
+    const [target, variant = 'default'] = label.split('#');
+    const sep = target.indexOf(':');
+    const provider = sep === -1 ? target : target.slice(0, sep);
+    const model = sep === -1 ? null : target.slice(sep + 1) || null;
+    if (provider !== 'ai' && !PROVIDERS.includes(provider)) {
+      throw new Error(`unknown voter provider "${provider}" in "${label}" (expected ai, rule, ${PROVIDERS.join(', ')})`);
+    }
+    if (PROMPT_VARIANTS[variant] === undefined) {
+      throw new Error(`unknown prompt variant "${variant}" in "${label}" (expected ${Object.keys(PROMPT_VARIANTS).join(', ')})`);
+    }
+    return { label, kind: 'ai', provider, model, variant };
+  });
+  if (voters.length === 0) throw new Error('at least one voter is required');
+  return voters;
+}
+
+// Schema check for config.js: an error message, or null
+function voterSpecError(spec) {
+  try {
+    parseVoters(spec);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// ─── Aggregation ─────────────────────────────────────────────────────────────
+
+// What a vote is for: the action, plus the market for perp actions
+function voteKey(decision) {
+  return PERP_ACTIONS.includes(decision.action) ? `${decision.action} ${decision.market}` : decision.action;
+}
+
+function holdDecision(reason) {
+  return { action: 'HOLD', amount: 0, size_usd: 0, leverage: 2, confidence: 100, reason, market_outlook: 'neutral' };
+}
+
+/**
+ * Combine voter answers. `votes` is [{ voter, decision }] for voters that answered
+ * (abstentions are left out). Returns { decision, winner, tally, agreement }:
+ *   tally      key → { count, confidence }
+ *   agreement  share of answering voters that chose the executed action
+ */
+function aggregateVotes(votes, mode) {
+  if (votes.length === 0) {
+    return { decision: holdDecision('Ensemble: no voter answered'), winner: null, tally: {}, agreement: 0 };
+  }
+
+  const tally = {};
+  for (const { decision } of votes) {
+    const key = voteKey(decision);
+    tally[key] = tally[key] || { count: 0, confidence: 0 };
+    tally[key].count++;
+    tally[key].confidence += Number(decision.confidence) || 0;
+  }
+  const ranked = Object.entries(tally).sort((a, b) => mode === 'weighted'
+    ? b[1].confidence - a[1].confidence
+    : b[1].count - a[1].count);
+  const [topKey, top] = ranked[0];
+  const runnerUp = ranked[1]?.[1];
+
+  const summary = Object.entries(tally).map(([key, t]) => `${key} ${t.count}`).join(', ');
+  let veto = null;
+  if (mode === 'weighted') {
+    if (runnerUp && runnerUp.confidence === top.confidence) veto = `tie on confidence (${summary})`;
+  } else if (top.count * 2 <= votes.length) {
+    veto = `no majority (${summary})`;
+  }
+  const agreeing = votes.filter(v => voteKey(v.decision) === topKey);
+  if (!veto && mode === 'unanimous' && OPENING_ACTIONS.includes(agreeing[0].decision.action) && agreeing.length < votes.length) {
+    veto = `opening ${topKey} needs every voter (${summary})`;
+  }
+  if (veto) {
+    return { decision: holdDecision(`Ensemble ${mode}: ${veto}`), winner: 'HOLD', tally, agreement: (tally.HOLD?.count || 0) / votes.length };
+  }
+
+  // Merge the agreeing answers: median size, leverage and amount; mean confidence
+  const decisions = agreeing.map(v => v.decision);
+  const lead = decisions.reduce((best, d) => (Number(d.confidence) || 0) > (Number(best.confidence) || 0) ? d : best);
+  const decision = {
+    ...lead,
+    amount: median(decisions.map(d => d.amount || 0)),
+    size_usd: median(decisions.map(d => d.size_usd || 0)),
+    leverage: median(decisions.map(d => d.leverage)),
+    confidence: Math.round(decisions.reduce((sum, d) => sum + (Number(d.confidence) || 0), 0) / decisions.length),
+    reason: `Ensemble ${mode} ${agreeing.length}/${votes.length}: ${lead.reason}`,
+  };
+  return { decision, winner: topKey, tally, agreement: agreeing.length / votes.length };
+}
+
+module.exports = {
+  parseVoters,
+  voterSpecError,
+  aggregateVotes,
+  voteKey,
+  PROMPT_VARIANTS,
+  MODES,
+};
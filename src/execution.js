@@ -0,0 +1,231 @@
+/**
+ * Order Execution
+ *
+ * Works a perp order until it fills instead of placing one limit order and giving
+ * up when it times out. executeTrade and the risk-halt flatten in agent.js send
+ * every open and close through executeOrder().
+ *
+ * executionStrategy:
+ *   limit   One limit order 0.1% through the oracle, cancelled after orderFillTimeoutMs
+ *           (the previous behavior)
+ *   chase   Up to chaseAttempts limit orders in the same window. An order still unfilled
+ *           after its share of the window is cancelled and the rest re-placed 0.1% through
+ *           the fresh oracle, so the order follows a moving market.
+ *
+ * closeEscalation:
+ *   market  A close still open after its limit orders is finished with a reduce-only market
+ *           order (no worse than 0.5% from the oracle), so a close decision can't leave the
+ *           position open
+ *   none    The rest of the close is left for the next cycle
+ *
+ * Orders above twapThresholdUsd are split into twapSlices slices, twapIntervalMs apart,
+ * each worked with the strategy above. A slice's shortfall carries into the next one.
+ *
+ * Each order's status, filled size, average price, fee and maker/taker role come from the
+ * exchange's record of that order (getOrderRecord in drift-devnet.js / drift-paper.js), and
+ * the execution's totals are summed from them. The settlement counters (getSettlement)
+ * track progress while orders rest, and stand in for the totals when an order has no record.
+ *
+ * An execution can be aborted (the agent does on a second shutdown signal): the resting order
+ * is cancelled at the next status poll and no further order, slice or escalation is placed.
+ */
+
+const STRATEGIES = ['limit', 'chase'];
+const CLOSE_ESCALATIONS = ['market', 'none'];
+
+const LIMIT_OFFSET_PCT = 0.001;      // Limit orders sit 0.1% through the oracle, like openPosition / closePosition
+const MARKET_SLIPPAGE_PCT = 0.005;   // Worst price an escalated market order accepts
+const CHECK_INTERVAL_MS = 10_000;    // Order status poll
+const FILL_TOLERANCE = 1e-6;         // Share of the size that may stay unfilled and still count as filled
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Order record in the shape both exchanges' getOrderRecord() return. `order` is { orderId,
+ * market, baseAmount }, `fills` its fills ([{ baseAmount, quoteAmount, fee, role }]) and `ended`
+ * how it left the book ('filled', 'cancelled' or 'expired'), null while it still rests.
+ *
+ * Returns { orderId, market, status ('open' | 'filled' | 'partial' | 'cancelled' | 'expired'),
+ * baseAmount, filledBase, avgPrice, fee, role ('maker' | 'taker' | 'mixed'), fills }. An order that
+ * ended with part of it filled is 'partial'; avgPrice and role are null without a fill.
+ */
+function summarizeOrder(order, fills, ended) {
+  const filledBase = fills.reduce((sum, f) => sum + f.baseAmount, 0);
+  const roles = [...new Set(fills.map(f => f.role))];
+  const complete = filledBase >= order.baseAmount * (1 - FILL_TOLERANCE);
+  return {
+    orderId: order.orderId,
+    market: order.market,
+    status: ended === null ? 'open' : complete ? 'filled' : filledBase > 0 ? 'partial' : ended,
+    baseAmount: order.baseAmount,
+    filledBase,
+    avgPrice: filledBase > 0 ? fills.reduce((sum, f) => sum + f.quoteAmount, 0) / filledBase : null,
+    fee: fills.reduce((sum, f) => sum + f.fee, 0),
+    role: roles.length === 0 ? null : roles.length > 1 ? 'mixed' : roles[0],
+    fills: fills.length,
+  };
+}
+
+// Limit price LIMIT_OFFSET_PCT through the oracle: above it to buy, below it to sell
+function limitPriceFor(direction, oraclePrice) {
+  return oraclePrice * (direction === 'LONG' ? 1 + LIMIT_OFFSET_PCT : 1 - LIMIT_OFFSET_PCT);
+}
+
+// Poll the settlement counters until `done(snapshot)`, the market has no resting limit order
+// left, or `ms` runs out. Resting limit orders are cancelled at the deadline or once `aborted()`
+// (protective trigger orders are left alone). Returns the last snapshot, read after any cancel.
+async function waitForFill(d, market, done, ms, checkMs, aborted) {
+  const deadline = Date.now() + ms;
+  for (;;) {
+    const snapshot = await d.getSettlement(market);
+    if (done(snapshot)) return snapshot;
+    const resting = (await d.getOpenOrders(market)).filter(o => !o.trigger);
+    if (resting.length === 0) return snapshot;
+    if (Date.now() >= deadline || aborted()) {
+      await d.cancelOrders(resting.map(o => o.orderId));
+      return d.getSettlement(market);
+    }
+    await sleep(Math.min(checkMs, deadline - Date.now()));
+  }
+}
+
+/**
+ * Work one order to completion.
+ *
+ * order:    { market, direction ('LONG' buys, 'SHORT' sells), baseAmount or sizeUsd, reduceOnly }
+ * settings: { strategy, chaseAttempts, timeoutMs, closeEscalation, twapThresholdUsd, twapSlices,
+ *             twapIntervalMs, checkIntervalMs }
+ * onOrder:  called with each order placed and what it filled, for logs and the journal
+ * aborted:  polled while orders rest; once it returns true the execution stops (see above)
+ *
+ * Returns { status ('filled' | 'partial' | 'unfilled'), requestedBase, filledBase, avgPrice,
+ * priceSource, oraclePrice, fees, role, slices, escalated, aborted, orders, txSig, timeMs }. Each of
+ * `orders` carries its record (orderId, status, filledBase, avgPrice, fee, role). avgPrice is
+ * null without a fill; priceSource is 'fills' when every order has a record, else 'settlement'
+ * or, when the counters can't be compared, 'orders' (the order prices weighted by what each filled).
+ */
+async function executeOrder(d, order, settings, { onOrder = () => {}, aborted = () => false } = {}) {
+  const { market, direction, reduceOnly = false } = order;
+  const checkMs = settings.checkIntervalMs ?? CHECK_INTERVAL_MS;
+  const startTime = Date.now();
+  const sign = direction === 'LONG' ? 1 : -1;
+
+  const first = await d.getSettlement(market);
+  const oraclePrice = (await d.getMarketInfo(market)).price;
+  const requested = order.baseAmount ?? order.sizeUsd / oraclePrice;
+  const tolerance = requested * FILL_TOLERANCE;
+  const filledBy = snapshot => Math.max((snapshot.baseAmount - first.baseAmount) * sign, 0);
+
+  const slices = settings.twapThresholdUsd > 0 && requested * oraclePrice > settings.twapThresholdUsd ? settings.twapSlices : 1;
+  const attempts = settings.strategy === 'chase' ? settings.chaseAttempts : 1;
+  const windowMs = settings.timeoutMs / attempts;
+  const orders = [];
+  let snapshot = first;
+  let escalated = false;
+
+  // Place one order for `size`, wait up to `ms` for it and record what it filled
+  const work = async (type, size, ms, slice, attempt) => {
+    const oracle = (await d.getMarketInfo(market)).price;
+    const before = filledBy(snapshot);
+    // Limit orders expire on the exchange at the end of their window, so one orphaned by a crash doesn't rest
+    const placed = type === 'market'
+      ? await d.placeMarketOrder(direction, size, market, { reduceOnly, worstPrice: oracle * (1 + sign * MARKET_SLIPPAGE_PCT) })
+      : await d.placeLimitOrder(direction, size, limitPriceFor(direction, oracle), market, { reduceOnly, expiresAt: Date.now() + ms });
+    const placedAt = Date.now();
+    snapshot = await waitForFill(d, market, s => filledBy(s) - before >= size - tolerance, ms, checkMs, aborted);
+    const record = placed.orderId != null ? await d.getOrderRecord(placed.orderId, market) : null;
+    const entry = {
+      slice,
+      attempt,
+      type,
+      orderId: placed.orderId ?? null,
+      status: record ? record.status : null,
+      oraclePrice: oracle,
+      price: type === 'market' ? oracle : limitPriceFor(direction, oracle),
+      baseAmount: size,
+      filledBase: record ? record.filledBase : filledBy(snapshot) - before,
+      avgPrice: record ? record.avgPrice : null,
+      fee: record ? record.fee : null,
+      role: record ? record.role : null,
+      timeMs: Date.now() - placedAt,
+      txSig: placed.txSig,
+    };
+    orders.push(entry);
+    onOrder(entry);
+  };
+
+  for (let slice = 1; slice <= slices && !aborted(); slice++) {
+    if (slice > 1) await sleep(settings.twapIntervalMs);
+    const sliceStart = filledBy(snapshot);
+    const target = (requested - sliceStart) / (slices - slice + 1);
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const remaining = target - (filledBy(snapshot) - sliceStart);
+      if (remaining <= tolerance || aborted()) break;
+      await work('limit', remaining, windowMs, slice, attempt);
+    }
+  }
+
+  const shortfall = requested - filledBy(snapshot);
+  if (reduceOnly && settings.closeEscalation === 'market' && shortfall > tolerance && !aborted()) {
+    escalated = true;
+    await work('market', shortfall, windowMs, slices, attempts + 1);
+  }
+
+  const recorded = orders.length > 0 && orders.every(o => o.status !== null);
+  const filled = orders.filter(o => o.filledBase > 0);
+  const filledBase = recorded ? filled.reduce((sum, o) => sum + o.filledBase, 0) : filledBy(snapshot);
+  let fees = snapshot.feesPaid - first.feesPaid;
+  let avgPrice = null;
+  let priceSource = null;
+  if (recorded) {
+    fees = orders.reduce((sum, o) => sum + o.fee, 0);
+    if (filledBase > tolerance) {
+      avgPrice = filled.reduce((sum, o) => sum + o.avgPrice * o.filledBase, 0) / filledBase;
+      priceSource = 'fills';
+    }
+  } else if (filledBase > tolerance && first.slot && snapshot.slot) {
+    // Quote paid or received for the fills: the counter's change without fees and the funding settled by them
+    const settledFunding = (first.unsettledFunding || 0) - (snapshot.unsettledFunding || 0);
+    avgPrice = Math.abs(snapshot.quoteFlow - first.quoteFlow + fees - settledFunding) / filledBase;
+    priceSource = 'settlement';
+  } else if (filledBase > tolerance) {
+    avgPrice = filled.reduce((sum, o) => sum + o.price * o.filledBase, 0) / filled.reduce((sum, o) => sum + o.filledBase, 0);
+    priceSource = 'orders';
+  }
+  const roles = [...new Set(filled.map(o => o.role).filter(Boolean))];
+
+  return {
+    status: filledBase >= requested - tolerance ? 'filled' : filledBase > tolerance ? 'partial' : 'unfilled',
+    requestedBase: requested,
+    filledBase,
+    avgPrice,
+    priceSource,
+    oraclePrice,
+    fees,
+    role: roles.length === 0 ? null : roles.length > 1 ? 'mixed' : roles[0],
+    slices,
+    escalated,
+    aborted: aborted(),
+    orders,
+    txSig: orders.length > 0 ? orders[orders.length - 1].txSig : null,
+    timeMs: Date.now() - startTime,
+  };
+}
+
+// One-line summary for the log
+function describeExecution(r) {
+  const price = r.avgPrice === null ? '' : ` @ $${r.avgPrice.toFixed(4)} avg (oracle $${r.oraclePrice.toFixed(4)} at start)`;
+  const how = `${r.orders.length} order(s)${r.slices > 1 ? ` in ${r.slices} slices` : ''}${r.role ? `, ${r.role}` : ''}${r.escalated ? ', escalated to market' : ''}${r.aborted ? ', aborted' : ''}`;
+  return `${r.status}: ${r.filledBase.toFixed(6)} of ${r.requestedBase.toFixed(6)}${price} — ${how}, ${(r.timeMs / 1000).toFixed(1)}s`;
+}
+
+module.exports = {
+  executeOrder,
+  describeExecution,
+  summarizeOrder,
+  limitPriceFor,
+  STRATEGIES,
+  CLOSE_ESCALATIONS,
+  LIMIT_OFFSET_PCT,
+  MARKET_SLIPPAGE_PCT,
+};
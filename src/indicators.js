@@ -0,0 +1,204 @@
+/**
+ * Technical Indicators
+ *
+ * Pure functions over a price history ([{ time, price }], oldest first). Samples
+ * may also carry high / low / close / volume (candles); without them each sample
+ * is treated as a single trade at `price`.
+ *
+ *   ema         Exponential moving average, seeded with the SMA of the first `period` values
+ *   rsi         Relative strength index with Wilder smoothing
+ *   macd        EMA(fast) - EMA(slow), its EMA(signal) and the histogram
+ *   bollinger   SMA ± k population standard deviations, with bandwidth and %B
+ *   atr         Average true range with Wilder smoothing (close-to-close without high/low)
+ *   vwap        Volume-weighted average price, time-weighted when samples have no volume
+ *   roc         Rate of change over `period` samples, in percent
+ *
+ * Each returns null until the history is long enough. computeIndicators() takes
+ * every indicator at the latest sample with the configured periods; the agent puts
+ * the result in the AI prompt and the rule-based engine reads it.
+ */
+
+const DEFAULT_PERIODS = {
+  emaFast: 12,
+  emaSlow: 26,
+  macdSignal: 9,
+  rsi: 14,
+  bollinger: 20,
+  bollingerStdDev: 2,
+  atr: 14,
+  vwap: 20,
+  roc: 10,
+};
+
+// ─── Series ──────────────────────────────────────────────────────────────────
+
+function closeOf(p) {
+  return p.close ?? p.price;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function sma(values, period) {
+  if (values.length < period) return null;
+  return mean(values.slice(-period));
+}
+
+// EMA at every index: null before the first `period` values, then seeded with their SMA
+function emaSeries(values, period) {
+  const alpha = 2 / (period + 1);
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  out[period - 1] = mean(values.slice(0, period));
+  for (let i = period; i < values.length; i++) {
+    out[i] = values[i] * alpha + out[i - 1] * (1 - alpha);
+  }
+  return out;
+}
+
+function ema(values, period) {
+  return emaSeries(values, period).at(-1) ?? null;
+}
+
+// ─── Indicators ──────────────────────────────────────────────────────────────
+
+// 0-100; needs period + 1 values
+function rsi(values, period = DEFAULT_PERIODS.rsi) {
+  if (values.length <= period) return null;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+  if (loss === 0) return gain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + gain / loss);
+}
+
+// { macd, signal, histogram }; needs slow + signal - 1 values
+function macd(values, fast = DEFAULT_PERIODS.emaFast, slow = DEFAULT_PERIODS.emaSlow, signal = DEFAULT_PERIODS.macdSignal) {
+  const fastSeries = emaSeries(values, fast);
+  const slowSeries = emaSeries(values, slow);
+  const line = values.map((_, i) => fastSeries[i] !== null && slowSeries[i] !== null ? fastSeries[i] - slowSeries[i] : null)
+    .filter(v => v !== null);
+  const signalLine = ema(line, signal);
+  if (signalLine === null) return null;
+  const value = line.at(-1);
+  return { macd: value, signal: signalLine, histogram: value - signalLine };
+}
+
+// { middle, upper, lower, bandwidth, percentB }; bandwidth is (upper - lower) / middle
+function bollinger(values, period = DEFAULT_PERIODS.bollinger, stdDevs = DEFAULT_PERIODS.bollingerStdDev) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  const middle = mean(window);
+  const sd = Math.sqrt(mean(window.map(v => (v - middle) ** 2)));
+  const upper = middle + stdDevs * sd;
+  const lower = middle - stdDevs * sd;
+  return {
+    middle,
+    upper,
+    lower,
+    bandwidth: middle > 0 ? (upper - lower) / middle : 0,
+    percentB: upper > lower ? (values.at(-1) - lower) / (upper - lower) : 0.5,
+  };
+}
+
+// In price units; needs period + 1 samples
+function atr(history, period = DEFAULT_PERIODS.atr) {
+  if (history.length <= period) return null;
+  const ranges = [];
+  for (let i = 1; i < history.length; i++) {
+    const prevClose = closeOf(history[i - 1]);
+    const high = history[i].high ?? closeOf(history[i]);
+    const low = history[i].low ?? closeOf(history[i]);
+    ranges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+  let value = mean(ranges.slice(0, period));
+  for (let i = period; i < ranges.length; i++) {
+    value = (value * (period - 1) + ranges[i]) / period;
+  }
+  return value;
+}
+
+// { value, weighting: 'volume' | 'time' } over the last `period` samples. Without volume each
+// sample is weighted by the time since the one before it (a TWAP); needs period + 1 samples then.
+function vwap(history, period = DEFAULT_PERIODS.vwap) {
+  const byVolume = history.length >= period && history.slice(-period).every(p => p.volume > 0);
+  if (byVolume) {
+    const window = history.slice(-period);
+    const volume = window.reduce((sum, p) => sum + p.volume, 0);
+    // Typical price of a candle, or the sample price
+    const typical = p => p.high !== undefined && p.low !== undefined ? (p.high + p.low + closeOf(p)) / 3 : closeOf(p);
+    return { value: window.reduce((sum, p) => sum + typical(p) * p.volume, 0) / volume, weighting: 'volume' };
+  }
+  if (history.length <= period) return null;
+  const window = history.slice(-(period + 1));
+  let weighted = 0;
+  let total = 0;
+  for (let i = 1; i < window.length; i++) {
+    const dt = Math.max(window[i].time - window[i - 1].time, 0);
+    weighted += closeOf(window[i]) * dt;
+    total += dt;
+  }
+  return total > 0 ? { value: weighted / total, weighting: 'time' } : null;
+}
+
+// Percent change over `period` samples; needs period + 1 values
+function roc(values, period = DEFAULT_PERIODS.roc) {
+  if (values.length <= period) return null;
+  const base = values[values.length - 1 - period];
+  return base > 0 ? (values.at(-1) - base) / base * 100 : null;
+}
+
+// ─── Snapshot ────────────────────────────────────────────────────────────────
+
+/**
+ * Every indicator at the latest sample of `history`. `periods` overrides DEFAULT_PERIODS.
+ * Returns { samples, periods, price, emaFast, emaSlow, rsi, macd, bollinger, atr, atrPct, vwap, roc },
+ * with null for indicators the history is too short for.
+ */
+function computeIndicators(history, periods = {}) {
+  const p = { ...DEFAULT_PERIODS, ...periods };
+  const samples = (history || []).filter(s => closeOf(s) > 0);
+  const closes = samples.map(closeOf);
+  const price = closes.at(-1) ?? null;
+  const atrValue = atr(samples, p.atr);
+  return {
+    samples: samples.length,
+    periods: p,
+    price,
+    emaFast: ema(closes, p.emaFast),
+    emaSlow: ema(closes, p.emaSlow),
+    rsi: rsi(closes, p.rsi),
+    macd: macd(closes, p.emaFast, p.emaSlow, p.macdSignal),
+    bollinger: bollinger(closes, p.bollinger, p.bollingerStdDev),
+    atr: atrValue,
+    atrPct: atrValue !== null && price ? atrValue / price * 100 : null,
+    vwap: vwap(samples, p.vwap)?.value ?? null,
+    roc: roc(closes, p.roc),
+  };
+}
+
+module.exports = {
+  computeIndicators,
+  sma,
+  ema,
+  emaSeries,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  vwap,
+  roc,
+  DEFAULT_PERIODS,
+};
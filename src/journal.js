@@ -0,0 +1,237 @@
+/**
+ * Decision & Execution Journal
+ *
+ * Durable, append-only audit trail of every trading cycle. Unlike state.trades
+ * (capped at 500) it is never truncated or rewritten: one JSON object per line,
+ * one file per UTC day under logs/journal/ (logs/paper-journal/ in paper mode).
+ *
+ * Entry types, in the order a cycle writes them:
+ *   cycle_start      Cycle number and active config profile
+ *   reconcile        Differences between the state and the exchange, and how each was corrected
+ *                    (also written at startup)
+ *   market_data      Prices, funding, balances and positions the decision was based on
+ *   ai_request       Model, the full askClaude context and the exact prompt
+ *   ai_response      HTTP status, raw model output and latency
+ *   ai_validation    Schema check of the response: errors sent back for repair, values clamped
+ *   ai_fallback      Why the rule-based engine was used instead
+ *   ensemble         Each voter's answer and the aggregated result (ensemble mode)
+ *   decision         Proposed decision and its source (ai, rule, ensemble or guard)
+ *   risk_halt        Kill switch triggered
+ *   veto             Decision downgraded to HOLD (stale price, risk manager, reconciliation or anti-churn guard)
+ *   sizing           Notional for an open and the inputs behind it (equity, volatility, caps)
+ *   order_placed     Each limit or market order of an execution with its fill record (status, fill price,
+ *                    fee, maker/taker), deposit or transfer
+ *   order_fill       Execution result: status, filled size, average price, orders used, escalation
+ *   execution        What executeTrade actually did
+ *   cycle_end        Outcome and resulting balances
+ *   cycle_error      Cycle aborted by an exception
+ *   shutdown         Orders cancelled and positions closed or kept by the shutdown policy (once, on exit)
+ *   operator         A control API command and its outcome (between or during cycles)
+ *
+ *   npm run journal                                   Last 20 cycles, one line each
+ *   npm run journal -- --since 2026-10-12 --until 2026-10-18
+ *   npm run journal -- --action OPEN_LONG --outcome executed
+ *   npm run journal -- --cycle 42                     Every entry of cycle 42 (prompt, raw output, fills)
+ *   npm run journal -- --json                         Matching entries as raw JSONL
+ *
+ * Other filters: --market <symbol>, --source ai|rule|ensemble|guard, --limit <n>, --paper.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const { parseArgs, parseDate } = require('./cli-args');
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+
+// Paths (must match agent.js)
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const JOURNAL_DIR = path.join(LOG_DIR, PAPER_TRADING ? 'paper-journal' : 'journal');
+
+// Outcomes recorded on cycle_end (plus 'error' for cycles that threw)
+const OUTCOMES = ['executed', 'unfilled', 'vetoed', 'failed', 'hold'];
+
+let currentCycle = null;
+
+// ─── Writing ─────────────────────────────────────────────────────────────────
+
+function dayFile(time) {
+  return path.join(JOURNAL_DIR, `${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+}
+
+// Entries written after this carry the cycle number
+function setCycle(cycle) {
+  currentCycle = cycle;
+}
+
+// Append one entry. Like the live event feed, a failed write is logged but never breaks a cycle.
+function record(type, data = {}) {
+  const entry = { time: Date.now(), cycle: currentCycle, type, ...data };
+  try {
+    if (!fs.existsSync(JOURNAL_DIR)) fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+    fs.appendFileSync(dayFile(entry.time), JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.log(`  [Journal] Could not write ${type}: ${err.message}`);
+  }
+  return entry;
+}
+
+// ─── Reading ─────────────────────────────────────────────────────────────────
+
+// Entries between `since` and `until` (ms), oldest first. Only the day files in range are read.
+function readEntries({ since = 0, until = Infinity } = {}) {
+  if (!fs.existsSync(JOURNAL_DIR)) return [];
+  const firstDay = new Date(since).toISOString().slice(0, 10);
+  const lastDay = Number.isFinite(until) ? new Date(until).toISOString().slice(0, 10) : '9999-12-31';
+
+  const entries = [];
+  const files = fs.readdirSync(JOURNAL_DIR).filter(f => f.endsWith('.jsonl')).sort();
+  for (const file of files) {
+    const day = file.slice(0, 10);
+    if (day < firstDay || day > lastDay) continue;
+    for (const line of fs.readFileSync(path.join(JOURNAL_DIR, file), 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // A torn final line from a crash mid-write
+      }
+      if (entry.time >= since && entry.time <= until) entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+// Group entries into cycles. A cycle starts at its cycle_start entry, so cycle numbers
+// that repeat after a state reset still land in separate groups.
+function groupCycles(entries) {
+  const cycles = [];
+  let current = null;
+  for (const entry of entries) {
+    if (entry.type === 'cycle_start' || !current || current.cycle !== entry.cycle) {
+      current = { cycle: entry.cycle, time: entry.time, entries: [] };
+      cycles.push(current);
+    }
+    current.entries.push(entry);
+  }
+  return cycles.filter(c => c.cycle !== null);
+}
+
+// One-line view of a cycle for filtering and listing
+function summarizeCycle(c) {
+  const find = type => c.entries.find(e => e.type === type);
+  const decision = find('decision');
+  const end = find('cycle_end');
+  const error = find('cycle_error');
+  const veto = find('veto');
+  return {
+    cycle: c.cycle,
+    time: c.time,
+    source: decision?.source || null,
+    proposedAction: decision?.decision?.action || null,
+    executedAction: end?.executedAction || null,
+    market: end?.market || decision?.decision?.market || null,
+    outcome: error ? 'error' : end?.outcome || 'incomplete',
+    reason: error?.message || end?.error || veto?.reason || decision?.decision?.reason || '',
+    txSig: end?.txSig || null,
+    totalBalance: end?.balances?.total ?? null,
+  };
+}
+
+// ─── Query CLI ───────────────────────────────────────────────────────────────
+
+function matches(summary, opts) {
+  if (opts.action) {
+    const action = String(opts.action).toUpperCase();
+    if (summary.proposedAction !== action && summary.executedAction !== action) return false;
+  }
+  if (opts.outcome && summary.outcome !== opts.outcome) return false;
+  if (opts.source && summary.source !== opts.source) return false;
+  if (opts.market && (summary.market || '').toUpperCase() !== String(opts.market).toUpperCase()) return false;
+  return true;
+}
+
+function formatTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function printCycle(c) {
+  console.log(`=== Cycle ${c.cycle} — ${formatTime(c.time)} UTC ===`);
+  for (const entry of c.entries) {
+    const { time, cycle, type, ...data } = entry;
+    console.log(`\n[${formatTime(time)}] ${type}`);
+    for (const [key, value] of Object.entries(data)) {
+      if (typeof value === 'string' && value.includes('\n')) {
+        console.log(`  ${key}:\n${value.split('\n').map(l => `    ${l}`).join('\n')}`);
+      } else {
+        console.log(`  ${key}: ${JSON.stringify(value)}`);
+      }
+    }
+  }
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.outcome && ![...OUTCOMES, 'error', 'incomplete'].includes(opts.outcome)) {
+    console.error(`[Journal] Unknown outcome "${opts.outcome}" (expected ${[...OUTCOMES, 'error', 'incomplete'].join(', ')})`);
+    process.exit(1);
+  }
+
+  let since;
+  let until;
+  try {
+    since = opts.since ? parseDate(opts.since) : 0;
+    until = opts.until ? parseDate(opts.until, true) : Infinity;
+  } catch (err) {
+    console.error(`[Journal] ${err.message}`);
+    process.exit(1);
+  }
+
+  let cycles = groupCycles(readEntries({ since, until }));
+  if (opts.cycle !== undefined) cycles = cycles.filter(c => c.cycle === Number(opts.cycle));
+  cycles = cycles.filter(c => matches(summarizeCycle(c), opts));
+
+  const limit = opts.limit !== undefined ? Number(opts.limit) : (opts.cycle !== undefined ? Infinity : 20);
+  cycles = cycles.slice(-limit);
+
+  if (opts.json) {
+    for (const c of cycles) for (const entry of c.entries) console.log(JSON.stringify(entry));
+    return;
+  }
+  if (cycles.length === 0) {
+    console.log(`[Journal] No matching cycles in ${JOURNAL_DIR}`);
+    return;
+  }
+  if (opts.cycle !== undefined) {
+    cycles.forEach((c, i) => {
+      if (i > 0) console.log('');
+      printCycle(c);
+    });
+    return;
+  }
+
+  for (const c of cycles) {
+    const s = summarizeCycle(c);
+    const action = s.executedAction && s.executedAction !== s.proposedAction
+      ? `${s.proposedAction} → ${s.executedAction}`
+      : (s.proposedAction || '-');
+    const balance = s.totalBalance !== null ? `$${s.totalBalance.toFixed(2)}` : '';
+    console.log(`${formatTime(s.time)}  #${String(s.cycle).padEnd(5)} ${(s.source || '-').padEnd(5)} ${`${action}${s.market ? ` ${s.market}` : ''}`.padEnd(36)} ${s.outcome.padEnd(10)} ${balance.padEnd(10)} ${s.reason}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  setCycle,
+  record,
+  readEntries,
+  groupCycles,
+  summarizeCycle,
+  JOURNAL_DIR,
+  OUTCOMES,
+};
@@ -0,0 +1,237 @@
+/**
+ * LLM Providers
+ *
+ * One interface over the model backends the agent can ask for decisions
+ * (LLM_PROVIDER):
+ *
+ *   openai     OpenAI-compatible chat completions at CLAUDE_API_URL (default; the local proxy)
+ *   anthropic  Native Anthropic Messages API at ANTHROPIC_API_URL with ANTHROPIC_API_KEY
+ *   stub       Local and deterministic: replays LLM_STUB_ACTIONS, then HOLDs. No network.
+ *
+ * Trading actions are offered as tools (decisionTools in decision-schema.js) and the
+ * model answers with a tool call. OpenAI-compatible endpoints that don't support tools
+ * can set OPENAI_TOOLS=0 to get the JSON-in-text format instead.
+ *
+ * Conversations are kept provider-neutral and translated to each wire format:
+ *   { role: 'user', content }
+ *   { role: 'assistant', content, toolCall: { id, name, input } | null }
+ *   { role: 'tool', toolCallId, content }        Feedback on a tool call (e.g. validation errors)
+ *
+ * complete() resolves to { status, text, toolCall, raw, attempts }. Timeouts, network
+ * errors, 429 and 5xx are retried with exponential backoff per provider
+ * (<PROVIDER>_TIMEOUT_MS, <PROVIDER>_MAX_RETRIES); anything else, or running out of
+ * retries, rejects with an Error carrying `status` and `body` when the API answered.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+
+// Config
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const RETRY_BACKOFF_MS = Number(process.env.LLM_RETRY_BACKOFF_MS || 1000);
+const MAX_BACKOFF_MS = 30_000;
+
+// ─── Transport ───────────────────────────────────────────────────────────────
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// POST JSON once. HTTP errors reject with `status`, `body` and whether a retry may help.
+async function postJson(url, headers, body, timeoutMs) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const wrapped = new Error(err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message);
+    wrapped.retryable = true;
+    throw wrapped;
+  }
+  if (!res.ok) {
+    const text = await res.text();
+    const err = new Error(`HTTP ${res.status}`);
+    err.status = res.status;
+    err.body = text;
+    err.retryable = res.status === 429 || res.status >= 500;
+    err.retryAfterMs = Number(res.headers.get('retry-after')) * 1000 || null;
+    throw err;
+  }
+  return { status: res.status, data: await res.json() };
+}
+
+// Run `send` with the provider's retry policy; returns its result plus the attempt count
+async function withRetry(provider, send) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { ...(await send()), attempts: attempt + 1 };
+    } catch (err) {
+      if (!err.retryable || attempt >= provider.maxRetries) throw err;
+      const delay = Math.min(err.retryAfterMs || RETRY_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+      console.log(`  [LLM] ${provider.name} ${err.message} — retry ${attempt + 1}/${provider.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ─── Providers ───────────────────────────────────────────────────────────────
+
+function anthropicProvider() {
+  const url = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+  const provider = {
+    name: 'anthropic',
+    url,
+    usesTools: true,
+    timeoutMs: Number(process.env.ANTHROPIC_TIMEOUT_MS || 60_000),
+    maxRetries: Number(process.env.ANTHROPIC_MAX_RETRIES ?? 2),
+
+    async complete({ model, maxTokens, messages, tools }) {
+      if (!process.env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not set');
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: messages.map(m => {
+          if (m.role === 'tool') {
+            return { role: 'user', content: [{ type: 'tool_result', tool_use_id: m.toolCallId, content: m.content, is_error: true }] };
+          }
+          if (m.role === 'assistant' && m.toolCall) {
+            const content = m.content ? [{ type: 'text', text: m.content }] : [];
+            content.push({ type: 'tool_use', id: m.toolCall.id, name: m.toolCall.name, input: m.toolCall.input });
+            return { role: 'assistant', content };
+          }
+          return { role: m.role, content: m.content };
+        }),
+      };
+      if (tools) {
+        body.tools = tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+        body.tool_choice = { type: 'any' };
+      }
+
+      const headers = { 'x-api-key': process.env.ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01' };
+      return withRetry(provider, async () => {
+        const { status, data } = await postJson(url, headers, body, provider.timeoutMs);
+        const blocks = data.content || [];
+        const toolUse = blocks.find(b => b.type === 'tool_use');
+        return {
+          status,
+          text: blocks.filter(b => b.type === 'text').map(b => b.text).join('\n').trim(),
+          toolCall: toolUse ? { id: toolUse.id, name: toolUse.name, input: toolUse.input } : null,
+          raw: data,
+        };
+      });
+    },
+  };
+  return provider;
+}
+
+function openaiProvider() {
+  const url = process.env.CLAUDE_API_URL || 'http://localhost:8317/v1/chat/completions';
+  const provider = {
+    name: 'openai',
+    url,
+    usesTools: !['0', 'false'].includes((process.env.OPENAI_TOOLS || '').toLowerCase()),
+    timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS || 60_000),
+    maxRetries: Number(process.env.OPENAI_MAX_RETRIES ?? 2),
+
+    async complete({ model, maxTokens, messages, tools }) {
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: messages.map(m => {
+          if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+          if (m.role === 'assistant' && m.toolCall) {
+            return {
+              role: 'assistant',
+              content: m.content || null,
+              tool_calls: [{ id: m.toolCall.id, type: 'function', function: { name: m.toolCall.name, arguments: JSON.stringify(m.toolCall.input) } }],
+            };
+          }
+          return { role: m.role, content: m.content };
+        }),
+      };
+      if (tools && provider.usesTools) {
+        body.tools = tools.map(t => ({ type: 'function', function: t }));
+        body.tool_choice = 'required';
+      }
+
+      const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+      return withRetry(provider, async () => {
+        const { status, data } = await postJson(url, headers, body, provider.timeoutMs);
+        const message = data.choices?.[0]?.message || {};
+        const call = message.tool_calls?.[0];
+        let toolCall = null;
+        if (call) {
+          let input;
+          try {
+            input = typeof call.function.arguments === 'string' ? JSON.parse(call.function.arguments || '{}') : call.function.arguments;
+          } catch {
+            // Unparseable arguments reach validation as a non-object and are sent back for repair
+            input = call.function.arguments;
+          }
+          toolCall = { id: call.id, name: call.function.name, input };
+        }
+        return {
+          status,
+          // Some proxies answer in the Anthropic shape
+          text: (message.content || data.content?.[0]?.text || '').trim(),
+          toolCall,
+          raw: data,
+        };
+      });
+    },
+  };
+  return provider;
+}
+
+// Deterministic stand-in for paper runs and local testing. LLM_STUB_ACTIONS is a comma-separated
+// script of ACTION[:MARKET][:NUMBER] (NUMBER is the amount or size_usd), e.g.
+//   DEPOSIT_TO_DRIFT:20,OPEN_LONG:SOL-PERP:5,HOLD,CLOSE_LONG:SOL-PERP
+// One step per decision; once the script runs out every decision is HOLD. Repair requests
+// get the same step again.
+function stubProvider() {
+  const script = (process.env.LLM_STUB_ACTIONS || '').split(',').map(s => s.trim()).filter(Boolean);
+  let step = 0;
+  const provider = {
+    name: 'stub',
+    url: null,
+    usesTools: true,
+    timeoutMs: 0,
+    maxRetries: 0,
+
+    async complete({ messages }) {
+      const isRepair = messages.length > 1;
+      const entry = (isRepair ? script[step - 1] : script[step++]) || 'HOLD';
+      const [action, ...args] = entry.split(':');
+      const reason = step <= script.length
+        ? `Scripted stub decision ${step}/${script.length}`
+        : `Stub script exhausted (${script.length} step${script.length === 1 ? '' : 's'}) - defaulting to HOLD`;
+      const input = { confidence: 50, reason, market_outlook: 'neutral' };
+      for (const arg of args) {
+        if (arg !== '' && !isNaN(Number(arg))) input[action.startsWith('OPEN_') ? 'size_usd' : 'amount'] = Number(arg);
+        else if (arg) input.market = arg;
+      }
+      return { status: 200, text: '', toolCall: { id: `stub_${step}`, name: action.toUpperCase(), input }, raw: { script: entry }, attempts: 1 };
+    },
+  };
+  return provider;
+}
+
+const FACTORIES = {
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  stub: stubProvider,
+};
+
+function createProvider(name = LLM_PROVIDER) {
+  if (!FACTORIES[name]) throw new Error(`Unknown LLM provider "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  return FACTORIES[name]();
+}
+
+module.exports = {
+  createProvider,
+  PROVIDERS: Object.keys(FACTORIES),
+};
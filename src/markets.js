@@ -0,0 +1,63 @@
+/**
+ * Perpetual Markets
+ * Drift perp markets the agent knows how to trade, shared by the Drift
+ * wrappers, the price feed and the agent.
+ */
+
+// Drift perp market indexes (same on devnet and mainnet)
+const MARKETS = {
+  'SOL-PERP': { symbol: 'SOL-PERP', index: 0, base: 'SOL', coingeckoId: 'solana', paperStartPrice: 80 },
+  'BTC-PERP': { symbol: 'BTC-PERP', index: 1, base: 'BTC', coingeckoId: 'bitcoin', paperStartPrice: 65000 },
+  'ETH-PERP': { symbol: 'ETH-PERP', index: 2, base: 'ETH', coingeckoId: 'ethereum', paperStartPrice: 3000 },
+};
+
+const DEFAULT_MARKET = 'SOL-PERP';
+
+// Look up a market by symbol ('BTC-PERP', 'btc') or Drift index (1). Defaults to SOL-PERP.
+function resolveMarket(market = DEFAULT_MARKET) {
+  if (typeof market === 'number') {
+    const found = Object.values(MARKETS).find(m => m.index === market);
+    if (!found) throw new Error(`Unknown perp market index ${market}`);
+    return found;
+  }
+  const key = String(market).toUpperCase();
+  const found = MARKETS[key] || MARKETS[`${key}-PERP`];
+  if (!found) throw new Error(`Unknown perp market "${market}" (expected ${Object.keys(MARKETS).join(', ')})`);
+  return found;
+}
+
+// Symbol for a Drift perp market index, tolerating markets we don't trade
+function marketSymbol(index) {
+  const found = Object.values(MARKETS).find(m => m.index === index);
+  return found ? found.symbol : `PERP-${index}`;
+}
+
+function parseMarketList(list) {
+  return String(list).split(',').map(s => s.trim()).filter(Boolean).map(m => resolveMarket(m).symbol);
+}
+
+// Config check for the driftMarkets setting: null when every entry is a known market
+function marketListError(list) {
+  try {
+    return parseMarketList(list).length > 0 ? null : 'must name at least one market';
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Markets enabled for trading (driftMarkets / DRIFT_MARKETS=SOL-PERP,BTC-PERP,ETH-PERP). SOL-PERP is
+// always first: it is the reference market for treasury decisions and the dashboard price chart.
+function getEnabledMarkets() {
+  // Required here, not at the top: config.js requires this module for marketListError
+  const symbols = parseMarketList(require('./config').get().driftMarkets);
+  return [DEFAULT_MARKET, ...symbols.filter(s => s !== DEFAULT_MARKET)];
+}
+
+module.exports = {
+  MARKETS,
+  DEFAULT_MARKET,
+  resolveMarket,
+  marketSymbol,
+  marketListError,
+  getEnabledMarkets,
+};
@@ -0,0 +1,304 @@
+/**
+ * Notifications
+ *
+ * Pushes what an operator would otherwise only see by tailing the console to webhooks:
+ * Slack and Discord incoming webhooks, or any endpoint that takes a JSON POST. The agent
+ * calls notify() where each event happens; sending is best-effort and never holds up or
+ * breaks a trading cycle (a failed post is logged and dropped).
+ *
+ * Events:
+ *   position_opened     An open filled (market, side, size, entry price)
+ *   position_closed     A position was closed, with its realized P&L and how it closed
+ *   order_unfilled      An open or close didn't fill completely (what rested was cancelled or expired)
+ *   transfer_failed     A treasury transfer (transferUSDC) failed
+ *   drift_unavailable   Drift could not be connected to, or its account could not be read
+ *   price_rejected      A price source failed the sanity checks, or a market's feed went stale
+ *   low_sol             The agent or treasury wallet is short of SOL for transaction fees
+ *   risk_halt           The kill switch tripped (see risk-manager.js)
+ *   cycle_error         A trading cycle threw
+ *   daily_summary       Last 24h: equity, round trips, realized P&L, open positions
+ *
+ * Warnings and errors are throttled per event and subject (a market, price source or wallet):
+ * a repeat within NOTIFY_THROTTLE_MS is suppressed and counted in the next one sent. Trades and
+ * the daily summary are never throttled. The summary goes out once a day at NOTIFY_SUMMARY_HOUR
+ * (UTC; -1 turns it off).
+ *
+ * NOTIFY_WEBHOOKS is a comma-separated list of `format:url` (format slack, discord or json;
+ * a bare URL gets json). NOTIFY_EVENTS limits what is sent (default all).
+ *
+ *   npm run notify -- --test [--event position_closed]   Send a sample to every webhook
+ *   npm run notify -- --summary                           Send the daily summary now
+ *   npm run notify -- --listen 9000                       Local stand-in: print what arrives
+ *   (add --paper for the paper trading state)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const { buildReport } = require('./report');
+const { parseArgs } = require('./cli-args');
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+const THROTTLE_MS = Number(process.env.NOTIFY_THROTTLE_MS || 15 * 60 * 1000);
+const SUMMARY_HOUR = Number(process.env.NOTIFY_SUMMARY_HOUR || 0);
+const TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS || 5000);
+const LOW_SOL = Number(process.env.NOTIFY_LOW_SOL || 0.05);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Paths (must match agent.js)
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const STATE_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-state.json' : 'agent-state.json');
+
+const EVENTS = {
+  position_opened:   { severity: 'info', title: 'Position opened', throttle: false },
+  position_closed:   { severity: 'info', title: 'Position closed', throttle: false },
+  order_unfilled:    { severity: 'warning', title: 'Order not filled', throttle: true },
+  transfer_failed:   { severity: 'error', title: 'Transfer failed', throttle: true },
+  drift_unavailable: { severity: 'error', title: 'Drift unavailable', throttle: true },
+  price_rejected:    { severity: 'warning', title: 'Price rejected', throttle: true },
+  low_sol:           { severity: 'warning', title: 'Low SOL for fees', throttle: true },
+  risk_halt:         { severity: 'error', title: 'Trading halted', throttle: false },
+  cycle_error:       { severity: 'error', title: 'Cycle error', throttle: true },
+  daily_summary:     { severity: 'info', title: 'Daily summary', throttle: false },
+};
+
+const FORMATS = ['slack', 'discord', 'json'];
+const ICONS = { info: '', warning: '⚠️ ', error: '🚨 ' };
+const DISCORD_COLORS = { info: 0x3b82f6, warning: 0xf59e0b, error: 0xef4444 };
+
+// `format:url` entries → [{ format, url }]; a bare URL is posted as json
+function parseWebhooks(spec = '') {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const colon = entry.indexOf(':');
+    const prefix = entry.slice(0, colon).toLowerCase();
+    const hook = FORMATS.includes(prefix) ? { format: prefix, url: entry.slice(colon + 1) } : { format: 'json', url: entry };
+    new URL(hook.url);
+    return hook;
+  });
+}
+
+// NOTIFY_EVENTS → set of enabled event names (unknown names are reported by describe())
+function parseEvents(spec = 'all') {
+  const names = spec.split(',').map(s => s.trim()).filter(Boolean);
+  return names.length === 0 || names.includes('all') ? new Set(Object.keys(EVENTS)) : new Set(names);
+}
+
+let webhooks = [];
+let webhookError = null;
+try {
+  webhooks = parseWebhooks(process.env.NOTIFY_WEBHOOKS);
+} catch (err) {
+  webhookError = `NOTIFY_WEBHOOKS has an invalid URL (${err.message}) — notifications disabled`;
+}
+const enabledEvents = parseEvents(process.env.NOTIFY_EVENTS);
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+// Body posted to a webhook of `format` for notification `n` ({ event, severity, title, message,
+// data, time, paper, suppressed })
+function formatPayload(format, n) {
+  const title = `${n.paper ? '[PAPER] ' : ''}${n.title}`;
+  const message = n.suppressed > 0 ? `${n.message}\n(${n.suppressed} similar suppressed since the last one)` : n.message;
+  switch (format) {
+    case 'slack':
+      return { text: `${ICONS[n.severity]}*${title}*\n${message}` };
+    case 'discord':
+      return {
+        embeds: [{
+          title: `${ICONS[n.severity]}${title}`,
+          description: message,
+          color: DISCORD_COLORS[n.severity],
+          timestamp: new Date(n.time).toISOString(),
+        }],
+      };
+    default:
+      return {
+        event: n.event,
+        severity: n.severity,
+        title: n.title,
+        message,
+        data: n.data,
+        time: new Date(n.time).toISOString(),
+        paper: n.paper,
+        suppressed: n.suppressed,
+      };
+  }
+}
+
+// ─── Sending ─────────────────────────────────────────────────────────────────
+
+const lastSent = {};     // `${event}:${key}` → time of the last one sent
+const suppressed = {};   // `${event}:${key}` → repeats dropped since then
+const pending = new Set();
+
+async function post(hook, body) {
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return true;
+  } catch (err) {
+    console.log(`  [Notify] ${hook.format} webhook ${new URL(hook.url).host} failed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Send `event` to every webhook. `message` is the human-readable text, `data` goes into json
+ * payloads as is, and `key` names the subject repeats are throttled by (a market, price source
+ * or wallet). Resolves to whether it was sent; never rejects.
+ */
+function notify(event, message, data = {}, { key = '', now = Date.now() } = {}) {
+  const def = EVENTS[event];
+  if (!def || webhooks.length === 0 || !enabledEvents.has(event)) return Promise.resolve(false);
+
+  const throttleKey = `${event}:${key}`;
+  if (def.throttle && lastSent[throttleKey] && now - lastSent[throttleKey] < THROTTLE_MS) {
+    suppressed[throttleKey] = (suppressed[throttleKey] || 0) + 1;
+    return Promise.resolve(false);
+  }
+  const n = { event, severity: def.severity, title: def.title, message, data, time: now, paper: PAPER_TRADING, suppressed: suppressed[throttleKey] || 0 };
+  lastSent[throttleKey] = now;
+  suppressed[throttleKey] = 0;
+
+  const sending = Promise.all(webhooks.map(hook => post(hook, formatPayload(hook.format, n)))).then(results => results.some(Boolean));
+  pending.add(sending);
+  sending.finally(() => pending.delete(sending));
+  return sending;
+}
+
+// Wait for notifications still being sent (on shutdown)
+async function flush() {
+  await Promise.allSettled([...pending]);
+}
+
+// One line for the agent's startup banner
+function describe() {
+  if (webhookError) return webhookError;
+  if (webhooks.length === 0) return 'off (set NOTIFY_WEBHOOKS)';
+  const unknown = [...enabledEvents].filter(e => !EVENTS[e]);
+  const events = enabledEvents.size === Object.keys(EVENTS).length ? 'all events' : [...enabledEvents].filter(e => EVENTS[e]).join(', ');
+  return `${webhooks.length} webhook(s) (${webhooks.map(h => h.format).join(', ')}), ${events}${unknown.length > 0 ? ` — unknown in NOTIFY_EVENTS: ${unknown.join(', ')}` : ''}`;
+}
+
+// ─── Daily Summary ───────────────────────────────────────────────────────────
+
+// UTC date the summary is due for, or null: once a day from NOTIFY_SUMMARY_HOUR, unless `last` already is today
+function summaryDue(last, now = Date.now()) {
+  if (SUMMARY_HOUR < 0 || new Date(now).getUTCHours() < SUMMARY_HOUR) return null;
+  const day = new Date(now).toISOString().slice(0, 10);
+  return last === day ? null : day;
+}
+
+// { message, data } summarizing the last 24h of an agent state (see report.js)
+function dailySummary(state, now = Date.now()) {
+  const since = now - DAY_MS;
+  const r = buildReport(state, { since, until: now, now });
+  const realized = (state.realizedPnLHistory || []).filter(p => p.time >= since).reduce((sum, p) => sum + p.pnl, 0);
+  const positions = Object.entries(state.markets || {})
+    .filter(([, m]) => m?.currentOpenDirection)
+    .map(([market, m]) => `${market} ${m.currentOpenDirection} ${Number(m.currentOpenSize || 0).toFixed(4)}`);
+  const usd = v => (v === null ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`);
+
+  const lines = [
+    `Equity: ${usd(r.equity.start)} → ${usd(r.equity.end)} (${r.equity.change === null ? '—' : `${r.equity.change >= 0 ? '+' : '-'}$${Math.abs(r.equity.change).toFixed(2)}`})`,
+    `Round trips: ${r.trades.count} (${r.trades.wins} won, ${r.trades.losses} lost), net ${usd(r.trades.netPnl)}`,
+    `Realized P&L: ${usd(realized)} (all time ${usd(state.realizedPnL || 0)})`,
+    `Cycles: ${r.activity.cycles}, ${r.activity.executed} with a transaction`,
+    `Open positions: ${positions.length > 0 ? positions.join(', ') : 'none'}`,
+  ];
+  return {
+    message: lines.join('\n'),
+    data: { window: r.window, equity: r.equity, trades: r.trades, realizedPnl: realized, activity: r.activity, positions },
+  };
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+// What each event looks like, for --test
+const SAMPLES = {
+  position_opened: ['SOL-PERP LONG 0.0625 SOL @ $80.12 ($5.01)', { market: 'SOL-PERP', direction: 'LONG', size: 0.0625, price: 80.12 }],
+  position_closed: ['SOL-PERP LONG closed (take-profit fired): realized P&L $0.42', { market: 'SOL-PERP', direction: 'LONG', pnl: 0.42, estimated: false, how: 'take-profit fired' }],
+  order_unfilled: ['SOL-PERP open unfilled: 0.000000 of 0.062500 filled, no order left resting', { market: 'SOL-PERP', kind: 'open', status: 'unfilled' }],
+  transfer_failed: ['Transfer of 5 USDC to the treasury failed: insufficient funds', { direction: 'TO_TREASURY', amount: 5, error: 'insufficient funds' }],
+  drift_unavailable: ['Drift unavailable: connection refused', { error: 'connection refused' }],
+  price_rejected: ['SOL-PERP coingecko $95.00 rejected: outlier (18.00% from median $80.50)', { market: 'SOL-PERP', source: 'coingecko', price: 95 }],
+  low_sol: [`Agent wallet has 0.0040 SOL (below ${LOW_SOL})`, { wallet: 'agent', balance: 0.004 }],
+  risk_halt: ['Max drawdown 20.0% breached', { reason: 'Max drawdown 20.0% breached' }],
+  cycle_error: ['Cycle 12: fetch failed', { cycle: 12, message: 'fetch failed' }],
+  daily_summary: ['Equity: $100.00 → $101.20 (+$1.20)\nRound trips: 3 (2 won, 1 lost), net $1.20', {}],
+};
+
+// Local stand-in for a webhook: prints every POST it receives
+function listen(port) {
+  http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let printed = body;
+      try {
+        printed = JSON.stringify(JSON.parse(body), null, 2);
+      } catch {}
+      console.log(`\n[Notify] ${new Date().toISOString()} ${req.method} ${req.url}\n${printed}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  }).listen(port, '127.0.0.1', () => {
+    console.log(`[Notify] Listening on http://127.0.0.1:${port} — point NOTIFY_WEBHOOKS at it, e.g. json:http://127.0.0.1:${port}/hook`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.listen) return listen(Number(args.listen === true ? 9000 : args.listen));
+
+  if (!args.test && !args.summary) {
+    console.log(`Notifications: ${describe()}`);
+    console.log('Usage: npm run notify -- --test [--event <name>] | --summary [--paper] | --listen <port>');
+    return;
+  }
+  if (webhookError) throw new Error(webhookError);
+  if (webhooks.length === 0) throw new Error('No webhooks configured — set NOTIFY_WEBHOOKS (see .env.example)');
+
+  if (args.summary) {
+    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    const { message, data } = dailySummary(state);
+    console.log(message);
+    const sent = await notify('daily_summary', message, data);
+    console.log(`[Notify] Daily summary ${sent ? 'sent' : 'not sent'}`);
+    return;
+  }
+
+  const events = args.event && args.event !== true ? [args.event] : Object.keys(EVENTS);
+  for (const event of events) {
+    if (!SAMPLES[event]) throw new Error(`Unknown event "${event}" (expected ${Object.keys(EVENTS).join(', ')})`);
+    const [message, data] = SAMPLES[event];
+    const sent = await notify(event, message, { ...data, test: true });
+    console.log(`[Notify] ${event}: ${sent ? 'sent' : enabledEvents.has(event) ? 'failed' : 'not in NOTIFY_EVENTS'}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[Notify] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  notify,
+  flush,
+  describe,
+  summaryDue,
+  dailySummary,
+  formatPayload,
+  parseWebhooks,
+  EVENTS,
+  LOW_SOL,
+};
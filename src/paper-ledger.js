@@ -0,0 +1,113 @@
+/**
+ * Paper Trading - Simulated Token Ledger
+ * In-memory stand-in for the SPL token program so the agent can move USDC
+ * between wallets without an RPC connection.
+ *
+ * The agent and treasury balances are saved to logs/paper-ledger.json after every
+ * change and restored on the next start, so they carry over like paper-state.json.
+ * Delete the file to fund the wallets from PAPER_AGENT_USDC / PAPER_TREASURY_USDC again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+
+// Config
+const PAPER_AGENT_USDC = Number(process.env.PAPER_AGENT_USDC || 100);
+const PAPER_TREASURY_USDC = Number(process.env.PAPER_TREASURY_USDC || 0);
+const PAPER_SOL_BALANCE = Number(process.env.PAPER_SOL_BALANCE || 1);
+
+// Paths
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const LEDGER_FILE = path.join(LOG_DIR, 'paper-ledger.json');
+
+const balances = new Map(); // pubkey (base58) → USDC
+let agentKey = null;
+let treasuryKey = null;
+let sigCounter = 0;
+
+function key(pubkey) {
+  return typeof pubkey === 'string' ? pubkey : pubkey.toString();
+}
+
+// Fake transaction signature so paper trades look like real ones in state/logs
+function nextSignature() {
+  sigCounter++;
+  return `paper-${Date.now().toString(36)}-${sigCounter}`;
+}
+
+// Paper keypairs are generated per run, so balances are saved by role, not by pubkey
+function save() {
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+  const saved = { agent: getBalance(agentKey), treasury: getBalance(treasuryKey), savedAt: Date.now() };
+  fs.writeFileSync(`${LEDGER_FILE}.tmp`, JSON.stringify(saved, null, 2));
+  fs.renameSync(`${LEDGER_FILE}.tmp`, LEDGER_FILE);
+}
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(LEDGER_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.log(`[Paper] Could not read ${LEDGER_FILE}: ${err.message} — funding the wallets again`);
+    return null;
+  }
+}
+
+function init({ agent, treasury }) {
+  agentKey = key(agent);
+  treasuryKey = key(treasury);
+  const saved = load();
+  if (saved) {
+    balances.set(agentKey, saved.agent);
+    balances.set(treasuryKey, saved.treasury);
+    console.log(`[Paper] Ledger restored: agent ${saved.agent} USDC, treasury ${saved.treasury} USDC (${LEDGER_FILE})`);
+    return;
+  }
+  balances.set(agentKey, PAPER_AGENT_USDC);
+  balances.set(treasuryKey, PAPER_TREASURY_USDC);
+  save();
+  console.log(`[Paper] Ledger funded: agent ${PAPER_AGENT_USDC} USDC, treasury ${PAPER_TREASURY_USDC} USDC`);
+}
+
+function getBalance(pubkey) {
+  return balances.get(key(pubkey)) || 0;
+}
+
+function getSOLBalance() {
+  return PAPER_SOL_BALANCE;
+}
+
+function transfer(fromPubkey, toPubkey, amountUSDC) {
+  const from = key(fromPubkey);
+  const to = key(toPubkey);
+  const amount = Math.floor(amountUSDC * 1e6) / 1e6;
+  const available = getBalance(from);
+  if (amount > available) {
+    throw new Error(`Insufficient USDC: ${available} available, ${amount} requested`);
+  }
+  balances.set(from, available - amount);
+  balances.set(to, getBalance(to) + amount);
+  save();
+  return nextSignature();
+}
+
+// Debit the agent wallet (used by the paper Drift exchange for collateral deposits)
+function debitAgent(amountUSDC) {
+  if (!agentKey) throw new Error('Paper ledger not initialized');
+  const available = getBalance(agentKey);
+  if (amountUSDC > available) {
+    throw new Error(`Insufficient USDC in agent wallet: ${available} available, ${amountUSDC} requested`);
+  }
+  balances.set(agentKey, available - amountUSDC);
+  save();
+}
+
+module.exports = {
+  init,
+  getBalance,
+  getSOLBalance,
+  transfer,
+  debitAgent,
+  nextSignature,
+  LEDGER_FILE,
+};
@@ -0,0 +1,158 @@
+/**
+ * Position Sizing
+ *
+ * Turns an opening decision into a notional. executeTrade (and the backtester)
+ * size every OPEN_LONG / OPEN_SHORT here instead of trusting the proposed size_usd.
+ *
+ * sizingMode:
+ *   fixed   The proposed size_usd, capped at maxPerpSizeUsd (the previous behavior)
+ *   risk    Size from the account and the market:
+ *
+ *             risk budget  = equity × riskPerTradePct × confidence / 100
+ *             stop         = stopVolMultiple × daily realized volatility (at least 0.5%)
+ *             notional     = risk budget / stop
+ *
+ *           so a position stopped out after a `stopVolMultiple`-sigma day loses about
+ *           the risk budget. Sizes grow with equity and shrink in volatile markets and
+ *           on low-confidence calls. With kellyFraction set, the risk share is also
+ *           capped at that fraction of the Kelly bet from the recent round trips
+ *           (no trade while their edge is negative).
+ *
+ *           The notional is then capped by margin (free collateral × leverage),
+ *           maxPositionPct of equity and the risk manager's exposure headroom.
+ *           maxPerpSizeUsd does not apply.
+ *
+ * Until there are enough price samples for a volatility estimate, risk mode sizes
+ * like fixed mode.
+ */
+
+const { median } = require('./stats');
+
+const MIN_VOL_SAMPLES = 10;       // Price samples needed for a volatility estimate
+const VOL_LOOKBACK = 100;         // Most recent samples used
+const MIN_STOP_PCT = 0.005;       // Floor on the stop distance, so a quiet market can't size up without bound
+const MIN_KELLY_TRADES = 20;      // Round trips needed before Kelly is applied
+const KELLY_LOOKBACK = 50;        // Most recent round trips used
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MODES = ['fixed', 'risk'];
+
+// ─── Inputs ──────────────────────────────────────────────────────────────────
+
+/**
+ * Daily realized volatility of a price history ([{ time, price }]): the standard
+ * deviation of log returns, scaled to a day by the median sample interval.
+ * Returns { daily, perSample, samples, intervalMs } or null without enough samples.
+ */
+function realizedVolatility(prices, lookback = VOL_LOOKBACK) {
+  const recent = (prices || []).filter(p => p.price > 0).slice(-lookback);
+  if (recent.length < MIN_VOL_SAMPLES) return null;
+
+  const returns = [];
+  const intervals = [];
+  for (let i = 1; i < recent.length; i++) {
+    returns.push(Math.log(recent[i].price / recent[i - 1].price));
+    intervals.push(recent[i].time - recent[i - 1].time);
+  }
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const perSample = Math.sqrt(variance);
+  const intervalMs = median(intervals);
+  if (!(intervalMs > 0)) return null;
+  return { daily: perSample * Math.sqrt(DAY_MS / intervalMs), perSample, samples: recent.length, intervalMs };
+}
+
+/**
+ * Kelly bet from recent round trips (state.strategyTrades; settled net P&L where known).
+ * kelly = p - (1 - p) / b with win rate p and payoff b = average win / average loss.
+ * Returns { kelly, winRate, payoff, trades } or null with fewer than MIN_KELLY_TRADES.
+ */
+function kellyStats(trades, lookback = KELLY_LOOKBACK) {
+  const pnls = (trades || []).slice(-lookback).map(t => t.settlement?.netPnl ?? t.pnl).filter(Number.isFinite);
+  if (pnls.length < MIN_KELLY_TRADES) return null;
+  const wins = pnls.filter(p => p > 0);
+  const losses = pnls.filter(p => p < 0);
+  const winRate = wins.length / pnls.length;
+  if (losses.length === 0) return { kelly: 1, winRate, payoff: Infinity, trades: pnls.length };
+  if (wins.length === 0) return { kelly: -1, winRate, payoff: 0, trades: pnls.length };
+  const payoff = (wins.reduce((a, b) => a + b, 0) / wins.length) / (-losses.reduce((a, b) => a + b, 0) / losses.length);
+  return { kelly: winRate - (1 - winRate) / payoff, winRate, payoff, trades: pnls.length };
+}
+
+// ─── Sizing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Notional for an opening decision.
+ *
+ * account:  { equity, freeCollateral, exposureHeadroomUsd, prices (market history), trades (round trips) }
+ * settings: { mode, riskPerTradePct, stopVolMultiple, maxPositionPct, kellyFraction, maxPerpSizeUsd }
+ *
+ * Returns { sizeUsd, mode, limitedBy, ... } with the inputs behind the size. `limitedBy`
+ * names the binding cap (proposal, max_perp_size, risk, margin, max_position, exposure,
+ * kelly) and `note` explains a fallback to fixed sizing.
+ */
+function sizePosition(decision, account, settings) {
+  const leverage = decision.leverage || 1;
+  const fixed = note => {
+    const proposed = decision.size_usd || 5;
+    const sizeUsd = Math.min(proposed, settings.maxPerpSizeUsd);
+    return { mode: 'fixed', sizeUsd, limitedBy: sizeUsd < proposed ? 'max_perp_size' : 'proposal', ...(note ? { note } : {}) };
+  };
+  if (settings.mode !== 'risk') return fixed();
+
+  const vol = realizedVolatility(account.prices);
+  if (!vol) return fixed(`fewer than ${MIN_VOL_SAMPLES} price samples for a volatility estimate`);
+
+  const confidence = Math.min(Math.max(Number(decision.confidence) || 0, 0), 100);
+  let riskPct = settings.riskPerTradePct;
+  let kelly = null;
+  if (settings.kellyFraction > 0) {
+    kelly = kellyStats(account.trades);
+    if (kelly && kelly.kelly * settings.kellyFraction < riskPct) riskPct = Math.max(kelly.kelly * settings.kellyFraction, 0);
+  }
+
+  const equity = Math.max(account.equity || 0, 0);
+  const riskUsd = equity * riskPct * confidence / 100;
+  const stopPct = Math.max(settings.stopVolMultiple * vol.daily, MIN_STOP_PCT);
+  const caps = {
+    risk: riskUsd / stopPct,
+    margin: Math.max(account.freeCollateral || 0, 0) * leverage,
+    max_position: equity * settings.maxPositionPct,
+    ...(account.exposureHeadroomUsd !== undefined ? { exposure: Math.max(account.exposureHeadroomUsd, 0) } : {}),
+  };
+  let [limitedBy, sizeUsd] = Object.entries(caps).reduce((min, cap) => cap[1] < min[1] ? cap : min);
+  if (limitedBy === 'risk' && kelly && riskPct < settings.riskPerTradePct) limitedBy = 'kelly';
+
+  return {
+    mode: 'risk',
+    sizeUsd: Math.round(sizeUsd * 100) / 100,
+    limitedBy,
+    equity,
+    riskPct,
+    confidence,
+    riskUsd,
+    dailyVol: vol.daily,
+    volSamples: vol.samples,
+    stopPct,
+    caps,
+    ...(kelly ? { kelly } : {}),
+  };
+}
+
+// One-line explanation for the log
+function describeSizing(s) {
+  if (s.mode === 'fixed') {
+    return `$${s.sizeUsd.toFixed(2)} fixed${s.limitedBy === 'max_perp_size' ? ' (capped at maxPerpSizeUsd)' : ''}${s.note ? ` — ${s.note}` : ''}`;
+  }
+  const pct = v => `${(v * 100).toFixed(2)}%`;
+  return `$${s.sizeUsd.toFixed(2)} = equity $${s.equity.toFixed(2)} × ${pct(s.riskPct)} risk × ${s.confidence}% confidence / ${pct(s.stopPct)} stop` +
+    ` (daily vol ${pct(s.dailyVol)})${s.limitedBy === 'risk' ? '' : `, limited by ${s.limitedBy.replace('_', ' ')}`}`;
+}
+
+module.exports = {
+  sizePosition,
+  describeSizing,
+  realizedVolatility,
+  kellyStats,
+  MODES,
+};
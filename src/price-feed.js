@@ -0,0 +1,272 @@
+/**
+ * Multi-Source Price Feed
+ *
+ * Polls every configured price source for a perp market in parallel, timestamps each quote,
+ * rejects stale quotes and outliers against the cross-source median, and
+ * reports a "stale" state when no fresh consensus price is available so the
+ * agent can refuse to trade instead of acting on an old number.
+ *
+ * Two quotes that disagree can't outvote each other: the one closer to the last consensus
+ * price is kept (if it passes the jump check), or before there is one, the primary source —
+ * the first in PRICE_SOURCES.
+ *
+ * Sources (PRICE_SOURCES, comma-separated, in any order):
+ *   coingecko  CoinGecko public API (also supplies the 24h change)
+ *   drift      Drift perp oracle price (devnet or paper exchange)
+ *   file       Local stand-in: PRICE_FILE containing {"price": 81.2, "time": <ms>} (SOL-PERP),
+ *              a bare number, or per-market quotes {"BTC-PERP": {"price": ..., "time": ...}}
+ *   http       Local stand-in: PRICE_HTTP_URL?market=<symbol> returning {"price": 81.2, "time": <ms>}
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const { DEFAULT_MARKET, resolveMarket } = require('./markets');
+const { median } = require('./stats');
+
+// Config
+const PRICE_SOURCES = (process.env.PRICE_SOURCES || 'coingecko,drift').split(',').map(s => s.trim()).filter(Boolean);
+const PRICE_FILE = process.env.PRICE_FILE || path.join(__dirname, '..', 'logs', 'price.json');
+const PRICE_HTTP_URL = process.env.PRICE_HTTP_URL || 'http://localhost:8318/price';
+const SOURCE_TIMEOUT_MS = Number(process.env.PRICE_SOURCE_TIMEOUT_MS || 5000);
+const MAX_QUOTE_AGE_MS = Number(process.env.PRICE_MAX_QUOTE_AGE_MS || 5 * 60 * 1000);  // Ignore individual quotes older than this
+const STALE_AFTER_MS = Number(process.env.PRICE_STALE_AFTER_MS || 10 * 60 * 1000);     // Feed is stale if no consensus price for this long
+const OUTLIER_PCT = Number(process.env.PRICE_OUTLIER_PCT || 0.02);                     // Reject quotes >2% from the median
+const MAX_JUMP_PCT = Number(process.env.PRICE_MAX_JUMP_PCT || 0.30);                   // Single-source guard vs last consensus
+
+let sources = [];
+const lastGood = {};    // symbol → { price, time, change24h }
+const lastStatus = {};  // symbol → last getPrice() result
+
+// ─── Sources ─────────────────────────────────────────────────────────────────
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function coingeckoSource() {
+  return {
+    name: 'coingecko',
+    async fetch(market) {
+      const id = resolveMarket(market).coingeckoId;
+      const res = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=usd&include_24hr_change=true&include_last_updated_at=true`, {
+        signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return {
+        price: data[id].usd,
+        time: data[id].last_updated_at ? data[id].last_updated_at * 1000 : Date.now(),
+        change24h: data[id].usd_24h_change,
+      };
+    },
+  };
+}
+
+function driftOracleSource(getDrift) {
+  return {
+    name: 'drift',
+    async fetch(market) {
+      const d = await getDrift();
+      if (!d) throw new Error('Drift unavailable');
+      const info = await d.getMarketInfo(market);
+      return { price: info.price, time: info.oracleTime || Date.now() };
+    },
+  };
+}
+
+function fileSource(file = PRICE_FILE) {
+  return {
+    name: 'file',
+    async fetch(market) {
+      const raw = fs.readFileSync(file, 'utf8').trim();
+      let parsed = raw.startsWith('{') ? JSON.parse(raw) : { price: Number(raw) };
+      if (parsed[market]) parsed = parsed[market];
+      else if (market !== DEFAULT_MARKET) throw new Error(`No ${market} quote in ${file}`);
+      return { price: Number(parsed.price), time: parsed.time || fs.statSync(file).mtimeMs };
+    },
+  };
+}
+
+function httpSource(url = PRICE_HTTP_URL) {
+  return {
+    name: 'http',
+    async fetch(market) {
+      const target = new URL(url);
+      target.searchParams.set('market', market);
+      const res = await fetch(target, { signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return { price: Number(data.price), time: data.time || Date.now(), change24h: data.change24h };
+    },
+  };
+}
+
+// Build the configured sources. getDrift is the agent's lazy Drift loader.
+function init({ getDrift }) {
+  const factories = {
+    coingecko: () => coingeckoSource(),
+    drift: () => driftOracleSource(getDrift),
+    file: () => fileSource(),
+    http: () => httpSource(),
+  };
+  sources = PRICE_SOURCES.map(name => {
+    if (!factories[name]) throw new Error(`Unknown price source "${name}" (expected ${Object.keys(factories).join(', ')})`);
+    return factories[name]();
+  });
+}
+
+// Replace the source list (custom sources must expose { name, fetch(market) → { price, time } })
+function setSources(list) {
+  sources = list;
+}
+
+// ─── Aggregation ─────────────────────────────────────────────────────────────
+
+// Jump from the last consensus price, as a share of it
+function jumpFrom(reference, price) {
+  return Math.abs(price - reference) / reference;
+}
+
+// Pick the consensus price from timestamped quotes, given in PRICE_SOURCES order. Returns
+// { price, quotes } where rejected quotes carry a `rejected` reason; price is null if nothing survives.
+function aggregate(quotes, now = Date.now(), reference = null) {
+  const usable = [];
+  for (const q of quotes) {
+    if (q.error) continue;
+    if (!(q.price > 0)) q.rejected = 'invalid price';
+    else if (now - q.time > MAX_QUOTE_AGE_MS) q.rejected = `stale (${Math.round((now - q.time) / 1000)}s old)`;
+    else usable.push(q);
+  }
+  if (usable.length === 0) return { price: null, quotes };
+
+  // With one source there is nothing to vote against, so fall back to a jump check
+  if (usable.length === 1) {
+    const q = usable[0];
+    if (reference && jumpFrom(reference, q.price) > MAX_JUMP_PCT) {
+      q.rejected = `jumped ${(jumpFrom(reference, q.price) * 100).toFixed(1)}% from last consensus $${reference.toFixed(2)}`;
+      return { price: null, quotes };
+    }
+    return { price: q.price, quotes };
+  }
+
+  const mid = median(usable.map(q => q.price));
+  const accepted = usable.filter(q => {
+    const deviation = Math.abs(q.price - mid) / mid;
+    if (deviation > OUTLIER_PCT) {
+      q.rejected = `outlier (${(deviation * 100).toFixed(2)}% from median $${mid.toFixed(2)})`;
+      return false;
+    }
+    return true;
+  });
+  if (accepted.length > 0) return { price: median(accepted.map(q => q.price)), quotes };
+  if (usable.length !== 2) return { price: null, quotes };
+
+  // Two quotes too far apart are both outliers against their midpoint: keep the one closer to
+  // the last consensus if it passes the jump check, or without one the primary source
+  const [primary, other] = usable;
+  const keep = reference
+    ? usable.filter(q => jumpFrom(reference, q.price) <= MAX_JUMP_PCT)
+      .sort((a, b) => jumpFrom(reference, a.price) - jumpFrom(reference, b.price))[0]
+    : primary;
+  if (!keep) return { price: null, quotes };
+  const dropped = keep === primary ? other : primary;
+  delete keep.rejected;
+  dropped.rejected = `disagrees with ${keep.source} $${keep.price.toFixed(2)} by ${(jumpFrom(keep.price, dropped.price) * 100).toFixed(2)}%; ` +
+    (reference ? `further from last consensus $${reference.toFixed(2)}` : `${keep.source} is the primary source`);
+  return { price: keep.price, quotes };
+}
+
+async function fetchQuotes(market) {
+  return Promise.all(sources.map(async (source) => {
+    try {
+      const quote = await withTimeout(source.fetch(market), SOURCE_TIMEOUT_MS, source.name);
+      return { source: source.name, price: quote.price, time: quote.time, change24h: quote.change24h };
+    } catch (err) {
+      return { source: source.name, error: err.message };
+    }
+  }));
+}
+
+// Returns { price, change24h, time, stale, ageMs, quotes }. When no fresh consensus
+// exists the last good price is returned with stale=true once it ages past STALE_AFTER_MS.
+async function getPrice(market = DEFAULT_MARKET) {
+  const symbol = resolveMarket(market).symbol;
+  const now = Date.now();
+  const previous = lastGood[symbol];
+  const { price, quotes } = aggregate(await fetchQuotes(symbol), now, previous?.price);
+
+  for (const q of quotes) {
+    if (q.error) console.log(`  [Price] ${symbol} ${q.source} failed: ${q.error}`);
+    else if (q.rejected) console.log(`  [Price] ${symbol} ${q.source} $${Number(q.price).toFixed(2)} rejected: ${q.rejected}`);
+  }
+
+  if (price !== null) {
+    const accepted = quotes.filter(q => !q.error && !q.rejected);
+    const withChange = accepted.find(q => typeof q.change24h === 'number');
+    lastGood[symbol] = {
+      price,
+      time: Math.max(...accepted.map(q => q.time)),
+      change24h: withChange ? withChange.change24h : (previous?.change24h || 0),
+    };
+  }
+
+  const good = lastGood[symbol];
+  if (!good) {
+    lastStatus[symbol] = { market: symbol, price: 0, change24h: 0, time: null, stale: true, ageMs: null, quotes };
+    return lastStatus[symbol];
+  }
+
+  const ageMs = now - good.time;
+  lastStatus[symbol] = {
+    market: symbol,
+    price: good.price,
+    change24h: good.change24h,
+    time: good.time,
+    stale: ageMs > STALE_AFTER_MS,
+    ageMs,
+    quotes,
+  };
+  return lastStatus[symbol];
+}
+
+// Last getPrice() result per market, for the dashboard
+function getStatus() {
+  const status = {};
+  for (const [symbol, last] of Object.entries(lastStatus)) {
+    status[symbol] = summarize(last);
+  }
+  return status;
+}
+
+function summarize(last) {
+  return {
+    stale: last.stale,
+    ageMs: last.ageMs,
+    time: last.time,
+    sources: last.quotes.map(q => ({
+      source: q.source,
+      price: q.price ?? null,
+      time: q.time ?? null,
+      status: q.error ? 'error' : q.rejected ? 'rejected' : 'ok',
+      detail: q.error || q.rejected || null,
+    })),
+  };
+}
+
+module.exports = {
+  init,
+  setSources,
+  getPrice,
+  getStatus,
+  aggregate,
+  coingeckoSource,
+  driftOracleSource,
+  fileSource,
+  httpSource,
+  STALE_AFTER_MS,
+};
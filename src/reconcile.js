@@ -0,0 +1,127 @@
+/**
+ * State Reconciliation
+ *
+ * Compares what the agent state believes with what the exchange and the chain report,
+ * and lists every difference. A crash between a fill and the state save, or a manual
+ * trade on the account, leaves logs/agent-state.json describing a position that no
+ * longer exists (or missing one that does), which breaks the hold-time guard and
+ * strategy P&L. agent.js runs this at startup and at the start of every cycle and
+ * applies the corrections (reconcileState).
+ *
+ * Findings that are corrected:
+ *   orphan_position      A position on the exchange the state doesn't track → adopted at the current price
+ *   direction_mismatch   The exchange holds the opposite side → the tracked position is booked as closed
+ *                        outside the agent and the exchange's one adopted
+ *   size_mismatch        Same side, different size → the tracked size is corrected
+ *   incomplete_tracking  A tracked direction without an open time, or the reverse → completed or cleared
+ *   missing_account      No Drift account (e.g. a restarted paper exchange) while the state tracks
+ *                        positions → booked as closed outside the agent
+ *   stray_order          A resting limit order no execution is working → cancelled
+ *   external_flow        Wallets plus collateral changed between cycles without the agent, with no
+ *                        position open at either end → booked as a deposit or withdrawal, so it isn't
+ *                        counted as P&L
+ *
+ * Findings that are only reported:
+ *   unverified_flow      A wallet changed while a position was open. Collateral moves with P&L then,
+ *                        so a deposit can't be told from a withdrawal out of Drift; P&L is left alone
+ *
+ * Findings that block trading until they go away:
+ *   unreadable           The Drift account could not be read
+ *   untracked_market     The state tracks a position in a market that isn't enabled
+ *
+ * A tracked position that vanished from the exchange is booked by reconcileProtectiveOrders
+ * in agent.js, which knows whether a stop-loss or take-profit closed it.
+ */
+
+const SIZE_TOLERANCE = 1e-6;   // Relative size difference still counted as the same position
+
+// Change between two balance reads, or null when either read failed
+function balanceChange(before, now) {
+  return Number.isFinite(before) && Number.isFinite(now) ? now - before : null;
+}
+
+/**
+ * Every difference between the state and the exchange.
+ *
+ * input: { markets (enabled symbols), tracked (state.markets), driftInfo (getDriftInfo() in agent.js;
+ *          null when Drift isn't used), balances ({ agent, treasury, collateral, flat } now),
+ *          lastBalances (the same at the end of the previous cycle), toleranceUsd }
+ *
+ * Returns [{ kind, market, blocking, message, ... }], in the order corrections should be applied.
+ */
+function findMismatches({ markets, tracked = {}, driftInfo, balances, lastBalances, toleranceUsd }) {
+  const findings = [];
+  const add = (kind, market, message, data = {}) => findings.push({
+    kind,
+    market,
+    blocking: ['unreadable', 'untracked_market'].includes(kind),
+    message,
+    ...data,
+  });
+  const open = Object.entries(tracked).filter(([, m]) => m?.currentOpenDirection);
+
+  for (const [market] of open.filter(([symbol]) => !markets.includes(symbol))) {
+    add('untracked_market', market, `${market} position tracked, but ${market} is not an enabled market — enable it or close the position by hand`);
+  }
+
+  for (const [market, m] of Object.entries(tracked)) {
+    if (m?.currentOpenDirection && !m.lastPositionOpenTime) {
+      add('incomplete_tracking', market, `${market} ${m.currentOpenDirection} tracked without an open time`);
+    } else if (!m?.currentOpenDirection && m?.lastPositionOpenTime) {
+      add('incomplete_tracking', market, `${market} open time tracked without a position`);
+    }
+  }
+
+  if (driftInfo) {
+    if (driftInfo.error) {
+      add('unreadable', null, `Drift account could not be read (${driftInfo.error})`);
+    } else if (driftInfo.hasAccount === false) {
+      for (const [market, m] of open) {
+        add('missing_account', market, `${market} ${m.currentOpenDirection} tracked, but there is no Drift account`);
+      }
+    } else {
+      for (const market of markets) {
+        const m = tracked[market] || {};
+        const position = driftInfo.positions?.[market] || null;
+        if (!position) continue;
+        const size = Math.abs(position.baseAmount);
+        if (!m.currentOpenDirection) {
+          add('orphan_position', market, `${market} ${position.direction} ${size} on the exchange is not tracked`, { position });
+        } else if (m.currentOpenDirection !== position.direction) {
+          add('direction_mismatch', market, `${market} tracked ${m.currentOpenDirection}, exchange holds ${position.direction} ${size}`, { position });
+        } else if (Math.abs((m.currentOpenSize || 0) - size) > size * SIZE_TOLERANCE) {
+          add('size_mismatch', market, `${market} ${position.direction} tracked at ${m.currentOpenSize}, exchange holds ${size}`, { position, trackedSize: m.currentOpenSize });
+        }
+      }
+      for (const order of (driftInfo.openOrders || []).filter(o => !o.trigger)) {
+        add('stray_order', order.market, `${order.market} ${order.direction} limit order #${order.orderId} resting with no execution working it`, { orderId: order.orderId });
+      }
+    }
+  }
+
+  if (balances && lastBalances) {
+    const since = `since ${new Date(lastBalances.time).toISOString()} without an agent transaction`;
+    const usd = v => `${v > 0 ? '+' : ''}${v.toFixed(2)} USDC`;
+    const accounts = ['agent', 'treasury', 'collateral'];
+    const changes = Object.fromEntries(accounts.map(key => [key, balanceChange(lastBalances[key], balances[key])]));
+    if (lastBalances.flat && balances.flat && accounts.every(key => changes[key] !== null)) {
+      // Nothing open at either end: the total only moves with money entering or leaving
+      const amount = accounts.reduce((sum, key) => sum + changes[key], 0);
+      if (Math.abs(amount) > toleranceUsd) {
+        add('external_flow', null, `Wallets and collateral ${usd(amount)} ${since}`, { amount, changes });
+      }
+    } else {
+      for (const [key, label] of [['agent', 'Agent wallet'], ['treasury', 'Treasury wallet']]) {
+        if (changes[key] !== null && Math.abs(changes[key]) > toleranceUsd) {
+          add('unverified_flow', null, `${label} ${usd(changes[key])} ${since}, while a position was open`, { account: key, amount: changes[key] });
+        }
+      }
+    }
+  }
+
+  return findings;
+}
+
+module.exports = {
+  findMismatches,
+};
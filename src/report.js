@@ -0,0 +1,440 @@
+/**
+ * Performance Report
+ *
+ * Trading metrics for the weekly review, computed from the persisted agent state:
+ *
+ *   Trades        Win rate, average win/loss, profit factor, expectancy (per closed round trip)
+ *   Risk          Sharpe and Sortino of the balanceHistory equity curve, max drawdown and its duration
+ *   Time          Average hold time and exposure (share of the window with any position open)
+ *   Execution     Realized P&L vs strategy (oracle) P&L, with the fee / funding / spread split
+ *                 for round trips that were settled (see settleRoundTrip in agent.js)
+ *   Ensemble      How often the voters agreed, and each voter's answers (ensemble mode only)
+ *
+ * A round trip's P&L is its settled net P&L when available, else its strategy P&L.
+ *
+ *   npm run report                                   Terminal table (logs/agent-state.json)
+ *   npm run report -- --since 2026-10-12 --until 2026-10-18
+ *   npm run report -- --markdown --out weekly.md     Markdown for the weekly review
+ *   npm run report -- --json                         Machine-readable
+ *
+ * Other options: --paper (paper-state.json), --state <file> (any state file or backtest report).
+ *
+ * balanceHistory keeps the last 500 samples and strategyTrades the last 100, so
+ * risk metrics cover the most recent ~16h at the default 2min interval.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const { median } = require('./stats');
+const { parseArgs, parseDate } = require('./cli-args');
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Paths (must match agent.js)
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const STATE_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-state.json' : 'agent-state.json');
+
+// ─── Metrics ─────────────────────────────────────────────────────────────────
+
+// Settled net P&L of a round trip, falling back to the oracle-price strategy P&L
+function tradePnl(t) {
+  return t.settlement ? t.settlement.netPnl : t.pnl;
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : 0;
+}
+
+function tradeStats(trades) {
+  const pnls = trades.map(tradePnl);
+  const wins = pnls.filter(p => p > 0);
+  const losses = pnls.filter(p => p < 0);
+  const grossWin = sum(wins);
+  const grossLoss = -sum(losses);
+  return {
+    count: trades.length,
+    settled: trades.filter(t => t.settlement).length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? wins.length / trades.length : null,
+    avgWin: wins.length > 0 ? grossWin / wins.length : null,
+    avgLoss: losses.length > 0 ? -grossLoss / losses.length : null,
+    largestWin: wins.length > 0 ? Math.max(...wins) : null,
+    largestLoss: losses.length > 0 ? Math.min(...losses) : null,
+    // Infinity when there are wins but no losses yet
+    profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : null),
+    expectancy: trades.length > 0 ? mean(pnls) : null,
+    netPnl: sum(pnls),
+  };
+}
+
+// Sharpe and Sortino of per-sample returns, annualized by the median sampling interval.
+// Risk-free rate is taken as zero.
+function returnStats(curve) {
+  const returns = [];
+  const intervals = [];
+  for (let i = 1; i < curve.length; i++) {
+    const prev = curve[i - 1].total;
+    if (!(prev > 0)) continue;
+    returns.push(curve[i].total / prev - 1);
+    intervals.push(curve[i].time - curve[i - 1].time);
+  }
+  if (returns.length < 2) return { samples: returns.length, sharpe: null, sortino: null, volatility: null };
+
+  const avg = mean(returns);
+  const std = Math.sqrt(sum(returns.map(r => (r - avg) ** 2)) / (returns.length - 1));
+  const downside = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+  const interval = median(intervals);
+  const annualize = interval > 0 ? Math.sqrt(YEAR_MS / interval) : 1;
+  return {
+    samples: returns.length,
+    intervalMs: interval,
+    sharpe: std > 0 ? avg / std * annualize : null,
+    sortino: downside > 0 ? avg / downside * annualize : null,
+    volatility: std * annualize,
+  };
+}
+
+// Deepest peak-to-trough drop, how long it lasted (peak until the curve got back to the
+// peak, or until the end of the curve if it hasn't yet), and the longest time under water.
+function drawdownStats(curve) {
+  const result = { maxDrawdownPct: 0, maxDrawdownUsd: 0, peakTime: null, troughTime: null, recoveryTime: null, durationMs: 0, longestUnderwaterMs: 0 };
+  if (curve.length === 0) return result;
+
+  let peak = curve[0];
+  let underwater = false;
+  let max = null;
+  for (const point of curve) {
+    if (point.total >= peak.total) {
+      if (max && !max.recoveryTime) max.recoveryTime = point.time;
+      if (underwater) result.longestUnderwaterMs = Math.max(result.longestUnderwaterMs, point.time - peak.time);
+      peak = point;
+      underwater = false;
+      continue;
+    }
+    underwater = true;
+    const dd = (peak.total - point.total) / peak.total;
+    if (dd > result.maxDrawdownPct) {
+      result.maxDrawdownPct = dd;
+      result.maxDrawdownUsd = peak.total - point.total;
+      max = { peakTime: peak.time, troughTime: point.time, recoveryTime: null };
+    }
+  }
+  const end = curve[curve.length - 1].time;
+  if (underwater) result.longestUnderwaterMs = Math.max(result.longestUnderwaterMs, end - peak.time);
+  if (max) {
+    Object.assign(result, max);
+    result.durationMs = (max.recoveryTime || end) - max.peakTime;
+  }
+  return result;
+}
+
+// Hold time of round trips that recorded their open time (strategy trades from before the
+// report existed did not)
+function holdStats(trades) {
+  const holds = trades.filter(t => t.openTime).map(t => t.time - t.openTime);
+  return {
+    measured: holds.length,
+    avgMs: holds.length > 0 ? mean(holds) : null,
+    medianMs: holds.length > 0 ? median(holds) : null,
+    maxMs: holds.length > 0 ? Math.max(...holds) : null,
+  };
+}
+
+// Share of [from, to] with at least one position open in any market
+function exposureStats(trades, markets, from, to) {
+  const intervals = trades.filter(t => t.openTime).map(t => [t.openTime, t.time]);
+  for (const m of Object.values(markets || {})) {
+    if (m.currentOpenDirection && m.lastPositionOpenTime) intervals.push([m.lastPositionOpenTime, to]);
+  }
+
+  const clipped = intervals
+    .map(([a, b]) => [Math.max(a, from), Math.min(b, to)])
+    .filter(([a, b]) => b > a)
+    .sort((x, y) => x[0] - y[0]);
+  let exposedMs = 0;
+  let cursor = from;
+  for (const [a, b] of clipped) {
+    const start = Math.max(a, cursor);
+    if (b > start) exposedMs += b - start;
+    cursor = Math.max(cursor, b);
+  }
+  const windowMs = to - from;
+  return { windowMs, exposedMs, exposurePct: windowMs > 0 ? exposedMs / windowMs : null };
+}
+
+// Realized (execution) P&L against strategy (oracle) P&L. Settled round trips also
+// split the gap into fees, funding and what's left: spread and slippage at the fills.
+// `realizedTotal` stands in for the realized history when the source has none (older backtest reports)
+function executionGap(trades, realizedHistory, realizedTotal = null) {
+  const realized = realizedTotal ?? sum(realizedHistory.map(r => r.pnl));
+  const strategy = sum(trades.map(t => t.pnl));
+  const settled = trades.filter(t => t.settlement);
+  const settledNet = sum(settled.map(t => t.settlement.netPnl));
+  const settledStrategy = sum(settled.map(t => t.pnl));
+  const fees = sum(settled.map(t => t.settlement.fees.total));
+  const funding = sum(settled.map(t => t.settlement.funding));
+  const settledGap = settledNet - settledStrategy;
+  return {
+    realizedPnL: realized,
+    estimatedCloses: realizedHistory.filter(r => r.estimated).length,
+    strategyPnL: strategy,
+    gap: realized - strategy,
+    settled: {
+      trades: settled.length,
+      netPnl: settledNet,
+      strategyPnL: settledStrategy,
+      gap: settledGap,
+      fees,
+      funding,
+      spread: settledGap + fees - funding,
+    },
+  };
+}
+
+// Ensemble disagreement over the cycles that were decided by vote (trades carrying `votes`)
+function ensembleStats(cycles) {
+  const voted = cycles.filter(t => t.votes);
+  if (voted.length === 0) return null;
+  const key = v => `${v.action} ${v.market || ''}`;
+  const voters = {};
+  let unanimous = 0;
+  for (const t of voted) {
+    const answers = t.votes.filter(v => !v.error);
+    if (answers.length > 0 && answers.every(v => key(v) === key(answers[0]))) unanimous++;
+    for (const v of t.votes) {
+      const s = voters[v.voter] = voters[v.voter] || { answered: 0, abstained: 0, trades: 0 };
+      if (v.error) s.abstained++;
+      else {
+        s.answered++;
+        if (v.action !== 'HOLD') s.trades++;
+      }
+    }
+  }
+  return {
+    cycles: voted.length,
+    unanimousPct: unanimous / voted.length,
+    avgAgreement: mean(voted.map(t => t.agreement || 0)),
+    voters,
+  };
+}
+
+function marketBreakdown(trades) {
+  const markets = {};
+  for (const t of trades) (markets[t.market || 'SOL-PERP'] = markets[t.market || 'SOL-PERP'] || []).push(t);
+  return Object.fromEntries(Object.entries(markets).map(([symbol, list]) => {
+    const stats = tradeStats(list);
+    return [symbol, { trades: stats.count, winRate: stats.winRate, netPnl: stats.netPnl, strategyPnL: sum(list.map(t => t.pnl)) }];
+  }));
+}
+
+// Full report for a state file or a backtest report. A backtest report carries equityCurve (one
+// sample per cycle) instead of balanceHistory, and keeps only the trades that executed.
+// `since` / `until` (ms) limit round trips by close time and the equity curve by sample time.
+function buildReport(state, { since = 0, until = Infinity, now = Date.now() } = {}) {
+  const inWindow = t => t >= since && t <= until;
+  const curve = (state.balanceHistory || state.equityCurve || []).filter(b => inWindow(b.time));
+  const trades = (state.strategyTrades || []).filter(t => inWindow(t.time));
+  const realizedHistory = (state.realizedPnLHistory || []).filter(r => inWindow(r.time));
+  // Reports written before the backtest kept its realized history only have the total
+  const realizedTotal = !state.realizedPnLHistory && state.performance ? state.performance.realizedPnL : null;
+  // Operator actions (control API) share the trade history but aren't cycles
+  const cycles = (state.trades || []).filter(t => inWindow(t.time) && !t.operator);
+  const backtest = !state.balanceHistory && !!state.equityCurve;
+
+  const from = since > 0 ? since : (curve[0]?.time ?? state.startTime ?? now);
+  const to = Number.isFinite(until) ? until : (curve.length > 0 ? curve[curve.length - 1].time : now);
+
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  return {
+    generatedAt: new Date(now).toISOString(),
+    window: { from: new Date(from).toISOString(), to: new Date(to).toISOString() },
+    equity: {
+      start: first?.total ?? null,
+      end: last?.total ?? null,
+      change: first && last ? last.total - first.total : null,
+      changePct: first && last && first.total > 0 ? (last.total - first.total) / first.total : null,
+      samples: curve.length,
+    },
+    activity: {
+      cycles: backtest ? curve.length : cycles.length,
+      // Unfilled orders and vetoed or failed trades come back as HOLD / FAILED
+      executed: cycles.filter(t => !['HOLD', 'FAILED'].includes(t.action)).length,
+    },
+    trades: tradeStats(trades),
+    returns: returnStats(curve),
+    drawdown: drawdownStats(curve),
+    hold: holdStats(trades),
+    exposure: exposureStats(trades, state.markets, from, to),
+    execution: executionGap(trades, realizedHistory, since > 0 || Number.isFinite(until) ? null : realizedTotal),
+    markets: marketBreakdown(trades),
+    ensemble: ensembleStats(cycles),
+  };
+}
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+function fmt(val, decimals = 2) {
+  if (val === null || val === undefined || Number.isNaN(val)) return '—';
+  if (val === Infinity) return '∞';
+  return Number(val).toFixed(decimals);
+}
+
+function usd(val, decimals = 2) {
+  if (val === null || val === undefined) return '—';
+  return `${val < 0 ? '-' : ''}$${fmt(Math.abs(val), decimals)}`;
+}
+
+function pct(val, decimals = 1) {
+  return val === null || val === undefined ? '—' : `${fmt(val * 100, decimals)}%`;
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  const m = Math.round(ms / 60000);
+  const h = Math.floor(m / 60);
+  const d = Math.floor(h / 24);
+  if (d > 0) return `${d}d ${h % 24}h`;
+  if (h > 0) return `${h}h ${m % 60}m`;
+  return `${m}m`;
+}
+
+// Report as titled sections of [label, value] rows, shared by the table and Markdown output
+function sections(r) {
+  const t = r.trades;
+  const g = r.execution;
+  const dd = r.drawdown;
+  return [
+    ['Equity', [
+      ['Start → end', `${usd(r.equity.start)} → ${usd(r.equity.end)}`],
+      ['Change', `${usd(r.equity.change)} (${pct(r.equity.changePct, 2)})`],
+      ['Cycles / executed', `${r.activity.cycles} / ${r.activity.executed}`],
+    ]],
+    ['Trades', [
+      ['Round trips', `${t.count} (${t.settled} settled)`],
+      ['Win rate', `${pct(t.winRate)} (${t.wins}W / ${t.losses}L)`],
+      ['Average win / loss', `${usd(t.avgWin, 4)} / ${usd(t.avgLoss, 4)}`],
+      ['Largest win / loss', `${usd(t.largestWin, 4)} / ${usd(t.largestLoss, 4)}`],
+      ['Profit factor', fmt(t.profitFactor)],
+      ['Expectancy', `${usd(t.expectancy, 4)} per trade`],
+      ['Net P&L', usd(t.netPnl, 4)],
+    ]],
+    ['Risk', [
+      ['Sharpe (annualized)', fmt(r.returns.sharpe)],
+      ['Sortino (annualized)', fmt(r.returns.sortino)],
+      ['Volatility (annualized)', pct(r.returns.volatility)],
+      ['Max drawdown', `${pct(dd.maxDrawdownPct, 2)} (${usd(dd.maxDrawdownUsd)})`],
+      ['Drawdown duration', `${formatDuration(dd.durationMs)}${dd.peakTime && !dd.recoveryTime ? ' (not recovered)' : ''}`],
+      ['Longest under water', formatDuration(dd.longestUnderwaterMs)],
+    ]],
+    ['Time', [
+      ['Average hold', `${formatDuration(r.hold.avgMs)} (median ${formatDuration(r.hold.medianMs)}, max ${formatDuration(r.hold.maxMs)})`],
+      ['Exposure', `${pct(r.exposure.exposurePct)} of ${formatDuration(r.exposure.windowMs)}`],
+    ]],
+    ['Execution vs strategy', [
+      ['Realized P&L', `${usd(g.realizedPnL, 4)}${g.estimatedCloses > 0 ? ` (${g.estimatedCloses} estimated)` : ''}`],
+      ['Strategy P&L', usd(g.strategyPnL, 4)],
+      ['Gap', usd(g.gap, 4)],
+      [`Settled gap (${g.settled.trades} trades)`, usd(g.settled.gap, 4)],
+      ['  Fees', usd(-g.settled.fees, 4)],
+      ['  Funding', usd(g.settled.funding, 4)],
+      ['  Spread / slippage', usd(g.settled.spread, 4)],
+    ]],
+  ];
+}
+
+function formatTable(r) {
+  const lines = [`=== Performance Report (${r.window.from.slice(0, 16).replace('T', ' ')} → ${r.window.to.slice(0, 16).replace('T', ' ')} UTC) ===`];
+  for (const [title, rows] of sections(r)) {
+    lines.push('', `${title}:`);
+    for (const [label, value] of rows) lines.push(`  ${`${label}:`.padEnd(28)}${value}`);
+  }
+  const markets = Object.entries(r.markets);
+  if (markets.length > 0) {
+    lines.push('', 'By market:');
+    for (const [symbol, m] of markets) {
+      lines.push(`  ${symbol.padEnd(10)} ${String(m.trades).padStart(4)} trades  win ${pct(m.winRate).padStart(6)}  net ${usd(m.netPnl, 4).padStart(10)}  strategy ${usd(m.strategyPnL, 4)}`);
+    }
+  }
+  if (r.ensemble) {
+    lines.push('', `Ensemble (${r.ensemble.cycles} voted cycles, ${pct(r.ensemble.unanimousPct)} unanimous, average agreement ${pct(r.ensemble.avgAgreement)}):`);
+    for (const [voter, v] of Object.entries(r.ensemble.voters)) {
+      lines.push(`  ${voter.padEnd(24)} ${String(v.answered).padStart(4)} answers  ${String(v.trades).padStart(4)} non-HOLD  ${String(v.abstained).padStart(4)} abstained`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatMarkdown(r) {
+  const lines = [`# Performance Report`, '', `${r.window.from} → ${r.window.to}`];
+  for (const [title, rows] of sections(r)) {
+    lines.push('', `## ${title}`, '', '| Metric | Value |', '|---|---|');
+    for (const [label, value] of rows) lines.push(`| ${label.trim()} | ${value} |`);
+  }
+  const markets = Object.entries(r.markets);
+  if (markets.length > 0) {
+    lines.push('', '## By market', '', '| Market | Trades | Win rate | Net P&L | Strategy P&L |', '|---|---|---|---|---|');
+    for (const [symbol, m] of markets) lines.push(`| ${symbol} | ${m.trades} | ${pct(m.winRate)} | ${usd(m.netPnl, 4)} | ${usd(m.strategyPnL, 4)} |`);
+  }
+  if (r.ensemble) {
+    lines.push('', '## Ensemble', '', `${r.ensemble.cycles} voted cycles, ${pct(r.ensemble.unanimousPct)} unanimous, average agreement ${pct(r.ensemble.avgAgreement)}.`);
+    lines.push('', '| Voter | Answers | Non-HOLD | Abstained |', '|---|---|---|---|');
+    for (const [voter, v] of Object.entries(r.ensemble.voters)) lines.push(`| ${voter} | ${v.answered} | ${v.trades} | ${v.abstained} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const file = opts.state ? path.resolve(opts.state) : STATE_FILE;
+  if (!fs.existsSync(file)) {
+    console.log(`[Report] No state found at ${file}. Run: npm start`);
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    report = buildReport(state, {
+      since: opts.since ? parseDate(opts.since) : 0,
+      until: opts.until ? parseDate(opts.until, true) : Infinity,
+    });
+  } catch (err) {
+    console.error(`[Report] ${err.message}`);
+    process.exit(1);
+  }
+
+  const output = opts.json ? JSON.stringify(report, null, 2) : opts.markdown ? formatMarkdown(report) : formatTable(report);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, output.endsWith('\n') ? output : output + '\n');
+    console.log(`[Report] Written to ${opts.out}`);
+  } else {
+    console.log(output);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildReport,
+  formatTable,
+  formatMarkdown,
+  tradeStats,
+  returnStats,
+  drawdownStats,
+  exposureStats,
+};
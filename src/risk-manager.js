@@ -0,0 +1,202 @@
+/**
+ * Portfolio Risk Manager
+ *
+ * Sits between the decision engine and executeTrade. Every cycle it checks
+ * portfolio-level limits and vetoes opening actions that would break them:
+ *
+ *   Max drawdown        Total balance down riskMaxDrawdownPct from its peak  → halt
+ *   Daily loss limit    Realized losses over the last 24h beyond riskDailyLossPct of the initial balance → halt
+ *   Max exposure        Total perp notional above riskMaxExposureUsd → veto the open
+ *   Trade rate          More than riskMaxTradesPerHour executed trades in the last hour → veto the open
+ *
+ * The limits are trading config settings (config.js): validated, set per profile and
+ * picked up again when the config reloads between cycles.
+ *
+ * A halt is written to a file next to the agent state so it survives restarts,
+ * and stays in force until cleared by hand:
+ *
+ *   npm run risk                 Show the current halt and limits
+ *   npm run risk -- --clear      Clear the halt and resume trading
+ *   (add --paper for the paper trading halt)
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: true });
+const config = require('./config');
+
+// Config
+const PAPER_TRADING = process.argv.includes('--paper') || ['1', 'true'].includes((process.env.PAPER_TRADING || '').toLowerCase());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const OPENING_ACTIONS = ['OPEN_SHORT', 'OPEN_LONG'];
+
+// Paths (must match agent.js)
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const HALT_FILE = path.join(LOG_DIR, PAPER_TRADING ? 'paper-risk-halt.json' : 'risk-halt.json');
+
+// Current limits from the trading config
+function getLimits() {
+  const c = config.get();
+  return {
+    maxDrawdownPct: c.riskMaxDrawdownPct,
+    dailyLossPct: c.riskDailyLossPct,
+    maxExposureUsd: c.riskMaxExposureUsd,
+    maxTradesPerHour: c.riskMaxTradesPerHour,
+    flattenOnHalt: c.riskFlattenOnHalt,
+  };
+}
+
+// ─── Halt State ──────────────────────────────────────────────────────────────
+
+// Returns { reason, time, metrics } while halted, else null
+function getHalt() {
+  try {
+    return JSON.parse(fs.readFileSync(HALT_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function halt(reason, metrics = {}) {
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+  const record = { reason, time: Date.now(), metrics };
+  fs.writeFileSync(HALT_FILE, JSON.stringify(record, null, 2));
+  return record;
+}
+
+function clearHalt() {
+  if (!fs.existsSync(HALT_FILE)) return false;
+  fs.unlinkSync(HALT_FILE);
+  return true;
+}
+
+// ─── Metrics ─────────────────────────────────────────────────────────────────
+
+// Peak total balance seen so far (initial balance, balance history and the current total)
+function peakBalance(state, totalNow) {
+  const history = (state.balanceHistory || []).map(b => b.total);
+  return Math.max(state.initialBalance || 0, totalNow, ...history);
+}
+
+// Realized P&L booked in the 24 hours before `now`
+function dailyRealizedPnL(state, now = Date.now()) {
+  return (state.realizedPnLHistory || [])
+    .filter(r => now - r.time < DAY_MS)
+    .reduce((sum, r) => sum + r.pnl, 0);
+}
+
+// Perp notional across every open position, marked at `prices` (symbol → price)
+function exposureUsd(positions, prices) {
+  return Object.entries(positions || {}).reduce((sum, [symbol, pos]) => {
+    if (!pos || !prices[symbol]) return sum;
+    return sum + Math.abs(pos.baseAmount) * prices[symbol];
+  }, 0);
+}
+
+function tradesLastHour(state, now = Date.now()) {
+  return (state.trades || []).filter(t => t.txSig && now - t.time < HOUR_MS).length;
+}
+
+function getMetrics(state, totalNow, positions, prices, now = Date.now()) {
+  const peak = peakBalance(state, totalNow);
+  return {
+    peakBalance: peak,
+    drawdownPct: peak > 0 ? (peak - totalNow) / peak : 0,
+    dailyRealizedPnL: dailyRealizedPnL(state, now),
+    exposureUsd: exposureUsd(positions, prices),
+    tradesLastHour: tradesLastHour(state, now),
+  };
+}
+
+// ─── Checks ──────────────────────────────────────────────────────────────────
+
+// Portfolio-level breaches that halt trading. Returns a reason string or null.
+function checkLimits(state, metrics, limits = getLimits()) {
+  if (metrics.drawdownPct > limits.maxDrawdownPct) {
+    return `Drawdown ${(metrics.drawdownPct * 100).toFixed(1)}% from peak $${metrics.peakBalance.toFixed(2)} exceeds ${(limits.maxDrawdownPct * 100).toFixed(0)}% limit`;
+  }
+  const dailyLimit = (state.initialBalance || 0) * limits.dailyLossPct;
+  if (dailyLimit > 0 && metrics.dailyRealizedPnL < -dailyLimit) {
+    return `Realized loss $${(-metrics.dailyRealizedPnL).toFixed(2)} in the last 24h exceeds $${dailyLimit.toFixed(2)} daily limit (${(limits.dailyLossPct * 100).toFixed(0)}% of initial balance)`;
+  }
+  return null;
+}
+
+// Veto reason for a decision, or null if it may proceed. Only opening actions are vetoed:
+// closing positions and moving USDC to the treasury always reduce risk.
+function checkDecision(decision, metrics, haltRecord = getHalt(), limits = getLimits()) {
+  if (!OPENING_ACTIONS.includes(decision.action)) return null;
+
+  if (haltRecord) return `Trading halted since ${new Date(haltRecord.time).toISOString()}: ${haltRecord.reason}`;
+
+  const projected = metrics.exposureUsd + (decision.size_usd || 0);
+  if (projected > limits.maxExposureUsd) {
+    return `Exposure $${projected.toFixed(2)} after this trade would exceed $${limits.maxExposureUsd} limit (current $${metrics.exposureUsd.toFixed(2)})`;
+  }
+  if (metrics.tradesLastHour >= limits.maxTradesPerHour) {
+    return `${metrics.tradesLastHour} trades in the last hour — limit is ${limits.maxTradesPerHour}`;
+  }
+  return null;
+}
+
+// Risk block for the dashboard
+function getStatus(metrics) {
+  return {
+    halted: getHalt(),
+    metrics,
+    limits: getLimits(),
+  };
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+function main() {
+  if (process.argv.includes('--clear')) {
+    console.log(clearHalt() ? `[Risk] Halt cleared (${HALT_FILE}) — the agent resumes trading next cycle` : '[Risk] Not halted');
+    return;
+  }
+
+  let limits;
+  try {
+    limits = getLimits();
+  } catch (err) {
+    console.error(`[Risk] ${err.message}`);
+    process.exit(1);
+  }
+
+  const record = getHalt();
+  console.log(`=== Risk Manager (${PAPER_TRADING ? 'paper' : 'devnet'}) ===\n`);
+  if (record) {
+    console.log(`HALTED since ${new Date(record.time).toISOString()}`);
+    console.log(`  Reason: ${record.reason}`);
+    console.log(`  Clear with: npm run risk -- --clear${PAPER_TRADING ? ' --paper' : ''}\n`);
+  } else {
+    console.log('Not halted\n');
+  }
+  console.log(`Limits (profile "${config.get().profile}"):`);
+  console.log(`  Max drawdown:      ${(limits.maxDrawdownPct * 100).toFixed(0)}% from peak`);
+  console.log(`  Daily loss limit:  ${(limits.dailyLossPct * 100).toFixed(0)}% of initial balance (rolling 24h, realized)`);
+  console.log(`  Max exposure:      $${limits.maxExposureUsd} perp notional`);
+  console.log(`  Max trades/hour:   ${limits.maxTradesPerHour}`);
+  console.log(`  Flatten on halt:   ${limits.flattenOnHalt ? 'yes' : 'no'}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getHalt,
+  halt,
+  clearHalt,
+  getMetrics,
+  checkLimits,
+  checkDecision,
+  getStatus,
+  dailyRealizedPnL,
+  exposureUsd,
+  getLimits,
+  HALT_FILE,
+};
@@ -0,0 +1,17 @@
+/**
+ * Statistics Helpers
+ *
+ * Pure math over plain arrays of numbers, shared by the price feed, the ensemble,
+ * position sizing and the report. No config, no I/O.
+ */
+
+// Middle value (mean of the two middle ones for an even count); NaN for an empty array
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+module.exports = {
+  median,
+};
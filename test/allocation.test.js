@@ -0,0 +1,129 @@
+/**
+ * Allocation policy checks: planAllocation() and limitTransfer()
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planAllocation, limitTransfer } = require('../src/allocation');
+
+// The default profile: 40% agent, 40% treasury, 20% Drift collateral, ±15% band
+const POLICY = {
+  targets: { agent: 0.4, treasury: 0.4, drift: 0.2 },
+  bandPct: 0.15,
+  reserves: { agent: 0, treasury: 0, drift: 0 },
+  minTransfer: 1,
+};
+
+// Balances after `transfer` ({ from, to, amount }) is made
+function after(balances, { from, to, amount }) {
+  return { ...balances, [from]: balances[from] - amount, [to]: balances[to] + amount };
+}
+
+// ─── planAllocation ──────────────────────────────────────────────────────────
+
+test('planAllocation leaves a portfolio at its targets alone', () => {
+  const plan = planAllocation({ agent: 40, treasury: 40, drift: 20 }, POLICY);
+  assert.equal(plan.total, 100);
+  assert.deepEqual(plan.outOfBand, []);
+  assert.deepEqual(plan.transfers, []);
+});
+
+test('planAllocation counts a bucket exactly on its band edge as inside', () => {
+  // 55% against a 40% target is 0.15000000000000002 away in floating point
+  assert.deepEqual(planAllocation({ agent: 55, treasury: 25, drift: 20 }, POLICY).outOfBand, []);
+  assert.deepEqual(planAllocation({ agent: 25, treasury: 55, drift: 20 }, POLICY).outOfBand, []);
+  assert.deepEqual(planAllocation({ agent: 55.01, treasury: 24.99, drift: 20 }, POLICY).outOfBand, ['agent', 'treasury']);
+});
+
+test('planAllocation deposits to Drift and rebalances the wallets back to the targets', () => {
+  const balances = { agent: 80, treasury: 20, drift: 0 };
+  const plan = planAllocation(balances, POLICY);
+  assert.deepEqual(plan.outOfBand, ['agent', 'treasury', 'drift']);
+  assert.deepEqual(plan.transfers, [
+    { action: 'DEPOSIT_TO_DRIFT', from: 'agent', to: 'drift', amount: 20 },
+    { action: 'ALLOCATE_TO_TREASURY', from: 'agent', to: 'treasury', amount: 20 },
+  ]);
+  const done = plan.transfers.reduce(after, balances);
+  assert.deepEqual(done, { agent: 40, treasury: 40, drift: 20 });
+  assert.deepEqual(planAllocation(done, POLICY).transfers, []);
+});
+
+test('planAllocation funds the deposit from the treasury when the agent cannot cover it', () => {
+  const plan = planAllocation({ agent: 20, treasury: 80, drift: 0 }, POLICY);
+  assert.deepEqual(plan.transfers.map(t => t.action), ['WITHDRAW_FROM_TREASURY', 'DEPOSIT_TO_DRIFT']);
+});
+
+test('planAllocation holds collateral above its target and splits the wallets', () => {
+  const plan = planAllocation({ agent: 30, treasury: 20, drift: 50 }, POLICY);
+  assert.equal(plan.driftHeld, true);
+  assert.equal(plan.driftExcess, 30);
+  assert.deepEqual(plan.targets, { agent: 25, treasury: 25, drift: 50 });
+  assert.deepEqual(plan.transfers, [{ action: 'ALLOCATE_TO_TREASURY', from: 'agent', to: 'treasury', amount: 5 }]);
+});
+
+test('planAllocation leaves Drift out when it is unavailable', () => {
+  const plan = planAllocation({ agent: 90, treasury: 10, drift: 0 }, POLICY, { driftAvailable: false });
+  assert.deepEqual(plan.outOfBand, ['agent', 'treasury']);
+  assert.deepEqual(plan.transfers, [{ action: 'ALLOCATE_TO_TREASURY', from: 'agent', to: 'treasury', amount: 40 }]);
+});
+
+test('planAllocation flags a bucket below its reserve', () => {
+  const policy = { ...POLICY, reserves: { agent: 0, treasury: 30, drift: 0 } };
+  const plan = planAllocation({ agent: 48, treasury: 28, drift: 24 }, policy);
+  assert.deepEqual(plan.outOfBand, ['treasury']);
+});
+
+// ─── limitTransfer ───────────────────────────────────────────────────────────
+
+test('limitTransfer passes a transfer that stays inside the band', () => {
+  assert.deepEqual(limitTransfer('ALLOCATE_TO_TREASURY', 10, { agent: 40, treasury: 40, drift: 20 }, POLICY), { amount: 10, limit: null });
+});
+
+test('limitTransfer stops the source at the bottom of its band', () => {
+  const result = limitTransfer('ALLOCATE_TO_TREASURY', 30, { agent: 40, treasury: 40, drift: 20 }, POLICY);
+  assert.deepEqual(result, { amount: 15, limit: 'agent would drop below its band ($25.00)' });
+});
+
+test('limitTransfer stops the destination at the top of its band', () => {
+  const result = limitTransfer('WITHDRAW_FROM_TREASURY', 20, { agent: 45, treasury: 40, drift: 15 }, POLICY);
+  assert.deepEqual(result, { amount: 10, limit: 'agent would rise above its band ($55.00)' });
+});
+
+test('limitTransfer keeps the source reserve', () => {
+  const policy = { ...POLICY, reserves: { agent: 35, treasury: 0, drift: 0 } };
+  const result = limitTransfer('ALLOCATE_TO_TREASURY', 10, { agent: 40, treasury: 40, drift: 20 }, policy);
+  assert.deepEqual(result, { amount: 5, limit: 'agent would drop below its reserve ($35.00)' });
+});
+
+test('limitTransfer measures deposits against the Drift target', () => {
+  const result = limitTransfer('DEPOSIT_TO_DRIFT', 50, { agent: 70, treasury: 30, drift: 0 }, POLICY);
+  assert.deepEqual(result, { amount: 35, limit: 'Drift collateral would rise above its band ($35.00)' });
+});
+
+test('limitTransfer moves nothing out of a bucket already below its band', () => {
+  assert.equal(limitTransfer('ALLOCATE_TO_TREASURY', 10, { agent: 20, treasury: 60, drift: 20 }, POLICY).amount, 0);
+});
+
+test('limitTransfer rounds down to cents', () => {
+  assert.equal(limitTransfer('ALLOCATE_TO_TREASURY', 10, { agent: 33.337, treasury: 33.333, drift: 33.33 }, POLICY).amount, 10);
+  // Drift is held, the wallets target $35 each and the agent may drop to 35 - 15.04995
+  assert.equal(limitTransfer('ALLOCATE_TO_TREASURY', 50, { agent: 40, treasury: 30, drift: 30.333 }, POLICY).amount, 20.04);
+});
+
+test('a transfer limitTransfer allows never takes a bucket out of band', () => {
+  for (const balances of [
+    { agent: 40, treasury: 40, drift: 20 },
+    { agent: 33.33, treasury: 33.33, drift: 33.34 },
+    { agent: 61.7, treasury: 17.9, drift: 20.4 },
+    { agent: 12.34, treasury: 45.67, drift: 8.9 },
+  ]) {
+    for (const [action, from, to] of [['ALLOCATE_TO_TREASURY', 'agent', 'treasury'], ['WITHDRAW_FROM_TREASURY', 'treasury', 'agent']]) {
+      const { amount } = limitTransfer(action, 1000, balances, POLICY);
+      const before = planAllocation(balances, POLICY).outOfBand;
+      const outOfBand = planAllocation(after(balances, { from, to, amount }), POLICY).outOfBand;
+      assert.ok(outOfBand.every(k => before.includes(k)), `${action} ${amount} from ${JSON.stringify(balances)} put ${outOfBand} out of band`);
+    }
+  }
+});
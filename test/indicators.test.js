@@ -0,0 +1,155 @@
+/**
+ * Indicator reference checks
+ *
+ * EMA, RSI and ATR are compared with the worked tables in the StockCharts
+ * ChartSchool articles (the cs-ema, cs-rsi and cs-atr spreadsheets), rounded to
+ * cents like the tables. MACD is checked against those verified EMAs, Bollinger
+ * Bands against the textbook population standard deviation example, and VWAP and
+ * rate of change against hand-worked values.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ema, emaSeries, rsi, macd, bollinger, atr, vwap, roc, computeIndicators } = require('../src/indicators');
+
+// Each value of `actual` within `tolerance` of `expected`
+function assertClose(actual, expected, tolerance = 0.005) {
+  assert.equal(actual.length, expected.length, `${actual.length} values, expected ${expected.length}`);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) <= tolerance, `#${i}: ${value} is not ${expected[i]} ± ${tolerance}`);
+  });
+}
+
+// The indicator over every prefix of `values` that is long enough for it
+function rolling(values, fn) {
+  const out = [];
+  for (let i = 1; i <= values.length; i++) {
+    const value = fn(values.slice(0, i));
+    if (value !== null) out.push(value);
+  }
+  return out;
+}
+
+// ─── Reference Series ────────────────────────────────────────────────────────
+
+const EMA_CLOSES = [
+  22.2734, 22.1940, 22.0847, 22.1741, 22.1840, 22.1344, 22.2337, 22.4323, 22.2436, 22.2933,
+  22.1542, 22.3926, 22.3816, 22.6109, 23.3558, 24.0519, 23.7530, 23.8324, 23.9516, 23.6338,
+  23.8225, 23.8722, 23.6537, 23.1870, 23.0976, 23.3260, 22.6805, 23.0976, 22.4025, 22.1725,
+];
+const EMA_10 = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+];
+
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+  45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+  46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+  43.4205, 42.6628, 43.1314,
+];
+const RSI_14 = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77,
+];
+
+const ATR_HIGHS = [
+  48.70, 48.72, 48.90, 48.87, 48.82, 49.05, 49.20, 49.35, 49.92, 50.19,
+  50.12, 49.66, 49.88, 50.19, 50.36, 50.57, 50.65, 50.43, 49.63, 50.33,
+  50.29, 50.17, 49.32, 48.50, 48.32, 46.80, 47.80, 48.39, 48.66, 48.79,
+];
+const ATR_LOWS = [
+  47.79, 48.14, 48.39, 48.37, 48.24, 48.64, 48.94, 48.86, 49.50, 49.87,
+  49.20, 48.90, 49.43, 49.73, 49.26, 50.09, 50.30, 49.21, 48.98, 49.61,
+  49.20, 49.43, 48.08, 47.64, 41.55, 44.28, 47.31, 47.20, 47.90, 47.73,
+];
+const ATR_CLOSES = [
+  48.16, 48.61, 48.75, 48.63, 48.74, 49.03, 49.07, 49.32, 49.91, 50.13,
+  49.53, 49.50, 49.75, 50.03, 50.31, 50.52, 50.41, 49.34, 49.37, 50.23,
+  49.24, 49.93, 48.43, 48.18, 46.57, 45.41, 47.77, 47.72, 48.62, 47.85,
+];
+const ATR_14 = [
+  0.55, 0.59, 0.59, 0.57, 0.61, 0.62, 0.64, 0.67, 0.69,
+  0.77, 0.78, 1.21, 1.30, 1.38, 1.37, 1.34, 1.32,
+];
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+test('ema matches the StockCharts 10-day EMA table', () => {
+  assertClose(emaSeries(EMA_CLOSES, 10).filter(v => v !== null), EMA_10);
+  assert.equal(ema(EMA_CLOSES, 10), emaSeries(EMA_CLOSES, 10).at(-1));
+  assert.equal(ema(EMA_CLOSES.slice(0, 9), 10), null);
+});
+
+test('rsi matches the StockCharts 14-day RSI table', () => {
+  assertClose(rolling(RSI_CLOSES, values => rsi(values, 14)), RSI_14);
+  assert.equal(rsi(RSI_CLOSES.slice(0, 14), 14), null);
+  assert.equal(rsi([10, 11, 12], 2), 100);
+  assert.equal(rsi([10, 10, 10], 2), 50);
+});
+
+test('atr matches the StockCharts 14-day ATR table', () => {
+  // The table takes the first bar's true range as high - low. A leading sample at
+  // that bar's close gives the same range, since the close lies inside it.
+  const bars = ATR_CLOSES.map((close, i) => ({ time: i + 1, high: ATR_HIGHS[i], low: ATR_LOWS[i], close }));
+  const history = [{ time: 0, price: ATR_CLOSES[0] }, ...bars];
+  assertClose(rolling(history, samples => atr(samples, 14)), ATR_14);
+  assert.equal(atr(bars.slice(0, 14), 14), null);
+});
+
+test('atr falls back to close-to-close without high and low', () => {
+  const history = [100, 102, 101, 104].map((price, time) => ({ time, price }));
+  assert.equal(atr(history, 3), (2 + 1 + 3) / 3);
+});
+
+test('macd is the fast EMA minus the slow EMA, with an EMA signal line', () => {
+  const fast = emaSeries(EMA_CLOSES, 5);
+  const slow = emaSeries(EMA_CLOSES, 10);
+  const line = slow.map((s, i) => s === null ? null : fast[i] - s).filter(v => v !== null);
+  const result = macd(EMA_CLOSES, 5, 10, 4);
+  assert.ok(Math.abs(result.macd - line.at(-1)) < 1e-12);
+  assert.ok(Math.abs(result.signal - ema(line, 4)) < 1e-12);
+  assert.ok(Math.abs(result.histogram - (result.macd - result.signal)) < 1e-12);
+  // Needs slow + signal - 1 values
+  assert.equal(macd(EMA_CLOSES.slice(0, 12), 5, 10, 4), null);
+  assert.notEqual(macd(EMA_CLOSES.slice(0, 13), 5, 10, 4), null);
+});
+
+test('bollinger uses the population standard deviation', () => {
+  // 2, 4, 4, 4, 5, 5, 7, 9: mean 5, population standard deviation 2
+  const bands = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  assert.deepEqual(bands, { middle: 5, upper: 9, lower: 1, bandwidth: 1.6, percentB: 1 });
+  assert.equal(bollinger([2, 4, 4], 8, 2), null);
+  assert.equal(bollinger([5, 5, 5], 3, 2).percentB, 0.5);
+});
+
+test('vwap weights the typical price by volume', () => {
+  const candles = [
+    { time: 0, high: 12, low: 9, close: 10.5, volume: 100 },  // typical 10.5
+    { time: 1, high: 13, low: 10, close: 11.5, volume: 300 }, // typical 11.5
+  ];
+  assert.deepEqual(vwap(candles, 2), { value: (10.5 * 100 + 11.5 * 300) / 400, weighting: 'volume' });
+});
+
+test('vwap weights by time when samples carry no volume', () => {
+  const samples = [{ time: 0, price: 10 }, { time: 1000, price: 11 }, { time: 4000, price: 13 }];
+  assert.deepEqual(vwap(samples, 2), { value: (11 * 1000 + 13 * 3000) / 4000, weighting: 'time' });
+  assert.equal(vwap(samples.slice(0, 2), 2), null);
+});
+
+test('roc is the percent change over the period', () => {
+  assertClose([roc(RSI_CLOSES, 10)], [(43.1314 - 45.7137) / 45.7137 * 100], 1e-12);
+  assert.equal(roc(RSI_CLOSES.slice(0, 10), 10), null);
+});
+
+test('computeIndicators reads every indicator at the latest sample', () => {
+  const history = RSI_CLOSES.map((price, i) => ({ time: i * 60_000, price }));
+  const snapshot = computeIndicators(history, { rsi: 14, emaFast: 5, emaSlow: 10, macdSignal: 4 });
+  assert.equal(snapshot.samples, RSI_CLOSES.length);
+  assert.equal(snapshot.price, 43.1314);
+  assertClose([snapshot.rsi], [RSI_14.at(-1)]);
+  assert.deepEqual(snapshot.macd, macd(RSI_CLOSES, 5, 10, 4));
+  assert.ok(Math.abs(snapshot.atrPct - snapshot.atr / 43.1314 * 100) < 1e-12);
+});